@@ -1,158 +1,709 @@
-class Ball {
-  /**
-   * Creates a ball
-   * @param {number} radius - Ball radius
-   * @param {number} x - X position
-   * @param {number} y - Y position
-   * @param {number} vx - X velocity
-   * @param {number} vy - Y velocity
-   */
-  constructor(radius, x, y, vx, vy) {
-    this.radius = radius;
-    this.x = x;
-    this.y = y;
-    this.vx = vx;
-    this.vy = vy;
+import {
+  Ball,
+  Diagnostics,
+  FixedStepLoop,
+  LinearDrag,
+  QuadraticDrag,
+  Simulation,
+  Vector2,
+  Wind,
+  World,
+  analyticFlight,
+  launchVelocity,
+  measureFlight,
+} from "../physics/index.js";
+import { DiagnosticsPanel, SIDEBAR_WIDTH } from "../ui/diagnostics-panel.js";
+import { createPanel } from "../ui/panel.js";
+import { createButton, releaseFocus } from "../ui/controls.js";
+import { SceneMenu, getSceneUrl } from "../ui/scene-menu.js";
+import { Timeline } from "../ui/timeline.js";
+import { LoggerPanel } from "../ui/logger-panel.js";
+import { Camera } from "../ui/camera.js";
+import { RendererMenu, createRenderer } from "../ui/renderer.js";
+
+const BALL_RADIUS = 0.2;
+const LAUNCH_POS = new Vector2(BALL_RADIUS, BALL_RADIUS);
+const SHOT_COLORS = ["#FF0000", "#0077FF", "#00AA44", "#FF8800", "#AA00CC"];
+// older shots are taken off the field
+const MAX_SHOTS = 10;
+// a trail stops growing after this many steps
+const MAX_TRAIL = 2000;
+// speed per unit the pointer is dragged away from the cannon
+const DRAG_SPEED = 2;
+const TARGET_RADIUS = 0.5;
+const OBSTACLE_RADIUS = 0.5;
+// canvas pixels per unit of wind speed
+const WIND_ARROW_SCALE = 6;
+
+// 發射器：角度與初速
+class Launcher {
+  angle = 56;
+  speed = 18;
+
+  setAngle(angle) {
+    this.angle = Math.min(Math.max(angle, 0), 90);
   }
 
-  move(timeStep) {
-    this.x += this.vx * timeStep;
-    this.y += this.vy * timeStep;
+  setSpeed(speed) {
+    this.speed = Math.min(Math.max(speed, 1), 30);
   }
 
-  applyGravity(gx, gy, timeStep) {
-    this.vx += gx * timeStep;
-    this.vy += gy * timeStep;
+  // aims at a point, further away is faster
+  aimAt(pos) {
+    const dir = Vector2.subtract(pos, LAUNCH_POS);
+    this.setAngle((Math.atan2(dir.y, dir.x) * 180) / Math.PI);
+    this.setSpeed(dir.length() * DRAG_SPEED);
+  }
+
+  getAnalyticFlight(gravity) {
+    return analyticFlight(this.speed, this.angle, gravity);
   }
 }
 
 class Scene {
-  constructor(canvas, minScale, ball) {
+  /**
+   * @type {{ball: Ball, startTick: number, trail: Vector2[], angle: number, speed: number}[]}
+   */
+  shots = [];
+  /**
+   * @type {{pos: Vector2, hitTick: number | undefined}[]}
+   */
+  targets = [];
+
+  constructor(canvas, minScale) {
     this.canvas = canvas;
     this.minScale = minScale;
-    this.ball = ball;
     this.init();
   }
 
   init() {
-    this.c = this.canvas.getContext("2d");
-    this.canvas.width = window.innerWidth - 20;
-    this.canvas.height = window.innerHeight - 100;
+    // the whole field is always in view, dragging aims the cannon and F
+    // fires, so there is no panning, zooming or following
+    this.camera = new Camera(this.canvas);
+    this.resize();
+    this.renderer = createRenderer(this.canvas, this.camera);
+
+    // the shorter side of the canvas is minScale meters
+    const { width, height } = this.camera;
+    const cScale = Math.min(width, height) / this.minScale;
+    this.simWidth = width / cScale;
+    this.simHeight = height / cScale;
 
-    this.cScale =
-      Math.min(this.canvas.width, this.canvas.height) / this.minScale;
-    this.simWidth = this.canvas.width / this.cScale;
-    this.simHeight = this.canvas.height / this.cScale;
+    this.world = new World(this.simWidth, this.simHeight);
+    this.camera.fit(this.world.size);
+    this.world.gravity = new Vector2(0.0, -10.0);
   }
 
-  draw() {
-    this.c.clearRect(0, 0, this.canvas.width, this.canvas.height);
-
-    // ball color
-    this.c.fillStyle = "#FF0000";
-
-    this.c.beginPath();
-    this.c.arc(
-      this.cX(this.ball.x),
-      this.cY(this.ball.y),
-      this.cScale * this.ball.radius,
-      0.0,
-      2.0 * Math.PI,
+  // the world stays the same size, the camera shows it in the new canvas
+  resize() {
+    this.camera.resize(
+      window.innerWidth - 20 - SIDEBAR_WIDTH,
+      window.innerHeight - 100,
+    );
+  }
+
+  /**
+   * @param {Launcher} launcher
+   * @param {number} tick - of the simulation, the trail starts here
+   */
+  fire(launcher, tick) {
+    const ball = new Ball(
+      BALL_RADIUS,
+      Math.PI * BALL_RADIUS * BALL_RADIUS,
+      LAUNCH_POS,
+      launchVelocity(launcher.speed, launcher.angle),
     );
+    ball.color = SHOT_COLORS[this.shots.length % SHOT_COLORS.length];
+    this.world.addBody(ball);
 
-    this.c.closePath();
-    this.c.fill();
+    this.shots.push({
+      ball,
+      startTick: tick,
+      trail: [ball.pos.clone()],
+      angle: launcher.angle,
+      speed: launcher.speed,
+    });
+
+    if (this.shots.length > MAX_SHOTS) {
+      this.world.removeBody(this.shots.shift().ball);
+    }
+  }
+
+  clearShots() {
+    this.shots.forEach((shot) => this.world.removeBody(shot.ball));
+    this.shots = [];
+  }
+
+  // 點一下放置，點在已經有的上面就移除
+  toggleTarget(pos) {
+    const existing = this.targets.find(
+      (target) => Vector2.subtract(target.pos, pos).length() < TARGET_RADIUS,
+    );
+
+    if (existing) {
+      this.targets = this.targets.filter((target) => target !== existing);
+    } else {
+      this.targets.push({ pos, hitTick: undefined });
+    }
   }
 
-  // Converts simulation space X-coordinate to canvas space
-  cX(x) {
-    return x * this.cScale;
+  toggleObstacle(pos) {
+    const existing = this.world.bodies.find(
+      (body) =>
+        body.isStatic && Vector2.subtract(body.pos, pos).length() < body.radius,
+    );
+
+    if (existing) {
+      this.world.removeBody(existing);
+    } else {
+      // an infinite mass never moves
+      const obstacle = new Ball(OBSTACLE_RADIUS, Infinity, pos, new Vector2());
+      obstacle.color = "#666666";
+      this.world.addBody(obstacle);
+    }
   }
 
-  cY(y) {
-    return this.canvas.height - y * this.cScale;
+  /**
+   * Extends the trails and checks the targets, after every step.
+   * Going back in time (the timeline) drops what was recorded after it.
+   * @param {number} tick
+   */
+  record(tick) {
+    this.shots.forEach((shot) => {
+      const k = tick - shot.startTick;
+      if (k < 1 || k >= MAX_TRAIL) return;
+
+      shot.trail.length = Math.min(shot.trail.length, k);
+      shot.trail.push(shot.ball.pos.clone());
+    });
+
+    this.targets.forEach((target) => {
+      if (target.hitTick !== undefined && target.hitTick <= tick) return;
+
+      const hit = this.world.bodies.some(
+        (body) =>
+          !body.isStatic &&
+          Vector2.subtract(body.pos, target.pos).length() <
+            body.radius + TARGET_RADIUS,
+      );
+      target.hitTick = hit ? tick : undefined;
+    });
+  }
+
+  /**
+   * @param {number} alpha - interpolation factor between the last two states
+   * @param {number} tick - trails and hits are drawn up to this tick
+   * @param {Launcher} launcher
+   * @param {import("../ui/renderer.js").Renderer} renderer - the page's, or
+   * e.g. an SVG export
+   */
+  draw(alpha, tick, launcher, renderer = this.renderer) {
+    renderer.begin(alpha);
+
+    this.targets.forEach((target) => {
+      const isHit = target.hitTick !== undefined && target.hitTick <= tick;
+      renderer.circle(target.pos, TARGET_RADIUS, {
+        stroke: isHit ? "#00AA44" : "#FF0000",
+        lineWidth: 3,
+      });
+    });
+
+    // shots fired after the tick shown by the timeline are not there yet
+    this.shots
+      .filter((shot) => this.world.bodies.includes(shot.ball))
+      .forEach((shot) => {
+        const trail = shot.trail.slice(0, tick - shot.startTick + 1);
+        renderer.path(trail, { stroke: shot.ball.color });
+      });
+
+    // how the latest shot would have flown without air
+    const shot = this.shots.at(-1);
+    if (
+      this.world.forces.some(isDrag) &&
+      this.world.bodies.includes(shot?.ball)
+    ) {
+      this.drawParabola(renderer, shot);
+    }
+
+    this.drawWind(renderer);
+    this.drawCannon(renderer, launcher);
+
+    this.world.bodies.forEach((ball) => {
+      renderer.circle(ball.interpolatePos(alpha), ball.radius, {
+        fill: ball.color,
+      });
+    });
+
+    renderer.end();
+  }
+
+  drawParabola(renderer, shot) {
+    const vel = launchVelocity(shot.speed, shot.angle);
+    const { timeOfFlight } = analyticFlight(
+      shot.speed,
+      shot.angle,
+      -this.world.gravity.y,
+    );
+    const POINTS = 60;
+
+    const points = [];
+    for (let k = 0; k <= POINTS; k++) {
+      const t = (timeOfFlight * k) / POINTS;
+      points.push(
+        new Vector2(
+          LAUNCH_POS.x + vel.x * t,
+          LAUNCH_POS.y + vel.y * t + 0.5 * this.world.gravity.y * t * t,
+        ),
+      );
+    }
+    renderer.path(points, { stroke: "#999999", dashed: true });
+  }
+
+  // 風向箭頭，陣風時長度會跟著變，固定在畫面上方
+  drawWind(renderer) {
+    const wind = this.world.forces.find((generator) => generator.wind)?.wind;
+    if (!wind) return;
+
+    const { camera } = this;
+    // laid out in canvas pixels
+    const at = (x, y) => new Vector2(camera.toWorldX(x), camera.toWorldY(y));
+    const vel = wind.getVelocity(this.world.time);
+    const x = camera.width / 2;
+    const y = 30;
+    const length = vel.x * WIND_ARROW_SCALE;
+    const head = Math.sign(length) * 8;
+    const style = { stroke: "#0077FF", lineWidth: 3 };
+
+    renderer.path([at(x - length / 2, y), at(x + length / 2, y)], style);
+    renderer.path(
+      [
+        at(x + length / 2 - head, y - 6),
+        at(x + length / 2, y),
+        at(x + length / 2 - head, y + 6),
+      ],
+      style,
+    );
+    renderer.text(at(x, y + 20), `wind ${vel.x.toFixed(1)}`, {
+      fill: "#0077FF",
+      font: "12px monospace",
+    });
+  }
+
+  // 砲管，長度跟著初速
+  drawCannon(renderer, launcher) {
+    const dir = launchVelocity(launcher.speed, launcher.angle).scale(
+      1 / DRAG_SPEED,
+    );
+
+    renderer.path([LAUNCH_POS, LAUNCH_POS.clone().add(dir)], {
+      stroke: "#333333",
+      lineWidth: 6,
+    });
   }
 }
 
-class Core {
-  gravity = {
-    x: 0.0,
-    y: -10.0,
-  };
+/**
+ * A labelled range input, the label is filled in when drawing.
+ * @param {HTMLElement} parent
+ * @param {(value: number) => void} onInput
+ */
+function addSlider(parent, min, max, step, onInput) {
+  const row = document.createElement("div");
+  const label = document.createElement("span");
+  label.style.display = "inline-block";
+  label.style.width = "110px";
+  row.appendChild(label);
 
-  isRunning = true;
-  timeStep = 1.0 / 60.0;
+  const slider = document.createElement("input");
+  slider.type = "range";
+  slider.min = String(min);
+  slider.max = String(max);
+  slider.step = String(step);
+  slider.addEventListener("input", () => onInput(Number(slider.value)));
+  releaseFocus(slider);
+  row.appendChild(slider);
 
-  constructor(scene, ball) {
-    this.scene = scene;
-    this.ball = ball;
+  parent.appendChild(row);
+
+  return { row, slider, label };
+}
+
+// 發射器面板：角度、初速、放置模式，以及解析解與模擬結果的比較
+class LauncherPanel {
+  /**
+   * @param {Launcher} launcher
+   * @param {{fire: () => void, clear: () => void}} actions
+   * @param {HTMLElement} parent
+   */
+  constructor(launcher, actions, parent = document.body) {
+    this.launcher = launcher;
+
+    this.el = createPanel("top-left", parent);
+
+    this.angle = addSlider(this.el, 0, 90, 1, (value) =>
+      launcher.setAngle(value),
+    );
+    this.speed = addSlider(this.el, 1, 30, 0.5, (value) =>
+      launcher.setSpeed(value),
+    );
+
+    const buttons = document.createElement("div");
+    Object.assign(buttons.style, { display: "flex", gap: "4px" });
+    createButton(buttons, "fire", () => actions.fire());
+    createButton(buttons, "clear shots", () => actions.clear());
+    this.el.appendChild(buttons);
+
+    const modeLabel = document.createElement("label");
+    modeLabel.textContent = "click places ";
+    this.modeSelect = document.createElement("select");
+    ["aim", "target", "obstacle"].forEach((mode) => {
+      const option = document.createElement("option");
+      option.value = mode;
+      option.textContent = mode;
+      this.modeSelect.appendChild(option);
+    });
+    this.modeSelect.addEventListener("change", () => this.modeSelect.blur());
+    modeLabel.appendChild(this.modeSelect);
+    this.el.appendChild(modeLabel);
+
+    this.stats = document.createElement("pre");
+    this.stats.style.margin = "4px 0 0 0";
+    this.el.appendChild(this.stats);
   }
 
-  simulate() {
-    // symplectic euler method
-    // update the velocity than update the position
-    this.ball.applyGravity(this.gravity.x, this.gravity.y, this.timeStep);
-    this.ball.move(this.timeStep);
-    this.handleCollision();
+  get mode() {
+    return this.modeSelect.value;
   }
 
   /**
-   * Handles collision detection and response with boudaries
-   * The ball's bounce height gradually decreases due to our simplified collision model:
-   * We simply reverse the velocity at the boundary, which doesn't perfectly conserve energy,
+   * @param {Scene} scene
+   * @param {Simulation} simulation
    */
-  handleCollision() {
-    // check if the ball hits the left-side wall.
-    if (this.ball.x < 0.0) {
-      this.ball.x = 0.0;
-      this.ball.vx = -this.ball.vx;
-    }
+  draw(scene, simulation) {
+    const { launcher } = this;
+    const format = (value) => (value === undefined ? "-" : value.toFixed(2));
+
+    this.angle.slider.value = String(launcher.angle);
+    this.angle.label.textContent = `angle ${launcher.angle.toFixed(0)}°`;
+    this.speed.slider.value = String(launcher.speed);
+    this.speed.label.textContent = `speed ${launcher.speed.toFixed(1)}`;
+
+    // the latest shot, or the one the launcher is set to
+    const shot = scene.shots.at(-1);
+    const gravity = -simulation.world.gravity.y;
+    const analytic = shot
+      ? analyticFlight(shot.speed, shot.angle, gravity)
+      : launcher.getAnalyticFlight(gravity);
+    const simulated = shot
+      ? measureFlight(shot.trail, simulation.timeStep, BALL_RADIUS)
+      : undefined;
+
+    const rows = [
+      ["range", "range"],
+      ["apex", "apex"],
+      ["flight", "timeOfFlight"],
+    ].map(
+      ([name, key]) =>
+        `${name.padEnd(7)} ${format(analytic[key]).padStart(8)} ${format(simulated?.[key]).padStart(9)}`,
+    );
+    const hits = scene.targets.filter(
+      (target) =>
+        target.hitTick !== undefined && target.hitTick <= simulation.tick,
+    ).length;
+
+    this.stats.textContent = [
+      `${"".padEnd(7)} ${"no air".padStart(8)} ${"simulated".padStart(9)}`,
+      ...rows,
+      `targets hit ${hits} / ${scene.targets.length}`,
+    ].join("\n");
+  }
+}
+
+function isDrag(generator) {
+  return generator instanceof LinearDrag || generator instanceof QuadraticDrag;
+}
+
+// 空氣面板：阻力模型、風速與陣風
+//
+// The cannon ball is far lighter for its size than a real one, thinner air
+// than the real one keeps the drag in proportion.
+class AirPanel {
+  model = "none";
+  viscosity = 0.01;
+  dragCoefficient = 0.47;
+  density = 0.05;
+  windSpeed = 0;
+  gust = 0;
+
+  /**
+   * @param {(drag: import("../physics/index.js").World["forces"]) => void} onChange
+   * @param {HTMLElement} parent
+   */
+  constructor(onChange, parent = document.body) {
+    this.onChange = onChange;
+
+    this.el = createPanel("bottom-left", parent);
 
-    // check if the ball hits the right-side wall
-    if (this.ball.x > this.scene.simWidth) {
-      this.ball.x = this.scene.simWidth;
-      this.ball.vx = -this.ball.vx;
+    const modeLabel = document.createElement("label");
+    modeLabel.textContent = "drag ";
+    this.modelSelect = document.createElement("select");
+    [
+      ["none", "none"],
+      ["linear", "linear (Stokes)"],
+      ["quadratic", "quadratic"],
+    ].forEach(([value, text]) => {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = text;
+      this.modelSelect.appendChild(option);
+    });
+    this.modelSelect.addEventListener("change", () => {
+      this.set("model", this.modelSelect.value);
+      this.modelSelect.blur();
+    });
+    modeLabel.appendChild(this.modelSelect);
+    this.el.appendChild(modeLabel);
+
+    this.sliders = {
+      viscosity: addSlider(this.el, 0, 0.05, 0.001, (value) =>
+        this.set("viscosity", value),
+      ),
+      dragCoefficient: addSlider(this.el, 0, 1.5, 0.01, (value) =>
+        this.set("dragCoefficient", value),
+      ),
+      density: addSlider(this.el, 0, 1.2, 0.01, (value) =>
+        this.set("density", value),
+      ),
+      windSpeed: addSlider(this.el, -15, 15, 0.5, (value) =>
+        this.set("windSpeed", value),
+      ),
+      gust: addSlider(this.el, 0, 1, 0.05, (value) => this.set("gust", value)),
+    };
+  }
+
+  set(key, value) {
+    this[key] = value;
+    this.onChange(this.createForces());
+  }
+
+  createForces() {
+    const wind =
+      this.windSpeed === 0
+        ? undefined
+        : new Wind(new Vector2(this.windSpeed, 0), this.gust);
+
+    if (this.model === "linear") {
+      return [new LinearDrag({ viscosity: this.viscosity, wind })];
+    }
+    if (this.model === "quadratic") {
+      return [
+        new QuadraticDrag({
+          dragCoefficient: this.dragCoefficient,
+          density: this.density,
+          wind,
+        }),
+      ];
     }
 
-    // check if the ball hits the ground
-    if (this.ball.y < 0.0) {
-      this.ball.y = 0.0;
-      this.ball.vy = -this.ball.vy;
+    return [];
+  }
+
+  /**
+   * Takes over the drag of a loaded scene.
+   * @param {World} world
+   */
+  sync(world) {
+    const drag = world.forces.find(isDrag);
+
+    this.model =
+      drag instanceof LinearDrag
+        ? "linear"
+        : drag instanceof QuadraticDrag
+          ? "quadratic"
+          : "none";
+    if (drag instanceof LinearDrag) this.viscosity = drag.viscosity;
+    if (drag instanceof QuadraticDrag) {
+      this.dragCoefficient = drag.dragCoefficient;
+      this.density = drag.density;
     }
+    // the panel only blows along x
+    this.windSpeed = drag?.wind?.velocity.x ?? 0;
+    this.gust = drag?.wind?.gust ?? 0;
+  }
+
+  draw() {
+    const { sliders } = this;
+
+    this.modelSelect.value = this.model;
+    sliders.viscosity.row.style.display = this.model === "linear" ? "" : "none";
+    sliders.dragCoefficient.row.style.display =
+      this.model === "quadratic" ? "" : "none";
+    sliders.density.row.style.display =
+      this.model === "quadratic" ? "" : "none";
+
+    Object.entries(sliders).forEach(([key, { slider }]) => {
+      slider.value = String(this[key]);
+    });
+    sliders.viscosity.label.textContent = `μ ${this.viscosity.toFixed(3)}`;
+    sliders.dragCoefficient.label.textContent = `Cd ${this.dragCoefficient.toFixed(2)}`;
+    sliders.density.label.textContent = `ρ ${this.density.toFixed(2)}`;
+    sliders.windSpeed.label.textContent = `wind ${this.windSpeed.toFixed(1)}`;
+    sliders.gust.label.textContent = `gust ${this.gust.toFixed(2)}`;
+  }
+}
+
+class Core {
+  constructor(scene, simulation) {
+    this.scene = scene;
+    this.simulation = simulation;
+    this.loop = new FixedStepLoop(simulation);
+
+    this.diagnostics = new Diagnostics();
+    this.diagnostics.attach(simulation);
+    this.panel = new DiagnosticsPanel(this.diagnostics, scene.canvas);
+
+    this.launcher = new Launcher();
+    this.launcherPanel = new LauncherPanel(this.launcher, {
+      fire: () => this.fire(),
+      clear: () => this.clearShots(),
+    });
+
+    this.airPanel = new AirPanel((drag) => {
+      // springs of a loaded scene stay
+      const { world } = this.simulation;
+      world.forces = [...world.forces.filter((f) => !isDrag(f)), ...drag];
+      this.branch();
+    });
+
+    // before the timeline, so trails follow its recording
+    simulation.onStep(() => this.scene.record(simulation.tick));
+    this.timeline = new Timeline(simulation, this.loop);
+    this.loggerPanel = new LoggerPanel(simulation);
+
+    this.sceneMenu = new SceneMenu(simulation, () => {
+      this.diagnostics.clear();
+      this.loggerPanel.logger.clear();
+      this.scene.shots = [];
+      this.scene.targets = [];
+      this.airPanel.sync(simulation.world);
+      this.timeline.branch();
+      scene.camera.fit(simulation.world.size);
+    });
+
+    this.rendererMenu = new RendererMenu(scene.renderer, scene.camera, (svg) =>
+      scene.draw(1.0, simulation.tick, this.launcher, svg),
+    );
+
+    this.bindEvents();
+  }
+
+  fire() {
+    this.scene.fire(this.launcher, this.simulation.tick);
+    this.branch();
+  }
+
+  clearShots() {
+    this.scene.clearShots();
+    this.branch();
+  }
+
+  // changing the field in the middle of a replay starts a new recording
+  // from there, shots fired later than that are gone with it
+  branch() {
+    const { tick } = this.simulation;
+    this.scene.shots = this.scene.shots.filter(
+      (shot) => shot.startTick <= tick,
+    );
+    this.timeline.branch();
+  }
 
-    // Ceiling collision check omitted since the ball's maximum height
-    // (determined by initial velocity and gravity) never reaches the upper boundary
+  bindEvents() {
+    const { canvas } = this.scene;
+    canvas.style.touchAction = "none";
+    canvas.addEventListener("pointerdown", this.handlePointerDown);
+    canvas.addEventListener("pointermove", this.handlePointerMove);
+    canvas.addEventListener("pointerup", this.handlePointerUp);
   }
 
-  update = () => {
-    if (!this.isRunning) return;
+  toSim(e) {
+    return this.scene.camera.toWorld(e);
+  }
+
+  // aim: drag from the cannon and let go to fire,
+  // target / obstacle: click to place or remove
+  handlePointerDown = (e) => {
+    const pos = this.toSim(e);
+
+    if (this.launcherPanel.mode === "target") {
+      this.scene.toggleTarget(pos);
+      this.branch();
+    } else if (this.launcherPanel.mode === "obstacle") {
+      this.scene.toggleObstacle(pos);
+      this.branch();
+    } else {
+      this.scene.canvas.setPointerCapture(e.pointerId);
+      this.aimPointerId = e.pointerId;
+      this.launcher.aimAt(pos);
+    }
+  };
+
+  handlePointerMove = (e) => {
+    if (e.pointerId === this.aimPointerId) {
+      this.launcher.aimAt(this.toSim(e));
+    }
+  };
+
+  handlePointerUp = (e) => {
+    if (e.pointerId !== this.aimPointerId) return;
 
-    this.simulate();
-    this.scene.draw();
+    this.aimPointerId = undefined;
+    this.fire();
+  };
+
+  // runs as many fixed steps as the elapsed time demands (or replays the
+  // recording, see Timeline), then draws in between the last two states.
+  // The ball's bounce height gradually decreases due to our simplified collision model:
+  // We simply reverse the velocity at the boundary, which doesn't perfectly conserve energy,
+  // see handleWallCollision in physics/collision.js
+  update = (now) => {
+    const alpha = this.timeline.frame(now);
+    this.scene.draw(alpha, this.simulation.tick, this.launcher);
+    this.panel.draw();
+    this.launcherPanel.draw(this.scene, this.simulation);
+    this.airPanel.draw();
+    this.timeline.draw();
+    this.loggerPanel.draw();
 
     requestAnimationFrame(this.update);
   };
 
-  // press space to puase the animation
+  // press space to pause or resume the animation
   togglePause() {
-    this.isRunning = !this.isRunning;
-
-    if (this.isRunning) {
-      this.update();
-    }
+    this.timeline.togglePlay();
   }
 }
 
 window.addEventListener("load", () => {
-  const ball = new Ball(0.2, 0.2, 0.2, 10, 15);
   const canvasEl = document.getElementById("frame");
-  const scene = new Scene(canvasEl, 20, ball);
+  const scene = new Scene(canvasEl, 20);
+  const core = new Core(scene, new Simulation(scene.world, 1.0 / 60.0));
+  core.fire();
+  window.addEventListener("resize", () => scene.resize());
 
-  const core = new Core(scene, ball);
+  const sceneUrl = getSceneUrl();
+  if (sceneUrl) {
+    core.sceneMenu.loadFromUrl(sceneUrl);
+  }
 
-  window.addEventListener("keydown", () => {
-    core.togglePause();
+  window.addEventListener("keydown", (e) => {
+    if (e.code === "Space") {
+      e.preventDefault();
+      core.togglePause();
+    }
+    if (e.code === "KeyF") {
+      core.fire();
+    }
   });
 
-  core.update();
+  requestAnimationFrame(core.update);
 });
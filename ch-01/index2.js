@@ -0,0 +1,207 @@
+import {
+  Ball,
+  FixedStepLoop,
+  Simulation,
+  Vector2,
+  World,
+  integrators,
+} from "../physics/index.js";
+import { Camera } from "../ui/camera.js";
+import { RendererMenu, createRenderer } from "../ui/renderer.js";
+
+// The same cannon ball launched once per integrator, each in its own world
+// so they never collide with each other.
+// A coarse time step makes the drift from the analytic parabola visible.
+const TIME_STEP = 1.0 / 10.0;
+const GRAVITY = new Vector2(0.0, -10.0);
+// launched above the ground so the drifting balls never bounce mid-flight
+const LAUNCH_POS = new Vector2(0.2, 2.0);
+const LAUNCH_VEL = new Vector2(10, 15);
+const RADIUS = 0.2;
+const LEGEND_FONT_SIZE = 14;
+
+const COLORS = {
+  explicitEuler: "#FF0000",
+  symplecticEuler: "#FF8800",
+  velocityVerlet: "#00AA00",
+  rk4: "#0000FF",
+};
+
+// 解析解，拋物線
+function analyticPos(t) {
+  return LAUNCH_POS.clone()
+    .add(LAUNCH_VEL, t)
+    .add(GRAVITY, 0.5 * t * t);
+}
+
+// time until the ball is back at launch height
+const FLIGHT_TIME = (-2 * LAUNCH_VEL.y) / GRAVITY.y;
+
+class Lane {
+  constructor(key, worldSize) {
+    this.integrator = integrators[key];
+
+    this.world = new World(worldSize.x, worldSize.y);
+    this.world.gravity = GRAVITY.clone();
+    this.world.integrator = this.integrator;
+
+    this.ball = this.world.addBody(
+      new Ball(RADIUS, Math.PI * RADIUS * RADIUS, LAUNCH_POS, LAUNCH_VEL),
+    );
+    this.ball.color = COLORS[key];
+
+    this.simulation = new Simulation(this.world, TIME_STEP);
+    this.loop = new FixedStepLoop(this.simulation);
+    this.error = 0;
+  }
+
+  // distance to the parabola, frozen once the flight is over
+  getError() {
+    if (this.simulation.time <= FLIGHT_TIME) {
+      this.error = analyticPos(this.simulation.time)
+        .subtract(this.ball.pos)
+        .length();
+    }
+
+    return this.error;
+  }
+}
+
+class Scene {
+  constructor(canvas, minScale) {
+    this.canvas = canvas;
+    this.minScale = minScale;
+    this.init();
+  }
+
+  init() {
+    // the lanes always fill the view, there is no panning or zooming
+    this.camera = new Camera(this.canvas);
+    this.resize();
+    this.renderer = createRenderer(this.canvas, this.camera);
+
+    // the shorter side of the canvas is minScale meters
+    const { width, height } = this.camera;
+    const cScale = Math.min(width, height) / this.minScale;
+    this.simWidth = width / cScale;
+    this.simHeight = height / cScale;
+    this.camera.fit(new Vector2(this.simWidth, this.simHeight));
+  }
+
+  // the worlds stay the same size, the camera shows them in the new canvas
+  resize() {
+    this.camera.resize(window.innerWidth - 20, window.innerHeight - 100);
+  }
+
+  /**
+   * @param {Lane[]} lanes
+   * @param {number[]} alphas - interpolation factor of every lane
+   * @param {import("../ui/renderer.js").Renderer} renderer - the page's, or
+   * e.g. an SVG export
+   */
+  draw(lanes, alphas, renderer = this.renderer) {
+    renderer.begin();
+
+    this.drawParabola(renderer);
+
+    lanes.forEach((lane, i) => {
+      renderer.circle(lane.ball.interpolatePos(alphas[i]), lane.ball.radius, {
+        fill: lane.ball.color,
+      });
+    });
+
+    this.drawLegend(renderer, lanes);
+    renderer.end();
+  }
+
+  drawParabola(renderer) {
+    const points = [];
+    for (let t = 0; t <= FLIGHT_TIME; t += FLIGHT_TIME / 100) {
+      points.push(analyticPos(t));
+    }
+
+    renderer.path(points, { stroke: "#888888", dashed: true });
+  }
+
+  drawLegend(renderer, lanes) {
+    const { camera } = this;
+
+    lanes.forEach((lane, i) => {
+      const text = `${lane.integrator.name.padEnd(16)} error: ${lane.getError().toFixed(4)}`;
+      // laid out in canvas pixels from the top left corner, the text is
+      // centered and a monospace glyph is about 0.6em wide
+      const x = 10 + (text.length * 0.6 * LEGEND_FONT_SIZE) / 2;
+      const y = 15 + i * 18;
+
+      renderer.text(new Vector2(camera.toWorldX(x), camera.toWorldY(y)), text, {
+        fill: lane.ball.color,
+        font: `${LEGEND_FONT_SIZE}px monospace`,
+      });
+    });
+  }
+}
+
+class Core {
+  isRunning = true;
+
+  constructor(scene) {
+    this.scene = scene;
+    this.launch();
+
+    this.rendererMenu = new RendererMenu(scene.renderer, scene.camera, (svg) =>
+      scene.draw(
+        this.lanes,
+        this.lanes.map(() => 1.0),
+        svg,
+      ),
+    );
+  }
+
+  // relaunch every lane from the same initial state
+  launch() {
+    const worldSize = new Vector2(this.scene.simWidth, this.scene.simHeight);
+
+    this.lanes = Object.keys(integrators).map(
+      (key) => new Lane(key, worldSize),
+    );
+  }
+
+  update = (now) => {
+    if (!this.isRunning) return;
+
+    const alphas = this.lanes.map((lane) => lane.loop.frame(now));
+    this.scene.draw(this.lanes, alphas);
+
+    if (this.lanes[0].simulation.time > FLIGHT_TIME + 1.0) {
+      this.launch();
+    }
+
+    requestAnimationFrame(this.update);
+  };
+
+  // press space to pause the animation
+  togglePause() {
+    this.isRunning = !this.isRunning;
+
+    if (this.isRunning) {
+      this.lanes.forEach((lane) => lane.loop.reset());
+      requestAnimationFrame(this.update);
+    }
+  }
+}
+
+window.addEventListener("load", () => {
+  const canvasEl = document.getElementById("frame");
+  const scene = new Scene(canvasEl, 20);
+  const core = new Core(scene);
+  window.addEventListener("resize", () => scene.resize());
+
+  window.addEventListener("keydown", (e) => {
+    if (e.code === "Space") {
+      e.preventDefault();
+      core.togglePause();
+    }
+  });
+
+  requestAnimationFrame(core.update);
+});
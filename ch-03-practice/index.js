@@ -1,89 +1,43 @@
-// 基礎數學運算相關的類別
-class Vector {
-  constructor(x = 0.0, y = 0.0) {
-    this.x = x;
-    this.y = y;
-  }
-
-  set(v) {
-    this.x = v.x;
-    this.y = v.y;
-    return this;
-  }
-
-  clone() {
-    return new Vector(this.x, this.y);
-  }
-
-  add(v, s = 1) {
-    this.x += v.x * s;
-    this.y += v.y * s;
-    return this;
-  }
-
-  subtract(v) {
-    this.x -= v.x;
-    this.y -= v.y;
-    return this;
-  }
-
-  scale(s) {
-    this.x *= s;
-    this.y *= s;
-    return this;
-  }
-
-  length() {
-    return Math.sqrt(this.x * this.x + this.y * this.y);
-  }
-
-  normalize() {
-    const len = this.length();
-    if (len > 0) {
-      this.scale(1 / len);
-    }
-    return this;
-  }
-
-  static subtract(a, b) {
-    return new Vector(a.x - b.x, a.y - b.y);
-  }
-}
-
-// 物理實體的基礎類別
-class PhysicsObject {
-  constructor(mass, pos, vel) {
-    this.mass = mass;
-    this.pos = pos.clone();
-    this.vel = vel.clone();
-  }
-
-  simulate(dt) {
-    this.pos.add(this.vel, dt);
-  }
-
-  applyForce(force, dt) {
-    this.vel.add(force, dt / this.mass);
-  }
-}
-
-// 球的類別，繼承自 PhysicsObject
-class Ball extends PhysicsObject {
-  constructor(radius, mass, pos, vel) {
-    super(mass, pos, vel);
-    this.radius = radius;
-  }
-}
+import {
+  Diagnostics,
+  FixedStepLoop,
+  Random,
+  Simulation,
+  Vector2,
+  World,
+  predict,
+} from "../physics/index.js";
+import { DiagnosticsPanel, SIDEBAR_WIDTH } from "../ui/diagnostics-panel.js";
+import { createPanel } from "../ui/panel.js";
+import { SceneMenu, getSceneUrl } from "../ui/scene-menu.js";
+import { Timeline } from "../ui/timeline.js";
+import { SeedPanel, getSeed } from "../ui/seed.js";
+import { Camera } from "../ui/camera.js";
+import { RendererMenu, createRenderer } from "../ui/renderer.js";
+import { PoolRules, Table } from "./pool.js";
+
+// 球桿力道的範圍
+const MIN_POWER = 10;
+const MAX_POWER = 100;
+// how far ahead the shot preview runs, three seconds
+const PREDICTION_STEPS = 180;
+// 拖曳多遠是最大力道，短於最小距離就只是點一下，不出桿 (world units)
+const MAX_DRAG = 6;
+const MIN_DRAG = 0.2;
 
 // 球桿類別，處理球桿相關的邏輯
 class Cue {
   constructor() {
     this.power = 0;
-    this.direction = new Vector();
+    this.direction = new Vector2();
     this.angle = undefined;
     this.isCharging = false;
+    // charged by dragging instead of by holding a key
+    this.isDragging = false;
     this.startChargeTime = 0;
     this.shift = 0;
+    // 擊球點，相對於球心、以半徑為單位：x 往右是右側旋，y 往上是前旋
+    this.tip = new Vector2();
   }
 
   startCharge() {
@@ -91,43 +45,94 @@ class Cue {
     this.startChargeTime = Date.now();
   }
 
+  // 彈弓式：拖得越遠力道越大，見 setCharge
+  startDrag() {
+    this.isCharging = true;
+    this.isDragging = true;
+    this.setCharge(0);
+  }
+
   updateCharge() {
-    if (!this.isCharging) return;
+    if (!this.isCharging || this.isDragging) return;
 
-    const MIN_POWER = 10;
-    const MAX_POWER = 100;
     const CHARGE_TIME = 2000;
-    const MIN_SHIFT = 0;
-    const MAX_SHIFT = 30;
 
     const elapsedTime = Date.now() - this.startChargeTime;
     const normalizedTime = Math.min(elapsedTime / CHARGE_TIME, 1);
 
-    this.power = this.getCurveValue(MAX_POWER, MIN_POWER, normalizedTime);
-    this.shift = this.getCurveValue(MAX_SHIFT, MIN_SHIFT, normalizedTime);
+    this.setCharge(normalizedTime);
+  }
+
+  /**
+   * @param {number} x - 0 is the weakest shot, 1 the strongest
+   */
+  setCharge(x) {
+    const MIN_SHIFT = 0;
+    const MAX_SHIFT = 30;
+
+    this.power = this.getCurveValue(MAX_POWER, MIN_POWER, x);
+    this.shift = this.getCurveValue(MAX_SHIFT, MIN_SHIFT, x);
+  }
+
+  // 0 - 1, how full the power meter is
+  getPowerFraction() {
+    return (this.power - MIN_POWER) / (MAX_POWER - MIN_POWER);
   }
 
   release(ball) {
     if (!this.isCharging) return;
 
+    this.hit(ball);
+    this.reset();
+  }
+
+  /**
+   * Hits the ball in the current direction and with the current tip,
+   * also used on a copy of the ball to predict the shot.
+   * @param {import("../physics/index.js").Ball} ball
+   * @param {number} power
+   */
+  hit(ball, power = this.power) {
     const stickMass = Math.PI * 0.5 * 0.5 * 2;
-    const stickVel = this.power / 2;
+    const stickVel = power / 2;
     const ballVelAfter = (stickMass * stickVel) / ball.mass;
 
-    ball.vel.add(this.direction, -ballVelAfter);
-
-    this.reset();
+    // the ball moves away from the mouse
+    const shot = this.direction.clone().scale(-1);
+    ball.vel.add(shot, ballVelAfter);
+
+    // an off-center hit also spins the (solid sphere) ball, 5 v tip / 2 R;
+    // hit 2/5 R above the center it rolls right away
+    const spin = (5 * ballVelAfter) / (2 * ball.radius);
+    ball.spin.add(new Vector2(-shot.y, shot.x), spin * this.tip.y);
+    ball.angularVel += spin * this.tip.x;
+  }
+
+  /**
+   * Moves the tip, at most MAX_TIP away from the center, further out
+   * the cue would slip off the ball.
+   * @param {number} x
+   * @param {number} y
+   */
+  setTip(x, y) {
+    const MAX_TIP = 0.5;
+
+    this.tip = new Vector2(x, y);
+    if (this.tip.length() > MAX_TIP) {
+      this.tip.normalize().scale(MAX_TIP);
+    }
   }
 
   reset() {
     this.isCharging = false;
+    this.isDragging = false;
     this.startChargeTime = 0;
     this.power = 0;
     this.angle = undefined;
   }
 
   updateDirection(ballPos, mousePos) {
-    this.direction = Vector.subtract(mousePos, ballPos).normalize();
+    this.direction = Vector2.subtract(mousePos, ballPos).normalize();
     this.angle = this.calculateAngle(this.direction);
   }
 
@@ -142,172 +147,634 @@ class Cue {
   }
 }
 
-// 遊戲世界類別，處理物理世界的邏輯
-class World {
-  constructor(width, height) {
-    this.size = new Vector(width, height);
-    this.gravity = new Vector(0.0, 0.0);
-    this.restitution = 1.0;
-  }
-
-  handleWallCollision(ball) {
-    if (ball.pos.x > this.size.x) {
-      ball.pos.x = this.size.x;
-      ball.vel.x = -ball.vel.x;
-    }
-    if (ball.pos.x < 0) {
-      ball.pos.x = 0;
-      ball.vel.x = -ball.vel.x;
-    }
-    if (ball.pos.y < 0) {
-      ball.pos.y = 0;
-      ball.vel.y = -ball.vel.y;
-    }
-    if (ball.pos.y > this.size.y) {
-      ball.pos.y = this.size.y;
-      ball.vel.y = -ball.vel.y;
-    }
-  }
-}
-
 // 渲染器類別，處理所有繪圖相關的邏輯
 class Renderer {
   constructor(canvas) {
     this.canvas = canvas;
-    this.context = canvas.getContext("2d");
-    this.simScaleLength = 20.0;
+    // the table always fills the canvas, no panning or zooming
+    this.camera = new Camera(canvas);
     this.updateScale();
+    this.backend = createRenderer(canvas, this.camera);
   }
 
   updateScale() {
-    this.canvas.width = window.innerWidth - 20;
-    this.canvas.height = window.innerHeight - 100;
+    this.camera.resize(
+      window.innerWidth - 20 - SIDEBAR_WIDTH,
+      window.innerHeight - 100,
+    );
+  }
 
-    this.scale =
-      Math.min(this.canvas.width, this.canvas.height) / this.simScaleLength;
+  // scales the world so a width x height area fills the canvas
+  fit(width, height) {
+    this.camera.fit(new Vector2(width, height));
   }
 
-  clear() {
-    this.context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+  // pixels per meter
+  get scale() {
+    return this.camera.scale;
   }
 
-  drawBall(ball) {
-    this.context.fillStyle = "#FF0000";
-    this.context.beginPath();
-    this.context.arc(
-      this.toCanvasX(ball.pos.x),
-      this.toCanvasY(ball.pos.y),
-      this.scale * ball.radius,
-      0.0,
-      2.0 * Math.PI,
+  drawTable(backend, table) {
+    backend.path(
+      [
+        new Vector2(0, 0),
+        new Vector2(table.width, 0),
+        new Vector2(table.width, table.height),
+        new Vector2(0, table.height),
+      ],
+      { fill: "#0B6623" },
+      true,
     );
-    this.context.closePath();
-    this.context.fill();
+
+    table.pockets.forEach((pocket) => {
+      backend.circle(pocket, table.pocketRadius, { fill: "#000000" });
+    });
+  }
+
+  drawBall(backend, ball, alpha = 1) {
+    const pos = ball.interpolatePos(alpha);
+    const { radius } = ball;
+
+    backend.circle(pos, radius, {
+      fill: ball.isStripe ? "#F5F5F5" : ball.color,
+    });
+
+    // 條紋球：白底加上一條色帶，圓在 y = ±r/2 之間的部分
+    if (ball.isStripe) {
+      const STEPS = 8;
+      const band = [];
+      [0, Math.PI].forEach((side) => {
+        for (let k = 0; k <= STEPS; k++) {
+          const angle = side - Math.PI / 6 + (k * Math.PI) / 3 / STEPS;
+          band.push(
+            new Vector2(
+              pos.x + radius * Math.cos(angle),
+              pos.y + radius * Math.sin(angle),
+            ),
+          );
+        }
+      });
+      backend.path(band, { fill: ball.color }, true);
+    }
+
+    if (ball.number > 0) {
+      backend.circle(pos, radius / 2, { fill: "#FFFFFF" });
+      backend.text(pos, String(ball.number), {
+        fill: "#000000",
+        font: `${Math.round(radius * this.scale * 0.7)}px sans-serif`,
+      });
+    }
   }
 
-  drawCue(ball, cue) {
+  drawCue(backend, ball, cue, alpha = 1) {
     if (cue.angle === undefined) return;
 
-    this.context.save();
-    this.context.translate(
-      this.toCanvasX(ball.pos.x),
-      this.toCanvasY(ball.pos.y),
+    const pos = ball.interpolatePos(alpha);
+    const angle = (cue.angle * Math.PI) / 180;
+    // along the stick and across it, in pixels
+    const along = new Vector2(Math.cos(angle), Math.sin(angle)).scale(
+      1 / this.scale,
+    );
+    const across = new Vector2(-along.y, along.x);
+    const start = pos.clone().add(along, ball.radius * this.scale + cue.shift);
+
+    backend.path(
+      [
+        start.clone().add(across, -5),
+        start.clone().add(along, 50).add(across, -5),
+        start.clone().add(along, 50).add(across, 5),
+        start.clone().add(across, 5),
+      ],
+      { fill: "#0000FF" },
+      true,
     );
-    this.context.rotate((-cue.angle * Math.PI) / 180);
+  }
+
+  // 力道條，畫在球的上方
+  drawPowerMeter(backend, ball, cue) {
+    if (!cue.isCharging) return;
+
+    // sizes in pixels
+    const pixel = 1 / this.scale;
+    const width = 4 * ball.radius;
+    const height = 8 * pixel;
+    const x = ball.pos.x - width / 2;
+    const y = ball.pos.y + ball.radius + height;
+    const fraction = Math.min(Math.max(cue.getPowerFraction(), 0), 1);
+    const rect = (w) => [
+      new Vector2(x, y),
+      new Vector2(x + w, y),
+      new Vector2(x + w, y + height),
+      new Vector2(x, y + height),
+    ];
+
+    backend.path(rect(width), { fill: "rgba(0, 0, 0, 0.5)" }, true);
+    // green when soft, red when hard
+    backend.path(
+      rect(width * fraction),
+      { fill: `hsl(${120 * (1 - fraction)}, 90%, 50%)` },
+      true,
+    );
+    backend.path(rect(width), { stroke: "#FFFFFF" }, true);
+  }
+
+  /**
+   * Path of the cue ball, the ghost ball where it meets the first object
+   * ball and the directions both take after the contact.
+   * @param {import("../ui/renderer.js").Renderer} backend
+   * @param {{path: Vector2[], radius: number, contact?: {ghost: Vector2, cueVel: Vector2, targetPos: Vector2, targetVel: Vector2}}} prediction
+   */
+  drawPrediction(backend, prediction) {
+    const { path, radius, contact } = prediction;
+
+    backend.path(path, { stroke: "rgba(255, 255, 255, 0.6)", dashed: true });
+
+    if (contact) {
+      const { ghost, cueVel, targetPos, targetVel } = contact;
+
+      backend.circle(ghost, radius, { stroke: "#FFFFFF" });
+
+      // 碰撞後兩顆球各自的方向，長度固定
+      const DIRECTION_LENGTH = 3;
+      const drawDirection = (from, vel, color) => {
+        const to = from.clone().add(vel.clone().normalize(), DIRECTION_LENGTH);
+        backend.path([from, to], { stroke: color, lineWidth: 2 });
+      };
+      drawDirection(targetPos, targetVel, "#FFD700");
+      drawDirection(ghost, cueVel, "#FFFFFF");
+    }
+  }
+}
+
+// 選擇擊球點的小圖：母球的正面與球桿打在哪裡，方向鍵或點擊來移動
+class SpinSelector {
+  SIZE = 40;
+
+  /**
+   * @param {Cue} cue
+   * @param {HTMLElement} parent
+   */
+  constructor(cue, parent = document.body) {
+    this.cue = cue;
+
+    this.el = createPanel("bottom-left", parent);
+    Object.assign(this.el.style, {
+      display: "flex",
+      alignItems: "center",
+      gap: "6px",
+    });
+
+    this.canvas = document.createElement("canvas");
+    this.canvas.width = this.SIZE;
+    this.canvas.height = this.SIZE;
+    this.canvas.style.cursor = "crosshair";
+    this.canvas.style.touchAction = "none";
+    // its own pointer, so one finger can set the spin while another aims
+    this.canvas.addEventListener("pointerdown", this.handlePointerDown);
+    this.canvas.addEventListener("pointermove", this.handlePointerMove);
+    this.el.appendChild(this.canvas);
+    this.context = this.canvas.getContext("2d");
+
+    this.label = document.createElement("span");
+    this.label.style.whiteSpace = "pre";
+    this.el.appendChild(this.label);
+  }
+
+  handlePointerDown = (e) => {
+    this.canvas.setPointerCapture(e.pointerId);
+    this.setTip(e);
+  };
+
+  handlePointerMove = (e) => {
+    if (this.canvas.hasPointerCapture(e.pointerId)) this.setTip(e);
+  };
+
+  setTip(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    const half = this.SIZE / 2;
+
+    this.cue.setTip(
+      (e.clientX - rect.left - half) / half,
+      (half - (e.clientY - rect.top)) / half,
+    );
+  }
+
+  draw() {
+    const half = this.SIZE / 2;
+    const { tip } = this.cue;
+
+    this.context.clearRect(0, 0, this.SIZE, this.SIZE);
+    this.context.fillStyle = "#F5F5F5";
+    this.context.strokeStyle = "#888888";
+    this.context.beginPath();
+    this.context.arc(half, half, half - 1, 0.0, 2.0 * Math.PI);
+    this.context.fill();
+    this.context.stroke();
 
     this.context.fillStyle = "#0000FF";
     this.context.beginPath();
-    const stickOffset = ball.radius * this.scale + cue.shift;
-    this.context.rect(stickOffset, -5, 50, 10);
-    this.context.closePath();
+    this.context.arc(
+      half + tip.x * half,
+      half - tip.y * half,
+      3,
+      0.0,
+      2.0 * Math.PI,
+    );
     this.context.fill();
 
-    this.context.restore();
+    const vertical = tip.y > 0 ? "follow" : tip.y < 0 ? "draw" : "";
+    const side = tip.x > 0 ? "right" : tip.x < 0 ? "left" : "";
+    const name = [vertical, side].filter(Boolean).join(" + ") || "center";
+    this.label.textContent = `${name}\narrow keys`;
   }
+}
 
-  toCanvasX(x) {
-    return x * this.scale;
+// 記分板，顯示輪到誰、各自的球組與進袋數
+class Scoreboard {
+  constructor(parent = document.body) {
+    this.el = createPanel("top-center", parent);
+    this.el.style.whiteSpace = "pre";
   }
 
-  toCanvasY(y) {
-    return this.canvas.height - y * this.scale;
-  }
+  /**
+   * @param {PoolRules | undefined} rules
+   */
+  draw(rules) {
+    if (!rules) {
+      this.el.textContent = "free play, press R for a new game";
+      return;
+    }
 
-  toWorldX(canvasX) {
-    return canvasX / this.scale;
-  }
+    const lines = rules.players.map((player, i) => {
+      const marker = i === rules.current && !rules.isOver ? ">" : " ";
+      const group = player.group ?? "open";
+      return `${marker} ${player.name}  ${group.padEnd(7)} ${rules.getScore(player)} / 7`;
+    });
+    const hint = rules.isOver ? ", press R for a new game" : "";
 
-  toWorldY(canvasY) {
-    return (this.canvas.height - canvasY) / this.scale;
+    this.el.textContent = [...lines, rules.message + hint].join("\n");
   }
 }
 
 // 遊戲類別，作為整個遊戲的進入點
 class Game {
-  constructor(canvas) {
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {number} seed - every random number of the setup comes from here
+   */
+  constructor(canvas, seed) {
+    this.random = new Random(seed);
     this.renderer = new Renderer(canvas);
-    this.world = new World(
-      this.renderer.canvas.width / this.renderer.scale,
-      this.renderer.canvas.height / this.renderer.scale,
+    this.world = new World(0, 0);
+    this.setupTable();
+    this.simulation = new Simulation(this.world, 1 / 60);
+    this.loop = new FixedStepLoop(this.simulation);
+
+    this.diagnostics = new Diagnostics();
+    this.diagnostics.attach(this.simulation);
+    this.panel = new DiagnosticsPanel(this.diagnostics, canvas);
+
+    this.rules = new PoolRules();
+    this.scoreboard = new Scoreboard();
+    this.rackBalls();
+    this.cue = new Cue();
+    this.spinSelector = new SpinSelector(this.cue);
+
+    this.world.onContact(({ body1, body2 }) =>
+      this.rules?.handleContact(body1, body2),
+    );
+    // before the timeline, so the recording already has the potted balls removed
+    this.simulation.onStep(this.handleStep);
+    this.timeline = new Timeline(this.simulation, this.loop);
+    // going back to a tick also takes back the turns played since then, a
+    // new game or scene in between brings back the rules of that time
+    this.timeline.recorder.track({
+      save: () => this.rules && { rules: this.rules, ...this.rules.getState() },
+      restore: (saved) => {
+        this.rules = saved?.rules;
+        this.rules?.setState(saved);
+      },
+    });
+
+    this.sceneMenu = new SceneMenu(this.simulation, this.handleSceneLoad);
+    this.rendererMenu = new RendererMenu(
+      this.renderer.backend,
+      this.renderer.camera,
+      (svg) => this.drawScene(1, svg),
     );
 
-    this.initBall();
-    this.cue = new Cue();
+    const sceneUrl = getSceneUrl();
+    if (sceneUrl) {
+      this.sceneMenu.loadFromUrl(sceneUrl);
+    }
 
     this.bindEvents();
-    this.update();
+    requestAnimationFrame(this.update);
+  }
+
+  setupTable() {
+    this.table = new Table();
+    this.renderer.fit(this.table.width, this.table.height);
+
+    this.world.size = new Vector2(this.table.width, this.table.height);
+    this.world.restitution = 0.95;
+    // the cushions take some of the speed away
+    this.world.wallRestitution = 0.8;
+    // the ball slides after the hit and rolls soon after, see physics/friction.js
+    this.world.slidingFriction = 60;
+    this.world.rollingFriction = 15;
+    this.world.spinFriction = 10;
+    this.world.wallFriction = 0.2;
+    // a full power shot moves the ball further than its radius every step
+    this.world.continuous = true;
   }
 
-  initBall() {
-    const radius = 0.5;
-    const mass = Math.PI * radius * radius;
-    const pos = new Vector(
-      Math.random() * this.world.size.x,
-      Math.random() * this.world.size.y,
+  rackBalls() {
+    this.table.rack(this.random).forEach((ball) => this.world.addBody(ball));
+    this.ball = this.world.bodies[0];
+  }
+
+  newGame() {
+    this.setupTable();
+    this.world.bodies = [];
+    this.rackBalls();
+    this.rules = new PoolRules();
+    this.timeline.branch();
+  }
+
+  handleSceneLoad = () => {
+    this.diagnostics.clear();
+    this.timeline.branch();
+
+    // a scene has plain balls without numbers, no rules apply to them
+    this.rules = undefined;
+    this.table = new Table(this.world.size.x, this.world.size.y);
+    this.renderer.fit(this.table.width, this.table.height);
+
+    // the first body of a scene is the one the cue hits
+    if (this.world.bodies.length === 0) {
+      this.rackBalls();
+    } else {
+      this.ball = this.world.bodies[0];
+    }
+  };
+
+  /**
+   * @param {World} world - the game's world or a copy of it
+   * @returns {import("../physics/index.js").Ball[]} the balls that dropped
+   */
+  removePocketed(world) {
+    const potted = world.bodies.filter((ball) => this.table.isPocketed(ball));
+    potted.forEach((ball) => {
+      world.removeBody(ball);
+      ball.vel.scale(0);
+    });
+
+    return potted;
+  }
+
+  // 每一步之後：進袋的球離開桌面，全部停下來時結算這一桿
+  handleStep = () => {
+    this.removePocketed(this.world).forEach((ball) =>
+      this.rules?.handlePotted(ball),
     );
-    const vel = new Vector();
 
-    this.ball = new Ball(radius, mass, pos, vel);
+    if (this.rules?.shot && this.isAtRest()) {
+      const { scratch } = this.rules.endShot();
+      if (scratch) this.respotCueBall();
+    }
+  };
+
+  isAtRest() {
+    return this.world.bodies.every(
+      (body) => body.vel.x === 0 && body.vel.y === 0,
+    );
+  }
+
+  canShoot() {
+    return (
+      !this.rules?.isOver &&
+      this.world.bodies.includes(this.ball) &&
+      this.isAtRest()
+    );
   }
 
+  // back on the head spot, moved along the table until it doesn't overlap
+  respotCueBall() {
+    const pos = this.table.headSpot.clone();
+    const overlaps = () =>
+      this.world.bodies.some(
+        (body) =>
+          Vector2.subtract(body.pos, pos).length() <
+          body.radius + this.ball.radius,
+      );
+    while (overlaps() && pos.x > this.ball.radius) {
+      pos.x -= this.ball.radius;
+    }
+
+    this.ball.pos.set(pos);
+    this.ball.prevPos.set(pos);
+    this.ball.vel.scale(0);
+    // the cue ball stays the first body, like in a scene file
+    this.world.bodies.unshift(this.ball);
+  }
+
+  // 預測這一桿：母球的路線、第一顆碰到的球與鬼球的位置
+  updatePrediction() {
+    if (!this.canShoot() || this.cue.angle === undefined) {
+      this.prediction = undefined;
+      return;
+    }
+
+    // before charging, preview a full power shot so the aim line
+    // reaches the first ball wherever it is
+    const power = this.cue.isCharging ? this.cue.power : MAX_POWER;
+    const { direction, tip } = this.cue;
+    // running ahead is not cheap, only again when something really changed
+    const key = [
+      Math.round(power),
+      direction.x,
+      direction.y,
+      tip.x,
+      tip.y,
+      this.ball.pos.x,
+      this.ball.pos.y,
+      this.world.bodies.length,
+    ].join();
+    if (this.prediction && key === this.predictionKey) return;
+    this.predictionKey = key;
+
+    const index = this.world.bodies.indexOf(this.ball);
+    const { paths, contacts } = predict(this.world, {
+      dt: this.simulation.timeStep,
+      maxSteps: PREDICTION_STEPS,
+      setup: (copy) => this.cue.hit(copy.bodies[index], power),
+      afterStep: (copy) => this.removePocketed(copy),
+    });
+
+    const contact = contacts.find(
+      ({ body1, body2 }) => body1 === this.ball || body2 === this.ball,
+    );
+    const isFirst = contact?.body1 === this.ball;
+
+    this.prediction = {
+      path: paths.get(this.ball),
+      radius: this.ball.radius,
+      contact: contact && {
+        ghost: isFirst ? contact.pos1 : contact.pos2,
+        cueVel: isFirst ? contact.vel1 : contact.vel2,
+        targetPos: isFirst ? contact.pos2 : contact.pos1,
+        targetVel: isFirst ? contact.vel2 : contact.vel1,
+      },
+    };
+  }
+
+  // 滑鼠、觸控筆、手指都走 pointer events，鍵盤 (空白鍵) 照舊
   bindEvents() {
-    this.renderer.canvas.addEventListener("mousemove", this.handleMouseMove);
+    const { canvas } = this.renderer;
+    // no scrolling or zooming the page while aiming with a finger
+    canvas.style.touchAction = "none";
+    canvas.addEventListener("pointerdown", this.handlePointerDown);
+    canvas.addEventListener("pointermove", this.handlePointerMove);
+    canvas.addEventListener("pointerup", this.handlePointerUp);
+    canvas.addEventListener("pointercancel", this.handlePointerCancel);
     window.addEventListener("keydown", this.handleKeyDown);
     window.addEventListener("keyup", this.handleKeyUp);
+    window.addEventListener("resize", () => this.renderer.updateScale());
   }
 
-  handleMouseMove = (e) => {
-    const rect = this.renderer.canvas.getBoundingClientRect();
-    const mousePos = new Vector(
-      this.renderer.toWorldX(e.x - rect.x),
-      this.renderer.toWorldY(e.y - rect.y),
-    );
+  toWorld(e) {
+    return this.renderer.camera.toWorld(e);
+  }
 
-    this.cue.updateDirection(this.ball.pos, mousePos);
+  shoot() {
+    this.rules?.startShot();
+    this.cue.release(this.ball);
+    // a shot in the middle of a replay starts a new recording from there
+    this.timeline.branch();
+  }
+
+  // the first pointer on the table aims, a second one cancels the shot
+  handlePointerDown = (e) => {
+    if (this.drag) {
+      this.cancelDrag();
+      return;
+    }
+    if (!this.canShoot() || this.cue.isCharging) return;
+
+    this.renderer.canvas.setPointerCapture(e.pointerId);
+    this.drag = { pointerId: e.pointerId, start: this.toWorld(e) };
+    this.cue.updateDirection(this.ball.pos, this.drag.start);
+    this.cue.startDrag();
   };
 
+  handlePointerMove = (e) => {
+    const pos = this.toWorld(e);
+
+    if (this.drag?.pointerId === e.pointerId) {
+      // pulled back from where it started, the cue points at the pointer
+      // and the ball goes the other way
+      const distance = Vector2.subtract(pos, this.drag.start).length();
+      this.cue.updateDirection(this.ball.pos, pos);
+      this.cue.setCharge(Math.min(distance / MAX_DRAG, 1));
+      this.drag.distance = distance;
+    } else if (!this.drag && e.pointerType === "mouse") {
+      this.cue.updateDirection(this.ball.pos, pos);
+    }
+  };
+
+  handlePointerUp = (e) => {
+    if (this.drag?.pointerId !== e.pointerId) return;
+
+    const { distance = 0 } = this.drag;
+    this.drag = undefined;
+
+    if (distance < MIN_DRAG) {
+      // just a tap, aims without shooting
+      this.cue.reset();
+      this.cue.updateDirection(this.ball.pos, this.toWorld(e));
+    } else {
+      this.shoot();
+    }
+  };
+
+  handlePointerCancel = (e) => {
+    if (this.drag?.pointerId === e.pointerId) this.cancelDrag();
+  };
+
+  cancelDrag() {
+    this.drag = undefined;
+    this.cue.reset();
+  }
+
   handleKeyDown = (e) => {
-    if (e.code === "Space" && !this.cue.isCharging) {
+    if (
+      e.code === "Space" &&
+      !this.cue.isCharging &&
+      this.canShoot() &&
+      this.cue.angle !== undefined
+    ) {
       this.cue.startCharge();
     }
+
+    if (e.code === "KeyR") {
+      this.newGame();
+    }
+
+    const TIP_STEP = 0.1;
+    const nudge = {
+      ArrowUp: [0, TIP_STEP],
+      ArrowDown: [0, -TIP_STEP],
+      ArrowLeft: [-TIP_STEP, 0],
+      ArrowRight: [TIP_STEP, 0],
+    }[e.code];
+    if (nudge) {
+      e.preventDefault();
+      this.cue.setTip(this.cue.tip.x + nudge[0], this.cue.tip.y + nudge[1]);
+    }
   };
 
   handleKeyUp = (e) => {
-    if (e.code === "Space") {
-      this.cue.release(this.ball);
+    if (e.code === "Space" && this.cue.isCharging && !this.cue.isDragging) {
+      this.shoot();
     }
   };
 
-  update = () => {
-    // 更新遊戲狀態
-    this.ball.simulate(1 / 60);
-    this.world.handleWallCollision(this.ball);
+  /**
+   * @param {number} alpha
+   * @param {import("../ui/renderer.js").Renderer} backend - the page's, or
+   * e.g. an SVG export
+   */
+  drawScene(alpha = 1, backend = this.renderer.backend) {
+    const { renderer } = this;
+
+    backend.begin(alpha);
+    renderer.drawTable(backend, this.table);
+    this.world.bodies.forEach((ball) =>
+      renderer.drawBall(backend, ball, alpha),
+    );
+    if (this.prediction) {
+      renderer.drawPrediction(backend, this.prediction);
+    }
+    if (this.canShoot()) {
+      renderer.drawCue(backend, this.ball, this.cue, alpha);
+      renderer.drawPowerMeter(backend, this.ball, this.cue);
+    }
+    backend.end();
+  }
+
+  update = (now) => {
+    // 更新遊戲狀態，依照經過的時間跑固定步長，或重播錄下來的狀態
+    const alpha = this.timeline.frame(now);
     this.cue.updateCharge();
 
-    // 渲染
-    this.renderer.clear();
-    this.renderer.drawBall(this.ball);
-    this.renderer.drawCue(this.ball, this.cue);
+    // 渲染，在最後兩個狀態之間內插
+    this.updatePrediction();
+    this.drawScene(alpha);
+    this.scoreboard.draw(this.rules);
+    this.spinSelector.draw();
+    this.panel.draw();
+    this.timeline.draw();
 
     requestAnimationFrame(this.update);
   };
@@ -316,5 +783,7 @@ class Game {
 // 遊戲初始化
 window.addEventListener("load", () => {
   const canvas = document.getElementById("frame");
-  new Game(canvas);
+  const seed = getSeed();
+  new SeedPanel(seed);
+  new Game(canvas, seed);
 });
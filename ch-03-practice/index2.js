@@ -1,215 +1,227 @@
-class Ball {
-  /**
-   * @param {Object} options
-   * @param {Vector} options.pos
-   * @param {Vector} options.vel
-   * @param {number} options.radius
-   * @param {string} options.color
-   * @param {Vector} options.gravity
-   */
-  constructor({ pos, vel, radius, color, gravity }) {
-    this.pos = pos;
-    this.vel = vel;
-    this.radius = radius;
-    this.color = color || 'red';
-    this.mass = Math.PI * this.radius * this.radius;
-    this.gravity = gravity || new Vector(0, -9.81);
-  }
+import {
+  Ball,
+  Diagnostics,
+  FixedStepLoop,
+  Random,
+  Simulation,
+  Vector2,
+  World,
+  addRandomBalls,
+} from '../physics/index.js';
+import { DiagnosticsPanel, SIDEBAR_WIDTH } from '../ui/diagnostics-panel.js';
+import { SceneMenu, getSceneUrl } from '../ui/scene-menu.js';
+import { BroadPhaseToggle } from '../ui/broad-phase-toggle.js';
+import { SeedPanel, getSeed } from '../ui/seed.js';
+import { Editor } from '../ui/editor.js';
+import { Camera } from '../ui/camera.js';
+import { RendererMenu, createRenderer } from '../ui/renderer.js';
+import { DebugOverlay } from '../ui/debug-overlay.js';
+import {
+  ControlPanel,
+  ballControls,
+  simulationControls,
+} from '../ui/control-panel.js';
+
+class Renderer {
+  // pixels per meter when the page opens, the world is as large as the
+  // canvas then
+  initialScale = 20;
+  // random balls dropped at the start, clicked balls get a radius in the
+  // same range
+  ballOptions = { count: 0, minRadius: 0.5, maxRadius: 0.5 };
+  randomBalls = [];
 
   /**
-   * Symplectic Euler method
-   * @param {number} dt
+   * @param {HTMLCanvasElement} canvas
+   * @param {number} seed
    */
-  update(dt) {
-    this.vel.add(this.gravity, dt);
-    this.pos.add(this.vel, dt);
-  }
-}
-
-class Vector {
-  constructor(x, y) {
-    this.x = x;
-    this.y = y;
-  }
-
-  add(v, s = 1) {
-    this.x += v.x * s;
-    this.y += v.y * s;
-
-    return this;
+  constructor(canvas, seed) {
+    this.canvas = canvas;
+    this.camera = new Camera(canvas);
+    this.setCanvasSize();
+    this.backend = createRenderer(canvas, this.camera);
+    this.seed = seed;
+    this.random = new Random(seed);
+    this.world = new World(0, 0);
+    this.world.gravity = new Vector2(0, -9.81);
+    this.world.restitution = 0.9;
+    this.world.wallRestitution = 0.9;
+    this.simulation = new Simulation(this.world, 1 / 60);
+    this.loop = new FixedStepLoop(this.simulation);
+
+    this.diagnostics = new Diagnostics();
+    this.diagnostics.attach(this.simulation);
+    this.panel = new DiagnosticsPanel(this.diagnostics, canvas);
+    this.sceneMenu = new SceneMenu(this.simulation, () => {
+      this.diagnostics.clear();
+      this.editor.reset();
+      this.overlay.clear();
+      this.camera.fit(this.world.size);
+    });
+    this.broadPhaseToggle = new BroadPhaseToggle(this.world);
+    this.controlPanel = new ControlPanel([
+      ...simulationControls(this.simulation),
+      ...ballControls(this.ballOptions, () => this.setupBalls(), 2),
+    ]);
+    this.editor = new Editor(canvas, this.world, this);
+    this.overlay = new DebugOverlay(this.simulation, this.camera);
+    this.rendererMenu = new RendererMenu(this.backend, this.camera, (svg) =>
+      this.drawScene(1, svg),
+    );
   }
 
-  subtract(v1, v2) {
-    this.x = v1.x - v2.x;
-    this.y = v1.y - v2.y;
+  // replaces the random balls, the same seed and options give the same ones
+  setupBalls() {
+    this.randomBalls.forEach((ball) => this.world.removeBody(ball));
 
-    return this;
+    const start = this.balls.length;
+    addRandomBalls(this.world, new Random(this.seed), {
+      count: this.ballOptions.count,
+      minRadius: Math.min(
+        this.ballOptions.minRadius,
+        this.ballOptions.maxRadius,
+      ),
+      maxRadius: Math.max(
+        this.ballOptions.minRadius,
+        this.ballOptions.maxRadius,
+      ),
+      maxSpeed: 5,
+    });
+    this.randomBalls = this.balls.slice(start);
   }
 
-  scale(s) {
-    this.x *= s;
-    this.y *= s;
-
-    return this;
+  // the world stays the same size, the camera shows it in the new canvas
+  setCanvasSize() {
+    this.camera.resize(
+      window.innerWidth - 20 - SIDEBAR_WIDTH,
+      window.innerHeight - 100,
+    );
   }
 
-  length() {
-    return Math.sqrt(this.x * this.x + this.y * this.y);
+  setupWorld() {
+    this.world.size.x = this.camera.width / this.initialScale;
+    this.world.size.y = this.camera.height / this.initialScale;
+    this.camera.fit(this.world.size);
+    // the balls need the size of the world to spread over
+    this.setupBalls();
   }
 
-  dot(v) {
-    return this.x * v.x + this.y * v.y;
+  // pixels per meter
+  get scale() {
+    return this.camera.scale;
   }
-}
 
-class Renderer {
   /**
    * @type {Ball[]}
    */
-  balls = [];
-  scale = 20;
-
-  constructor(canvas) {
-    this.canvas = canvas;
-  }
-
-  setCanvasSize() {
-    this.canvas.width = window.innerWidth - 20;
-    this.canvas.height = window.innerHeight - 100;
+  get balls() {
+    return this.world.bodies;
   }
 
   /**
    * @param {Ball} ball
    */
   addBall(ball) {
-    this.balls.push(ball);
+    this.world.addBody(ball);
   }
 
-  clearScene() {
-    this.canvas
-      .getContext('2d')
-      .clearRect(0, 0, this.canvas.width, this.canvas.height);
-  }
-
-  drawBall(ball) {
-    const ctx = this.canvas.getContext('2d');
-    ctx.beginPath();
-    ctx.arc(
-      this.cX(ball.pos.x),
-      this.cY(ball.pos.y),
-      ball.radius * this.scale,
-      0,
-      Math.PI * 2,
-    );
-    ctx.fillStyle = ball.color;
-
-    ctx.closePath();
-    ctx.fill();
-  }
-
-  handleWallCollision(ball) {
-    if (ball.pos.y + ball.radius > this.canvas.height / this.scale) {
-      ball.pos.y = this.canvas.height / this.scale - ball.radius;
-      ball.vel.y = -ball.vel.y * 0.9;
-    }
-
-    if (ball.pos.y - ball.radius < 0) {
-      ball.pos.y = ball.radius;
-      ball.vel.y = -ball.vel.y * 0.9;
+  /**
+   * @param {number} alpha
+   * @param {import('../ui/renderer.js').Renderer} backend - the page's, or
+   * e.g. an SVG export
+   */
+  drawScene(alpha = 1, backend = this.backend) {
+    backend.begin(alpha);
+    this.balls.forEach((ball) => this.drawBall(backend, ball, alpha));
+    this.overlay.draw(backend, alpha);
+    this.drawSelection(backend);
+    backend.end();
+  }
+
+  drawBall(backend, ball, alpha = 1) {
+    backend.circle(ball.interpolatePos(alpha), ball.radius, {
+      fill: ball.color,
+    });
+  }
+
+  drawSelection(backend) {
+    const style = { stroke: '#000000', fill: '#000000', lineWidth: 2 };
+    // sizes in pixels
+    const pixel = 1 / this.scale;
+
+    this.editor.selected.forEach((ball) => {
+      backend.circle(ball.pos, ball.radius + 3 * pixel, {
+        ...style,
+        fill: undefined,
+      });
+      if (ball.isStatic) return;
+
+      // the velocity, drag the tip to change it
+      const tip = this.editor.getArrowTip(ball);
+      backend.path([ball.pos, tip], style);
+      backend.circle(tip, 4 * pixel, { fill: style.fill });
+    });
+
+    const { drag } = this.editor;
+    if (drag?.type === 'select') {
+      const { start, end } = drag;
+      backend.path(
+        [start, new Vector2(end.x, start.y), end, new Vector2(start.x, end.y)],
+        { ...style, fill: undefined, dashed: true },
+        true,
+      );
     }
   }
 
-  handleBallsCollision(ball1, ball2, restitution) {
-    // Calculate direction vector between the two balls
-    const dir = new Vector();
-    dir.subtract(ball2.pos, ball1.pos);
-
-    // Calculate the distance between ball centers
-    const d = dir.length();
-
-    // If distance is 0 or greater than the sum of radii, no collision
-    if (d === 0 || d > ball1.radius + ball2.radius) return;
-
-    // Normalize the direction vector (make it unit length)
-    dir.scale(1.0 / d);
-
-    // Calculate the overlap distance that needs to be corrected
-    // (sum of radii minus actual distance, divided by 2 for each ball)
-    // 對分交疊的距離
-    const corr = (ball1.radius + ball2.radius - d) / 2;
-
-    // Move balls apart to resolve overlap
-    // ball1 moves in opposite direction (-corr)
-    // ball2 moves in same direction (+corr)
-    // 根據方向分配距離向量
-    ball1.pos.add(dir, -corr);
-    ball2.pos.add(dir, corr);
-
-    // Calculate velocities along the collision direction
-    // 速度分量
-    const v1 = ball1.vel.dot(dir);
-    const v2 = ball2.vel.dot(dir);
-
-    // Get masses for momentum calculations
-    const m1 = ball1.mass;
-    const m2 = ball2.mass;
-
-    // Calculate new velocities using conservation of momentum
-    // and coefficient of restitution (energy loss in collision)
-    const newV1 =
-      (m1 * v1 + m2 * v2 - m2 * (v1 - v2) * restitution) / (m1 + m2);
-    const newV2 =
-      (m1 * v1 + m2 * v2 - m1 * (v2 - v1) * restitution) / (m1 + m2);
-
-    // Update ball velocities with new values
-    ball1.vel.add(dir, newV1 - v1);
-    ball2.vel.add(dir, newV2 - v2);
-  }
-
-  update = () => {
-    this.clearScene();
+  update = (now) => {
+    // the simulation stands still while editing
+    if (this.editor.isEditing) this.loop.reset();
+    const alpha = this.editor.isEditing ? 1 : this.loop.frame(now);
 
-    for (let i = 0; i < this.balls.length; i++) {
-      const ball1 = this.balls[i];
-      ball1.update(1 / 60);
-
-      for (let j = i + 1; j < this.balls.length; j++) {
-        const ball2 = this.balls[j];
-        this.handleBallsCollision(ball1, ball2, 0.9);
-      }
-
-      this.handleWallCollision(ball1);
-
-      this.drawBall(ball1);
-    }
+    this.drawScene(alpha);
+    this.panel.draw();
+    this.broadPhaseToggle.draw();
+    this.controlPanel.draw();
+    this.editor.draw();
 
     requestAnimationFrame(this.update);
   };
 
-  cX(x) {
-    return x * this.scale;
-  }
-
-  cY(y) {
-    return this.canvas.height - y * this.scale;
+  /**
+   * @param {MouseEvent} e
+   * @returns {Vector2} pointer position in world space
+   */
+  toWorld(e) {
+    return this.camera.toWorld(e);
   }
 }
 
 window.addEventListener('load', () => {
   const canvas = document.getElementById('frame');
-  const renderer = new Renderer(canvas);
+  const seed = getSeed();
+  new SeedPanel(seed);
+  const renderer = new Renderer(canvas, seed);
 
-  renderer.setCanvasSize();
+  renderer.setupWorld();
+  renderer.camera.attach(() => renderer.balls);
+  window.addEventListener('resize', () => renderer.setCanvasSize());
 
+  const sceneUrl = getSceneUrl();
+  if (sceneUrl) {
+    renderer.sceneMenu.loadFromUrl(sceneUrl);
+  }
+
+  // clicks belong to the editor in edit mode
   canvas.addEventListener('click', (e) => {
-    const x = e.clientX / renderer.scale;
-    const y = (canvas.height - e.clientY) / renderer.scale;
-    const radius = 10 / renderer.scale;
-    const pos = new Vector(x, y);
-    const vel = new Vector(0, 0);
-    const ball = new Ball({ pos, vel, radius, color: 'red' });
+    if (renderer.editor.isEditing) return;
+
+    const { minRadius, maxRadius } = renderer.ballOptions;
+    const radius = renderer.random.range(minRadius, maxRadius);
+    const pos = renderer.toWorld(e);
+    const vel = new Vector2(0, 0);
+    const ball = new Ball(radius, Math.PI * radius * radius, pos, vel);
     renderer.addBall(ball);
   });
 
-  renderer.update();
+  requestAnimationFrame(renderer.update);
 });
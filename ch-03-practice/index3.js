@@ -1,227 +1,140 @@
-class Ball {
-  /**
-   * @param {Object} options
-   * @param {Vector} options.pos
-   * @param {Vector} options.vel
-   * @param {number} options.radius
-   * @param {string} options.color
-   * @param {Vector} options.gravity
-   */
-  constructor({ pos, vel, radius, color, gravity }) {
-    this.pos = pos;
-    this.vel = vel;
-    this.radius = radius;
-    this.color = color || 'red';
-    this.mass = Math.PI * this.radius * this.radius;
-    this.gravity = gravity || new Vector(0, -9.81);
-  }
+import {
+  Ball,
+  Diagnostics,
+  FixedStepLoop,
+  Simulation,
+  Vector2,
+  World,
+} from '../physics/index.js';
+import { DiagnosticsPanel, SIDEBAR_WIDTH } from '../ui/diagnostics-panel.js';
+import { SceneMenu, getSceneUrl } from '../ui/scene-menu.js';
+import { Camera } from '../ui/camera.js';
+import { RendererMenu, createRenderer } from '../ui/renderer.js';
+import { DebugOverlay } from '../ui/debug-overlay.js';
+import { Arrow } from '../ui/arrow.js';
 
+class Renderer {
+  // pixels per meter when the page opens, the world is as large as the
+  // canvas then
+  initialScale = 20;
   /**
-   * Symplectic Euler method
-   * @param {number} dt
+   * where the ball would be kicked, follows the pointer
+   * @type {Arrow | undefined}
    */
-  update(dt) {
-    this.vel.add(this.gravity, dt);
-    this.pos.add(this.vel, dt);
-  }
-
-  updateGravity(gravity) {
-    this.gravity.add(gravity, 1);
-  }
-}
+  aim = undefined;
 
-class Vector {
-  constructor(x, y) {
-    this.x = x;
-    this.y = y;
-  }
-
-  add(v, s = 1) {
-    this.x += v.x * s;
-    this.y += v.y * s;
-
-    return this;
-  }
-
-  subtract(v1, v2) {
-    this.x = v1.x - v2.x;
-    this.y = v1.y - v2.y;
-
-    return this;
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.camera = new Camera(canvas);
+    this.setCanvasSize();
+    this.backend = createRenderer(canvas, this.camera);
+    this.world = new World(0, 0);
+    this.world.gravity = new Vector2(0, 0);
+    this.world.restitution = 0.9;
+    this.world.wallRestitution = 0.9;
+    this.simulation = new Simulation(this.world, 1 / 60);
+    this.loop = new FixedStepLoop(this.simulation);
+
+    this.diagnostics = new Diagnostics();
+    this.diagnostics.attach(this.simulation);
+    this.panel = new DiagnosticsPanel(this.diagnostics, canvas);
+    this.sceneMenu = new SceneMenu(this.simulation, () => {
+      this.diagnostics.clear();
+      this.overlay.clear();
+      this.camera.fit(this.world.size);
+    });
+    this.overlay = new DebugOverlay(this.simulation, this.camera);
+    this.rendererMenu = new RendererMenu(this.backend, this.camera, (svg) =>
+      this.drawScene(1, svg),
+    );
   }
 
-  scale(s) {
-    this.x *= s;
-    this.y *= s;
-
-    return this;
+  // the world stays the same size, the camera shows it in the new canvas
+  setCanvasSize() {
+    this.camera.resize(
+      window.innerWidth - 20 - SIDEBAR_WIDTH,
+      window.innerHeight - 100,
+    );
   }
 
-  length() {
-    return Math.sqrt(this.x * this.x + this.y * this.y);
+  setupWorld() {
+    this.world.size.x = this.camera.width / this.initialScale;
+    this.world.size.y = this.camera.height / this.initialScale;
+    this.camera.fit(this.world.size);
   }
 
-  dot(v) {
-    return this.x * v.x + this.y * v.y;
+  // pixels per meter
+  get scale() {
+    return this.camera.scale;
   }
-}
 
-class Renderer {
   /**
    * @type {Ball[]}
    */
-  balls = [];
-  scale = 20;
-
-  constructor(canvas) {
-    this.canvas = canvas;
-  }
-
-  setCanvasSize() {
-    this.canvas.width = window.innerWidth - 20;
-    this.canvas.height = window.innerHeight - 100;
+  get balls() {
+    return this.world.bodies;
   }
 
   /**
    * @param {Ball} ball
    */
   addBall(ball) {
-    this.balls.push(ball);
+    this.world.addBody(ball);
   }
 
-  clearScene() {
-    this.canvas
-      .getContext('2d')
-      .clearRect(0, 0, this.canvas.width, this.canvas.height);
-  }
-
-  drawBall(ball) {
-    const ctx = this.canvas.getContext('2d');
-    ctx.beginPath();
-    ctx.arc(
-      this.cX(ball.pos.x),
-      this.cY(ball.pos.y),
-      ball.radius * this.scale,
-      0,
-      Math.PI * 2,
-    );
-    ctx.fillStyle = ball.color;
-
-    ctx.closePath();
-    ctx.fill();
-  }
-
-  handleWallCollision(ball) {
-    if (ball.pos.y + ball.radius > this.canvas.height / this.scale) {
-      ball.pos.y = this.canvas.height / this.scale - ball.radius;
-      ball.vel.y = -ball.vel.y * 0.9;
-    }
-
-    if (ball.pos.y - ball.radius < 0) {
-      ball.pos.y = ball.radius;
-      ball.vel.y = -ball.vel.y * 0.9;
-    }
-
-    if (ball.pos.x + ball.radius > this.canvas.width / this.scale) {
-      ball.pos.x = this.canvas.width / this.scale - ball.radius;
-      ball.vel.x = -ball.vel.x * 0.9;
-    }
-
-    if (ball.pos.x - ball.radius < 0) {
-      ball.pos.x = ball.radius;
-      ball.vel.x = -ball.vel.x * 0.9;
-    }
+  /**
+   * @param {number} alpha
+   * @param {import('../ui/renderer.js').Renderer} backend - the page's, or
+   * e.g. an SVG export
+   */
+  drawScene(alpha = 1, backend = this.backend) {
+    backend.begin(alpha);
+    this.balls.forEach((ball) => this.drawBall(backend, ball, alpha));
+    this.overlay.draw(backend, alpha);
+    this.aim?.draw(backend, this.camera.scale);
+    backend.end();
   }
 
-  handleBallsCollision(ball1, ball2, restitution) {
-    // Calculate direction vector between the two balls
-    const dir = new Vector();
-    dir.subtract(ball2.pos, ball1.pos);
-
-    // Calculate the distance between ball centers
-    const d = dir.length();
-
-    // If distance is 0 or greater than the sum of radii, no collision
-    if (d === 0 || d > ball1.radius + ball2.radius) return;
-
-    // Normalize the direction vector (make it unit length)
-    dir.scale(1.0 / d);
-
-    // Calculate the overlap distance that needs to be corrected
-    // (sum of radii minus actual distance, divided by 2 for each ball)
-    // 對分交疊的距離
-    const corr = (ball1.radius + ball2.radius - d) / 2;
-
-    // Move balls apart to resolve overlap
-    // ball1 moves in opposite direction (-corr)
-    // ball2 moves in same direction (+corr)
-    // 根據方向分配距離向量
-    ball1.pos.add(dir, -corr);
-    ball2.pos.add(dir, corr);
-
-    // Calculate velocities along the collision direction
-    // 速度分量
-    const v1 = ball1.vel.dot(dir);
-    const v2 = ball2.vel.dot(dir);
-
-    // Get masses for momentum calculations
-    const m1 = ball1.mass;
-    const m2 = ball2.mass;
-
-    // Calculate new velocities using conservation of momentum
-    // and coefficient of restitution (energy loss in collision)
-    const newV1 =
-      (m1 * v1 + m2 * v2 - m2 * (v1 - v2) * restitution) / (m1 + m2);
-    const newV2 =
-      (m1 * v1 + m2 * v2 - m1 * (v2 - v1) * restitution) / (m1 + m2);
-
-    // Update ball velocities with new values
-    ball1.vel.add(dir, newV1 - v1);
-    ball2.vel.add(dir, newV2 - v2);
+  drawBall(backend, ball, alpha = 1) {
+    backend.circle(ball.interpolatePos(alpha), ball.radius, {
+      fill: ball.color,
+    });
   }
 
-  update = () => {
-    this.clearScene();
+  update = (now) => {
+    const alpha = this.loop.frame(now);
 
-    for (let i = 0; i < this.balls.length; i++) {
-      const ball1 = this.balls[i];
-      ball1.update(1 / 60);
-
-      for (let j = i + 1; j < this.balls.length; j++) {
-        const ball2 = this.balls[j];
-        this.handleBallsCollision(ball1, ball2, 0.9);
-      }
-
-      this.handleWallCollision(ball1);
-
-      this.drawBall(ball1);
-    }
+    this.drawScene(alpha);
+    this.panel.draw();
 
     requestAnimationFrame(this.update);
   };
 
-  cX(x) {
-    return x * this.scale;
-  }
+  /**
+   * @param {MouseEvent} e
+   * @returns {Vector2 | undefined} from the first ball to the pointer, there
+   * may be no ball after loading a scene
+   */
+  getAim(e) {
+    const ball = this.balls[0];
+    if (!ball) return undefined;
 
-  cY(y) {
-    return this.canvas.height - y * this.scale;
+    return Vector2.subtract(this.camera.toWorld(e), ball.pos);
   }
 
   kickBall(ball, dir) {
-    ball.updateGravity(new Vector(0, -9.81));
+    this.world.gravity.y = -9.81;
     ball.vel.add(dir, 20);
   }
 }
 
-class Arrow {}
-
 function addBall(renderer) {
-  const pos = new Vector(1, 1);
-  const vel = new Vector(0, 0);
+  const pos = new Vector2(1, 1);
+  const vel = new Vector2(0, 0);
   const radius = 0.5;
   const color = 'red';
-  const ball = new Ball({ pos, vel, radius, color, gravity: new Vector(0, 0) });
+  const ball = new Ball(radius, Math.PI * radius * radius, pos, vel);
+  ball.color = color;
   renderer.addBall(ball);
 }
 
@@ -229,42 +142,42 @@ window.addEventListener('load', () => {
   const canvas = document.getElementById('frame');
   const renderer = new Renderer(canvas);
 
-  renderer.setCanvasSize();
+  renderer.setupWorld();
+  renderer.camera.attach(() => renderer.balls);
+  window.addEventListener('resize', () => renderer.setCanvasSize());
+
+  const sceneUrl = getSceneUrl();
+  if (sceneUrl) {
+    renderer.sceneMenu.loadFromUrl(sceneUrl);
+  }
 
   addBall(renderer);
 
   canvas.addEventListener('click', (e) => {
-    const x = e.clientX / renderer.scale;
-    const y = (canvas.height - e.clientY) / renderer.scale;
-
-    const pointerPos = new Vector(x, y);
+    const aim = renderer.getAim(e);
+    const length = aim?.length();
+    if (!length) return;
 
-    const length = pointerPos.length();
-    const dir = pointerPos.scale(1 / length);
-
-    renderer.kickBall(renderer.balls[0], dir);
+    renderer.kickBall(renderer.balls[0], aim.scale(1 / length));
   });
 
   // canvas.addEventListener('click', (e) => {
   //   const x = e.clientX / renderer.scale;
   //   const y = (canvas.height - e.clientY) / renderer.scale;
   //   const radius = 10 / renderer.scale;
-  //   const pos = new Vector(x, y);
-  //   const vel = new Vector(0, 0);
+  //   const pos = new Vector2(x, y);
+  //   const vel = new Vector2(0, 0);
   //   const ball = new Ball({ pos, vel, radius, color: 'red' });
   //   renderer.addBall(ball);
   // });
 
-  // canvas.addEventListener('mousemove', (e) => {
-  //   const vec = new Vector();
-
-  //   vec.subtract(
-  //     new Vector(e.clientX, canvas.height - e.clientY),
-  //     renderer.center,
-  //   );
-  //   const arrow = new Arrow({ vec });
-  //   renderer.addArrow(arrow);
-  // });
+  canvas.addEventListener('mousemove', (e) => {
+    const aim = renderer.getAim(e);
+    renderer.aim = aim && new Arrow(renderer.balls[0].pos, aim);
+  });
+  canvas.addEventListener('mouseleave', () => {
+    renderer.aim = undefined;
+  });
 
-  renderer.update();
+  requestAnimationFrame(renderer.update);
 });
@@ -0,0 +1,263 @@
+import { Ball, Vector2 } from "../physics/index.js";
+
+// 撞球桌、排球與八號球規則，不依賴 canvas，可以直接在 Node 中測試
+
+export const BALL_RADIUS = 0.5;
+
+// 0 is the cue ball, 9 - 15 are striped with the color of 1 - 7
+const BALL_COLORS = [
+  "#F5F5F5",
+  "#F2C200",
+  "#1F4FD8",
+  "#D62828",
+  "#6A2C91",
+  "#F77F00",
+  "#1B7F3B",
+  "#7B2D26",
+  "#111111",
+];
+
+// 撞球，number 0 是母球
+export class PoolBall extends Ball {
+  /**
+   * @param {number} number - 0 for the cue ball, 1 - 15 for the object balls
+   * @param {Vector2} pos
+   */
+  constructor(number, pos) {
+    // every ball has the same mass, the cue is tuned for this one
+    super(BALL_RADIUS, Math.PI * BALL_RADIUS ** 2, pos, new Vector2());
+    this.number = number;
+    this.color = BALL_COLORS[number > 8 ? number - 8 : number];
+  }
+
+  get isStripe() {
+    return this.number > 8;
+  }
+
+  /**
+   * @returns {"solids" | "stripes" | undefined} undefined for the cue and 8 ball
+   */
+  get group() {
+    if (this.number === 0 || this.number === 8) return undefined;
+
+    return this.isStripe ? "stripes" : "solids";
+  }
+}
+
+// 球桌，左下角在 (0, 0)，四角與長邊中間各有一個球袋
+export class Table {
+  constructor(width = 24, height = 12, pocketRadius = 0.9) {
+    this.width = width;
+    this.height = height;
+    this.pocketRadius = pocketRadius;
+    this.pockets = [
+      new Vector2(0, 0),
+      new Vector2(width / 2, 0),
+      new Vector2(width, 0),
+      new Vector2(0, height),
+      new Vector2(width / 2, height),
+      new Vector2(width, height),
+    ];
+    // where the cue ball starts and is put back after a scratch
+    this.headSpot = new Vector2(width / 4, height / 2);
+    // apex of the rack
+    this.footSpot = new Vector2((width * 3) / 4, height / 2);
+  }
+
+  /**
+   * A ball drops once its center is over the pocket.
+   * @param {Ball} ball
+   */
+  isPocketed(ball) {
+    return this.pockets.some(
+      (pocket) =>
+        Vector2.subtract(ball.pos, pocket).length() < this.pocketRadius,
+    );
+  }
+
+  /**
+   * Racks the 15 object balls in a triangle on the foot spot, the 8 ball in
+   * the middle and a solid and a stripe on the back corners.
+   * @param {import("../physics/index.js").Random} random - shuffles the rest
+   * @returns {PoolBall[]} the cue ball first
+   */
+  rack(random) {
+    const others = [1, 2, 3, 4, 5, 6, 7, 9, 10, 11, 12, 13, 14, 15];
+    for (let i = others.length - 1; i > 0; i--) {
+      const j = Math.floor(random.next() * (i + 1));
+      [others[i], others[j]] = [others[j], others[i]];
+    }
+
+    // back corners are the 11th and 15th ball of the triangle
+    const solid = others.findIndex((number) => number < 8);
+    const [firstSolid] = others.splice(solid, 1);
+    const stripe = others.findIndex((number) => number > 8);
+    const [firstStripe] = others.splice(stripe, 1);
+
+    const order = [...others];
+    order.splice(4, 0, 8);
+    order.splice(10, 0, firstSolid);
+    order.push(firstStripe);
+
+    // a tiny gap so the rack doesn't start out overlapping
+    const spacing = 2 * BALL_RADIUS + 0.01;
+    const balls = [new PoolBall(0, this.headSpot)];
+
+    let index = 0;
+    for (let row = 0; row < 5; row++) {
+      for (let k = 0; k <= row; k++) {
+        const pos = new Vector2(
+          this.footSpot.x + row * spacing * Math.cos(Math.PI / 6),
+          this.footSpot.y + (k - row / 2) * spacing,
+        );
+        balls.push(new PoolBall(order[index++], pos));
+      }
+    }
+
+    return balls;
+  }
+}
+
+// 兩位玩家的八號球規則
+//
+// Simplified: the table is open until the first ball potted without a foul
+// decides the groups, a foul (scratch or no contact) passes the turn and puts
+// the cue ball back on the head spot, potting the 8 ball wins once the own
+// group is cleared and loses otherwise.
+export class PoolRules {
+  players = [
+    { name: "Player 1", group: undefined },
+    { name: "Player 2", group: undefined },
+  ];
+  current = 0;
+  /**
+   * @type {Set<number>} numbers of the potted object balls
+   */
+  potted = new Set();
+  winner = undefined;
+  message = "Player 1 breaks";
+  /**
+   * the shot in progress
+   * @type {{firstContact: PoolBall | undefined, potted: PoolBall[]} | undefined}
+   */
+  shot = undefined;
+
+  get player() {
+    return this.players[this.current];
+  }
+
+  get opponent() {
+    return this.players[1 - this.current];
+  }
+
+  get isOver() {
+    return this.winner !== undefined;
+  }
+
+  /**
+   * @param {{group: string | undefined}} player
+   * @returns {number} balls of the player's group in the pockets
+   */
+  getScore(player) {
+    if (!player.group) return 0;
+
+    const numbers = player.group === "solids" ? [1, 7] : [9, 15];
+    return [...this.potted].filter(
+      (number) => number >= numbers[0] && number <= numbers[1],
+    ).length;
+  }
+
+  /**
+   * A copy of everything that changes during a game, e.g. for the timeline.
+   */
+  getState() {
+    return {
+      groups: this.players.map((player) => player.group),
+      current: this.current,
+      potted: [...this.potted],
+      winner: this.winner,
+      message: this.message,
+      shot: this.shot && { ...this.shot, potted: [...this.shot.potted] },
+    };
+  }
+
+  /**
+   * @param {ReturnType<PoolRules["getState"]>} state - from getState()
+   */
+  setState({ groups, current, potted, winner, message, shot }) {
+    this.players.forEach((player, i) => (player.group = groups[i]));
+    this.current = current;
+    this.potted = new Set(potted);
+    this.winner = winner;
+    this.message = message;
+    this.shot = shot && { ...shot, potted: [...shot.potted] };
+  }
+
+  startShot() {
+    this.shot = { firstContact: undefined, potted: [] };
+  }
+
+  /**
+   * @param {PoolBall} ball1
+   * @param {PoolBall} ball2
+   */
+  handleContact(ball1, ball2) {
+    if (!this.shot || this.shot.firstContact) return;
+
+    if (ball1.number === 0) this.shot.firstContact = ball2;
+    if (ball2.number === 0) this.shot.firstContact = ball1;
+  }
+
+  /**
+   * @param {PoolBall} ball
+   */
+  handlePotted(ball) {
+    if (ball.number !== 0) this.potted.add(ball.number);
+    this.shot?.potted.push(ball);
+  }
+
+  /**
+   * Applies the rules once every ball has stopped.
+   * @returns {{foul: boolean, scratch: boolean}} the caller puts the cue
+   * ball back on a scratch
+   */
+  endShot() {
+    const { firstContact, potted } = this.shot ?? {
+      firstContact: undefined,
+      potted: [],
+    };
+    this.shot = undefined;
+
+    const scratch = potted.some((ball) => ball.number === 0);
+    const foul = scratch || !firstContact;
+    const { player, opponent } = this;
+
+    if (potted.some((ball) => ball.number === 8)) {
+      const cleared = player.group && this.getScore(player) === 7;
+      this.winner = cleared && !foul ? this.current : 1 - this.current;
+      this.message = `${this.players[this.winner].name} wins`;
+      return { foul, scratch };
+    }
+
+    const objectBalls = potted.filter((ball) => ball.group);
+    if (!foul && !player.group && objectBalls.length > 0) {
+      player.group = objectBalls[0].group;
+      opponent.group = player.group === "solids" ? "stripes" : "solids";
+    }
+
+    const pottedOwn = objectBalls.some((ball) => ball.group === player.group);
+
+    if (foul) {
+      this.current = 1 - this.current;
+      const reason = scratch ? "Scratch" : "No contact";
+      this.message = `${reason}, ${this.player.name} to play`;
+    } else if (pottedOwn) {
+      this.message = `${player.name} continues`;
+    } else {
+      this.current = 1 - this.current;
+      this.message = `${this.player.name} to play`;
+    }
+
+    return { foul, scratch };
+  }
+}
@@ -1,286 +1,287 @@
-class Ball {
-  constructor(radius, mass, pos, vel) {
-    this.radius = radius;
-    this.mass = mass;
-    this.pos = pos.clone();
-    this.vel = vel.clone();
-  }
-
-  simulate(dt, gravity) {
-    this.vel.add(gravity, dt);
-    this.pos.add(this.vel, dt);
-  }
-}
+import {
+  Body,
+  Diagnostics,
+  FixedStepLoop,
+  Random,
+  RigidBody,
+  Simulation,
+  Spring,
+  Vector2,
+  World,
+  addRandomBalls,
+} from "../physics/index.js";
+import { DiagnosticsPanel, SIDEBAR_WIDTH } from "../ui/diagnostics-panel.js";
+import { BroadPhaseToggle } from "../ui/broad-phase-toggle.js";
+import { SceneMenu, getSceneUrl } from "../ui/scene-menu.js";
+import { Timeline } from "../ui/timeline.js";
+import { LoggerPanel } from "../ui/logger-panel.js";
+import { ObstacleTool } from "../ui/obstacle-tool.js";
+import { SeedPanel, getSeed } from "../ui/seed.js";
+import { Camera } from "../ui/camera.js";
+import { RendererMenu, createRenderer } from "../ui/renderer.js";
+import { DebugOverlay } from "../ui/debug-overlay.js";
+import {
+  ControlPanel,
+  ballControls,
+  simulationControls,
+} from "../ui/control-panel.js";
 
 class Scene {
-  balls = [];
+  // the random balls, see ControlPanel
+  ballOptions = { count: 20, minRadius: 0.05, maxRadius: 0.15 };
+  /**
+   * @type {Body[]}
+   */
+  randomBalls = [];
+  /**
+   * drawn over the scene, see Core
+   * @type {DebugOverlay | undefined}
+   */
+  overlay = undefined;
 
-  constructor(canvas, minScale) {
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {number} minScale
+   * @param {number} seed - every random number of the setup comes from it
+   */
+  constructor(canvas, minScale, seed) {
     this.canvas = canvas;
     this.minScale = minScale;
+    this.seed = seed;
     this.init();
     this.setupBalls();
   }
 
   init() {
-    this.c = this.canvas.getContext("2d");
-    this.canvas.width = window.innerWidth - 20;
-    this.canvas.height = window.innerHeight - 100;
-
-    this.cScale =
-      Math.min(this.canvas.width, this.canvas.height) / this.minScale;
-    this.simWidth = this.canvas.width / this.cScale;
-    this.simHeight = this.canvas.height / this.cScale;
-
-    this.worldSize = new Vector2(this.simWidth, this.simHeight);
-    this.gravity = new Vector2(0.0, 0.0);
-    this.restitution = 1.0;
+    this.camera = new Camera(this.canvas);
+    this.resize();
+    this.renderer = createRenderer(this.canvas, this.camera);
+
+    // the shorter side of the canvas is minScale meters
+    const { width, height } = this.camera;
+    const cScale = Math.min(width, height) / this.minScale;
+    this.simWidth = width / cScale;
+    this.simHeight = height / cScale;
+
+    this.world = new World(this.simWidth, this.simHeight);
+    this.camera.fit(this.world.size);
+    this.world.gravity = new Vector2(0.0, 0.0);
+    this.world.restitution = 1.0;
   }
 
-  setupBalls() {
-    const ballNum = 20;
-
-    for (let i = 0; i < ballNum; i++) {
-      const radius = 0.05 + Math.random() * 0.1;
-      const mass = Math.PI * radius * radius;
-      const pos = new Vector2(
-        Math.random() * this.simWidth,
-        Math.random() * this.simHeight,
-      );
-
-      const vel = new Vector2(
-        -1.0 + 2 * Math.random(),
-        -1.0 + 2.0 * Math.random(),
-      );
-
-      this.balls.push(new Ball(radius, mass, pos, vel));
-    }
+  get balls() {
+    return this.world.bodies;
   }
 
-  draw() {
-    this.c.clearRect(0, 0, this.canvas.width, this.canvas.height);
-
-    // ball color
-    this.c.fillStyle = "#FF0000";
-
-    this.balls.forEach((ball) => {
-      this.c.beginPath();
-      this.c.arc(
-        this.cX(ball.pos.x),
-        this.cY(ball.pos.y),
-        this.cScale * ball.radius,
-        0.0,
-        2.0 * Math.PI,
-      );
-
-      this.c.closePath();
-      this.c.fill();
-    });
+  // the world stays the same size, the camera shows it in the new canvas
+  resize() {
+    this.camera.resize(
+      window.innerWidth - 20 - SIDEBAR_WIDTH,
+      window.innerHeight - 100,
+    );
   }
 
-  // Converts simulation space X-coordinate to canvas space
-  cX(x) {
-    return x * this.cScale;
-  }
-
-  cY(y) {
-    return this.canvas.height - y * this.cScale;
-  }
-}
-
-class Vector2 {
-  constructor(x = 0, y = 0) {
-    this.x = x;
-    this.y = y;
-  }
-
-  set(v) {
-    this.x = v.x;
-    this.y = v.y;
-  }
-
-  clone() {
-    return new Vector2(this.x, this.y);
+  // replaces the random balls, the same seed and options give the same ones
+  setupBalls() {
+    this.randomBalls.forEach((ball) => this.world.removeBody(ball));
+
+    const { count, minRadius, maxRadius } = this.ballOptions;
+    const start = this.world.bodies.length;
+    addRandomBalls(this.world, new Random(this.seed), {
+      count,
+      minRadius: Math.min(minRadius, maxRadius),
+      maxRadius: Math.max(minRadius, maxRadius),
+      maxSpeed: 1.0,
+    });
+    this.randomBalls = this.world.bodies.slice(start);
   }
 
   /**
-   * @param {{x: number, v: number}} v
-   * @param {number} s - scaling number
+   * @param {number} alpha - interpolation factor between the last two states
+   * @param {Vector2[]} draft - obstacle being drawn, see ObstacleTool
+   * @param {import("../ui/renderer.js").Renderer} renderer - the page's, or
+   * e.g. an SVG export
    */
-  add(v, s = 1.0) {
-    this.x += v.x * s;
-    this.y += v.y * s;
+  draw(alpha = 1.0, draft = [], renderer = this.renderer) {
+    renderer.begin(alpha);
 
-    return this;
-  }
+    this.drawObstacles(renderer, draft);
+    this.drawConnections(renderer, alpha);
 
-  addVectors(a, b) {
-    this.x = a.x + b.x;
-    this.y = a.y + b.y;
+    this.balls.forEach((ball) => {
+      const pos = ball.interpolatePos(alpha);
 
-    return this;
-  }
+      if (ball instanceof RigidBody) {
+        this.drawRigidBody(renderer, ball, pos, ball.interpolateAngle(alpha));
+        return;
+      }
 
-  subtract(v, s = 1.0) {
-    this.x -= v.x * s;
-    this.y -= v.y * s;
+      renderer.circle(pos, ball.radius, { fill: ball.color });
+    });
 
-    return this;
+    this.overlay?.draw(renderer, alpha);
+    renderer.end();
   }
 
-  subtractVectors(a, b) {
-    this.x = a.x - b.x;
-    this.y = a.y - b.y;
+  // 剛體依角度旋轉，圓上畫一條半徑才看得出在轉
+  drawRigidBody(renderer, body, pos, angle) {
+    const style = { fill: body.color, stroke: "#222222" };
+
+    if (body.shape.type === "circle") {
+      const { radius } = body.shape;
+      renderer.circle(pos, radius, style);
+      renderer.path(
+        [
+          pos,
+          new Vector2(
+            pos.x + radius * Math.cos(angle),
+            pos.y + radius * Math.sin(angle),
+          ),
+        ],
+        style,
+      );
+      return;
+    }
 
-    return this;
+    renderer.path(body.getVertices(pos, angle), style, true);
   }
 
-  length() {
-    return Math.sqrt(this.x * this.x + this.y * this.y);
-  }
+  // 多邊形填滿，線段只畫線，正在畫的障礙物用虛線
+  drawObstacles(renderer, draft) {
+    const style = { stroke: "#555555", fill: "#BBBBBB", lineWidth: 2 };
 
-  scale(s) {
-    this.x *= s;
-    this.y *= s;
+    this.world.obstacles.forEach((obstacle) => {
+      renderer.path(obstacle.points, style, obstacle.points.length > 2);
+    });
 
-    return this;
+    if (draft.length > 0) {
+      renderer.path(draft, { ...style, dashed: true });
+    }
   }
 
-  // Learn more about dot product and the verctor
-  // Reference:
-  // https://www.youtube.com/watch?v=9WqiMoqEyJ0
-  //
-  // A·B = |A| |B| cos(θ) = Ax*Bx + Ay*By
-  dot(v) {
-    return this.x * v.x + this.y * v.y;
+  // 彈簧畫成細線，連桿畫成粗線，支點畫成小方塊
+  drawConnections(renderer, alpha) {
+    const getPos = (end) =>
+      end instanceof Body ? end.interpolatePos(alpha) : end;
+    const springs = this.world.forces.filter(
+      (generator) => generator instanceof Spring,
+    );
+    // half the side of a pivot, 4 pixels
+    const half = 4 / this.camera.scale;
+
+    [
+      ...springs.map((spring) => [spring, 1, "#888888"]),
+      ...this.world.constraints.map((constraint) => [constraint, 3, "#333333"]),
+    ].forEach(([{ body1, end2 }, lineWidth, color]) => {
+      const p1 = getPos(body1);
+      const p2 = getPos(end2);
+
+      renderer.path([p1, p2], { stroke: color, lineWidth });
+
+      if (!(end2 instanceof Body)) {
+        renderer.path(
+          [
+            new Vector2(p2.x - half, p2.y - half),
+            new Vector2(p2.x + half, p2.y - half),
+            new Vector2(p2.x + half, p2.y + half),
+            new Vector2(p2.x - half, p2.y + half),
+          ],
+          { fill: color },
+          true,
+        );
+      }
+    });
   }
 }
 
 class Core {
-  gravity = {
-    x: 0.0,
-    y: 0.0,
-  };
-
-  isRunning = true;
-  timeStep = 1.0 / 60.0;
-
-  constructor(scene, ball) {
+  constructor(scene, simulation) {
     this.scene = scene;
-    this.ball = ball;
-  }
-
-  simulate() {
-    for (let i = 0; i < this.scene.balls.length; i++) {
-      const ball1 = this.scene.balls[i];
-
-      ball1.simulate(this.timeStep, this.gravity);
-
-      for (let j = i + 1; j < this.scene.balls.length; j++) {
-        const ball2 = this.scene.balls[j];
-
-        this.handleBallsCollision(ball1, ball2, this.scene.restitution);
-      }
-
-      this.handleWallsCollision(ball1, this.scene.worldSize);
-    }
-  }
-
-  handleBallsCollision(ball1, ball2, restitution) {
-    // Calculate direction vector between the two balls
-    const dir = new Vector2();
-    dir.subtractVectors(ball2.pos, ball1.pos);
-
-    // Calculate the distance between ball centers
-    const d = dir.length();
-
-    // If distance is 0 or greater than the sum of radii, no collision
-    if (d === 0 || d > ball1.radius + ball2.radius) return;
-
-    // Normalize the direction vector (make it unit length)
-    dir.scale(1.0 / d);
-
-    // Calculate the overlap distance that needs to be corrected
-    // (sum of radii minus actual distance, divided by 2 for each ball)
-    // 對分交疊的距離
-    const corr = (ball1.radius + ball2.radius - d) / 2;
-
-    // Move balls apart to resolve overlap
-    // ball1 moves in opposite direction (-corr)
-    // ball2 moves in same direction (+corr)
-    // 根據方向分配距離向量
-    ball1.pos.add(dir, -corr);
-    ball2.pos.add(dir, corr);
-
-    // Calculate velocities along the collision direction
-    // 速度分量
-    const v1 = ball1.vel.dot(dir);
-    const v2 = ball2.vel.dot(dir);
-
-    // Get masses for momentum calculations
-    const m1 = ball1.mass;
-    const m2 = ball2.mass;
-
-    // Calculate new velocities using conservation of momentum
-    // and coefficient of restitution (energy loss in collision)
-    const newV1 =
-      (m1 * v1 + m2 * v2 - m2 * (v1 - v2) * restitution) / (m1 + m2);
-    const newV2 =
-      (m1 * v1 + m2 * v2 - m1 * (v2 - v1) * restitution) / (m1 + m2);
-
-    // Update ball velocities with new values
-    ball1.vel.add(dir, newV1 - v1);
-    ball2.vel.add(dir, newV2 - v2);
-  }
-
-  handleWallsCollision(ball, worldSize) {
-    // check if the ball hits the left-side wall.
-    if (ball.pos.x < ball.radius) {
-      ball.pos.x = ball.radius;
-      ball.vel.x = -ball.vel.x;
-    }
-    if (ball.pos.x > worldSize.x - ball.radius) {
-      ball.pos.x = worldSize.x - ball.radius;
-      ball.vel.x = -ball.vel.x;
-    }
-    if (ball.pos.y < ball.radius) {
-      ball.pos.y = ball.radius;
-      ball.vel.y = -ball.vel.y;
-    }
+    this.simulation = simulation;
+    this.loop = new FixedStepLoop(simulation);
+
+    this.diagnostics = new Diagnostics();
+    this.diagnostics.attach(simulation);
+    this.panel = new DiagnosticsPanel(this.diagnostics, scene.canvas);
+    this.broadPhaseToggle = new BroadPhaseToggle(simulation.world);
+
+    this.timeline = new Timeline(simulation, this.loop);
+    this.loggerPanel = new LoggerPanel(simulation);
+
+    this.sceneMenu = new SceneMenu(simulation, () => {
+      this.diagnostics.clear();
+      this.loggerPanel.logger.clear();
+      this.timeline.branch();
+      this.overlay.clear();
+      scene.camera.fit(simulation.world.size);
+    });
 
-    if (ball.pos.y > worldSize.y - ball.radius) {
-      ball.pos.y = worldSize.y - ball.radius;
-      ball.vel.y = -ball.vel.y;
-    }
+    this.obstacleTool = new ObstacleTool(
+      scene.canvas,
+      simulation.world,
+      (e) => scene.camera.toWorld(e),
+      // the recording after this tick ran without the obstacle
+      () => this.timeline.branch(),
+    );
+
+    this.overlay = new DebugOverlay(simulation, scene.camera);
+    scene.overlay = this.overlay;
+
+    this.rendererMenu = new RendererMenu(scene.renderer, scene.camera, (svg) =>
+      scene.draw(1.0, this.obstacleTool.draft, svg),
+    );
+
+    this.controlPanel = new ControlPanel(
+      [
+        ...simulationControls(simulation),
+        ...ballControls(scene.ballOptions, () => scene.setupBalls(), 0.3),
+      ],
+      () => this.timeline.branch(),
+    );
   }
 
-  update = () => {
-    if (!this.isRunning) return;
-
-    this.simulate();
-    this.scene.draw();
+  // runs as many fixed steps as the elapsed time demands (or replays the
+  // recording, see Timeline), then draws in between the last two states
+  update = (now) => {
+    const alpha = this.timeline.frame(now);
+    this.scene.draw(alpha, this.obstacleTool.draft);
+    this.panel.draw();
+    this.obstacleTool.draw();
+    this.timeline.draw();
+    this.loggerPanel.draw();
+    this.broadPhaseToggle.draw();
+    this.controlPanel.draw();
 
     requestAnimationFrame(this.update);
   };
 
-  // press space to puase the animation
+  // press space to pause or resume the animation
   togglePause() {
-    this.isRunning = !this.isRunning;
-
-    if (this.isRunning) {
-      this.update();
-    }
+    this.timeline.togglePlay();
   }
 }
 
 window.addEventListener("load", () => {
   const canvasEl = document.getElementById("frame");
-  const scene = new Scene(canvasEl, 2);
-  const core = new Core(scene);
+  const seed = getSeed();
+  const scene = new Scene(canvasEl, 2, seed);
+  new SeedPanel(seed);
+  const core = new Core(scene, new Simulation(scene.world, 1.0 / 60.0));
+  scene.camera.attach(() => scene.balls);
+  window.addEventListener("resize", () => scene.resize());
+
+  const sceneUrl = getSceneUrl();
+  if (sceneUrl) {
+    core.sceneMenu.loadFromUrl(sceneUrl);
+  }
 
-  window.addEventListener("keydown", () => {
-    core.togglePause();
+  // other keys belong to the obstacle tool
+  window.addEventListener("keydown", (e) => {
+    if (e.code === "Space") {
+      e.preventDefault();
+      core.togglePause();
+    }
   });
 
-  core.update();
+  requestAnimationFrame(core.update);
 });
@@ -0,0 +1,107 @@
+import { Vector2 } from "./vector.js";
+import { symplecticEuler } from "./integrators.js";
+
+// 物理實體的基礎類別
+export class Body {
+  /**
+   * @param {number} mass
+   * @param {Vector2} pos
+   * @param {Vector2} vel
+   */
+  constructor(mass, pos, vel) {
+    this.mass = mass;
+    this.pos = pos.clone();
+    this.vel = vel.clone();
+    // position at the start of the last step, used to interpolate rendering
+    this.prevPos = pos.clone();
+    // sum of the forces on the body, refilled by the world whenever it
+    // needs the acceleration, see World.getAcceleration
+    this.force = new Vector2();
+    /**
+     * overrides the integrator of the world when set
+     * @type {import("./integrators.js").Integrator | undefined}
+     */
+    this.integrator = undefined;
+    /**
+     * overrides the restitution of the world for the bounces of this body,
+     * of two bodies with their own the less bouncy one counts
+     * @type {number | undefined}
+     */
+    this.restitution = undefined;
+  }
+
+  /**
+   * @param {number} dt
+   * @param {import("./integrators.js").Acceleration} acceleration
+   * @param {import("./integrators.js").Integrator} integrator - used when the body has none of its own
+   */
+  simulate(dt, acceleration, integrator = symplecticEuler) {
+    (this.integrator ?? integrator).step(this, dt, acceleration);
+  }
+
+  // static bodies have an infinite mass, nothing moves them
+  get isStatic() {
+    return this.mass === Infinity;
+  }
+
+  /**
+   * @param {number} alpha - 0 is the previous state, 1 is the current one
+   * @param {Vector2} out
+   */
+  interpolatePos(alpha, out = new Vector2()) {
+    out.x = this.prevPos.x + (this.pos.x - this.prevPos.x) * alpha;
+    out.y = this.prevPos.y + (this.pos.y - this.prevPos.y) * alpha;
+
+    return out;
+  }
+
+  // independent copy of the same class, vectors included
+  clone() {
+    const copy = Object.assign(
+      Object.create(Object.getPrototypeOf(this)),
+      this,
+    );
+    for (const [key, value] of Object.entries(copy)) {
+      if (value instanceof Vector2) copy[key] = value.clone();
+    }
+
+    return copy;
+  }
+
+  /**
+   * Adds to the force accumulator, force generators call this.
+   * @param {Vector2} force
+   */
+  addForce(force) {
+    this.force.add(force);
+  }
+
+  clearForce() {
+    this.force.x = 0;
+    this.force.y = 0;
+  }
+
+  applyForce(force, dt) {
+    this.vel.add(force, dt / this.mass);
+  }
+}
+
+// 球的類別，繼承自 Body
+export class Ball extends Body {
+  /**
+   * @param {number} radius
+   * @param {number} mass
+   * @param {Vector2} pos
+   * @param {Vector2} vel
+   */
+  constructor(radius, mass, pos, vel) {
+    super(mass, pos, vel);
+    this.radius = radius;
+    this.color = "#FF0000";
+    // angular velocity about the horizontal axes of a table seen from above,
+    // the ball rolls when vel = (R spin.y, -R spin.x), see physics/friction.js
+    this.spin = new Vector2();
+    // angular velocity about the vertical axis, side spin
+    this.angularVel = 0.0;
+  }
+}
@@ -0,0 +1,102 @@
+// 碰撞偵測的粗略階段 (broad phase)
+// Picks the pairs of balls that might touch, the narrow phase
+// (handleBallsCollision) then decides whether they really do.
+
+// 兩兩檢查，O(n²)
+export class BruteForceBroadPhase {
+  name = "brute force";
+
+  /**
+   * @param {import("./body.js").Ball[]} bodies
+   * @returns {[import("./body.js").Ball, import("./body.js").Ball][]}
+   */
+  getPairs(bodies) {
+    const pairs = [];
+
+    for (let i = 0; i < bodies.length; i++) {
+      for (let j = i + 1; j < bodies.length; j++) {
+        pairs.push([bodies[i], bodies[j]]);
+      }
+    }
+
+    return pairs;
+  }
+}
+
+// Neighbouring cells checked from every cell. Only half of the eight
+// neighbours are needed, the other half checks us back.
+const FORWARD_NEIGHBOURS = [
+  [1, 0],
+  [-1, 1],
+  [0, 1],
+  [1, 1],
+];
+
+// 均勻網格的空間雜湊，每顆球依球心放進一個格子
+export class SpatialHashBroadPhase {
+  name = "spatial hash";
+
+  /**
+   * @param {number | undefined} cellSize - defaults to the largest diameter,
+   * so touching balls are always in the same or neighbouring cells
+   */
+  constructor(cellSize = undefined) {
+    this.cellSize = cellSize;
+  }
+
+  getCellSize(bodies) {
+    if (this.cellSize !== undefined) return this.cellSize;
+
+    const maxRadius = bodies.reduce(
+      (max, body) => Math.max(max, body.radius),
+      0,
+    );
+
+    return maxRadius > 0 ? 2 * maxRadius : 1;
+  }
+
+  /**
+   * @param {import("./body.js").Ball[]} bodies
+   * @returns {[import("./body.js").Ball, import("./body.js").Ball][]}
+   */
+  getPairs(bodies) {
+    const cellSize = this.getCellSize(bodies);
+
+    /** @type {Map<string, {ix: number, iy: number, items: import("./body.js").Ball[]}>} */
+    const grid = new Map();
+
+    bodies.forEach((body) => {
+      const ix = Math.floor(body.pos.x / cellSize);
+      const iy = Math.floor(body.pos.y / cellSize);
+      const key = `${ix},${iy}`;
+
+      if (!grid.has(key)) {
+        grid.set(key, { ix, iy, items: [] });
+      }
+      grid.get(key).items.push(body);
+    });
+
+    const pairs = [];
+
+    for (const { ix, iy, items } of grid.values()) {
+      for (let i = 0; i < items.length; i++) {
+        for (let j = i + 1; j < items.length; j++) {
+          pairs.push([items[i], items[j]]);
+        }
+      }
+
+      for (const [dx, dy] of FORWARD_NEIGHBOURS) {
+        const other = grid.get(`${ix + dx},${iy + dy}`);
+        if (!other) continue;
+
+        for (const a of items) {
+          for (const b of other.items) {
+            pairs.push([a, b]);
+          }
+        }
+      }
+    }
+
+    return pairs;
+  }
+}
@@ -0,0 +1,387 @@
+import { Vector2 } from "./vector.js";
+import { ALL_WALLS, exchangeMomentum } from "./collision.js";
+import { applyCushionFriction } from "./friction.js";
+import { RigidBody } from "./rigid-body.js";
+import { Polygon } from "./obstacles.js";
+
+// 連續碰撞偵測 (continuous collision detection)
+//
+// A fast ball can move further than its own diameter in a single step and
+// skip over a wall or another ball. Instead of only testing the end positions
+// we sweep every ball along its motion of the step, find the earliest time of
+// impact, move everything up to that moment, bounce, and continue with the
+// rest of the step. The obstacles are swept against too, a thin segment is
+// the easiest thing to skip over.
+//
+// Only balls are swept, rigid bodies are left to the discrete pass.
+
+// the walls on the low and the high side of each axis
+const WALLS = { x: ["left", "right"], y: ["bottom", "top"] };
+
+// events closer than this are resolved together
+const TIME_EPSILON = 1e-12;
+
+/**
+ * Earliest time in [0, maxTime] at which two moving circles touch.
+ * @param {Vector2} p1
+ * @param {Vector2} v1
+ * @param {Vector2} p2
+ * @param {Vector2} v2
+ * @param {number} radiusSum
+ * @param {number} maxTime
+ * @returns {number} Infinity when they don't touch in time
+ */
+export function ballsTimeOfImpact(p1, v1, p2, v2, radiusSum, maxTime) {
+  const dp = Vector2.subtract(p2, p1);
+  const dv = Vector2.subtract(v2, v1);
+
+  // |dp + dv t|² = radiusSum², written with a half b
+  const b = dp.dot(dv);
+
+  // moving apart (or not moving at all)
+  if (b >= 0) return Infinity;
+
+  const a = dv.dot(dv);
+  const c = dp.dot(dp) - radiusSum * radiusSum;
+
+  // already touching and still approaching
+  if (c <= 0) return 0;
+
+  const discriminant = b * b - a * c;
+  if (discriminant < 0) return Infinity;
+
+  const t = (-b - Math.sqrt(discriminant)) / a;
+
+  return t <= maxTime ? t : Infinity;
+}
+
+/**
+ * Earliest time in [0, maxTime] at which a moving circle touches one of
+ * the four walls of the box spanned by (0, 0) and worldSize.
+ * @param {Vector2} pos
+ * @param {Vector2} vel
+ * @param {number} radius
+ * @param {{x: number, y: number}} worldSize
+ * @param {number} maxTime
+ * @param {import("./collision.js").Walls} walls
+ * @returns {{t: number, axis: "x" | "y", side: number} | undefined}
+ * side is -1 for the left wall / ground, 1 for the right wall / ceiling
+ */
+export function wallTimeOfImpact(
+  pos,
+  vel,
+  radius,
+  worldSize,
+  maxTime,
+  walls = ALL_WALLS,
+) {
+  let event;
+
+  for (const axis of ["x", "y"]) {
+    if (vel[axis] === 0) continue;
+
+    const hasLowWall = axis === "x" ? walls.left : walls.bottom;
+    const hasHighWall = axis === "x" ? walls.right : walls.top;
+    if (!(vel[axis] < 0 ? hasLowWall : hasHighWall)) continue;
+
+    const bound = vel[axis] < 0 ? radius : worldSize[axis] - radius;
+    const t = Math.max((bound - pos[axis]) / vel[axis], 0);
+
+    if (t <= maxTime && (!event || t < event.t)) {
+      event = { t, axis, side: Math.sign(vel[axis]) };
+    }
+  }
+
+  return event;
+}
+
+/**
+ * Earliest time in [0, maxTime] at which a moving circle touches an
+ * obstacle, on an edge or on a corner. A polygon is only hit from outside,
+ * a ball that is already inside is left to the discrete pass.
+ * @param {Vector2} pos
+ * @param {Vector2} vel
+ * @param {number} radius
+ * @param {import("./obstacles.js").Segment | Polygon} obstacle
+ * @param {number} maxTime
+ * @returns {{t: number, normal: Vector2} | undefined} normal points out of
+ * the obstacle towards the ball
+ */
+export function obstacleTimeOfImpact(pos, vel, radius, obstacle, maxTime) {
+  let event;
+  const consider = (t, normal) => {
+    if (t <= maxTime && (!event || t < event.t)) event = { t, normal };
+  };
+
+  for (const [a, b] of obstacle.edges) {
+    const edge = Vector2.subtract(b, a);
+    const length = edge.length();
+    if (length === 0) continue;
+
+    // right of the edge is outside of a counterclockwise polygon
+    const normal = new Vector2(edge.y / length, -edge.x / length);
+    let distance = Vector2.subtract(pos, a).dot(normal);
+    if (distance < 0) {
+      if (obstacle instanceof Polygon) continue;
+      // a segment is hit from the side the ball is on
+      normal.scale(-1);
+      distance = -distance;
+    }
+
+    const speed = vel.dot(normal);
+    if (speed < 0) {
+      const t = Math.max((distance - radius) / -speed, 0);
+      const along =
+        Vector2.subtract(pos, a).add(vel, t).dot(edge) / (length * length);
+      if (along >= 0 && along <= 1) consider(t, normal);
+    }
+
+    // the corners, as circles of no size
+    for (const corner of [a, b]) {
+      const t = ballsTimeOfImpact(
+        pos,
+        vel,
+        corner,
+        new Vector2(),
+        radius,
+        maxTime,
+      );
+      if (t !== Infinity) {
+        const at = pos.clone().add(vel, t);
+        consider(t, Vector2.subtract(at, corner).normalize());
+      }
+    }
+  }
+
+  return event;
+}
+
+/**
+ * Moves every body from prevPos along its displacement of the step,
+ * bouncing at the exact time of impact.
+ * The bodies must already be integrated: pos is where they would end up
+ * without collisions, prevPos where they started.
+ * @param {import("./world.js").World} world
+ * @param {number} dt
+ * @param {number} maxSubsteps - events resolved per step before giving up
+ * and leaving the rest to the discrete pass
+ */
+export function sweepBodies(world, dt, maxSubsteps) {
+  const bodies = world.bodies.filter((body) => !(body instanceof RigidBody));
+
+  // the velocity used to move during the step, it includes whatever the
+  // integrator did beyond pos += vel * dt
+  const sweeps = bodies.map((body) =>
+    Vector2.subtract(body.pos, body.prevPos).scale(1 / dt),
+  );
+  bodies.forEach((body) => body.pos.set(body.prevPos));
+
+  const bounds = world.obstacles.map(getBounds);
+  let remaining = dt;
+
+  for (let i = 0; i < maxSubsteps && remaining > 0; i++) {
+    const events = findEvents(world, bodies, sweeps, remaining, bounds);
+    if (events.length === 0) break;
+
+    const t = events[0].t;
+    bodies.forEach((body, k) => body.pos.add(sweeps[k], t));
+    remaining -= t;
+
+    events
+      .filter((event) => event.t - t <= TIME_EPSILON)
+      .forEach((event) => resolveEvent(world, bodies, sweeps, event));
+  }
+
+  bodies.forEach((body, k) => body.pos.add(sweeps[k], remaining));
+}
+
+// every impact within maxTime, earliest first
+function findEvents(world, bodies, sweeps, maxTime, bounds) {
+  const events = [];
+
+  // the broad phase only reads pos and radius, give it circles
+  // covering the whole sweep of every body
+  const proxies = bodies.map((body, k) => ({
+    index: k,
+    pos: body.pos.clone().add(sweeps[k], maxTime / 2),
+    radius: body.radius + (sweeps[k].length() * maxTime) / 2,
+  }));
+
+  const pairs = world.broadPhase.getPairs(proxies);
+  world.pairTests += pairs.length;
+
+  for (const [a, b] of pairs) {
+    const t = ballsTimeOfImpact(
+      bodies[a.index].pos,
+      sweeps[a.index],
+      bodies[b.index].pos,
+      sweeps[b.index],
+      bodies[a.index].radius + bodies[b.index].radius,
+      maxTime,
+    );
+
+    if (t !== Infinity) {
+      events.push({ t, i: a.index, j: b.index });
+    }
+  }
+
+  bodies.forEach((body, k) => {
+    const event = wallTimeOfImpact(
+      body.pos,
+      sweeps[k],
+      body.radius,
+      world.size,
+      maxTime,
+      world.walls,
+    );
+
+    if (event) {
+      events.push({ ...event, i: k });
+    }
+
+    world.obstacles.forEach((obstacle, o) => {
+      if (!isWithinReach(proxies[k], bounds[o])) return;
+
+      const hit = obstacleTimeOfImpact(
+        body.pos,
+        sweeps[k],
+        body.radius,
+        obstacle,
+        maxTime,
+      );
+
+      if (hit) {
+        events.push({ ...hit, i: k, obstacle });
+      }
+    });
+  });
+
+  return events.sort((e1, e2) => e1.t - e2.t);
+}
+
+/**
+ * @param {import("./obstacles.js").Segment | Polygon} obstacle
+ * @returns {{minX: number, minY: number, maxX: number, maxY: number}}
+ */
+function getBounds({ points }) {
+  const xs = points.map((point) => point.x);
+  const ys = points.map((point) => point.y);
+
+  return {
+    minX: Math.min(...xs),
+    minY: Math.min(...ys),
+    maxX: Math.max(...xs),
+    maxY: Math.max(...ys),
+  };
+}
+
+// whether a circle overlaps the bounding box of an obstacle, most of the
+// obstacles are nowhere near a ball
+function isWithinReach({ pos, radius }, { minX, minY, maxX, maxY }) {
+  const dx = Math.max(minX - pos.x, 0, pos.x - maxX);
+  const dy = Math.max(minY - pos.y, 0, pos.y - maxY);
+
+  return dx * dx + dy * dy <= radius * radius;
+}
+
+function resolveEvent(world, bodies, sweeps, event) {
+  const body1 = bodies[event.i];
+
+  if (event.obstacle) {
+    const { normal } = event;
+    const speed = body1.vel.dot(normal);
+
+    // an earlier event of the same instant may already have turned it around
+    if (sweeps[event.i].dot(normal) >= 0) return;
+
+    world.emitSurfaceContact({
+      body: body1,
+      obstacle: event.obstacle,
+      point: body1.pos.clone().add(normal, -body1.radius),
+      normal: normal.clone().scale(-1),
+    });
+
+    const restitution =
+      event.obstacle.restitution ?? world.getWallRestitution(body1);
+    body1.vel.add(normal, -(1 + restitution) * speed);
+    sweeps[event.i].add(
+      normal,
+      -(1 + restitution) * sweeps[event.i].dot(normal),
+    );
+
+    if (world.wallFriction > 0 && body1.angularVel !== undefined) {
+      const change = applyCushionFriction(
+        body1,
+        normal,
+        (1 + restitution) * speed,
+        world.wallFriction,
+      );
+      sweeps[event.i].add(change);
+    }
+    return;
+  }
+
+  if (event.axis) {
+    const { axis } = event;
+
+    // an earlier event of the same instant may already have turned it around
+    if (Math.sign(sweeps[event.i][axis]) !== event.side) return;
+
+    const normal = new Vector2();
+    normal[axis] = event.side;
+    world.emitSurfaceContact({
+      body: body1,
+      wall: WALLS[axis][event.side > 0 ? 1 : 0],
+      point: body1.pos.clone().add(normal, body1.radius),
+      normal,
+    });
+
+    const speed = body1.vel[axis];
+    const restitution = world.getWallRestitution(body1);
+    body1.vel[axis] = -speed * restitution;
+    sweeps[event.i][axis] = -sweeps[event.i][axis] * restitution;
+
+    if (world.wallFriction > 0 && body1.angularVel !== undefined) {
+      // from the wall into the world
+      const change = applyCushionFriction(
+        body1,
+        normal.clone().scale(-1),
+        speed * (1 + restitution),
+        world.wallFriction,
+      );
+      sweeps[event.i].add(change);
+    }
+    return;
+  }
+
+  const body2 = bodies[event.j];
+  const dir = Vector2.subtract(body2.pos, body1.pos).normalize();
+
+  // an earlier event of the same instant may already have separated them
+  if (Vector2.subtract(sweeps[event.j], sweeps[event.i]).dot(dir) >= 0) return;
+
+  const restitution = world.getRestitution(body1, body2);
+  exchangeMomentum(
+    body1.vel,
+    body2.vel,
+    body1.mass,
+    body2.mass,
+    dir,
+    restitution,
+  );
+  exchangeMomentum(
+    sweeps[event.i],
+    sweeps[event.j],
+    body1.mass,
+    body2.mass,
+    dir,
+    restitution,
+  );
+
+  world.emitContact({
+    body1,
+    body2,
+    point: body1.pos.clone().add(dir, body1.radius),
+    normal: dir,
+  });
+}
@@ -0,0 +1,165 @@
+import { Vector2 } from "./vector.js";
+import { applyCushionFriction } from "./friction.js";
+
+/**
+ * Resolves an overlap between two balls and exchanges momentum along
+ * the line joining their centers.
+ * @param {import("./body.js").Ball} ball1
+ * @param {import("./body.js").Ball} ball2
+ * @param {number} restitution - 1.0 is perfectly elastic
+ * @returns {Contact | undefined} undefined when the balls don't touch, or
+ * when both are static and neither can move
+ */
+export function handleBallsCollision(ball1, ball2, restitution) {
+  if (ball1.isStatic && ball2.isStatic) return;
+
+  // Calculate direction vector between the two balls
+  const dir = new Vector2();
+  dir.subtractVectors(ball2.pos, ball1.pos);
+
+  // Calculate the distance between ball centers
+  const d = dir.length();
+
+  // If distance is 0 or greater than the sum of radii, no collision
+  if (d === 0 || d > ball1.radius + ball2.radius) return;
+
+  // Normalize the direction vector (make it unit length)
+  dir.scale(1.0 / d);
+
+  // Calculate the overlap distance that needs to be corrected
+  // (sum of radii minus actual distance, divided by 2 for each ball,
+  // a static ball doesn't move and leaves all of it to the other one)
+  // 對分交疊的距離
+  const overlap = ball1.radius + ball2.radius - d;
+  const share1 = ball1.isStatic ? 0 : ball2.isStatic ? 1 : 0.5;
+
+  // Move balls apart to resolve overlap
+  // ball1 moves in opposite direction
+  // ball2 moves in same direction
+  // 根據方向分配距離向量
+  ball1.pos.add(dir, -overlap * share1);
+  ball2.pos.add(dir, overlap * (1 - share1));
+
+  exchangeMomentum(
+    ball1.vel,
+    ball2.vel,
+    ball1.mass,
+    ball2.mass,
+    dir,
+    restitution,
+  );
+
+  return { point: ball1.pos.clone().add(dir, ball1.radius), normal: dir };
+}
+
+/**
+ * @typedef {object} Contact
+ * @property {Vector2} point - where the two balls touch
+ * @property {Vector2} normal - unit vector from the first to the second ball
+ */
+
+/**
+ * Changes two velocities along dir the way a collision of the two masses does,
+ * the components perpendicular to dir are left untouched.
+ * @param {Vector2} vel1
+ * @param {Vector2} vel2
+ * @param {number} m1 - Infinity for a static body
+ * @param {number} m2
+ * @param {Vector2} dir - unit vector pointing from the first to the second body
+ * @param {number} restitution - 1.0 is perfectly elastic
+ */
+export function exchangeMomentum(vel1, vel2, m1, m2, dir, restitution) {
+  // Calculate velocities along the collision direction
+  // 速度分量
+  const v1 = vel1.dot(dir);
+  const v2 = vel2.dot(dir);
+
+  // Calculate new velocities using conservation of momentum
+  // and coefficient of restitution (energy loss in collision),
+  // written with inverse masses so an infinite mass simply doesn't move
+  const w1 = 1 / m1;
+  const w2 = 1 / m2;
+  if (w1 + w2 === 0) return;
+
+  const change = ((1 + restitution) * (v1 - v2)) / (w1 + w2);
+  const newV1 = v1 - change * w1;
+  const newV2 = v2 + change * w2;
+
+  // Update velocities with new values
+  vel1.add(dir, newV1 - v1);
+  vel2.add(dir, newV2 - v2);
+}
+
+/**
+ * @typedef {{left: boolean, right: boolean, bottom: boolean, top: boolean}} Walls
+ */
+export const ALL_WALLS = Object.freeze({
+  left: true,
+  right: true,
+  bottom: true,
+  top: true,
+});
+
+/**
+ * Keeps a ball inside the box spanned by (0, 0) and worldSize.
+ * The bounds are offset by the radius so the ball's edge touches the wall.
+ * We simply reverse (and damp) the velocity at the boundary, which doesn't
+ * perfectly conserve energy once gravity is involved.
+ * @param {import("./body.js").Ball} ball
+ * @param {{x: number, y: number}} worldSize
+ * @param {number} restitution - 1.0 is perfectly elastic
+ * @param {Walls} walls - which of the four walls exist
+ * @param {number} friction - grip of a side spinning ball on the wall,
+ * see applyCushionFriction
+ * @returns {(Contact & {wall: keyof Walls})[]} the walls the ball hit, the
+ * normal points from the ball into the wall
+ */
+export function handleWallCollision(
+  ball,
+  worldSize,
+  restitution = 1.0,
+  walls = ALL_WALLS,
+  friction = 0.0,
+) {
+  const hits = [];
+  const bounce = (wall, axis, normal) => {
+    hits.push({
+      wall,
+      point: ball.pos.clone().add(normal, -ball.radius),
+      normal: new Vector2().subtract(normal),
+    });
+
+    const speed = ball.vel[axis];
+    ball.vel[axis] = -speed * restitution;
+
+    if (friction > 0 && ball.angularVel !== undefined) {
+      applyCushionFriction(ball, normal, speed * (1 + restitution), friction);
+    }
+  };
+
+  // left-side wall
+  if (walls.left && ball.pos.x < ball.radius) {
+    ball.pos.x = ball.radius;
+    bounce("left", "x", { x: 1, y: 0 });
+  }
+
+  // right-side wall
+  if (walls.right && ball.pos.x > worldSize.x - ball.radius) {
+    ball.pos.x = worldSize.x - ball.radius;
+    bounce("right", "x", { x: -1, y: 0 });
+  }
+
+  // ground
+  if (walls.bottom && ball.pos.y < ball.radius) {
+    ball.pos.y = ball.radius;
+    bounce("bottom", "y", { x: 0, y: 1 });
+  }
+
+  // ceiling
+  if (walls.top && ball.pos.y > worldSize.y - ball.radius) {
+    ball.pos.y = worldSize.y - ball.radius;
+    bounce("top", "y", { x: 0, y: -1 });
+  }
+
+  return hits;
+}
@@ -0,0 +1,215 @@
+import { Vector2 } from "./vector.js";
+import { Body } from "./body.js";
+
+// 彈簧、剛性連桿與固定支點
+//
+// Each of them connects a body with either another body or a fixed point of
+// the world.
+//
+// A spring is a force, Hooke's law with damping, and goes in world.forces
+// next to drag. Rods and pivots are constraints in world.constraints: once
+// the bodies moved, their positions are pulled back to the right distance
+// and the part of the velocity along the rod is removed, a few times over
+// so chains of them settle.
+//
+// Reference:
+// Position Based Dynamics, Müller et al. 2007
+
+/**
+ * A body, or a point of the world that never moves.
+ * @typedef {Body | Vector2} End
+ */
+
+const ZERO = new Vector2();
+
+function getPos(end) {
+  return end instanceof Body ? end.pos : end;
+}
+
+function getVel(end) {
+  return end instanceof Body ? end.vel : ZERO;
+}
+
+function getInverseMass(end) {
+  return end instanceof Body && !end.isStatic ? 1 / end.mass : 0;
+}
+
+/**
+ * The same end in a cloned world, see World.clone.
+ * @param {End} end
+ * @param {Map<Body, Body>} copies - original body to its copy
+ */
+function getCopy(end, copies) {
+  return end instanceof Body ? (copies.get(end) ?? end) : end.clone();
+}
+
+// 彈簧，F = -k (|d| - L) - c v，c 是阻尼
+export class Spring {
+  name = "Spring";
+
+  /**
+   * @param {Body} body1
+   * @param {End} end2
+   * @param {object} options
+   * @param {number} options.stiffness - k, force per unit of stretch
+   * @param {number} options.damping - force per unit of speed along the spring
+   * @param {number} options.restLength - defaults to the distance right now
+   */
+  constructor(
+    body1,
+    end2,
+    {
+      stiffness = 100,
+      damping = 0,
+      restLength = Vector2.subtract(getPos(end2), body1.pos).length(),
+    } = {},
+  ) {
+    this.body1 = body1;
+    this.end2 = end2;
+    this.stiffness = stiffness;
+    this.damping = damping;
+    this.restLength = restLength;
+    // state of both ends at the start of the step
+    this.start1 = { pos: new Vector2(), vel: new Vector2() };
+    this.start2 = { pos: new Vector2(), vel: new Vector2() };
+  }
+
+  // The bodies are moved one after the other, without this the second end
+  // would already see where the first one went and the spring would pull
+  // harder one way than the other, gaining energy.
+  beforeStep() {
+    this.start1.pos.set(getPos(this.body1));
+    this.start1.vel.set(getVel(this.body1));
+    this.start2.pos.set(getPos(this.end2));
+    this.start2.vel.set(getVel(this.end2));
+  }
+
+  /**
+   * Pulls whichever end the body is, towards where the other one was at the
+   * start of the step.
+   * @param {Body} body
+   * @param {Vector2} pos - of the body, may be an intermediate state
+   * @param {Vector2} vel
+   */
+  apply(body, pos, vel) {
+    if (body !== this.body1 && body !== this.end2) return;
+
+    const other = body === this.body1 ? this.start2 : this.start1;
+    const d = Vector2.subtract(other.pos, pos);
+    const length = d.length();
+    if (length === 0) return;
+
+    const n = d.scale(1 / length);
+    const stretch = length - this.restLength;
+    // how fast the ends move apart
+    const separating = Vector2.subtract(other.vel, vel).dot(n);
+
+    body.addForce(
+      n.scale(this.stiffness * stretch + this.damping * separating),
+    );
+  }
+
+  // energy stored in the stretch, ½ k x²
+  getPotentialEnergy() {
+    const length = Vector2.subtract(getPos(this.end2), this.body1.pos).length();
+    const stretch = length - this.restLength;
+
+    return 0.5 * this.stiffness * stretch * stretch;
+  }
+
+  /**
+   * @param {Map<Body, Body>} copies
+   * @returns {Spring} connecting the copies instead
+   */
+  cloneFor(copies) {
+    return new Spring(getCopy(this.body1, copies), getCopy(this.end2, copies), {
+      stiffness: this.stiffness,
+      damping: this.damping,
+      restLength: this.restLength,
+    });
+  }
+}
+
+// 剛性連桿，兩端的距離固定
+export class DistanceConstraint {
+  /**
+   * @param {Body} body1
+   * @param {End} end2
+   * @param {number} length - defaults to the distance right now
+   */
+  constructor(
+    body1,
+    end2,
+    length = Vector2.subtract(getPos(end2), body1.pos).length(),
+  ) {
+    this.body1 = body1;
+    this.end2 = end2;
+    this.length = length;
+  }
+
+  /**
+   * @returns {Body[]} the bodies it moves
+   */
+  get bodies() {
+    return this.end2 instanceof Body ? [this.body1, this.end2] : [this.body1];
+  }
+
+  // moves both ends along the rod, each by the share of its inverse mass
+  solve() {
+    const w1 = getInverseMass(this.body1);
+    const w2 = getInverseMass(this.end2);
+    if (w1 + w2 === 0) return;
+
+    const d = Vector2.subtract(getPos(this.end2), this.body1.pos);
+    const length = d.length();
+    if (length === 0) return;
+
+    const n = d.scale(1 / length);
+    const error = (length - this.length) / (w1 + w2);
+    // relative velocity along the rod, a rigid rod has none
+    const separating = Vector2.subtract(getVel(this.end2), this.body1.vel).dot(
+      n,
+    );
+    const impulse = separating / (w1 + w2);
+
+    this.body1.pos.add(n, error * w1);
+    this.body1.vel.add(n, impulse * w1);
+    if (w2 > 0) {
+      this.end2.pos.add(n, -error * w2);
+      this.end2.vel.add(n, -impulse * w2);
+    }
+  }
+
+  /**
+   * @param {Map<Body, Body>} copies
+   * @returns {DistanceConstraint} connecting the copies instead
+   */
+  cloneFor(copies) {
+    const copy = Object.create(Object.getPrototypeOf(this));
+
+    return Object.assign(copy, this, {
+      body1: getCopy(this.body1, copies),
+      end2: getCopy(this.end2, copies),
+    });
+  }
+}
+
+// 固定支點：球繞著世界中的一個固定點擺動，例如單擺
+export class Pivot extends DistanceConstraint {
+  /**
+   * @param {Body} body
+   * @param {Vector2} point - in world space
+   * @param {number} length - defaults to the distance right now, 0 pins the body
+   */
+  constructor(
+    body,
+    point,
+    length = Vector2.subtract(point, body.pos).length(),
+  ) {
+    super(body, point.clone(), length);
+  }
+
+  get point() {
+    return this.end2;
+  }
+}
@@ -0,0 +1,512 @@
+import { Vector2 } from "./vector.js";
+import { RigidBody } from "./rigid-body.js";
+import { closestPointOnSegment } from "./obstacles.js";
+
+// 剛體的碰撞：分離軸定理 (SAT) 與衝量
+//
+// Two convex shapes don't touch as long as some axis separates them, and
+// for polygons it is enough to try the normals of their edges. When none
+// does, the axis with the least overlap is the normal of the contact and
+// the edge of the other shape is clipped against it to find up to two
+// contact points.
+//
+// All contacts of a step are then resolved together with impulses, a few
+// times over so stacks settle: along the normal to stop the bodies (and
+// bounce them), along the surface to let them slide no more than Coulomb
+// friction allows. Overlap left over is pushed apart at the end.
+//
+// Reference:
+// Erin Catto, Box2D Lite (GDC 2006)
+// https://box2d.org/publications/
+
+// overlap left alone so resting contacts don't jitter
+const SLOP = 0.002;
+// share of the remaining overlap pushed apart by every pass
+const CORRECTION = 0.4;
+// slower impacts don't bounce, a resting box would never settle otherwise
+const BOUNCE_SPEED = 0.5;
+
+/**
+ * A shape placed in the world.
+ * @typedef {{type: "circle", center: Vector2, radius: number} | {type: "polygon", points: Vector2[]}} WorldShape
+ * points counterclockwise, two points are a segment
+ */
+
+/**
+ * @typedef {object} ContactPoint
+ * @property {Vector2} point
+ * @property {number} depth - how far the shapes overlap there
+ */
+
+/**
+ * @typedef {object} Manifold
+ * @property {import("./body.js").Body} body1
+ * @property {import("./body.js").Body | undefined} body2 - undefined for
+ * walls and obstacles
+ * @property {Vector2} normal - unit vector from the first to the second shape
+ * @property {ContactPoint[]} points
+ * @property {number} restitution
+ */
+
+/**
+ * @param {import("./body.js").Ball | RigidBody} body
+ * @returns {WorldShape}
+ */
+export function getWorldShape(body) {
+  if (body instanceof RigidBody && body.shape.type === "polygon") {
+    return { type: "polygon", points: body.getVertices() };
+  }
+
+  return { type: "circle", center: body.pos, radius: body.radius };
+}
+
+function getNormal(a, b) {
+  const edge = Vector2.subtract(b, a).normalize();
+
+  // right of the edge is outside of a counterclockwise polygon
+  return new Vector2(edge.y, -edge.x);
+}
+
+/**
+ * The edge of a whose outward normal separates b the most.
+ * @param {Vector2[]} a
+ * @param {Vector2[]} b
+ * @returns {{separation: number, index: number}} separation > 0 means
+ * a gap along that normal
+ */
+function findMaxSeparation(a, b) {
+  let best = { separation: -Infinity, index: 0 };
+
+  a.forEach((v, i) => {
+    const normal = getNormal(v, a[(i + 1) % a.length]);
+    const separation = Math.min(
+      ...b.map((p) => Vector2.subtract(p, v).dot(normal)),
+    );
+    if (separation > best.separation) best = { separation, index: i };
+  });
+
+  return best;
+}
+
+/**
+ * Keeps the part of a segment behind the plane normal·p = offset.
+ * @param {Vector2[]} points - two ends
+ * @param {Vector2} normal
+ * @param {number} offset
+ * @returns {Vector2[]}
+ */
+function clip(points, normal, offset) {
+  const [p1, p2] = points;
+  const d1 = normal.dot(p1) - offset;
+  const d2 = normal.dot(p2) - offset;
+  const kept = [];
+
+  if (d1 <= 0) kept.push(p1);
+  if (d2 <= 0) kept.push(p2);
+  if (d1 * d2 < 0) {
+    kept.push(p1.clone().add(Vector2.subtract(p2, p1), d1 / (d1 - d2)));
+  }
+
+  return kept;
+}
+
+/**
+ * @param {Vector2[]} a
+ * @param {Vector2[]} b
+ * @returns {{normal: Vector2, points: ContactPoint[]} | undefined}
+ */
+function collidePolygons(a, b) {
+  const separationA = findMaxSeparation(a, b);
+  if (separationA.separation > 0) return;
+  const separationB = findMaxSeparation(b, a);
+  if (separationB.separation > 0) return;
+
+  // a little in favour of a, so the reference edge doesn't flip back and
+  // forth between two almost equal ones
+  const flip = separationB.separation > separationA.separation + 1e-6;
+  const [reference, incident, { index }] = flip
+    ? [b, a, separationB]
+    : [a, b, separationA];
+
+  const v1 = reference[index];
+  const v2 = reference[(index + 1) % reference.length];
+  const normal = getNormal(v1, v2);
+
+  // the edge of the other polygon facing the reference edge the most
+  let k = 0;
+  let facing = Infinity;
+  incident.forEach((p, i) => {
+    const dot = getNormal(p, incident[(i + 1) % incident.length]).dot(normal);
+    if (dot < facing) {
+      facing = dot;
+      k = i;
+    }
+  });
+
+  // keep the part of it alongside the reference edge
+  const tangent = Vector2.subtract(v2, v1).normalize();
+  let edge = [incident[k], incident[(k + 1) % incident.length]];
+  edge = clip(edge, tangent.clone().scale(-1), -tangent.dot(v1));
+  if (edge.length < 2) return;
+  edge = clip(edge, tangent, tangent.dot(v2));
+  if (edge.length < 2) return;
+
+  const points = edge
+    .map((point) => ({
+      point,
+      depth: -Vector2.subtract(point, v1).dot(normal),
+    }))
+    .filter(({ depth }) => depth >= 0);
+  if (points.length === 0) return;
+
+  return { normal: flip ? normal.scale(-1) : normal, points };
+}
+
+/**
+ * @param {Vector2[]} polygon
+ * @param {Vector2} center
+ * @param {number} radius
+ * @returns {{normal: Vector2, points: ContactPoint[]} | undefined} normal
+ * from the polygon to the circle
+ */
+function collidePolygonCircle(polygon, center, radius) {
+  const { separation, index } = findMaxSeparation(polygon, [center]);
+  if (separation > radius) return;
+
+  // the center is inside, push out through the nearest edge
+  if (separation <= 0) {
+    const normal = getNormal(
+      polygon[index],
+      polygon[(index + 1) % polygon.length],
+    );
+    return {
+      normal,
+      points: [
+        {
+          point: center.clone().add(normal, -radius),
+          depth: radius - separation,
+        },
+      ],
+    };
+  }
+
+  let nearest;
+  let distance = Infinity;
+  polygon.forEach((a, i) => {
+    const point = closestPointOnSegment(
+      center,
+      a,
+      polygon[(i + 1) % polygon.length],
+    );
+    const d = Vector2.subtract(center, point).length();
+    if (d < distance) {
+      distance = d;
+      nearest = point;
+    }
+  });
+  if (distance > radius || distance === 0) return;
+
+  return {
+    normal: Vector2.subtract(center, nearest).scale(1 / distance),
+    points: [{ point: nearest, depth: radius - distance }],
+  };
+}
+
+/**
+ * Narrow phase of two convex shapes.
+ * @param {WorldShape} a
+ * @param {WorldShape} b
+ * @returns {{normal: Vector2, points: ContactPoint[]} | undefined} normal
+ * from a to b, undefined when they don't touch
+ */
+export function collideShapes(a, b) {
+  if (a.type === "polygon" && b.type === "polygon") {
+    return collidePolygons(a.points, b.points);
+  }
+  if (a.type === "polygon") {
+    return collidePolygonCircle(a.points, b.center, b.radius);
+  }
+  if (b.type === "polygon") {
+    const contact = collidePolygonCircle(b.points, a.center, a.radius);
+    if (contact) contact.normal.scale(-1);
+    return contact;
+  }
+
+  const d = Vector2.subtract(b.center, a.center);
+  const distance = d.length();
+  if (distance === 0 || distance > a.radius + b.radius) return;
+
+  const normal = d.scale(1 / distance);
+
+  return {
+    normal,
+    points: [
+      {
+        point: a.center.clone().add(normal, a.radius),
+        depth: a.radius + b.radius - distance,
+      },
+    ],
+  };
+}
+
+/**
+ * Thick boxes just outside the walls of the world, deep enough that
+ * nothing goes through them within a step.
+ * @param {Vector2} size
+ * @param {import("./collision.js").Walls} walls
+ * @returns {(WorldShape & {side: keyof import("./collision.js").Walls})[]}
+ */
+export function getWallShapes(size, walls) {
+  const t = Math.max(size.x, size.y);
+  const box = (side, x0, y0, x1, y1) => ({
+    side,
+    type: "polygon",
+    points: [
+      new Vector2(x0, y0),
+      new Vector2(x1, y0),
+      new Vector2(x1, y1),
+      new Vector2(x0, y1),
+    ],
+  });
+
+  return [
+    walls.left && box("left", -t, -t, 0, size.y + t),
+    walls.right && box("right", size.x, -t, size.x + t, size.y + t),
+    walls.bottom && box("bottom", -t, -t, size.x + t, 0),
+    walls.top && box("top", -t, size.y, size.x + t, size.y + t),
+  ].filter(Boolean);
+}
+
+// balls don't turn on contact, their spin belongs to the table
+function getInverseInertia(body) {
+  return body instanceof RigidBody && !body.isStatic ? 1 / body.inertia : 0;
+}
+
+function getInverseMass(body) {
+  return body && !body.isStatic ? 1 / body.mass : 0;
+}
+
+// ω × r
+function getTurningVelocity(body, r) {
+  const angularVel = body instanceof RigidBody ? body.angularVel : 0;
+
+  return new Vector2(-angularVel * r.y, angularVel * r.x);
+}
+
+function cross(a, b) {
+  return a.x * b.y - a.y * b.x;
+}
+
+/**
+ * Resolves the contacts of a step with impulses.
+ *
+ * The bodies already moved with the velocities they had before the
+ * contacts, whatever an impulse changes of a velocity also changes the
+ * move of the step. Without this, a box resting on a slope would slide
+ * down a little every step, the way gravity pulled it before friction
+ * stopped it.
+ * @param {Manifold[]} manifolds
+ * @param {number} friction - Coulomb coefficient, the friction impulse is
+ * at most this times the normal one
+ * @param {number} dt - of the step
+ * @param {number} iterations
+ */
+export function resolveContacts(manifolds, friction, dt, iterations = 10) {
+  // where the bodies were when the contacts were found
+  const starts = new Map();
+  manifolds.forEach(({ body1, body2 }) =>
+    [body1, body2].forEach((body) => {
+      if (body && !starts.has(body)) starts.set(body, body.pos.clone());
+    }),
+  );
+  const groups = manifolds.map((manifold) => prepareContacts(manifold, dt));
+
+  for (let i = 0; i < iterations; i++) {
+    for (const contacts of groups) {
+      contacts.forEach((contact) => solveFriction(contact, friction));
+
+      if (contacts.length === 2 && solveBlock(contacts)) continue;
+      contacts.forEach((contact) => solveNormal(contact));
+    }
+  }
+
+  separateContacts(manifolds, starts, iterations);
+}
+
+/**
+ * @param {Manifold} manifold
+ * @param {number} dt
+ */
+function prepareContacts({ body1, body2, normal, points, restitution }, dt) {
+  const w1 = getInverseMass(body1);
+  const w2 = getInverseMass(body2);
+  const i1 = getInverseInertia(body1);
+  const i2 = body2 ? getInverseInertia(body2) : 0;
+  const tangent = new Vector2(-normal.y, normal.x);
+
+  return points.map(({ point }) => {
+    const r1 = Vector2.subtract(point, body1.pos);
+    const r2 = body2 ? Vector2.subtract(point, body2.pos) : new Vector2();
+    // impulse needed per unit change of the relative velocity along dir
+    const getMass = (dir) =>
+      1 / (w1 + w2 + i1 * cross(r1, dir) ** 2 + i2 * cross(r2, dir) ** 2);
+
+    const contact = {
+      body1,
+      body2,
+      normal,
+      tangent,
+      w1,
+      w2,
+      i1,
+      i2,
+      r1,
+      r2,
+      dt,
+      normalMass: getMass(normal),
+      tangentMass: getMass(tangent),
+      normalImpulse: 0,
+      tangentImpulse: 0,
+      bounce: 0,
+    };
+    const speed = getRelativeVelocity(contact).dot(normal);
+    if (speed < -BOUNCE_SPEED) contact.bounce = -restitution * speed;
+
+    return contact;
+  });
+}
+
+// the accumulated impulse may only push, never pull
+function solveNormal(contact) {
+  const speed = getRelativeVelocity(contact).dot(contact.normal);
+  const impulse = Math.max(
+    contact.normalImpulse + contact.normalMass * (contact.bounce - speed),
+    0,
+  );
+
+  applyImpulse(contact, contact.normal, impulse - contact.normalImpulse);
+  contact.normalImpulse = impulse;
+}
+
+// no more than the normal impulse allows, either way along the surface
+function solveFriction(contact, friction) {
+  const max = friction * contact.normalImpulse;
+  const speed = getRelativeVelocity(contact).dot(contact.tangent);
+  const impulse = Math.min(
+    Math.max(contact.tangentImpulse - contact.tangentMass * speed, -max),
+    max,
+  );
+
+  applyImpulse(contact, contact.tangent, impulse - contact.tangentImpulse);
+  contact.tangentImpulse = impulse;
+}
+
+/**
+ * Solves both points of an edge against each other at once. One after the
+ * other, the first point always takes more than its share and a box
+ * resting on its edge slowly starts turning.
+ * Reference: Box2D, b2ContactSolver::SolveVelocityConstraints
+ * @returns {boolean} false when the two are too alike to tell apart
+ */
+function solveBlock([c1, c2]) {
+  const { normal, w1, w2, i1, i2 } = c1;
+  const rn11 = cross(c1.r1, normal);
+  const rn12 = cross(c1.r2, normal);
+  const rn21 = cross(c2.r1, normal);
+  const rn22 = cross(c2.r2, normal);
+  const k11 = w1 + w2 + i1 * rn11 * rn11 + i2 * rn12 * rn12;
+  const k22 = w1 + w2 + i1 * rn21 * rn21 + i2 * rn22 * rn22;
+  const k12 = w1 + w2 + i1 * rn11 * rn21 + i2 * rn12 * rn22;
+  const determinant = k11 * k22 - k12 * k12;
+  if (determinant < 1e-3 * k11 * k22) return false;
+
+  const a1 = c1.normalImpulse;
+  const a2 = c2.normalImpulse;
+  // speeds along the normal with the accumulated impulses taken out
+  const b1 =
+    getRelativeVelocity(c1).dot(normal) - c1.bounce - (k11 * a1 + k12 * a2);
+  const b2 =
+    getRelativeVelocity(c2).dot(normal) - c2.bounce - (k12 * a1 + k22 * a2);
+
+  // both push, one of them, or neither: the first that keeps every
+  // impulse pushing and every point from closing in
+  const candidates = [
+    [(-k22 * b1 + k12 * b2) / determinant, (k12 * b1 - k11 * b2) / determinant],
+    [-b1 / k11, 0],
+    [0, -b2 / k22],
+    [0, 0],
+  ];
+  const [x1, x2] = candidates.find(
+    ([x1, x2]) =>
+      x1 >= 0 &&
+      x2 >= 0 &&
+      k11 * x1 + k12 * x2 + b1 >= -1e-9 &&
+      k12 * x1 + k22 * x2 + b2 >= -1e-9,
+  ) ?? [a1, a2];
+
+  applyImpulse(c1, normal, x1 - a1);
+  applyImpulse(c2, normal, x2 - a2);
+  c1.normalImpulse = x1;
+  c2.normalImpulse = x2;
+
+  return true;
+}
+
+// velocity of the second body relative to the first at the contact point
+function getRelativeVelocity({ body1, body2, r1, r2 }) {
+  const vel = body2
+    ? body2.vel.clone().add(getTurningVelocity(body2, r2))
+    : new Vector2();
+
+  return vel.subtract(body1.vel).subtract(getTurningVelocity(body1, r1));
+}
+
+// pushes the second body along dir and the first one back
+function applyImpulse(contact, dir, amount) {
+  const { body1, body2, w1, w2, i1, i2, r1, r2, dt } = contact;
+
+  pushBody(body1, dir, -amount * w1, -i1 * cross(r1, dir) * amount, dt);
+  if (body2) {
+    pushBody(body2, dir, amount * w2, i2 * cross(r2, dir) * amount, dt);
+  }
+}
+
+function pushBody(body, dir, speed, angularSpeed, dt) {
+  body.vel.add(dir, speed);
+  body.pos.add(dir, speed * dt);
+  if (angularSpeed !== 0) {
+    body.angularVel += angularSpeed;
+    body.angle += angularSpeed * dt;
+  }
+}
+
+/**
+ * Pushes apart whatever still overlaps after the impulses, each body by
+ * the share of its inverse mass. A body pushed out of one contact may be
+ * pushed into the next, so this goes over all of them a few times, each
+ * time with the overlap that is left.
+ * @param {Manifold[]} manifolds
+ * @param {Map<import("./body.js").Body, Vector2>} starts - positions of
+ * the bodies when the overlaps were measured
+ * @param {number} iterations
+ */
+function separateContacts(manifolds, starts, iterations) {
+  const getMoved = (body) =>
+    body ? Vector2.subtract(body.pos, starts.get(body)) : new Vector2();
+
+  for (let i = 0; i < iterations; i++) {
+    for (const { body1, body2, normal, points } of manifolds) {
+      const w1 = getInverseMass(body1);
+      const w2 = getInverseMass(body2);
+      if (w1 + w2 === 0) continue;
+
+      const depth =
+        Math.max(...points.map((p) => p.depth)) -
+        Vector2.subtract(getMoved(body2), getMoved(body1)).dot(normal);
+      const correction = (Math.max(depth - SLOP, 0) * CORRECTION) / (w1 + w2);
+
+      body1.pos.add(normal, -correction * w1);
+      if (body2) body2.pos.add(normal, correction * w2);
+    }
+  }
+}
@@ -0,0 +1,54 @@
+// 能量與動量的紀錄，每個 tick 取一次樣本
+export class Diagnostics {
+  /**
+   * @type {{time: number, kinetic: number, potential: number, total: number, momentum: {x: number, y: number}}[]}
+   */
+  samples = [];
+
+  /**
+   * @param {number} maxSamples - oldest samples are dropped beyond this
+   */
+  constructor(maxSamples = 600) {
+    this.maxSamples = maxSamples;
+  }
+
+  /**
+   * Records a sample after every step of the simulation.
+   * @param {import("./simulation.js").Simulation} simulation
+   */
+  attach(simulation) {
+    this.record(simulation);
+
+    return simulation.onStep((s) => this.record(s));
+  }
+
+  /**
+   * @param {import("./simulation.js").Simulation} simulation
+   */
+  record(simulation) {
+    const { world } = simulation;
+    const kinetic = world.getKineticEnergy();
+    const potential = world.getPotentialEnergy();
+    const momentum = world.getMomentum();
+
+    this.samples.push({
+      time: simulation.time,
+      kinetic,
+      potential,
+      total: kinetic + potential,
+      momentum: { x: momentum.x, y: momentum.y },
+    });
+
+    if (this.samples.length > this.maxSamples) {
+      this.samples.shift();
+    }
+  }
+
+  get latest() {
+    return this.samples[this.samples.length - 1];
+  }
+
+  clear() {
+    this.samples = [];
+  }
+}
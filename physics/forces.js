@@ -0,0 +1,119 @@
+import { Vector2 } from "./vector.js";
+
+// 空氣阻力與風
+//
+// Force generators add their force to the accumulator of a body, see
+// World.getAcceleration. They are evaluated at every stage of the
+// integrator, so velocity dependent forces such as drag work with RK4 too.
+//
+// Drag acts on the velocity relative to the air: in a wind a resting ball is
+// pushed along, and a ball moving with the wind feels no drag at all.
+
+/**
+ * @typedef {object} ForceGenerator
+ * @property {string} name
+ * @property {(body: import("./body.js").Body, pos: Vector2, vel: Vector2, time: number) => void} apply -
+ * adds the force at the given state with body.addForce()
+ * @property {() => void} [beforeStep] - called once before the bodies move,
+ * e.g. to remember where the other end of a spring is
+ */
+
+// at sea level, in kg/m³ and Pa·s
+export const AIR_DENSITY = 1.2;
+export const AIR_VISCOSITY = 1.8e-5;
+
+// 風：固定的風速，加上隨時間起伏的陣風
+export class Wind {
+  /**
+   * @param {Vector2} velocity - mean velocity of the air
+   * @param {number} gust - 0 is a steady wind, 1 lets the speed swing
+   * between about zero and twice the mean
+   * @param {number} gustPeriod - seconds of the slowest swing
+   */
+  constructor(velocity = new Vector2(), gust = 0, gustPeriod = 3) {
+    this.velocity = velocity.clone();
+    this.gust = gust;
+    this.gustPeriod = gustPeriod;
+  }
+
+  /**
+   * Two sines with an irrational ratio never quite repeat, which is gusty
+   * enough and depends on the time only, so replays and predictions match.
+   * @param {number} time
+   * @param {Vector2} out
+   * @returns {Vector2}
+   */
+  getVelocity(time, out = new Vector2()) {
+    const phase = (2 * Math.PI * time) / this.gustPeriod;
+    const swing =
+      (Math.sin(phase) + 0.5 * Math.sin(Math.SQRT2 * 2.3 * phase + 1.7)) / 1.5;
+
+    return out.set(this.velocity).scale(1 + this.gust * swing);
+  }
+}
+
+/**
+ * Velocity of a body relative to the air around it.
+ * @param {Vector2} vel
+ * @param {Wind | undefined} wind
+ * @param {number} time
+ */
+function getRelativeVelocity(vel, wind, time) {
+  const relative = vel.clone();
+  if (wind) relative.subtract(wind.getVelocity(time));
+
+  return relative;
+}
+
+// 線性阻力 (Stokes)，F = -6π μ r v，適合很慢或很小的球
+export class LinearDrag {
+  name = "Linear (Stokes)";
+
+  /**
+   * @param {object} options
+   * @param {number} options.viscosity - dynamic viscosity μ of the fluid
+   * @param {Wind} options.wind - the air moves with it, optional
+   */
+  constructor({ viscosity = AIR_VISCOSITY, wind = undefined } = {}) {
+    this.viscosity = viscosity;
+    this.wind = wind;
+  }
+
+  apply(body, pos, vel, time) {
+    const relative = getRelativeVelocity(vel, this.wind, time);
+
+    body.addForce(relative.scale(-6 * Math.PI * this.viscosity * body.radius));
+  }
+}
+
+// 二次阻力，F = -½ ρ Cd A |v| v，A = π r² 是球的截面積
+export class QuadraticDrag {
+  name = "Quadratic";
+
+  /**
+   * @param {object} options
+   * @param {number} options.dragCoefficient - Cd, 0.47 for a sphere
+   * @param {number} options.density - ρ of the fluid
+   * @param {Wind} options.wind - the air moves with it, optional
+   */
+  constructor({
+    dragCoefficient = 0.47,
+    density = AIR_DENSITY,
+    wind = undefined,
+  } = {}) {
+    this.dragCoefficient = dragCoefficient;
+    this.density = density;
+    this.wind = wind;
+  }
+
+  apply(body, pos, vel, time) {
+    const relative = getRelativeVelocity(vel, this.wind, time);
+    const area = Math.PI * body.radius * body.radius;
+
+    body.addForce(
+      relative.scale(
+        -0.5 * this.density * this.dragCoefficient * area * relative.length(),
+      ),
+    );
+  }
+}
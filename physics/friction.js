@@ -0,0 +1,113 @@
+// 摩擦力
+//
+// Friction of balls on a table seen from above. A ball slides as long as its
+// contact point moves over the cloth, kinetic friction then changes both the
+// velocity and the spin until it rolls. A rolling ball only feels rolling
+// resistance: a constant deceleration against the motion (Coulomb friction),
+// so it comes to a complete stop in finite time instead of slowing down
+// forever like with drag.
+//
+// Balls are solid spheres, I = 2/5 m R². Spin is the angular velocity about
+// the horizontal axes, angularVel the one about the vertical axis (english).
+
+// 1 + m R² / I of a solid sphere
+const SPHERE_FACTOR = 3.5;
+
+/**
+ * @param {import("./vector.js").Vector2} vel - changed in place
+ * @param {number} deceleration - μ g, in units per second squared
+ * @param {number} dt
+ */
+export function applyRollingFriction(vel, deceleration, dt) {
+  const speed = vel.length();
+  const slowDown = deceleration * dt;
+
+  // friction stops the ball, it never pushes it backwards
+  if (speed <= slowDown) {
+    vel.x = 0;
+    vel.y = 0;
+    return;
+  }
+
+  vel.scale((speed - slowDown) / speed);
+}
+
+/**
+ * Velocity of the point of the ball touching the table, zero when it rolls.
+ * @param {import("./body.js").Ball} ball
+ * @returns {{x: number, y: number}}
+ */
+export function getSlip(ball) {
+  return {
+    x: ball.vel.x - ball.radius * ball.spin.y,
+    y: ball.vel.y + ball.radius * ball.spin.x,
+  };
+}
+
+/**
+ * Sliding, rolling and side spin friction of one step.
+ * @param {import("./body.js").Ball} ball - vel, spin and angularVel change in place
+ * @param {{sliding: number, rolling: number, spin: number}} friction -
+ * sliding and rolling are decelerations (μ g), spin is the angular
+ * deceleration of the side spin
+ * @param {number} dt
+ */
+export function applyTableFriction(ball, friction, dt) {
+  const { vel, spin, radius } = ball;
+  const slip = getSlip(ball);
+  const slipSpeed = Math.hypot(slip.x, slip.y);
+
+  // the slip shrinks by SPHERE_FACTOR μ g per second, along itself;
+  // k is the fraction of it taken away from the velocity in this step
+  const rolls = slipSpeed <= SPHERE_FACTOR * friction.sliding * dt;
+  const k = rolls ? 1 / SPHERE_FACTOR : (friction.sliding * dt) / slipSpeed;
+
+  vel.x -= k * slip.x;
+  vel.y -= k * slip.y;
+  spin.x -= (2.5 * k * slip.y) / radius;
+  spin.y += (2.5 * k * slip.x) / radius;
+
+  if (rolls) {
+    applyRollingFriction(vel, friction.rolling, dt);
+    spin.x = -vel.y / radius;
+    spin.y = vel.x / radius;
+  }
+
+  const spinDown = friction.spin * dt;
+  ball.angularVel =
+    Math.abs(ball.angularVel) <= spinDown
+      ? 0
+      : ball.angularVel - Math.sign(ball.angularVel) * spinDown;
+}
+
+/**
+ * Friction between a spinning ball and a cushion it bounces off, side spin
+ * changes the angle it comes back at.
+ * @param {import("./body.js").Ball} ball - vel and angularVel change in place
+ * @param {{x: number, y: number}} normal - unit vector from the cushion into the table
+ * @param {number} normalSpeedChange - how much the bounce changed the
+ * velocity along the normal, limits the friction impulse
+ * @param {number} friction - coefficient of friction with the cushion
+ * @returns {{x: number, y: number}} the change of velocity
+ */
+export function applyCushionFriction(
+  ball,
+  normal,
+  normalSpeedChange,
+  friction,
+) {
+  // tangent of the cushion, z × normal
+  const tx = -normal.y;
+  const ty = normal.x;
+  const slip =
+    ball.vel.x * tx + ball.vel.y * ty - ball.radius * ball.angularVel;
+
+  const limit = friction * Math.abs(normalSpeedChange);
+  const j = Math.min(Math.max(slip / SPHERE_FACTOR, -limit), limit);
+
+  ball.vel.x -= j * tx;
+  ball.vel.y -= j * ty;
+  ball.angularVel += (2.5 * j) / ball.radius;
+
+  return { x: -j * tx, y: -j * ty };
+}
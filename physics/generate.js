@@ -0,0 +1,34 @@
+import { Vector2 } from "./vector.js";
+import { Ball } from "./body.js";
+
+/**
+ * Adds balls at random positions with random velocities, every number comes
+ * from the given generator so a seed reproduces the same scene.
+ * @param {import("./world.js").World} world
+ * @param {import("./random.js").Random} random
+ * @param {object} options
+ * @param {number} options.count
+ * @param {number} options.minRadius
+ * @param {number} options.maxRadius
+ * @param {number} options.maxSpeed - along each axis
+ */
+export function addRandomBalls(
+  world,
+  random,
+  { count, minRadius, maxRadius, maxSpeed },
+) {
+  for (let i = 0; i < count; i++) {
+    const radius = random.range(minRadius, maxRadius);
+    const mass = Math.PI * radius * radius;
+    const pos = new Vector2(
+      random.next() * world.size.x,
+      random.next() * world.size.y,
+    );
+    const vel = new Vector2(
+      random.range(-maxSpeed, maxSpeed),
+      random.range(-maxSpeed, maxSpeed),
+    );
+
+    world.addBody(new Ball(radius, mass, pos, vel));
+  }
+}
@@ -0,0 +1,104 @@
+// 編輯的復原與重做
+//
+// A snapshot keeps the list of bodies with a copy of each of them, and the
+// lists of force generators and constraints, so deleting a body and its
+// springs can be undone as well. Restoring copies the saved state back into
+// the same body objects, whatever else refers to them keeps working.
+
+/**
+ * @typedef {object} Snapshot
+ * @property {[import("./body.js").Body, import("./body.js").Body][]} bodies - each body with a copy of its state
+ * @property {import("./forces.js").ForceGenerator[]} forces
+ * @property {import("./constraints.js").DistanceConstraint[]} constraints
+ */
+
+export class EditHistory {
+  /** @type {Snapshot[]} */
+  undoStack = [];
+  /** @type {Snapshot[]} */
+  redoStack = [];
+
+  /**
+   * @param {import("./world.js").World} world
+   * @param {number} maxSnapshots - oldest snapshots are dropped beyond this
+   */
+  constructor(world, maxSnapshots = 100) {
+    this.world = world;
+    this.maxSnapshots = maxSnapshots;
+  }
+
+  get canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  get canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Call before changing the world, undo comes back to this state. Anything
+   * undone is lost.
+   */
+  record() {
+    this.undoStack.push(this.snapshot());
+    this.redoStack = [];
+
+    if (this.undoStack.length > this.maxSnapshots) {
+      this.undoStack.shift();
+    }
+  }
+
+  /**
+   * @returns {boolean} false when there was nothing to undo
+   */
+  undo() {
+    if (!this.canUndo) return false;
+
+    this.redoStack.push(this.snapshot());
+    this.restore(this.undoStack.pop());
+
+    return true;
+  }
+
+  /**
+   * @returns {boolean} false when there was nothing to redo
+   */
+  redo() {
+    if (!this.canRedo) return false;
+
+    this.undoStack.push(this.snapshot());
+    this.restore(this.redoStack.pop());
+
+    return true;
+  }
+
+  // e.g. after loading a scene, the snapshots belong to the old one
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  /**
+   * @returns {Snapshot}
+   */
+  snapshot() {
+    const { world } = this;
+
+    return {
+      bodies: world.bodies.map((body) => [body, body.clone()]),
+      forces: [...world.forces],
+      constraints: [...world.constraints],
+    };
+  }
+
+  /**
+   * @param {Snapshot} snapshot
+   */
+  restore({ bodies, forces, constraints }) {
+    const { world } = this;
+
+    world.bodies = bodies.map(([body, copy]) => Object.assign(body, copy));
+    world.forces = [...forces];
+    world.constraints = [...constraints];
+  }
+}
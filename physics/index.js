@@ -0,0 +1,69 @@
+export { Vector2 } from "./vector.js";
+export { Body, Ball } from "./body.js";
+export { World } from "./world.js";
+export {
+  handleBallsCollision,
+  handleWallCollision,
+  exchangeMomentum,
+  ALL_WALLS,
+} from "./collision.js";
+export {
+  applyRollingFriction,
+  applyTableFriction,
+  applyCushionFriction,
+  getSlip,
+} from "./friction.js";
+export { Simulation } from "./simulation.js";
+export { FixedStepLoop } from "./loop.js";
+export {
+  integrators,
+  explicitEuler,
+  symplecticEuler,
+  velocityVerlet,
+  rk4,
+} from "./integrators.js";
+export { Diagnostics } from "./diagnostics.js";
+export { BruteForceBroadPhase, SpatialHashBroadPhase } from "./broadphase.js";
+export {
+  ballsTimeOfImpact,
+  obstacleTimeOfImpact,
+  wallTimeOfImpact,
+  sweepBodies,
+} from "./ccd.js";
+export { SCENE_VERSION, loadScene, saveScene, parseScene } from "./scene.js";
+export { Random, parseSeed, randomSeed } from "./random.js";
+export { addRandomBalls } from "./generate.js";
+export { Recorder } from "./recorder.js";
+export { predict } from "./predict.js";
+export { launchVelocity, analyticFlight, measureFlight } from "./projectile.js";
+export {
+  AIR_DENSITY,
+  AIR_VISCOSITY,
+  Wind,
+  LinearDrag,
+  QuadraticDrag,
+} from "./forces.js";
+export { Spring, DistanceConstraint, Pivot } from "./constraints.js";
+export {
+  Segment,
+  Polygon,
+  handleObstacleCollision,
+  closestPointOnSegment,
+  convexHull,
+} from "./obstacles.js";
+export {
+  RigidBody,
+  circleShape,
+  boxShape,
+  polygonShape,
+  getArea,
+  getInertia,
+} from "./rigid-body.js";
+export {
+  collideShapes,
+  getWorldShape,
+  getWallShapes,
+  resolveContacts,
+} from "./contacts.js";
+export { EditHistory } from "./history.js";
+export { DataLogger, QUANTITIES } from "./logger.js";
@@ -0,0 +1,106 @@
+// 數值積分方法
+
+/**
+ * Returns a new vector for the given state, so multi-stage methods can
+ * sample it at intermediate states without touching the body.
+ * @typedef {(pos: Vector2, vel: Vector2) => Vector2} Acceleration
+ */
+
+/**
+ * Advances a single body by dt.
+ * @typedef {object} Integrator
+ * @property {string} name
+ * @property {(body: import("./body.js").Body, dt: number, acceleration: Acceleration) => void} step
+ */
+
+/**
+ * @typedef {import("./vector.js").Vector2} Vector2
+ */
+
+/**
+ * Uses the old velocity to move, then updates the velocity.
+ * Gains energy every step, so orbits spiral out and bounces grow.
+ */
+export const explicitEuler = {
+  name: "Explicit Euler",
+  step(body, dt, acceleration) {
+    const a = acceleration(body.pos, body.vel);
+
+    body.pos.add(body.vel, dt);
+    body.vel.add(a, dt);
+  },
+};
+
+/**
+ * Update the velocity than update the position.
+ * Cheap and keeps the energy bounded, the default of every world.
+ */
+export const symplecticEuler = {
+  name: "Symplectic Euler",
+  step(body, dt, acceleration) {
+    body.vel.add(acceleration(body.pos, body.vel), dt);
+    body.pos.add(body.vel, dt);
+  },
+};
+
+/**
+ * Second order, exact for a constant acceleration such as gravity.
+ */
+export const velocityVerlet = {
+  name: "Velocity Verlet",
+  step(body, dt, acceleration) {
+    const a0 = acceleration(body.pos, body.vel);
+
+    body.pos.add(body.vel, dt).add(a0, 0.5 * dt * dt);
+
+    // predict the new velocity for velocity dependent forces (drag)
+    const predictedVel = body.vel.clone().add(a0, dt);
+    const a1 = acceleration(body.pos, predictedVel);
+
+    body.vel.add(a0, 0.5 * dt).add(a1, 0.5 * dt);
+  },
+};
+
+/**
+ * Classic fourth order Runge-Kutta on the (pos, vel) state.
+ * Reference:
+ * https://en.wikipedia.org/wiki/Runge%E2%80%93Kutta_methods
+ */
+export const rk4 = {
+  name: "RK4",
+  step(body, dt, acceleration) {
+    const p1 = body.pos.clone();
+    const v1 = body.vel.clone();
+    const a1 = acceleration(p1, v1);
+
+    const p2 = p1.clone().add(v1, dt / 2);
+    const v2 = v1.clone().add(a1, dt / 2);
+    const a2 = acceleration(p2, v2);
+
+    const p3 = p1.clone().add(v2, dt / 2);
+    const v3 = v1.clone().add(a2, dt / 2);
+    const a3 = acceleration(p3, v3);
+
+    const p4 = p1.clone().add(v3, dt);
+    const v4 = v1.clone().add(a3, dt);
+    const a4 = acceleration(p4, v4);
+
+    body.pos
+      .add(v1, dt / 6)
+      .add(v2, dt / 3)
+      .add(v3, dt / 3)
+      .add(v4, dt / 6);
+    body.vel
+      .add(a1, dt / 6)
+      .add(a2, dt / 3)
+      .add(a3, dt / 3)
+      .add(a4, dt / 6);
+  },
+};
+
+export const integrators = {
+  explicitEuler,
+  symplecticEuler,
+  velocityVerlet,
+  rk4,
+};
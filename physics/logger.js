@@ -0,0 +1,278 @@
+// 資料紀錄：每隔一段時間記下每個物體的位置、速度、能量，以及碰撞，匯出成 CSV 或 JSON
+//
+// A sample is one row per moving body, `body` is its index in world.bodies.
+// Collisions are the impacts of a body with another one (`body2`), a wall
+// (`wall`, "left", "right", "bottom" or "top") or an obstacle (`obstacle`,
+// its index in world.obstacles), see World.onContact and onSurfaceContact.
+// A pair is logged when it starts touching, a ball resting on the ground
+// touches it every step and is logged once. Every quantity is recorded, the
+// selected ones are exported. The same files are downloaded by the page and
+// written by tools/log-scene.js.
+
+// columns of every quantity of a sample
+const COLUMNS = {
+  position: ["x", "y"],
+  velocity: ["vx", "vy"],
+  energy: ["kinetic", "potential"],
+};
+
+// the one of body2, wall and obstacle that was hit is set, the others are empty
+const COLLISION_COLUMNS = [
+  "time",
+  "body1",
+  "body2",
+  "wall",
+  "obstacle",
+  "x",
+  "y",
+  "nx",
+  "ny",
+];
+
+export const QUANTITIES = ["position", "velocity", "energy", "collisions"];
+
+/**
+ * @typedef {{tick: number, time: number, body: number, x: number, y: number,
+ *   vx: number, vy: number, kinetic: number, potential: number}} LogSample
+ * @typedef {{tick: number, time: number, body1: number, body2?: number,
+ *   wall?: string, obstacle?: number, x: number, y: number, nx: number,
+ *   ny: number}} LogCollision
+ */
+
+/**
+ * @param {string[]} columns
+ * @param {object[]} rows
+ */
+function toCSV(columns, rows) {
+  return [
+    columns.join(","),
+    ...rows.map((row) => columns.map((column) => row[column]).join(",")),
+  ].join("\n");
+}
+
+/**
+ * @param {Map<object, Set<object>>} pairs - both ways round
+ * @param {object} body1
+ * @param {object} body2 - or the wall or obstacle that was hit
+ */
+function addPair(pairs, body1, body2) {
+  [
+    [body1, body2],
+    [body2, body1],
+  ].forEach(([a, b]) => {
+    if (!pairs.has(a)) pairs.set(a, new Set());
+    pairs.get(a).add(b);
+  });
+}
+
+export class DataLogger {
+  /** @type {LogSample[]} */
+  samples = [];
+  /** @type {LogCollision[]} */
+  collisions = [];
+  // collisions of the step being taken, they get its tick after the step
+  pending = [];
+
+  /**
+   * @param {object} options
+   * @param {number} [options.interval] - seconds between samples, 0 for every tick
+   * @param {string[]} [options.quantities] - exported ones, see QUANTITIES
+   * @param {number} [options.maxRows] - oldest rows are dropped beyond this
+   */
+  constructor({
+    interval = 0,
+    quantities = QUANTITIES,
+    maxRows = 100000,
+  } = {}) {
+    this.interval = interval;
+    this.quantities = quantities.filter((name) => QUANTITIES.includes(name));
+    this.maxRows = maxRows;
+  }
+
+  /**
+   * Records a sample now and then at the given interval, and every impact.
+   * @param {import("./simulation.js").Simulation} simulation
+   * @returns {() => void} stops recording
+   */
+  attach(simulation) {
+    this.record(simulation);
+
+    // pairs touching in the step before and in the one being taken
+    let touching = new Map();
+    let current = new Map();
+
+    const removeStep = simulation.onStep((s) => {
+      touching = current;
+      current = new Map();
+      this.record(s);
+    });
+    /**
+     * @param {object} body1
+     * @param {object} other - a body, a wall or an obstacle
+     * @param {Partial<LogCollision>} collision
+     */
+    const addImpact = (body1, other, collision) => {
+      const isTouching = [touching, current].some((pairs) =>
+        pairs.get(body1)?.has(other),
+      );
+      addPair(current, body1, other);
+      if (isTouching) return;
+
+      this.pending.push(collision);
+    };
+    const { world } = simulation;
+    const getPoint = ({ point, normal }) => ({
+      x: point.x,
+      y: point.y,
+      nx: normal.x,
+      ny: normal.y,
+    });
+
+    const removeContact = world.onContact((contact) => {
+      const { body1, body2 } = contact;
+      addImpact(body1, body2, {
+        body1: world.bodies.indexOf(body1),
+        body2: world.bodies.indexOf(body2),
+        ...getPoint(contact),
+      });
+    });
+    const removeSurfaceContact = world.onSurfaceContact((contact) => {
+      const { body, wall, obstacle } = contact;
+      addImpact(body, wall ?? obstacle, {
+        body1: world.bodies.indexOf(body),
+        ...(wall ? { wall } : { obstacle: world.obstacles.indexOf(obstacle) }),
+        ...getPoint(contact),
+      });
+    });
+
+    return () => {
+      removeStep();
+      removeContact();
+      removeSurfaceContact();
+      this.pending = [];
+    };
+  }
+
+  /**
+   * Stepping from an earlier tick, e.g. after rewinding the timeline,
+   * overwrites whatever was recorded after it, like Recorder.
+   * @param {import("./simulation.js").Simulation} simulation
+   */
+  record(simulation) {
+    const { tick, time, world } = simulation;
+
+    [this.samples, this.collisions].forEach((rows) => {
+      while (rows.length > 0 && rows[rows.length - 1].tick >= tick) {
+        rows.pop();
+      }
+    });
+    this.collisions.push(
+      ...this.pending.map((collision) => ({ tick, time, ...collision })),
+    );
+    this.pending = [];
+
+    const last = this.samples[this.samples.length - 1];
+    // a little slack, the time is a sum of steps
+    if (!last || time - last.time >= this.interval - 1e-9) {
+      world.bodies.forEach((body, index) => {
+        if (body.isStatic) return;
+
+        this.samples.push({
+          tick,
+          time,
+          body: index,
+          x: body.pos.x,
+          y: body.pos.y,
+          vx: body.vel.x,
+          vy: body.vel.y,
+          kinetic: world.getKineticEnergy([body]),
+          // gravity only, springs belong to two bodies
+          potential: -body.mass * world.gravity.dot(body.pos),
+        });
+      });
+    }
+
+    if (this.samples.length > this.maxRows) {
+      this.samples.splice(0, this.samples.length - this.maxRows);
+    }
+    if (this.collisions.length > this.maxRows) {
+      this.collisions.splice(0, this.collisions.length - this.maxRows);
+    }
+  }
+
+  clear() {
+    this.samples = [];
+    this.collisions = [];
+    this.pending = [];
+  }
+
+  // columns of the exported samples
+  get columns() {
+    return [
+      "time",
+      "body",
+      ...this.quantities.flatMap((name) => COLUMNS[name] ?? []),
+    ];
+  }
+
+  get hasCollisions() {
+    return this.quantities.includes("collisions");
+  }
+
+  samplesToCSV() {
+    return toCSV(this.columns, this.samples);
+  }
+
+  collisionsToCSV() {
+    return toCSV(COLLISION_COLUMNS, this.collisions);
+  }
+
+  // used by JSON.stringify
+  toJSON() {
+    const { columns } = this;
+
+    return {
+      interval: this.interval,
+      quantities: this.quantities,
+      samples: this.samples.map((sample) =>
+        Object.fromEntries(columns.map((column) => [column, sample[column]])),
+      ),
+      ...(this.hasCollisions && {
+        collisions: this.collisions.map((collision) =>
+          Object.fromEntries(
+            COLLISION_COLUMNS.map((column) => [column, collision[column]]),
+          ),
+        ),
+      }),
+    };
+  }
+
+  /**
+   * Everything there is to export, the collisions only when selected.
+   * @param {string} name - file names start with it
+   * @returns {{filename: string, text: string, type: string}[]}
+   */
+  getFiles(name) {
+    return [
+      {
+        filename: `${name}.csv`,
+        text: this.samplesToCSV(),
+        type: "text/csv",
+      },
+      ...(this.hasCollisions
+        ? [
+            {
+              filename: `${name}.collisions.csv`,
+              text: this.collisionsToCSV(),
+              type: "text/csv",
+            },
+          ]
+        : []),
+      {
+        filename: `${name}.json`,
+        text: JSON.stringify(this, null, 2),
+        type: "application/json",
+      },
+    ];
+  }
+}
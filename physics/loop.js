@@ -0,0 +1,61 @@
+// 固定時間步長的累加器迴圈，讓模擬速度與螢幕更新率無關
+// Reference:
+// https://gafferongames.com/post/fix_your_timestep/
+export class FixedStepLoop {
+  accumulator = 0;
+  lastTime = undefined;
+  // 2 runs the simulation twice as fast as the wall clock
+  timeScale = 1;
+
+  /**
+   * @param {import("./simulation.js").Simulation} simulation
+   * @param {number} maxStepsPerFrame - caps the spiral of death: when a frame
+   * takes too long we drop the backlog instead of trying to catch up forever
+   */
+  constructor(simulation, maxStepsPerFrame = 5) {
+    this.simulation = simulation;
+    this.maxStepsPerFrame = maxStepsPerFrame;
+  }
+
+  /**
+   * Runs as many fixed steps as the elapsed wall-clock time demands.
+   * @param {number} frameTime - wall-clock seconds since the previous frame
+   * @returns {number} alpha in [0, 1), how far we are between the last two states
+   */
+  advance(frameTime) {
+    const dt = this.simulation.timeStep;
+    this.accumulator += Math.max(frameTime, 0) * this.timeScale;
+
+    let steps = 0;
+    while (this.accumulator >= dt && steps < this.maxStepsPerFrame) {
+      this.simulation.step();
+      this.accumulator -= dt;
+      steps++;
+    }
+
+    // still behind after the maximum number of steps, let the time go
+    if (this.accumulator >= dt) {
+      this.accumulator %= dt;
+    }
+
+    return this.accumulator / dt;
+  }
+
+  /**
+   * @param {number} now - timestamp in milliseconds, e.g. from requestAnimationFrame
+   * @returns {number} alpha, see advance()
+   */
+  frame(now) {
+    const frameTime =
+      this.lastTime === undefined ? 0 : (now - this.lastTime) / 1000;
+    this.lastTime = now;
+
+    return this.advance(frameTime);
+  }
+
+  // call after a pause so the paused time is not simulated
+  reset() {
+    this.accumulator = 0;
+    this.lastTime = undefined;
+  }
+}
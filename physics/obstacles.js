@@ -0,0 +1,267 @@
+import { Vector2 } from "./vector.js";
+import { applyCushionFriction } from "./friction.js";
+
+// 靜態障礙物：線段與凸多邊形
+//
+// Obstacles never move, balls bounce off them along the normal of the
+// surface they hit, like off the walls of the world. A polygon is solid: a
+// ball that ended up inside is pushed out through the nearest edge.
+
+const EPSILON = 1e-12;
+
+/**
+ * Closest point to p on the segment from a to b.
+ * @param {Vector2} p
+ * @param {Vector2} a
+ * @param {Vector2} b
+ * @returns {Vector2}
+ */
+export function closestPointOnSegment(p, a, b) {
+  const ab = Vector2.subtract(b, a);
+  const lengthSquared = ab.dot(ab);
+  if (lengthSquared === 0) return a.clone();
+
+  const t = Math.min(
+    Math.max(Vector2.subtract(p, a).dot(ab) / lengthSquared, 0),
+    1,
+  );
+
+  return a.clone().add(ab, t);
+}
+
+/**
+ * Where the move from p to q crosses the segment from a to b.
+ * @returns {number | undefined} the fraction of the move, undefined when
+ * it doesn't cross
+ */
+function getCrossing(p, q, a, b) {
+  const r = Vector2.subtract(q, p);
+  const s = Vector2.subtract(b, a);
+  const denominator = r.x * s.y - r.y * s.x;
+  if (Math.abs(denominator) < EPSILON) return undefined;
+
+  const ap = Vector2.subtract(a, p);
+  const t = (ap.x * s.y - ap.y * s.x) / denominator;
+  const u = (ap.x * r.y - ap.y * r.x) / denominator;
+
+  return t >= 0 && t <= 1 && u >= 0 && u <= 1 ? t : undefined;
+}
+
+// 線段，兩面都會反彈
+export class Segment {
+  /**
+   * @param {Vector2} a
+   * @param {Vector2} b
+   * @param {number | undefined} restitution - overrides the world's wall
+   * restitution, above 1 kicks like a bumper
+   */
+  constructor(a, b, restitution = undefined) {
+    this.points = [a.clone(), b.clone()];
+    this.restitution = restitution;
+  }
+
+  /**
+   * @returns {[Vector2, Vector2][]}
+   */
+  get edges() {
+    return [[this.points[0], this.points[1]]];
+  }
+}
+
+// 凸多邊形，點的順序可以是順時針或逆時針
+export class Polygon {
+  /**
+   * @param {Vector2[]} points - at least three, convex
+   * @param {number | undefined} restitution - see Segment
+   */
+  constructor(points, restitution = undefined) {
+    if (points.length < 3) {
+      throw new Error("A polygon needs at least three points");
+    }
+    if (!isConvex(points)) throw new Error("A polygon must be convex");
+
+    this.points = points.map((point) => point.clone());
+    // counterclockwise, so the outside is on the right of every edge
+    if (getSignedArea(this.points) < 0) this.points.reverse();
+    this.restitution = restitution;
+  }
+
+  /**
+   * @returns {[Vector2, Vector2][]}
+   */
+  get edges() {
+    return this.points.map((point, i) => [
+      point,
+      this.points[(i + 1) % this.points.length],
+    ]);
+  }
+
+  /**
+   * @param {Vector2} p
+   */
+  contains(p) {
+    return this.edges.every(([a, b]) => cross(a, b, p) >= 0);
+  }
+}
+
+// > 0 when p is left of the line from a to b
+function cross(a, b, p) {
+  return (b.x - a.x) * (p.y - a.y) - (b.y - a.y) * (p.x - a.x);
+}
+
+function getSignedArea(points) {
+  return points.reduce((sum, a, i) => {
+    const b = points[(i + 1) % points.length];
+    return sum + (a.x * b.y - b.x * a.y) / 2;
+  }, 0);
+}
+
+function isConvex(points) {
+  const signs = points.map((a, i) =>
+    Math.sign(
+      cross(
+        a,
+        points[(i + 1) % points.length],
+        points[(i + 2) % points.length],
+      ),
+    ),
+  );
+
+  return (
+    signs.some((sign) => sign !== 0) &&
+    !(signs.includes(1) && signs.includes(-1))
+  );
+}
+
+/**
+ * Smallest convex polygon around the points, for polygons drawn by hand.
+ * Reference: Andrew's monotone chain
+ * https://en.wikibooks.org/wiki/Algorithm_Implementation/Geometry/Convex_hull/Monotone_chain
+ * @param {Vector2[]} points
+ * @returns {Vector2[]} counterclockwise
+ */
+export function convexHull(points) {
+  const sorted = [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+  const half = (list) =>
+    list.reduce((hull, p) => {
+      while (
+        hull.length >= 2 &&
+        cross(hull[hull.length - 2], hull[hull.length - 1], p) <= 0
+      ) {
+        hull.pop();
+      }
+      hull.push(p);
+      return hull;
+    }, []);
+
+  const lower = half(sorted);
+  const upper = half([...sorted].reverse());
+
+  return [...lower.slice(0, -1), ...upper.slice(0, -1)];
+}
+
+/**
+ * The point of the obstacle's surface closest to p, and the normal pointing
+ * out of the surface towards p.
+ * @param {Segment | Polygon} obstacle
+ * @param {Vector2} p
+ * @returns {{point: Vector2, normal: Vector2}}
+ */
+function getNearestSurface(obstacle, p) {
+  let nearest;
+  let distance = Infinity;
+
+  for (const [a, b] of obstacle.edges) {
+    const point = closestPointOnSegment(p, a, b);
+    const d = Vector2.subtract(p, point).length();
+    if (d < distance) {
+      distance = d;
+      nearest = { point, a, b };
+    }
+  }
+
+  const { point, a, b } = nearest;
+  // right of the edge is outside of a counterclockwise polygon
+  const edgeNormal = Vector2.subtract(b, a).normalize();
+  const outside = new Vector2(edgeNormal.y, -edgeNormal.x);
+
+  if (obstacle instanceof Polygon && obstacle.contains(p)) {
+    return { point, normal: outside };
+  }
+  if (distance > EPSILON) {
+    return { point, normal: Vector2.subtract(p, point).scale(1 / distance) };
+  }
+
+  // right on a segment, the side it came from is not known
+  return { point, normal: outside };
+}
+
+/**
+ * The first edge the center of the ball moved through during the step.
+ * @param {import("./body.js").Ball} ball
+ * @param {Segment | Polygon} obstacle
+ * @returns {{point: Vector2, normal: Vector2} | undefined} normal towards
+ * the side the ball came from
+ */
+function getTunneling(ball, obstacle) {
+  let first;
+
+  for (const [a, b] of obstacle.edges) {
+    const t = getCrossing(ball.prevPos, ball.pos, a, b);
+    if (t === undefined || (first && first.t <= t)) continue;
+
+    const dir = Vector2.subtract(b, a).normalize();
+    const side = Math.sign(cross(a, b, ball.prevPos)) || -1;
+    first = {
+      t,
+      point: ball.prevPos
+        .clone()
+        .add(Vector2.subtract(ball.pos, ball.prevPos), t),
+      normal: new Vector2(-dir.y * side, dir.x * side),
+    };
+  }
+
+  return first;
+}
+
+/**
+ * Keeps a ball out of an obstacle and bounces it off the surface. A ball
+ * that moved through a thin obstacle within one step is put back on the
+ * side it came from.
+ * @param {import("./body.js").Ball} ball - prevPos is where it started the step
+ * @param {Segment | Polygon} obstacle
+ * @param {number} restitution - unless the obstacle has its own
+ * @param {number} friction - see applyCushionFriction
+ * @returns {import("./collision.js").Contact | undefined} normal points from
+ * the ball into the obstacle
+ */
+export function handleObstacleCollision(
+  ball,
+  obstacle,
+  restitution = 1.0,
+  friction = 0.0,
+) {
+  let surface = getTunneling(ball, obstacle);
+
+  if (!surface) {
+    surface = getNearestSurface(obstacle, ball.pos);
+    const distance = Vector2.subtract(ball.pos, surface.point).length();
+    const inside = obstacle instanceof Polygon && obstacle.contains(ball.pos);
+    if (!inside && distance >= ball.radius) return;
+  }
+
+  const { point, normal } = surface;
+  ball.pos.set(point).add(normal, ball.radius);
+
+  const speed = ball.vel.dot(normal);
+  if (speed < 0) {
+    const e = obstacle.restitution ?? restitution;
+    ball.vel.add(normal, -(1 + e) * speed);
+
+    if (friction > 0 && ball.angularVel !== undefined) {
+      applyCushionFriction(ball, normal, (1 + e) * speed, friction);
+    }
+  }
+
+  return { point, normal: normal.clone().scale(-1) };
+}
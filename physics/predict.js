@@ -0,0 +1,81 @@
+// 預測：在世界的複本上往前跑，原本的世界完全不動
+//
+// The simulation is deterministic, so as long as the copy gets the same
+// input (a cue shot) at the same state, the prediction is exactly what will
+// happen.
+
+/**
+ * @typedef {object} PredictedContact
+ * @property {number} step - step of the copy in which the contact happened
+ * @property {import("./body.js").Ball} body1 - the original body, not the copy
+ * @property {import("./body.js").Ball} body2
+ * @property {import("./vector.js").Vector2} point
+ * @property {import("./vector.js").Vector2} normal
+ * @property {import("./vector.js").Vector2} pos1 - positions at the contact
+ * @property {import("./vector.js").Vector2} pos2
+ * @property {import("./vector.js").Vector2} vel1 - velocities right after it
+ * @property {import("./vector.js").Vector2} vel2
+ */
+
+/**
+ * Runs a copy of the world ahead until every body rests or maxSteps.
+ * @param {import("./world.js").World} world - left untouched
+ * @param {object} options
+ * @param {number} options.dt
+ * @param {number} options.maxSteps
+ * @param {(copy: import("./world.js").World) => void} options.setup -
+ * changes the copy before it runs, e.g. hits a ball; bodies of the copy
+ * have the same index as in the world
+ * @param {(copy: import("./world.js").World) => void} options.afterStep -
+ * whatever the caller does after every step, e.g. removes potted balls
+ * @returns {{paths: Map<import("./body.js").Ball, import("./vector.js").Vector2[]>, contacts: PredictedContact[]}}
+ * paths of the original bodies, the starting position first
+ */
+export function predict(
+  world,
+  { dt, maxSteps = 300, setup = () => {}, afterStep = () => {} },
+) {
+  const copy = world.clone();
+  const originals = new Map(
+    copy.bodies.map((body, k) => [body, world.bodies[k]]),
+  );
+  setup(copy);
+
+  const paths = new Map(
+    copy.bodies
+      .filter((body) => originals.has(body))
+      .map((body) => [originals.get(body), [body.pos.clone()]]),
+  );
+  const contacts = [];
+  let step = 0;
+
+  copy.onContact((contact) => {
+    contacts.push({
+      step,
+      body1: originals.get(contact.body1),
+      body2: originals.get(contact.body2),
+      point: contact.point.clone(),
+      normal: contact.normal.clone(),
+      pos1: contact.body1.pos.clone(),
+      pos2: contact.body2.pos.clone(),
+      vel1: contact.body1.vel.clone(),
+      vel2: contact.body2.vel.clone(),
+    });
+  });
+
+  for (step = 0; step < maxSteps; step++) {
+    copy.step(dt);
+    afterStep(copy);
+
+    // removed bodies keep the path they had
+    copy.bodies.forEach((body) =>
+      paths.get(originals.get(body))?.push(body.pos.clone()),
+    );
+
+    if (copy.bodies.every((body) => body.vel.x === 0 && body.vel.y === 0)) {
+      break;
+    }
+  }
+
+  return { paths, contacts };
+}
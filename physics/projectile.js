@@ -0,0 +1,71 @@
+import { Vector2 } from "./vector.js";
+
+// 拋射運動：解析解與模擬結果的比較
+
+/**
+ * @param {number} speed - muzzle speed
+ * @param {number} angle - in degrees above the horizon
+ * @returns {Vector2}
+ */
+export function launchVelocity(speed, angle) {
+  const radians = (angle * Math.PI) / 180;
+
+  return new Vector2(speed * Math.cos(radians), speed * Math.sin(radians));
+}
+
+/**
+ * @typedef {object} Flight
+ * @property {number} range - horizontal distance to the landing point
+ * @property {number} apex - highest point above the landing level
+ * @property {number} timeOfFlight
+ */
+
+/**
+ * Textbook projectile without air resistance, landing on level ground.
+ * @param {number} speed
+ * @param {number} angle - in degrees above the horizon
+ * @param {number} gravity - magnitude, e.g. 10
+ * @param {number} height - of the launch point above the landing level
+ * @returns {Flight}
+ */
+export function analyticFlight(speed, angle, gravity, height = 0) {
+  const { x: vx, y: vy } = launchVelocity(speed, angle);
+
+  // height + vy t - g t² / 2 = 0, the positive root
+  const timeOfFlight =
+    (vy + Math.sqrt(vy * vy + 2 * gravity * height)) / gravity;
+
+  return {
+    range: vx * timeOfFlight,
+    apex: height + (vy * vy) / (2 * gravity),
+    timeOfFlight,
+  };
+}
+
+/**
+ * The same numbers measured on a simulated path, one position per step.
+ * The ground clamps a landing ball to groundY, the first step that ends
+ * there is the landing.
+ * @param {{x: number, y: number}[]} path - starts at the launch
+ * @param {number} dt
+ * @param {number} groundY - lowest height of the ball, its radius
+ * @returns {Flight | undefined} undefined while the ball is still in the air
+ */
+export function measureFlight(path, dt, groundY) {
+  const GROUND_EPSILON = 1e-9;
+
+  const landing = path.findIndex(
+    (pos, k) => k > 0 && pos.y <= groundY + GROUND_EPSILON,
+  );
+  if (landing === -1) return undefined;
+
+  const apex = path
+    .slice(0, landing + 1)
+    .reduce((max, pos) => Math.max(max, pos.y), -Infinity);
+
+  return {
+    range: path[landing].x - path[0].x,
+    apex: apex - groundY,
+    timeOfFlight: landing * dt,
+  };
+}
@@ -0,0 +1,52 @@
+// 可設定種子的亂數產生器，同一個種子永遠產生同一串數字
+// mulberry32, reference:
+// https://github.com/bryc/code/blob/master/jshash/PRNGs.md#mulberry32
+export class Random {
+  /**
+   * @param {number} seed - any 32-bit unsigned integer
+   */
+  constructor(seed) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  // float in [0, 1), a drop-in replacement of Math.random()
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // float in [min, max)
+  range(min, max) {
+    return min + (max - min) * this.next();
+  }
+}
+
+/**
+ * Turns the text of a ?seed= parameter into a seed. Plain numbers are used
+ * as they are, any other text is hashed so "lesson-3" works as well.
+ * @param {string} text
+ * @returns {number}
+ */
+export function parseSeed(text) {
+  if (/^\d+$/.test(text)) return Number(text) >>> 0;
+
+  // FNV-1a
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return hash >>> 0;
+}
+
+// a fresh seed when none is given
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
@@ -0,0 +1,154 @@
+// 每個 tick 記錄一次所有物體的狀態，可以倒帶回任何一個 tick
+//
+// A snapshot keeps the list of bodies (bodies may be added or removed while
+// recording) and their position, velocity, spin and orientation packed as
+// [x, y, vx, vy, spin x, spin y, angularVel, angle, ...]. State outside the
+// bodies, e.g. the score of a game, is kept by trackers, see track().
+
+const STRIDE = 8;
+
+export class Recorder {
+  /**
+   * @type {{tick: number, time: number, bodies: import("./body.js").Body[], state: Float64Array, saved: Map<Tracker, any>}[]}
+   */
+  snapshots = [];
+  /**
+   * @typedef {{save: () => any, restore: (saved: any) => void}} Tracker
+   * @type {Tracker[]}
+   */
+  trackers = [];
+
+  /**
+   * @param {import("./simulation.js").Simulation} simulation
+   * @param {number} maxSnapshots - oldest snapshots are dropped beyond this
+   */
+  constructor(simulation, maxSnapshots = 60 * 60 * 2) {
+    this.simulation = simulation;
+    this.maxSnapshots = maxSnapshots;
+  }
+
+  // records the current state and then every step
+  attach() {
+    this.record();
+
+    return this.simulation.onStep(() => this.record());
+  }
+
+  /**
+   * Saves more state with every snapshot and puts it back on restore. save()
+   * must return a copy, the state keeps changing after it.
+   * @param {Tracker} tracker
+   * @returns {() => void} stops tracking
+   */
+  track(tracker) {
+    this.trackers.push(tracker);
+
+    return () => {
+      this.trackers = this.trackers.filter((t) => t !== tracker);
+    };
+  }
+
+  /**
+   * Stepping from a restored tick overwrites whatever was recorded after it,
+   * the same way loading a scene (tick 0) starts a new recording.
+   */
+  record() {
+    const { tick, time, world } = this.simulation;
+
+    while (this.snapshots.length > 0 && this.lastTick >= tick) {
+      this.snapshots.pop();
+    }
+
+    const bodies = [...world.bodies];
+    const state = new Float64Array(bodies.length * STRIDE);
+    bodies.forEach((body, k) => {
+      const i = STRIDE * k;
+      state[i] = body.pos.x;
+      state[i + 1] = body.pos.y;
+      state[i + 2] = body.vel.x;
+      state[i + 3] = body.vel.y;
+      state[i + 4] = body.spin?.x ?? 0;
+      state[i + 5] = body.spin?.y ?? 0;
+      state[i + 6] = body.angularVel ?? 0;
+      state[i + 7] = body.angle ?? 0;
+    });
+
+    const saved = new Map(
+      this.trackers.map((tracker) => [tracker, tracker.save()]),
+    );
+
+    this.snapshots.push({ tick, time, bodies, state, saved });
+
+    if (this.snapshots.length > this.maxSnapshots) {
+      this.snapshots.shift();
+    }
+  }
+
+  get firstTick() {
+    return this.snapshots.length > 0 ? this.snapshots[0].tick : 0;
+  }
+
+  get lastTick() {
+    return this.snapshots.length > 0
+      ? this.snapshots[this.snapshots.length - 1].tick
+      : 0;
+  }
+
+  /**
+   * Puts the simulation back to a recorded tick. prevPos (and prevAngle) is
+   * taken from the tick before, so rendering can still interpolate while
+   * replaying.
+   * @param {number} tick - clamped to the recorded range
+   */
+  restore(tick) {
+    if (this.snapshots.length === 0) return;
+
+    const index = Math.min(
+      Math.max(Math.round(tick) - this.firstTick, 0),
+      this.snapshots.length - 1,
+    );
+    const snapshot = this.snapshots[index];
+    const previous = this.snapshots[index - 1];
+
+    snapshot.bodies.forEach((body, k) => {
+      const i = STRIDE * k;
+      body.pos.x = snapshot.state[i];
+      body.pos.y = snapshot.state[i + 1];
+      body.vel.x = snapshot.state[i + 2];
+      body.vel.y = snapshot.state[i + 3];
+      if (body.spin) {
+        body.spin.x = snapshot.state[i + 4];
+        body.spin.y = snapshot.state[i + 5];
+        body.angularVel = snapshot.state[i + 6];
+      }
+      // rigid bodies turn instead of spinning
+      if (body.angle !== undefined) {
+        body.angularVel = snapshot.state[i + 6];
+        body.angle = snapshot.state[i + 7];
+      }
+
+      const j = previous ? previous.bodies.indexOf(body) : -1;
+      if (j === -1) {
+        body.prevPos.set(body.pos);
+        if (body.angle !== undefined) body.prevAngle = body.angle;
+      } else {
+        body.prevPos.x = previous.state[STRIDE * j];
+        body.prevPos.y = previous.state[STRIDE * j + 1];
+        if (body.angle !== undefined) {
+          body.prevAngle = previous.state[STRIDE * j + 7];
+        }
+      }
+    });
+
+    this.simulation.world.bodies = [...snapshot.bodies];
+    this.simulation.tick = snapshot.tick;
+    this.simulation.time = snapshot.time;
+
+    // a tracker added after the snapshot has nothing to go back to
+    snapshot.saved.forEach((saved, tracker) => tracker.restore(saved));
+  }
+
+  clear() {
+    this.snapshots = [];
+  }
+}
@@ -0,0 +1,207 @@
+import { Vector2 } from "./vector.js";
+import { Body } from "./body.js";
+import { Polygon } from "./obstacles.js";
+import { symplecticEuler } from "./integrators.js";
+
+// 剛體：會轉動的圓、方塊與凸多邊形
+//
+// Besides moving, a rigid body turns: angle is its orientation in radians,
+// counterclockwise, angularVel how fast it turns and inertia (the moment of
+// inertia) how hard that is to change. radius is the circle around the
+// shape, which is all the broad phase and drag need to know.
+//
+// Collisions are found and resolved in physics/contacts.js.
+
+/**
+ * A circle, or a convex polygon given relative to its centroid,
+ * counterclockwise.
+ * @typedef {{type: "circle", radius: number} | {type: "polygon", points: Vector2[]}} Shape
+ */
+
+/**
+ * @param {number} radius
+ * @returns {Shape}
+ */
+export function circleShape(radius) {
+  return { type: "circle", radius };
+}
+
+/**
+ * @param {number} width
+ * @param {number} height
+ * @returns {Shape}
+ */
+export function boxShape(width, height) {
+  const w = width / 2;
+  const h = height / 2;
+
+  return {
+    type: "polygon",
+    points: [
+      new Vector2(-w, -h),
+      new Vector2(w, -h),
+      new Vector2(w, h),
+      new Vector2(-w, h),
+    ],
+  };
+}
+
+/**
+ * The shape is moved so that its centroid is at the origin, which is where
+ * the body turns around.
+ * @param {Vector2[]} points - at least three, convex, in any order of turning
+ * @returns {Shape}
+ */
+export function polygonShape(points) {
+  // checks convexity and puts the points counterclockwise
+  const ccw = new Polygon(points).points;
+  const centroid = getCentroid(ccw);
+  const size = Math.max(...ccw.map((point) => point.length()));
+
+  // a shape that is already centered, e.g. from a saved scene, is kept
+  // exactly as it is, rounding errors of the centroid would move it a bit
+  if (centroid.length() < 1e-12 * size) return { type: "polygon", points: ccw };
+
+  return {
+    type: "polygon",
+    points: ccw.map((point) => point.subtract(centroid)),
+  };
+}
+
+function cross(a, b) {
+  return a.x * b.y - a.y * b.x;
+}
+
+function getCentroid(points) {
+  const centroid = new Vector2();
+  let area = 0;
+
+  points.forEach((a, i) => {
+    const b = points[(i + 1) % points.length];
+    const triangle = cross(a, b) / 2;
+    area += triangle;
+    centroid.add(a, triangle / 3).add(b, triangle / 3);
+  });
+
+  return centroid.scale(1 / area);
+}
+
+/**
+ * @param {Shape} shape
+ */
+export function getArea(shape) {
+  if (shape.type === "circle") return Math.PI * shape.radius * shape.radius;
+
+  return shape.points.reduce(
+    (sum, a, i) =>
+      sum + cross(a, shape.points[(i + 1) % shape.points.length]) / 2,
+    0,
+  );
+}
+
+/**
+ * Moment of inertia about the centroid of a uniform shape, ½ m r² for a
+ * disc. A polygon is a fan of triangles from the centroid.
+ * @param {Shape} shape
+ * @param {number} mass
+ */
+export function getInertia(shape, mass) {
+  if (mass === Infinity) return Infinity;
+  if (shape.type === "circle") return 0.5 * mass * shape.radius * shape.radius;
+
+  const { points } = shape;
+  const sum = points.reduce((sum, a, i) => {
+    const b = points[(i + 1) % points.length];
+    return sum + cross(a, b) * (a.dot(a) + a.dot(b) + b.dot(b));
+  }, 0);
+
+  return ((mass / getArea(shape)) * sum) / 12;
+}
+
+function getBoundingRadius(shape) {
+  if (shape.type === "circle") return shape.radius;
+
+  return Math.max(...shape.points.map((point) => point.length()));
+}
+
+// 剛體，繼承自 Body
+export class RigidBody extends Body {
+  /**
+   * @param {Shape} shape
+   * @param {number} mass - Infinity for a static body
+   * @param {Vector2} pos - of the centroid
+   * @param {Vector2} vel
+   * @param {number} angle - radians, counterclockwise
+   * @param {number} angularVel - radians per second, counterclockwise
+   */
+  constructor(shape, mass, pos, vel, angle = 0.0, angularVel = 0.0) {
+    super(mass, pos, vel);
+    this.shape = shape;
+    this.radius = getBoundingRadius(shape);
+    this.inertia = getInertia(shape, mass);
+    this.angle = angle;
+    // angle at the start of the last step, used to interpolate rendering
+    this.prevAngle = angle;
+    this.angularVel = angularVel;
+    // sum of the torques, filled next to the force accumulator
+    this.torque = 0.0;
+    this.color = "#3366CC";
+  }
+
+  /**
+   * The angle is advanced after the position, with the torque of the last
+   * evaluation of the forces.
+   * @param {number} dt
+   * @param {import("./integrators.js").Acceleration} acceleration
+   * @param {import("./integrators.js").Integrator} integrator
+   */
+  simulate(dt, acceleration, integrator = symplecticEuler) {
+    super.simulate(dt, acceleration, integrator);
+
+    this.prevAngle = this.angle;
+    this.angularVel += (this.torque / this.inertia) * dt;
+    this.angle += this.angularVel * dt;
+  }
+
+  /**
+   * @param {number} alpha - 0 is the previous state, 1 is the current one
+   */
+  interpolateAngle(alpha) {
+    return this.prevAngle + (this.angle - this.prevAngle) * alpha;
+  }
+
+  /**
+   * Adds to the force accumulator, a force off the centroid also turns
+   * the body.
+   * @param {Vector2} force
+   * @param {Vector2} point - where it acts, in world space; the centroid
+   * when not given
+   */
+  addForce(force, point = undefined) {
+    super.addForce(force);
+    if (point) this.torque += cross(Vector2.subtract(point, this.pos), force);
+  }
+
+  clearForce() {
+    super.clearForce();
+    this.torque = 0.0;
+  }
+
+  /**
+   * Corners of a polygon in world space, counterclockwise.
+   * @param {Vector2} pos
+   * @param {number} angle
+   * @returns {Vector2[]} empty for a circle
+   */
+  getVertices(pos = this.pos, angle = this.angle) {
+    if (this.shape.type === "circle") return [];
+
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+
+    return this.shape.points.map(
+      ({ x, y }) =>
+        new Vector2(pos.x + x * cos - y * sin, pos.y + x * sin + y * cos),
+    );
+  }
+}
@@ -0,0 +1,628 @@
+import { Vector2 } from "./vector.js";
+import { Ball, Body } from "./body.js";
+import { World } from "./world.js";
+import { Simulation } from "./simulation.js";
+import { ALL_WALLS } from "./collision.js";
+import { integrators } from "./integrators.js";
+import { LinearDrag, QuadraticDrag, Wind } from "./forces.js";
+import { DistanceConstraint, Pivot, Spring } from "./constraints.js";
+import { Polygon, Segment } from "./obstacles.js";
+import {
+  RigidBody,
+  boxShape,
+  circleShape,
+  getArea,
+  polygonShape,
+} from "./rigid-body.js";
+
+// 場景描述檔 (JSON) 的讀取與存檔
+//
+// {
+//   "version": 1,
+//   "world": { "width": 20, "height": 10 },
+//   "gravity": { "x": 0, "y": -10 },
+//   "restitution": 1.0,
+//   "wallRestitution": 1.0,
+//   "walls": { "left": true, "right": true, "bottom": true, "top": false },
+//   "rollingFriction": 0.0,
+//   "slidingFriction": 0.0,
+//   "spinFriction": 0.0,
+//   "wallFriction": 0.0,
+//   "contactFriction": 0.4,
+//   "drag": { "model": "quadratic", "dragCoefficient": 0.47, "density": 1.2 },
+//   "wind": { "x": 3, "y": 0, "gust": 0.5, "gustPeriod": 3 },
+//   "timeStep": 0.016666666666666666,
+//   "time": 0,
+//   "integrator": "symplecticEuler",
+//   "continuous": false,
+//   "substeps": 1,
+//   "springs": [
+//     { "body1": 0, "body2": 1, "stiffness": 100, "damping": 0, "restLength": 2 }
+//   ],
+//   "constraints": [
+//     { "body1": 0, "point": { "x": 10, "y": 8 }, "length": 3 }
+//   ],
+//   "obstacles": [
+//     { "points": [{ "x": 0, "y": 4 }, { "x": 8, "y": 1 }] },
+//     { "points": [{ "x": 12, "y": 2 }, { "x": 14, "y": 2 }, { "x": 13, "y": 4 }],
+//       "restitution": 1.5 }
+//   ],
+//   "bodies": [
+//     { "radius": 0.2, "mass": 0.125, "pos": { "x": 0.2, "y": 0.2 },
+//       "vel": { "x": 10, "y": 15 }, "color": "#FF0000",
+//       "spin": { "x": 0, "y": 0 }, "angularVel": 0, "restitution": 0.5 },
+//     { "radius": 1, "pos": { "x": 10, "y": 5 }, "static": true },
+//     { "shape": { "type": "box", "width": 1, "height": 0.5 },
+//       "pos": { "x": 4, "y": 2 }, "angle": 0.3, "angularVel": 0 }
+//   ]
+// }
+//
+// Only "world" is required, everything else falls back to the defaults of
+// World, Ball (mass of a disc, π r²) and Simulation. A static body has no
+// mass, it is infinite. Drag is "linear" with a "viscosity" or "quadratic",
+// see physics/forces.js; the wind blows through the drag, it needs one.
+//
+// Springs and constraints (rods) connect "body1" with "body2" or with a fixed
+// "point", bodies are given by their index. A constraint to a point is a
+// pivot. Lengths default to the distance at the start.
+//
+// An obstacle with two points is a line segment, with more a convex polygon.
+//
+// A body with a "shape" is a rigid body that turns, see physics/rigid-body.js:
+// { "type": "circle", "radius": 0.5 }, { "type": "box", "width", "height" } or
+// { "type": "polygon", "points": [...] }, convex, moved so that its centroid
+// is at "pos". Its mass defaults to the area, "angle" is in radians.
+// "contactFriction" is the Coulomb friction of their contacts.
+//
+// "time" is where the simulation clock starts, a saved scene continues the
+// gusts of the wind where they were.
+//
+// A body with its own "restitution" bounces that way off everything, see
+// Body.restitution.
+
+export const SCENE_VERSION = 1;
+
+function fail(message) {
+  throw new Error(`Invalid scene: ${message}`);
+}
+
+function readNumber(value, path, fallback) {
+  if (value === undefined && fallback !== undefined) return fallback;
+  if (typeof value !== "number" || !Number.isFinite(value)) {
+    fail(`${path} must be a finite number`);
+  }
+
+  return value;
+}
+
+function readVector(value, path, fallback) {
+  if (value === undefined && fallback !== undefined) return fallback.clone();
+  if (typeof value !== "object" || value === null) {
+    fail(`${path} must be an object with x and y`);
+  }
+
+  return new Vector2(
+    readNumber(value.x, `${path}.x`),
+    readNumber(value.y, `${path}.y`),
+  );
+}
+
+function readShape(description, path) {
+  if (typeof description !== "object" || description === null) {
+    fail(`${path} must be an object`);
+  }
+
+  const readSize = (key) => {
+    const value = readNumber(description[key], `${path}.${key}`);
+    if (value <= 0) fail(`${path}.${key} must be positive`);
+    return value;
+  };
+
+  if (description.type === "circle") return circleShape(readSize("radius"));
+  if (description.type === "box") {
+    return boxShape(readSize("width"), readSize("height"));
+  }
+  if (description.type === "polygon") {
+    if (!Array.isArray(description.points)) {
+      fail(`${path}.points must be an array`);
+    }
+    const points = description.points.map((point, k) =>
+      readVector(point, `${path}.points[${k}]`),
+    );
+
+    try {
+      return polygonShape(points);
+    } catch (error) {
+      fail(`${path}: ${error.message}`);
+    }
+  }
+
+  fail(`${path}.type must be "circle", "box" or "polygon"`);
+}
+
+function readColor(description, body, path) {
+  if (description.color === undefined) return;
+  if (typeof description.color !== "string") {
+    fail(`${path}.color must be a string`);
+  }
+  body.color = description.color;
+}
+
+function readRestitution(description, body, path) {
+  if (description.restitution === undefined) return;
+
+  body.restitution = readNumber(description.restitution, `${path}.restitution`);
+  if (body.restitution < 0) fail(`${path}.restitution must not be negative`);
+}
+
+function readRigidBody(description, path) {
+  const shape = readShape(description.shape, `${path}.shape`);
+  const mass = description.static
+    ? Infinity
+    : readNumber(description.mass, `${path}.mass`, getArea(shape));
+  if (mass <= 0) fail(`${path}.mass must be positive`);
+
+  const body = new RigidBody(
+    shape,
+    mass,
+    readVector(description.pos, `${path}.pos`),
+    readVector(description.vel, `${path}.vel`, new Vector2()),
+    readNumber(description.angle, `${path}.angle`, 0),
+    readNumber(description.angularVel, `${path}.angularVel`, 0),
+  );
+  readColor(description, body, path);
+  readRestitution(description, body, path);
+
+  return body;
+}
+
+function readBody(description, path) {
+  if (typeof description !== "object" || description === null) {
+    fail(`${path} must be an object`);
+  }
+  if (description.shape !== undefined) {
+    return readRigidBody(description, path);
+  }
+
+  const radius = readNumber(description.radius, `${path}.radius`);
+  if (radius <= 0) fail(`${path}.radius must be positive`);
+
+  const mass = description.static
+    ? Infinity
+    : readNumber(description.mass, `${path}.mass`, Math.PI * radius * radius);
+  if (mass <= 0) fail(`${path}.mass must be positive`);
+
+  const ball = new Ball(
+    radius,
+    mass,
+    readVector(description.pos, `${path}.pos`),
+    readVector(description.vel, `${path}.vel`, new Vector2()),
+  );
+
+  ball.spin = readVector(description.spin, `${path}.spin`, new Vector2());
+  ball.angularVel = readNumber(description.angularVel, `${path}.angularVel`, 0);
+  readColor(description, ball, path);
+  readRestitution(description, ball, path);
+
+  return ball;
+}
+
+function readDrag(description, windDescription) {
+  if (description === undefined) {
+    if (windDescription !== undefined) fail("wind needs drag");
+    return undefined;
+  }
+  if (typeof description !== "object" || description === null) {
+    fail("drag must be an object");
+  }
+
+  const wind =
+    windDescription === undefined
+      ? undefined
+      : new Wind(
+          readVector(windDescription, "wind"),
+          readNumber(windDescription.gust, "wind.gust", 0),
+          readNumber(windDescription.gustPeriod, "wind.gustPeriod", 3),
+        );
+  if (wind && wind.gustPeriod <= 0) fail("wind.gustPeriod must be positive");
+
+  const readPositive = (key, fallback) => {
+    const value = readNumber(description[key], `drag.${key}`, fallback);
+    if (value < 0) fail(`drag.${key} must not be negative`);
+    return value;
+  };
+
+  if (description.model === "linear") {
+    return new LinearDrag({
+      viscosity: readPositive("viscosity", new LinearDrag().viscosity),
+      wind,
+    });
+  }
+  if (description.model === "quadratic") {
+    const defaults = new QuadraticDrag();
+    return new QuadraticDrag({
+      dragCoefficient: readPositive(
+        "dragCoefficient",
+        defaults.dragCoefficient,
+      ),
+      density: readPositive("density", defaults.density),
+      wind,
+    });
+  }
+
+  fail(`unknown drag model "${description.model}"`);
+}
+
+function readEnd(description, path, balls) {
+  const index = description.body2;
+  if (index === undefined)
+    return readVector(description.point, `${path}.point`);
+  if (!Number.isInteger(index) || !balls[index]) {
+    fail(`${path}.body2 must be the index of a body`);
+  }
+
+  return balls[index];
+}
+
+/**
+ * @param {object} description
+ * @param {string} path
+ * @param {Ball[]} balls
+ * @returns {{body1: Ball, end2: Ball | Vector2}}
+ */
+function readConnection(description, path, balls) {
+  if (typeof description !== "object" || description === null) {
+    fail(`${path} must be an object`);
+  }
+
+  const body1 = balls[description.body1];
+  if (!Number.isInteger(description.body1) || !body1) {
+    fail(`${path}.body1 must be the index of a body`);
+  }
+  const end2 = readEnd(description, path, balls);
+  if (end2 === body1) fail(`${path} connects a body to itself`);
+
+  return { body1, end2 };
+}
+
+function readSprings(descriptions, balls) {
+  if (!Array.isArray(descriptions)) fail("springs must be an array");
+
+  return descriptions.map((description, i) => {
+    const path = `springs[${i}]`;
+    const { body1, end2 } = readConnection(description, path, balls);
+    const spring = new Spring(body1, end2);
+
+    ["stiffness", "damping", "restLength"].forEach((key) => {
+      const value = readNumber(description[key], `${path}.${key}`, spring[key]);
+      if (value < 0) fail(`${path}.${key} must not be negative`);
+      spring[key] = value;
+    });
+
+    return spring;
+  });
+}
+
+function readConstraints(descriptions, balls) {
+  if (!Array.isArray(descriptions)) fail("constraints must be an array");
+
+  return descriptions.map((description, i) => {
+    const path = `constraints[${i}]`;
+    const { body1, end2 } = readConnection(description, path, balls);
+    const constraint =
+      end2 instanceof Body
+        ? new DistanceConstraint(body1, end2)
+        : new Pivot(body1, end2);
+
+    constraint.length = readNumber(
+      description.length,
+      `${path}.length`,
+      constraint.length,
+    );
+    if (constraint.length < 0) fail(`${path}.length must not be negative`);
+
+    return constraint;
+  });
+}
+
+function readObstacles(descriptions) {
+  if (!Array.isArray(descriptions)) fail("obstacles must be an array");
+
+  return descriptions.map((description, i) => {
+    const path = `obstacles[${i}]`;
+    if (typeof description !== "object" || description === null) {
+      fail(`${path} must be an object`);
+    }
+    if (!Array.isArray(description.points) || description.points.length < 2) {
+      fail(`${path}.points must be an array of at least two points`);
+    }
+
+    const points = description.points.map((point, k) =>
+      readVector(point, `${path}.points[${k}]`),
+    );
+    const restitution =
+      description.restitution === undefined
+        ? undefined
+        : readNumber(description.restitution, `${path}.restitution`);
+    if (restitution < 0) fail(`${path}.restitution must not be negative`);
+    if (points.length === 2) {
+      return new Segment(points[0], points[1], restitution);
+    }
+
+    try {
+      return new Polygon(points, restitution);
+    } catch (error) {
+      fail(`${path}: ${error.message}`);
+    }
+  });
+}
+
+// walls left out stay closed
+function readWalls(description) {
+  if (description === undefined) return { ...ALL_WALLS };
+  if (typeof description !== "object" || description === null) {
+    fail("walls must be an object");
+  }
+
+  Object.entries(description).forEach(([key, value]) => {
+    if (!(key in ALL_WALLS)) fail(`unknown wall "${key}"`);
+    if (typeof value !== "boolean") fail(`walls.${key} must be true or false`);
+  });
+
+  return { ...ALL_WALLS, ...description };
+}
+
+/**
+ * @param {Spring | DistanceConstraint} connection
+ * @param {Ball[]} bodies
+ */
+function writeConnection(connection, bodies) {
+  const { body1, end2 } = connection;
+
+  return {
+    body1: bodies.indexOf(body1),
+    ...(end2 instanceof Body
+      ? { body2: bodies.indexOf(end2) }
+      : { point: { x: end2.x, y: end2.y } }),
+  };
+}
+
+// boxes are written as the polygon they are
+function writeShape(shape) {
+  if (shape.type === "circle") return { type: "circle", radius: shape.radius };
+
+  return {
+    type: "polygon",
+    points: shape.points.map(({ x, y }) => ({ x, y })),
+  };
+}
+
+function writeDrag(drag) {
+  if (drag instanceof LinearDrag) {
+    return { model: "linear", viscosity: drag.viscosity };
+  }
+
+  return {
+    model: "quadratic",
+    dragCoefficient: drag.dragCoefficient,
+    density: drag.density,
+  };
+}
+
+/**
+ * Builds the simulation described by a scene. Pass an existing simulation to
+ * load the scene into it, so whoever holds on to it (loops, panels) keeps working.
+ * @param {object} description - parsed scene file
+ * @param {Simulation} simulation
+ * @returns {Simulation}
+ */
+export function loadScene(
+  description,
+  simulation = new Simulation(new World(0, 0)),
+) {
+  if (typeof description !== "object" || description === null) {
+    fail("expected an object");
+  }
+  if (
+    description.version !== undefined &&
+    description.version > SCENE_VERSION
+  ) {
+    fail(`version ${description.version} is newer than ${SCENE_VERSION}`);
+  }
+  if (typeof description.world !== "object" || description.world === null) {
+    fail("world must be an object with width and height");
+  }
+
+  const integratorKey = description.integrator ?? "symplecticEuler";
+  if (!(integratorKey in integrators)) {
+    fail(`unknown integrator "${integratorKey}"`);
+  }
+
+  const bodies = description.bodies ?? [];
+  if (!Array.isArray(bodies)) fail("bodies must be an array");
+
+  // read everything first, a broken file must not leave a half loaded world
+  const size = new Vector2(
+    readNumber(description.world.width, "world.width"),
+    readNumber(description.world.height, "world.height"),
+  );
+  if (size.x <= 0) fail("world.width must be positive");
+  if (size.y <= 0) fail("world.height must be positive");
+  const gravity = readVector(description.gravity, "gravity", new Vector2());
+  const restitution = readNumber(description.restitution, "restitution", 1.0);
+  const wallRestitution = readNumber(
+    description.wallRestitution,
+    "wallRestitution",
+    1.0,
+  );
+  if (restitution < 0) fail("restitution must not be negative");
+  if (wallRestitution < 0) fail("wallRestitution must not be negative");
+  const timeStep = readNumber(
+    description.timeStep,
+    "timeStep",
+    simulation.timeStep,
+  );
+  if (timeStep <= 0) fail("timeStep must be positive");
+  const time = readNumber(description.time, "time", 0);
+  if (time < 0) fail("time must not be negative");
+  const walls = readWalls(description.walls);
+  const [rollingFriction, slidingFriction, spinFriction, wallFriction] = [
+    "rollingFriction",
+    "slidingFriction",
+    "spinFriction",
+    "wallFriction",
+  ].map((key) => {
+    const value = readNumber(description[key], key, 0.0);
+    if (value < 0) fail(`${key} must not be negative`);
+    return value;
+  });
+  const contactFriction = readNumber(
+    description.contactFriction,
+    "contactFriction",
+    0.4,
+  );
+  if (contactFriction < 0) fail("contactFriction must not be negative");
+  const drag = readDrag(description.drag, description.wind);
+  const balls = bodies.map((body, i) => readBody(body, `bodies[${i}]`));
+  const springs = readSprings(description.springs ?? [], balls);
+  const constraints = readConstraints(description.constraints ?? [], balls);
+  const obstacles = readObstacles(description.obstacles ?? []);
+  const substeps = readNumber(description.substeps, "substeps", 1);
+  if (!Number.isInteger(substeps) || substeps < 1) {
+    fail("substeps must be a positive integer");
+  }
+
+  const { world } = simulation;
+  world.size = size;
+  world.gravity = gravity;
+  world.restitution = restitution;
+  world.wallRestitution = wallRestitution;
+  world.walls = walls;
+  world.rollingFriction = rollingFriction;
+  world.slidingFriction = slidingFriction;
+  world.spinFriction = spinFriction;
+  world.wallFriction = wallFriction;
+  world.contactFriction = contactFriction;
+  world.forces = [...(drag ? [drag] : []), ...springs];
+  world.constraints = constraints;
+  world.obstacles = obstacles;
+  world.substeps = substeps;
+  world.integrator = integrators[integratorKey];
+  world.continuous = Boolean(description.continuous);
+  world.bodies = [];
+  balls.forEach((ball) => world.addBody(ball));
+
+  simulation.timeStep = timeStep;
+  world.time = time;
+  simulation.time = time;
+  // a new recording starts, whatever the time
+  simulation.tick = 0;
+
+  return simulation;
+}
+
+/**
+ * Serializes the live state of a simulation, loadScene() of the result
+ * continues exactly where it was saved.
+ * @param {Simulation} simulation
+ * @returns {object}
+ */
+export function saveScene(simulation) {
+  const { world } = simulation;
+  // a custom integrator can't be written down, fall back to the default
+  const integrator =
+    Object.keys(integrators).find(
+      (key) => integrators[key] === world.integrator,
+    ) ?? "symplecticEuler";
+  // other force generators can't be written down either
+  const drag = world.forces.find(
+    (generator) =>
+      generator instanceof LinearDrag || generator instanceof QuadraticDrag,
+  );
+  const wind = drag?.wind;
+  // connections to bodies that are no longer in the world are dropped
+  const isConnected = ({ body1, end2 }) =>
+    world.bodies.includes(body1) &&
+    (!(end2 instanceof Body) || world.bodies.includes(end2));
+  const springs = world.forces.filter(
+    (generator) => generator instanceof Spring && isConnected(generator),
+  );
+  const constraints = world.constraints.filter(isConnected);
+
+  return {
+    version: SCENE_VERSION,
+    world: { width: world.size.x, height: world.size.y },
+    gravity: { x: world.gravity.x, y: world.gravity.y },
+    restitution: world.restitution,
+    wallRestitution: world.wallRestitution,
+    walls: { ...world.walls },
+    rollingFriction: world.rollingFriction,
+    slidingFriction: world.slidingFriction,
+    spinFriction: world.spinFriction,
+    wallFriction: world.wallFriction,
+    contactFriction: world.contactFriction,
+    ...(drag && { drag: writeDrag(drag) }),
+    ...(wind && {
+      wind: {
+        x: wind.velocity.x,
+        y: wind.velocity.y,
+        gust: wind.gust,
+        gustPeriod: wind.gustPeriod,
+      },
+    }),
+    timeStep: simulation.timeStep,
+    time: simulation.time,
+    integrator,
+    continuous: world.continuous,
+    substeps: world.substeps,
+    springs: springs.map((spring) => ({
+      ...writeConnection(spring, world.bodies),
+      stiffness: spring.stiffness,
+      damping: spring.damping,
+      restLength: spring.restLength,
+    })),
+    constraints: constraints.map((constraint) => ({
+      ...writeConnection(constraint, world.bodies),
+      length: constraint.length,
+    })),
+    obstacles: world.obstacles.map((obstacle) => ({
+      points: obstacle.points.map(({ x, y }) => ({ x, y })),
+      ...(obstacle.restitution !== undefined && {
+        restitution: obstacle.restitution,
+      }),
+    })),
+    bodies: world.bodies.map((body) => ({
+      ...(body instanceof RigidBody
+        ? { shape: writeShape(body.shape) }
+        : { radius: body.radius }),
+      // JSON has no Infinity
+      ...(body.isStatic ? { static: true } : { mass: body.mass }),
+      pos: { x: body.pos.x, y: body.pos.y },
+      vel: { x: body.vel.x, y: body.vel.y },
+      color: body.color,
+      ...(body instanceof RigidBody
+        ? { angle: body.angle }
+        : { spin: { x: body.spin.x, y: body.spin.y } }),
+      angularVel: body.angularVel,
+      ...(body.restitution !== undefined && {
+        restitution: body.restitution,
+      }),
+    })),
+  };
+}
+
+/**
+ * @param {string} text - contents of a scene file
+ * @returns {object}
+ */
+export function parseScene(text) {
+  let description;
+
+  try {
+    description = JSON.parse(text);
+  } catch (error) {
+    fail(error.message);
+  }
+
+  return description;
+}
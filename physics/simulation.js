@@ -0,0 +1,68 @@
+// 模擬執行器，不依賴 window / canvas，可以直接在 Node 中執行
+export class Simulation {
+  time = 0;
+  tick = 0;
+
+  /**
+   * @param {import("./world.js").World} world
+   * @param {number} timeStep - fixed dt of every tick
+   */
+  constructor(world, timeStep = 1.0 / 60.0) {
+    this.world = world;
+    this.timeStep = timeStep;
+    this.stepListeners = [];
+  }
+
+  /**
+   * Calls the listener after every tick, e.g. to record diagnostics.
+   * @param {(simulation: Simulation) => void} listener
+   * @returns {() => void} removes the listener
+   */
+  onStep(listener) {
+    this.stepListeners.push(listener);
+
+    return () => {
+      this.stepListeners = this.stepListeners.filter((l) => l !== listener);
+    };
+  }
+
+  step() {
+    this.world.step(this.timeStep, this.time);
+    this.time += this.timeStep;
+    this.tick++;
+
+    this.stepListeners.forEach((listener) => listener(this));
+  }
+
+  /**
+   * @param {number} ticks
+   */
+  run(ticks) {
+    for (let i = 0; i < ticks; i++) {
+      this.step();
+    }
+
+    return this;
+  }
+
+  /**
+   * Plain-object copy of the current state, safe to keep around
+   * while the simulation keeps running.
+   */
+  getState() {
+    return {
+      tick: this.tick,
+      time: this.time,
+      bodies: this.world.bodies.map((body) => ({
+        radius: body.radius,
+        mass: body.mass,
+        pos: { x: body.pos.x, y: body.pos.y },
+        vel: { x: body.vel.x, y: body.vel.y },
+        ...(body.angle !== undefined && {
+          angle: body.angle,
+          angularVel: body.angularVel,
+        }),
+      })),
+    };
+  }
+}
@@ -0,0 +1,83 @@
+// 基礎數學運算相關的類別
+export class Vector2 {
+  constructor(x = 0.0, y = 0.0) {
+    this.x = x;
+    this.y = y;
+  }
+
+  set(v) {
+    this.x = v.x;
+    this.y = v.y;
+
+    return this;
+  }
+
+  clone() {
+    return new Vector2(this.x, this.y);
+  }
+
+  /**
+   * @param {{x: number, y: number}} v
+   * @param {number} s - scaling number
+   */
+  add(v, s = 1.0) {
+    this.x += v.x * s;
+    this.y += v.y * s;
+
+    return this;
+  }
+
+  addVectors(a, b) {
+    this.x = a.x + b.x;
+    this.y = a.y + b.y;
+
+    return this;
+  }
+
+  subtract(v, s = 1.0) {
+    this.x -= v.x * s;
+    this.y -= v.y * s;
+
+    return this;
+  }
+
+  subtractVectors(a, b) {
+    this.x = a.x - b.x;
+    this.y = a.y - b.y;
+
+    return this;
+  }
+
+  scale(s) {
+    this.x *= s;
+    this.y *= s;
+
+    return this;
+  }
+
+  length() {
+    return Math.sqrt(this.x * this.x + this.y * this.y);
+  }
+
+  normalize() {
+    const len = this.length();
+    if (len > 0) {
+      this.scale(1 / len);
+    }
+
+    return this;
+  }
+
+  // Learn more about dot product and the verctor
+  // Reference:
+  // https://www.youtube.com/watch?v=9WqiMoqEyJ0
+  //
+  // A·B = |A| |B| cos(θ) = Ax*Bx + Ay*By
+  dot(v) {
+    return this.x * v.x + this.y * v.y;
+  }
+
+  static subtract(a, b) {
+    return new Vector2(a.x - b.x, a.y - b.y);
+  }
+}
@@ -0,0 +1,453 @@
+import { Vector2 } from "./vector.js";
+import {
+  ALL_WALLS,
+  handleBallsCollision,
+  handleWallCollision,
+} from "./collision.js";
+import { symplecticEuler } from "./integrators.js";
+import { SpatialHashBroadPhase } from "./broadphase.js";
+import { sweepBodies } from "./ccd.js";
+import { applyRollingFriction, applyTableFriction } from "./friction.js";
+import { handleObstacleCollision } from "./obstacles.js";
+import { RigidBody } from "./rigid-body.js";
+import {
+  collideShapes,
+  getWallShapes,
+  getWorldShape,
+  resolveContacts,
+} from "./contacts.js";
+
+/**
+ * @typedef {import("./collision.js").Contact & {
+ *   body1: import("./body.js").Ball | RigidBody,
+ *   body2: import("./body.js").Ball | RigidBody,
+ * }} BodyContact
+ */
+
+/**
+ * A body against a wall of the world or an obstacle, one of the two is set.
+ * @typedef {import("./collision.js").Contact & {
+ *   body: import("./body.js").Ball | RigidBody,
+ *   wall?: keyof import("./collision.js").Walls,
+ *   obstacle?: import("./obstacles.js").Segment | import("./obstacles.js").Polygon,
+ * }} SurfaceContact
+ */
+
+// 物理世界類別，處理所有物體的移動與碰撞
+export class World {
+  /**
+   * @type {(import("./body.js").Ball | RigidBody)[]}
+   */
+  bodies = [];
+
+  constructor(width, height) {
+    this.size = new Vector2(width, height);
+    this.gravity = new Vector2(0.0, 0.0);
+    // restitution between two balls
+    this.restitution = 1.0;
+    // restitution between a ball and the walls
+    this.wallRestitution = 1.0;
+    /**
+     * @type {import("./collision.js").Walls}
+     */
+    this.walls = { ...ALL_WALLS };
+    /**
+     * @type {import("./integrators.js").Integrator}
+     */
+    this.integrator = symplecticEuler;
+    /**
+     * @type {{name: string, getPairs: (bodies: import("./body.js").Ball[]) => [import("./body.js").Ball, import("./body.js").Ball][]}}
+     */
+    this.broadPhase = new SpatialHashBroadPhase();
+    // number of narrow phase tests, callers reset it when they read it
+    this.pairTests = 0;
+    // sweep the bodies along their motion so fast ones can't tunnel,
+    // see physics/ccd.js
+    this.continuous = false;
+    this.maxSubsteps = 8;
+    // decelerations of a ball rolling and sliding on the floor of a
+    // top-down world, and of its side spin, see physics/friction.js.
+    // Without sliding friction spin is ignored and balls only roll.
+    this.rollingFriction = 0.0;
+    this.slidingFriction = 0.0;
+    this.spinFriction = 0.0;
+    // friction between a spinning ball and the walls
+    this.wallFriction = 0.0;
+    /**
+     * forces besides gravity, such as drag, see physics/forces.js
+     * @type {import("./forces.js").ForceGenerator[]}
+     */
+    this.forces = [];
+    /**
+     * rods and pivots, see physics/constraints.js
+     * @type {import("./constraints.js").DistanceConstraint[]}
+     */
+    this.constraints = [];
+    // more iterations settle chains of constraints better
+    this.constraintIterations = 10;
+    // splits every step into smaller ones. Constraints lose a little energy
+    // every step: at 60 steps per second a pendulum on a rod loses most of
+    // its swing within half a minute, with 20 substeps it keeps swinging.
+    this.substeps = 1;
+    // start of the step being taken, for forces that change over time
+    // such as gusts; the simulation passes its own time
+    this.time = 0.0;
+    /**
+     * static segments and polygons, see physics/obstacles.js
+     * @type {(import("./obstacles.js").Segment | import("./obstacles.js").Polygon)[]}
+     */
+    this.obstacles = [];
+    // friction and impulse iterations of contacts with rigid bodies,
+    // see physics/contacts.js
+    this.contactFriction = 0.4;
+    this.contactIterations = 10;
+    this.contactListeners = [];
+    this.surfaceContactListeners = [];
+  }
+
+  addBody(body) {
+    this.bodies.push(body);
+
+    return body;
+  }
+
+  // springs and rods attached to the body go with it
+  removeBody(body) {
+    const index = this.bodies.indexOf(body);
+    if (index !== -1) {
+      this.bodies.splice(index, 1);
+    }
+
+    const isAttached = (connection) =>
+      connection.body1 === body || connection.end2 === body;
+    this.forces = this.forces.filter((generator) => !isAttached(generator));
+    this.constraints = this.constraints.filter(
+      (constraint) => !isAttached(constraint),
+    );
+  }
+
+  /**
+   * Copy with the same settings and cloned bodies, for running ahead
+   * without touching this world. Contact listeners are not copied.
+   * @returns {World}
+   */
+  clone() {
+    const copy = Object.assign(Object.create(World.prototype), this);
+    copy.size = this.size.clone();
+    copy.gravity = this.gravity.clone();
+    copy.walls = { ...this.walls };
+    copy.obstacles = [...this.obstacles];
+    copy.bodies = this.bodies.map((body) => body.clone());
+    // springs and rods connect the copies instead
+    const copies = new Map(
+      this.bodies.map((body, k) => [body, copy.bodies[k]]),
+    );
+    copy.forces = this.forces.map(
+      (generator) => generator.cloneFor?.(copies) ?? generator,
+    );
+    copy.constraints = this.constraints.map((constraint) =>
+      constraint.cloneFor(copies),
+    );
+    copy.contactListeners = [];
+    copy.surfaceContactListeners = [];
+
+    return copy;
+  }
+
+  /**
+   * Calls the listener for every collision of two bodies.
+   * @param {(contact: BodyContact) => void} listener
+   * @returns {() => void} removes the listener
+   */
+  onContact(listener) {
+    this.contactListeners.push(listener);
+
+    return () => {
+      this.contactListeners = this.contactListeners.filter(
+        (l) => l !== listener,
+      );
+    };
+  }
+
+  /**
+   * @param {BodyContact} contact
+   */
+  emitContact(contact) {
+    this.contactListeners.forEach((listener) => listener(contact));
+  }
+
+  /**
+   * Calls the listener for every collision of a body with a wall or an
+   * obstacle, the normal points from the body into the surface.
+   * @param {(contact: SurfaceContact) => void} listener
+   * @returns {() => void} removes the listener
+   */
+  onSurfaceContact(listener) {
+    this.surfaceContactListeners.push(listener);
+
+    return () => {
+      this.surfaceContactListeners = this.surfaceContactListeners.filter(
+        (l) => l !== listener,
+      );
+    };
+  }
+
+  /**
+   * @param {SurfaceContact} contact
+   */
+  emitSurfaceContact(contact) {
+    this.surfaceContactListeners.forEach((listener) => listener(contact));
+  }
+
+  get friction() {
+    return {
+      sliding: this.slidingFriction,
+      rolling: this.rollingFriction,
+      spin: this.spinFriction,
+    };
+  }
+
+  /**
+   * Acceleration of a body at the given state.
+   * @param {import("./body.js").Body} body
+   * @param {Vector2} pos
+   * @param {Vector2} vel
+   * @returns {Vector2}
+   */
+  getAcceleration(body, pos, vel) {
+    body.clearForce();
+    this.forces.forEach((generator) =>
+      generator.apply(body, pos, vel, this.time),
+    );
+
+    return this.gravity.clone().add(body.force, 1 / body.mass);
+  }
+
+  // the bodies that move, static ones have no energy or momentum
+  get dynamicBodies() {
+    return this.bodies.filter((body) => !body.isStatic);
+  }
+
+  // rigid bodies also turn, ½ I ω²
+  getKineticEnergy(bodies = this.dynamicBodies) {
+    return bodies.reduce(
+      (sum, body) =>
+        sum +
+        0.5 * body.mass * body.vel.dot(body.vel) +
+        (body instanceof RigidBody
+          ? 0.5 * body.inertia * body.angularVel * body.angularVel
+          : 0),
+      0,
+    );
+  }
+
+  // gravitational potential energy, zero at the origin (the ground),
+  // plus whatever springs store
+  getPotentialEnergy() {
+    const gravitational = this.dynamicBodies.reduce(
+      (sum, body) => sum - body.mass * this.gravity.dot(body.pos),
+      0,
+    );
+
+    return this.forces.reduce(
+      (sum, generator) => sum + (generator.getPotentialEnergy?.() ?? 0),
+      gravitational,
+    );
+  }
+
+  // total linear momentum
+  getMomentum() {
+    const p = new Vector2();
+    this.dynamicBodies.forEach((body) => p.add(body.vel, body.mass));
+
+    return p;
+  }
+
+  /**
+   * Advances every body by one time step, then resolves collisions.
+   * @param {number} dt
+   * @param {number} time - at the start of the step
+   */
+  step(dt, time = this.time) {
+    if (this.substeps === 1) {
+      this.substep(dt, time);
+      return;
+    }
+
+    const start = this.bodies.map((body) => body.pos.clone());
+    const startAngles = this.bodies.map((body) => body.angle);
+    const h = dt / this.substeps;
+    for (let i = 0; i < this.substeps; i++) {
+      this.substep(h, time + i * h);
+    }
+
+    // rendering interpolates over the whole step
+    this.bodies.forEach((body, k) => {
+      body.prevPos.set(start[k]);
+      if (body instanceof RigidBody) body.prevAngle = startAngles[k];
+    });
+    this.time = time + dt;
+  }
+
+  /**
+   * @param {number} dt
+   * @param {number} time
+   */
+  substep(dt, time) {
+    this.time = time;
+    this.forces.forEach((generator) => generator.beforeStep?.());
+
+    for (const body of this.bodies) {
+      body.prevPos.set(body.pos);
+      if (body.isStatic) continue;
+
+      if (this.slidingFriction > 0 && body.spin) {
+        applyTableFriction(body, this.friction, dt);
+      } else if (this.rollingFriction > 0) {
+        applyRollingFriction(body.vel, this.rollingFriction, dt);
+      }
+      body.simulate(
+        dt,
+        (pos, vel) => this.getAcceleration(body, pos, vel),
+        this.integrator,
+      );
+    }
+
+    for (let i = 0; i < this.constraintIterations; i++) {
+      this.constraints.forEach((constraint) => constraint.solve());
+    }
+
+    if (this.continuous) {
+      sweepBodies(this, dt, this.maxSubsteps);
+    }
+
+    // the discrete pass still cleans up overlaps and resting contacts
+    const pairs = this.broadPhase.getPairs(this.bodies);
+    this.pairTests += pairs.length;
+
+    // rigid bodies are resolved all together, after the balls
+    const manifolds = [];
+
+    for (const [ball1, ball2] of pairs) {
+      if (ball1 instanceof RigidBody || ball2 instanceof RigidBody) {
+        if (ball1.isStatic && ball2.isStatic) continue;
+
+        const contact = collideShapes(
+          getWorldShape(ball1),
+          getWorldShape(ball2),
+        );
+        if (contact) {
+          manifolds.push({
+            body1: ball1,
+            body2: ball2,
+            ...contact,
+            restitution: this.getRestitution(ball1, ball2),
+          });
+        }
+        continue;
+      }
+
+      const contact = handleBallsCollision(
+        ball1,
+        ball2,
+        this.getRestitution(ball1, ball2),
+      );
+      if (contact) {
+        this.emitContact({ body1: ball1, body2: ball2, ...contact });
+      }
+    }
+
+    for (const body of this.dynamicBodies) {
+      if (body instanceof RigidBody) {
+        manifolds.push(...this.collideWithSurroundings(body));
+        continue;
+      }
+
+      handleWallCollision(
+        body,
+        this.size,
+        this.getWallRestitution(body),
+        this.walls,
+        this.wallFriction,
+      ).forEach((contact) => this.emitSurfaceContact({ body, ...contact }));
+
+      for (const obstacle of this.obstacles) {
+        const contact = handleObstacleCollision(
+          body,
+          obstacle,
+          this.getWallRestitution(body),
+          this.wallFriction,
+        );
+        if (contact) {
+          this.emitSurfaceContact({ body, obstacle, ...contact });
+        }
+      }
+    }
+
+    resolveContacts(
+      manifolds,
+      this.contactFriction,
+      dt,
+      this.contactIterations,
+    );
+    manifolds.forEach(({ body1, body2, normal, points, wall, obstacle }) => {
+      const point = points[0].point;
+      if (body2) {
+        this.emitContact({ body1, body2, point, normal });
+      } else {
+        this.emitSurfaceContact({ body: body1, wall, obstacle, point, normal });
+      }
+    });
+
+    this.time = time + dt;
+  }
+
+  /**
+   * Restitution between two bodies, see Body.restitution.
+   * @param {import("./body.js").Body} body1
+   * @param {import("./body.js").Body} body2
+   */
+  getRestitution(body1, body2) {
+    return Math.min(
+      body1.restitution ?? this.restitution,
+      body2.restitution ?? this.restitution,
+    );
+  }
+
+  /**
+   * Restitution between a body and the walls, an obstacle with its own
+   * restitution still has the last word.
+   * @param {import("./body.js").Body} body
+   */
+  getWallRestitution(body) {
+    return body.restitution ?? this.wallRestitution;
+  }
+
+  /**
+   * Contacts of a rigid body with the walls and the obstacles.
+   * @param {RigidBody} body
+   * @returns {import("./contacts.js").Manifold[]}
+   */
+  collideWithSurroundings(body) {
+    const shape = getWorldShape(body);
+    const surfaces = [
+      ...getWallShapes(this.size, this.walls).map((wall) => [
+        wall,
+        this.getWallRestitution(body),
+        { wall: wall.side },
+      ]),
+      ...this.obstacles.map((obstacle) => [
+        { type: "polygon", points: obstacle.points },
+        obstacle.restitution ?? this.getWallRestitution(body),
+        { obstacle },
+      ]),
+    ];
+
+    return surfaces.flatMap(([surface, restitution, hit]) => {
+      const contact = collideShapes(shape, surface);
+      return contact
+        ? [{ body1: body, body2: undefined, ...contact, restitution, ...hit }]
+        : [];
+    });
+  }
+}
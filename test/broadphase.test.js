@@ -0,0 +1,114 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  Ball,
+  BruteForceBroadPhase,
+  Simulation,
+  SpatialHashBroadPhase,
+  Vector2,
+  World,
+} from "../physics/index.js";
+
+// a small deterministic generator, Math.random would make failures unreproducible
+function lcg(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+}
+
+function randomBalls(count, size, seed) {
+  const random = lcg(seed);
+  const balls = [];
+  for (let i = 0; i < count; i++) {
+    const radius = 0.05 + random() * 0.1;
+    balls.push(
+      new Ball(
+        radius,
+        Math.PI * radius * radius,
+        new Vector2(random() * size, random() * size),
+        new Vector2(random() * 2 - 1, random() * 2 - 1),
+      ),
+    );
+  }
+  return balls;
+}
+
+// pairs that really touch, as sorted index pairs
+function touching(balls, pairs) {
+  return pairs
+    .filter(([a, b]) => {
+      const d = Vector2.subtract(a.pos, b.pos).length();
+      return d <= a.radius + b.radius;
+    })
+    .map(([a, b]) => [balls.indexOf(a), balls.indexOf(b)].sort((x, y) => x - y))
+    .map(([i, j]) => `${i}-${j}`)
+    .sort();
+}
+
+test("spatial hash finds the same touching pairs as brute force", () => {
+  const balls = randomBalls(400, 5, 1);
+
+  const expected = touching(balls, new BruteForceBroadPhase().getPairs(balls));
+  const actual = touching(balls, new SpatialHashBroadPhase().getPairs(balls));
+
+  assert.ok(expected.length > 0);
+  assert.deepEqual(actual, expected);
+});
+
+test("spatial hash never reports a pair twice", () => {
+  const balls = randomBalls(300, 3, 2);
+
+  const keys = new SpatialHashBroadPhase()
+    .getPairs(balls)
+    .map(([a, b]) => [balls.indexOf(a), balls.indexOf(b)].sort().join("-"));
+
+  assert.equal(new Set(keys).size, keys.length);
+});
+
+test("spatial hash tests far fewer pairs than brute force", () => {
+  const balls = randomBalls(500, 20, 3);
+
+  const brute = new BruteForceBroadPhase().getPairs(balls).length;
+  const hashed = new SpatialHashBroadPhase().getPairs(balls).length;
+
+  assert.equal(brute, (500 * 499) / 2);
+  assert.ok(hashed < brute / 50);
+});
+
+test("the default cell size adapts to the largest ball", () => {
+  const big = new Ball(1, 1, new Vector2(0.5, 0.5), new Vector2());
+  const small = new Ball(0.1, 1, new Vector2(1.4, 0.5), new Vector2());
+
+  assert.equal(new SpatialHashBroadPhase().getPairs([big, small]).length, 1);
+});
+
+test("worlds count narrow phase tests", () => {
+  const world = new World(20, 20);
+  randomBalls(50, 20, 4).forEach((ball) => world.addBody(ball));
+  world.broadPhase = new BruteForceBroadPhase();
+
+  new Simulation(world).run(2);
+
+  assert.equal(world.pairTests, 2 * ((50 * 49) / 2));
+});
+
+test("both broad phases conserve momentum in a crowded box", () => {
+  [new BruteForceBroadPhase(), new SpatialHashBroadPhase()].forEach((phase) => {
+    const world = new World(1000, 1000);
+    randomBalls(200, 4, 5).forEach((ball) => {
+      ball.pos.add(new Vector2(500, 500));
+      world.addBody(ball);
+    });
+    world.broadPhase = phase;
+    const before = world.getMomentum();
+
+    new Simulation(world).run(60);
+
+    const after = world.getMomentum();
+    assert.ok(Math.abs(after.x - before.x) < 1e-9, phase.name);
+    assert.ok(Math.abs(after.y - before.y) < 1e-9, phase.name);
+  });
+});
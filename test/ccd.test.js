@@ -0,0 +1,186 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  Ball,
+  Segment,
+  Simulation,
+  Vector2,
+  World,
+  ballsTimeOfImpact,
+  wallTimeOfImpact,
+} from "../physics/index.js";
+
+const EPSILON = 1e-9;
+
+function ball(radius, x, y, vx, vy) {
+  return new Ball(radius, 1, new Vector2(x, y), new Vector2(vx, vy));
+}
+
+test("ballsTimeOfImpact of a head-on approach", () => {
+  const t = ballsTimeOfImpact(
+    new Vector2(0, 0),
+    new Vector2(2, 0),
+    new Vector2(5, 0),
+    new Vector2(-2, 0),
+    1,
+    10,
+  );
+
+  assert.ok(Math.abs(t - 1) < EPSILON);
+});
+
+test("ballsTimeOfImpact misses separating, passing and late balls", () => {
+  const origin = new Vector2(0, 0);
+  const still = new Vector2(0, 0);
+
+  // moving apart
+  assert.equal(
+    ballsTimeOfImpact(
+      origin,
+      still,
+      new Vector2(2, 0),
+      new Vector2(1, 0),
+      1,
+      10,
+    ),
+    Infinity,
+  );
+  // passing by too far away
+  assert.equal(
+    ballsTimeOfImpact(
+      origin,
+      still,
+      new Vector2(5, 2),
+      new Vector2(-1, 0),
+      1,
+      10,
+    ),
+    Infinity,
+  );
+  // touching only after maxTime
+  assert.equal(
+    ballsTimeOfImpact(
+      origin,
+      still,
+      new Vector2(5, 0),
+      new Vector2(-1, 0),
+      1,
+      3,
+    ),
+    Infinity,
+  );
+});
+
+test("wallTimeOfImpact picks the first wall and its side", () => {
+  const event = wallTimeOfImpact(
+    new Vector2(8, 5),
+    new Vector2(4, -1),
+    0.5,
+    new Vector2(10, 10),
+    10,
+  );
+
+  assert.equal(event.axis, "x");
+  assert.equal(event.side, 1);
+  assert.ok(Math.abs(event.t - 1.5 / 4) < EPSILON);
+});
+
+test("a fast ball no longer tunnels through another ball", () => {
+  const discrete = new World(100, 10);
+  const continuous = new World(100, 10);
+  continuous.continuous = true;
+
+  [discrete, continuous].forEach((world) => {
+    // moves 10 units per step, the target is only 0.2 wide
+    world.addBody(ball(0.1, 1, 5, 600, 0));
+    world.addBody(ball(0.1, 5, 5, 0, 0));
+    new Simulation(world, 1 / 60).run(1);
+  });
+
+  assert.equal(discrete.bodies[1].vel.x, 0);
+  assert.ok(Math.abs(continuous.bodies[0].vel.x) < EPSILON);
+  assert.ok(Math.abs(continuous.bodies[1].vel.x - 600) < EPSILON);
+  // the target travelled for the rest of the step after being hit
+  assert.ok(
+    Math.abs(continuous.bodies[1].pos.x - (5 + 600 / 60 - 3.8)) < EPSILON,
+  );
+});
+
+test("a fast ball bounces off a wall at the time of impact", () => {
+  const world = new World(10, 10);
+  world.continuous = true;
+  world.addBody(ball(0.5, 9, 5, 120, 0));
+
+  new Simulation(world, 1 / 60).run(1);
+
+  // 0.5 to reach the wall, the remaining 1.5 on the way back
+  assert.ok(Math.abs(world.bodies[0].pos.x - 8) < EPSILON);
+  assert.equal(world.bodies[0].vel.x, -120);
+});
+
+test("a fast ball bounces off a thin segment at the time of impact", () => {
+  const world = new World(10, 10);
+  world.continuous = true;
+  world.obstacles = [new Segment(new Vector2(5, 2), new Vector2(5, 8))];
+  world.addBody(ball(0.1, 4, 5, 120, 0));
+
+  new Simulation(world, 1 / 60).run(1);
+
+  // 0.9 to reach the segment, the remaining 1.1 on the way back
+  assert.ok(Math.abs(world.bodies[0].pos.x - 3.8) < EPSILON);
+  assert.equal(world.bodies[0].vel.x, -120);
+});
+
+test("a fast ball grazing the end of a segment hits its corner", () => {
+  const world = new World(10, 10);
+  world.continuous = true;
+  world.obstacles = [new Segment(new Vector2(5, 2), new Vector2(5, 5))];
+  // passes 0.3 above the end, both ends of the step are clear of it
+  world.addBody(ball(0.5, 3, 5.3, 240, 0));
+
+  new Simulation(world, 1 / 60).run(1);
+
+  // touches at x = 4.6, the normal of the corner is (-0.8, 0.6)
+  const { pos, vel } = world.bodies[0];
+  assert.ok(Math.abs(vel.x + 67.2) < EPSILON);
+  assert.ok(Math.abs(vel.y - 230.4) < EPSILON);
+  assert.ok(pos.x < 4.6);
+});
+
+test("several bounces inside one step", () => {
+  const world = new World(1, 10);
+  world.continuous = true;
+  world.addBody(ball(0.25, 0.5, 5, 60, 0));
+
+  new Simulation(world, 1 / 60).run(1);
+
+  // 0.25 to the right wall, 0.5 to the left one, 0.25 back to the middle
+  assert.ok(Math.abs(world.bodies[0].pos.x - 0.5) < EPSILON);
+  assert.equal(world.bodies[0].vel.x, 60);
+});
+
+test("continuous collisions conserve momentum", () => {
+  const world = new World(1000, 1000);
+  world.continuous = true;
+  for (let i = 0; i < 30; i++) {
+    world.addBody(
+      new Ball(
+        0.2,
+        1 + (i % 3),
+        new Vector2(400 + (i % 6) * 30, 400 + Math.floor(i / 6) * 30),
+        new Vector2(((i * 37) % 11) * 60 - 300, ((i * 53) % 7) * 60 - 180),
+      ),
+    );
+  }
+  const before = world.getMomentum();
+
+  new Simulation(world, 1 / 60).run(10);
+
+  const after = world.getMomentum();
+  assert.ok(Math.abs(after.x - before.x) < 1e-6);
+  assert.ok(Math.abs(after.y - before.y) < 1e-6);
+  world.bodies.forEach((body) => {
+    assert.ok(body.pos.x > 0 && body.pos.x < 1000);
+  });
+});
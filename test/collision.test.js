@@ -0,0 +1,189 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  Ball,
+  Vector2,
+  World,
+  handleBallsCollision,
+  handleWallCollision,
+} from "../physics/index.js";
+
+const EPSILON = 1e-9;
+
+function momentum(...balls) {
+  const p = new Vector2();
+  balls.forEach((ball) => p.add(ball.vel, ball.mass));
+  return p;
+}
+
+function kineticEnergy(...balls) {
+  return balls.reduce(
+    (sum, ball) => sum + 0.5 * ball.mass * ball.vel.dot(ball.vel),
+    0,
+  );
+}
+
+test("handleBallsCollision conserves momentum", () => {
+  const ball1 = new Ball(0.5, 1, new Vector2(0, 0), new Vector2(3, 1));
+  const ball2 = new Ball(0.3, 4, new Vector2(0.6, 0.4), new Vector2(-1, 0));
+  const before = momentum(ball1, ball2);
+
+  handleBallsCollision(ball1, ball2, 0.7);
+
+  const after = momentum(ball1, ball2);
+  assert.ok(Math.abs(after.x - before.x) < EPSILON);
+  assert.ok(Math.abs(after.y - before.y) < EPSILON);
+});
+
+test("handleBallsCollision conserves energy when restitution is 1", () => {
+  const ball1 = new Ball(0.5, 2, new Vector2(0, 0), new Vector2(2, 0.5));
+  const ball2 = new Ball(0.5, 1, new Vector2(0.9, 0.2), new Vector2(-1, 0));
+  const before = kineticEnergy(ball1, ball2);
+
+  handleBallsCollision(ball1, ball2, 1.0);
+
+  assert.ok(Math.abs(kineticEnergy(ball1, ball2) - before) < EPSILON);
+});
+
+test("handleBallsCollision swaps velocities of equal masses head-on", () => {
+  const ball1 = new Ball(0.5, 1, new Vector2(0, 0), new Vector2(1, 0));
+  const ball2 = new Ball(0.5, 1, new Vector2(0.8, 0), new Vector2(-2, 0));
+
+  handleBallsCollision(ball1, ball2, 1.0);
+
+  assert.ok(Math.abs(ball1.vel.x + 2) < EPSILON);
+  assert.ok(Math.abs(ball2.vel.x - 1) < EPSILON);
+  // the overlap is split evenly
+  assert.ok(Math.abs(ball2.pos.x - ball1.pos.x - 1) < EPSILON);
+});
+
+test("handleBallsCollision ignores balls that do not touch", () => {
+  const ball1 = new Ball(0.5, 1, new Vector2(0, 0), new Vector2(1, 0));
+  const ball2 = new Ball(0.5, 1, new Vector2(2, 0), new Vector2(-1, 0));
+
+  handleBallsCollision(ball1, ball2, 1.0);
+
+  assert.deepEqual([ball1.vel.x, ball2.vel.x], [1, -1]);
+  assert.deepEqual([ball1.pos.x, ball2.pos.x], [0, 2]);
+});
+
+test("handleWallCollision bounces off the ground at the radius", () => {
+  const ball = new Ball(0.2, 1, new Vector2(1, 0.1), new Vector2(1, -5));
+
+  handleWallCollision(ball, new Vector2(10, 10));
+
+  assert.equal(ball.pos.y, 0.2);
+  assert.equal(ball.vel.y, 5);
+  assert.equal(ball.vel.x, 1);
+});
+
+test("handleWallCollision damps the bounce with restitution", () => {
+  const ball = new Ball(0.5, 1, new Vector2(9.8, 5), new Vector2(4, 0));
+
+  handleWallCollision(ball, new Vector2(10, 10), 0.5);
+
+  assert.equal(ball.pos.x, 9.5);
+  assert.equal(ball.vel.x, -2);
+});
+
+test("handleWallCollision skips missing walls", () => {
+  const ball = new Ball(0.5, 1, new Vector2(5, 9.8), new Vector2(0, 3));
+
+  handleWallCollision(ball, new Vector2(10, 10), 1.0, {
+    left: true,
+    right: true,
+    bottom: true,
+    top: false,
+  });
+
+  assert.equal(ball.pos.y, 9.8);
+  assert.equal(ball.vel.y, 3);
+});
+
+test("handleBallsCollision returns the contact point and normal", () => {
+  const ball1 = new Ball(1, 1, new Vector2(0, 0), new Vector2(1, 0));
+  const ball2 = new Ball(1, 1, new Vector2(1.5, 0), new Vector2(-1, 0));
+
+  const contact = handleBallsCollision(ball1, ball2, 1);
+
+  assert.deepEqual([contact.normal.x, contact.normal.y], [1, 0]);
+  assert.deepEqual([contact.point.x, contact.point.y], [0.75, 0]);
+  assert.equal(
+    handleBallsCollision(
+      ball1,
+      new Ball(1, 1, new Vector2(5, 0), new Vector2()),
+      1,
+    ),
+    undefined,
+  );
+});
+
+test("the world reports contacts of the discrete and continuous pass", () => {
+  [false, true].forEach((continuous) => {
+    const world = new World(100, 10);
+    world.continuous = continuous;
+    const ball1 = world.addBody(
+      new Ball(0.5, 1, new Vector2(10, 5), new Vector2(570, 0)),
+    );
+    const ball2 = world.addBody(
+      new Ball(0.5, 1, new Vector2(20, 5), new Vector2()),
+    );
+    const contacts = [];
+    world.onContact((contact) => contacts.push(contact));
+
+    world.step(1 / 60);
+
+    assert.ok(contacts.length > 0, `continuous ${continuous}`);
+    assert.deepEqual(
+      new Set([contacts[0].body1, contacts[0].body2]),
+      new Set([ball1, ball2]),
+    );
+  });
+});
+
+test("a static ball bounces others off and never moves", () => {
+  const obstacle = new Ball(0.5, Infinity, new Vector2(1, 0), new Vector2());
+  const ball = new Ball(0.5, 1, new Vector2(0.1, 0), new Vector2(2, 0));
+
+  handleBallsCollision(ball, obstacle, 1);
+
+  assert.deepEqual(obstacle.pos, new Vector2(1, 0));
+  assert.deepEqual(obstacle.vel, new Vector2());
+  // the ball is pushed out of the overlap and reflected
+  assert.ok(Math.abs(ball.pos.x - 0) < EPSILON);
+  assert.ok(Math.abs(ball.vel.x + 2) < EPSILON);
+});
+
+test("two overlapping static balls stay where they are", () => {
+  const ball1 = new Ball(0.5, Infinity, new Vector2(0, 0), new Vector2());
+  const ball2 = new Ball(0.5, Infinity, new Vector2(0.5, 0), new Vector2());
+
+  assert.equal(handleBallsCollision(ball1, ball2, 1), undefined);
+  assert.deepEqual(ball1.pos, new Vector2(0, 0));
+  assert.deepEqual(ball2.pos, new Vector2(0.5, 0));
+});
+
+test("a body's own restitution overrides the world's", () => {
+  const world = new World(10, 10);
+  world.restitution = 1;
+  world.wallRestitution = 1;
+  const dead = world.addBody(
+    new Ball(0.5, 1, new Vector2(0.45, 5), new Vector2(-2, 0)),
+  );
+  dead.restitution = 0;
+  const ball1 = world.addBody(
+    new Ball(0.5, 1, new Vector2(4, 5), new Vector2(1, 0)),
+  );
+  const ball2 = world.addBody(
+    new Ball(0.5, 1, new Vector2(4.95, 5), new Vector2(-1, 0)),
+  );
+  ball2.restitution = 0.5;
+
+  world.step(1 / 600);
+
+  assert.ok(Math.abs(dead.vel.x) < EPSILON);
+  // of two bodies the less bouncy one counts, the other one is elastic
+  assert.ok(Math.abs(ball1.vel.x + 0.5) < EPSILON);
+  assert.ok(Math.abs(ball2.vel.x - 0.5) < EPSILON);
+});
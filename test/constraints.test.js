@@ -0,0 +1,179 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  Ball,
+  DistanceConstraint,
+  Pivot,
+  Simulation,
+  Spring,
+  Vector2,
+  World,
+  predict,
+} from "../physics/index.js";
+
+function createWorld(gravity = 0) {
+  const world = new World(10, 10);
+  world.gravity = new Vector2(0, -gravity);
+  world.walls = { left: false, right: false, bottom: false, top: false };
+
+  return world;
+}
+
+function getEnergy(world) {
+  return world.getKineticEnergy() + world.getPotentialEnergy();
+}
+
+/**
+ * @param {Simulation} simulation
+ * @param {() => number} value
+ * @param {number} ticks
+ * @returns {number} average time between two upward zero crossings
+ */
+function measurePeriod(simulation, value, ticks) {
+  const crossings = [];
+  let last = value();
+  simulation.onStep(() => {
+    const current = value();
+    if (last < 0 && current >= 0) crossings.push(simulation.time);
+    last = current;
+  });
+  simulation.run(ticks);
+
+  return (crossings.at(-1) - crossings[0]) / (crossings.length - 1);
+}
+
+test("a pivot swings a ball with the period of a pendulum", () => {
+  const world = createWorld(10);
+  world.substeps = 20;
+  const ball = world.addBody(
+    new Ball(0.1, 1, new Vector2(5 + 2 * Math.sin(0.1), 6), new Vector2()),
+  );
+  world.constraints.push(new Pivot(ball, new Vector2(5, 8), 2));
+  const simulation = new Simulation(world, 1 / 60);
+
+  const period = measurePeriod(simulation, () => ball.pos.x - 5, 60 * 20);
+
+  // small angles, T = 2π √(L / g)
+  assert.ok(Math.abs(period - 2 * Math.PI * Math.sqrt(2 / 10)) < 0.01);
+  assert.ok(
+    Math.abs(Vector2.subtract(ball.pos, new Vector2(5, 8)).length() - 2) < 1e-6,
+  );
+});
+
+test("substeps keep a wide swing going", () => {
+  const swing = (substeps) => {
+    const world = createWorld(10);
+    world.substeps = substeps;
+    const ball = world.addBody(
+      new Ball(0.1, 1, new Vector2(7, 8), new Vector2()),
+    );
+    world.constraints.push(new Pivot(ball, new Vector2(5, 8)));
+    const start = getEnergy(world);
+    new Simulation(world, 1 / 60).run(600);
+
+    // share of the swing lost, at the bottom the potential energy is m g 6
+    return (start - getEnergy(world)) / (start - 60);
+  };
+
+  assert.ok(swing(20) < 0.1);
+  assert.ok(swing(1) > 0.5);
+});
+
+test("a rod keeps two balls apart and their momentum", () => {
+  const world = createWorld();
+  const ball1 = world.addBody(
+    new Ball(0.1, 1, new Vector2(4, 5), new Vector2(0, 2)),
+  );
+  const ball2 = world.addBody(
+    new Ball(0.1, 3, new Vector2(6, 5), new Vector2(1, -1)),
+  );
+  world.constraints.push(new DistanceConstraint(ball1, ball2));
+  const momentum = world.getMomentum();
+
+  new Simulation(world, 1 / 60).run(120);
+
+  assert.ok(
+    Math.abs(Vector2.subtract(ball2.pos, ball1.pos).length() - 2) < 1e-9,
+  );
+  assert.ok(Vector2.subtract(world.getMomentum(), momentum).length() < 1e-9);
+});
+
+test("a spring oscillates with the period of Hooke's law", () => {
+  const world = createWorld();
+  const ball = world.addBody(
+    new Ball(0.1, 2, new Vector2(6, 5), new Vector2()),
+  );
+  world.forces.push(
+    new Spring(ball, new Vector2(4, 5), { stiffness: 50, restLength: 1.5 }),
+  );
+  const simulation = new Simulation(world, 1 / 600);
+
+  const period = measurePeriod(simulation, () => ball.pos.x - 5.5, 6000);
+
+  // T = 2π √(m / k)
+  assert.ok(Math.abs(period - 2 * Math.PI * Math.sqrt(2 / 50)) < 0.01);
+});
+
+test("a spring between two balls keeps their momentum, damping takes energy", () => {
+  const world = createWorld();
+  const ball1 = world.addBody(
+    new Ball(0.1, 1, new Vector2(4, 5), new Vector2(-1, 0.5)),
+  );
+  const ball2 = world.addBody(
+    new Ball(0.1, 2, new Vector2(6, 5), new Vector2(1, 0)),
+  );
+  world.forces.push(
+    new Spring(ball1, ball2, { stiffness: 20, damping: 0.5, restLength: 1 }),
+  );
+  const momentum = world.getMomentum();
+  const energy = getEnergy(world);
+
+  new Simulation(world, 1 / 120).run(600);
+
+  assert.ok(Vector2.subtract(world.getMomentum(), momentum).length() < 1e-9);
+  assert.ok(getEnergy(world) < energy);
+});
+
+test("Newton's cradle passes the swing to the last ball", () => {
+  const world = createWorld(10);
+  world.substeps = 20;
+  const balls = [0, 1, 2, 3, 4].map((i) => {
+    const pivot = new Vector2(4 + i * 0.5, 8);
+    const pos =
+      i === 0
+        ? new Vector2(4 - 3 * Math.sin(0.5), 8 - 3 * Math.cos(0.5))
+        : new Vector2(pivot.x, 5);
+    const ball = world.addBody(new Ball(0.25, 1, pos, new Vector2()));
+    world.constraints.push(new Pivot(ball, pivot, 3));
+    return ball;
+  });
+
+  // a quarter of a period, just after the first ball hit
+  new Simulation(world, 1 / 60).run(60);
+
+  assert.ok(balls[4].vel.x > 1);
+  balls.slice(0, 4).forEach((ball) => assert.ok(Math.abs(ball.vel.x) < 0.1));
+});
+
+test("predicting leaves the connected bodies of the world alone", () => {
+  const world = createWorld(10);
+  const ball1 = world.addBody(
+    new Ball(0.1, 1, new Vector2(6, 8), new Vector2()),
+  );
+  const ball2 = world.addBody(
+    new Ball(0.1, 1, new Vector2(7, 8), new Vector2()),
+  );
+  world.constraints.push(new Pivot(ball1, new Vector2(5, 8)));
+  world.forces.push(new Spring(ball1, ball2));
+
+  const { paths } = predict(world, { dt: 1 / 60, maxSteps: 30 });
+
+  assert.deepEqual(ball1.pos, new Vector2(6, 8));
+  assert.deepEqual(ball2.pos, new Vector2(7, 8));
+  assert.ok(
+    Math.abs(
+      Vector2.subtract(paths.get(ball1).at(-1), new Vector2(5, 8)).length() - 1,
+    ) < 1e-9,
+  );
+});
@@ -0,0 +1,80 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  Ball,
+  Diagnostics,
+  Simulation,
+  Vector2,
+  World,
+} from "../physics/index.js";
+
+function dropBall(wallRestitution) {
+  const world = new World(10, 10);
+  world.gravity = new Vector2(0, -10);
+  world.wallRestitution = wallRestitution;
+  world.addBody(new Ball(0.2, 2, new Vector2(5, 5), new Vector2(1, 0)));
+  return new Simulation(world, 1 / 240);
+}
+
+test("energy of a resting ball", () => {
+  const world = new World(10, 10);
+  world.gravity = new Vector2(0, -10);
+  world.addBody(new Ball(0.2, 2, new Vector2(5, 3), new Vector2(3, 4)));
+
+  assert.equal(world.getKineticEnergy(), 25);
+  assert.equal(world.getPotentialEnergy(), 60);
+  assert.deepEqual([world.getMomentum().x, world.getMomentum().y], [6, 8]);
+});
+
+test("a sample is recorded on attach and after every step", () => {
+  const simulation = dropBall(1.0);
+  const diagnostics = new Diagnostics();
+
+  diagnostics.attach(simulation);
+  simulation.run(10);
+
+  assert.equal(diagnostics.samples.length, 11);
+  assert.equal(diagnostics.latest.time, simulation.time);
+});
+
+test("old samples are dropped beyond maxSamples", () => {
+  const simulation = dropBall(1.0);
+  const diagnostics = new Diagnostics(5);
+
+  diagnostics.attach(simulation);
+  simulation.run(20);
+
+  assert.equal(diagnostics.samples.length, 5);
+  assert.equal(diagnostics.latest.time, simulation.time);
+});
+
+test("the detach callback stops recording", () => {
+  const simulation = dropBall(1.0);
+  const diagnostics = new Diagnostics();
+
+  const detach = diagnostics.attach(simulation);
+  simulation.run(3);
+  detach();
+  simulation.run(3);
+
+  assert.equal(diagnostics.samples.length, 4);
+});
+
+test("total energy leaks away when the bounce is damped", () => {
+  const elastic = dropBall(1.0);
+  const damped = dropBall(0.8);
+  const elasticDiagnostics = new Diagnostics(Infinity);
+  const dampedDiagnostics = new Diagnostics(Infinity);
+  elasticDiagnostics.attach(elastic);
+  dampedDiagnostics.attach(damped);
+
+  elastic.run(240 * 5);
+  damped.run(240 * 5);
+
+  const initial = elasticDiagnostics.samples[0].total;
+  assert.ok(
+    Math.abs(elasticDiagnostics.latest.total - initial) / initial < 0.05,
+  );
+  assert.ok(dampedDiagnostics.latest.total < initial * 0.8);
+});
@@ -0,0 +1,105 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  Ball,
+  LinearDrag,
+  QuadraticDrag,
+  Simulation,
+  Vector2,
+  Wind,
+  World,
+  analyticFlight,
+  launchVelocity,
+  measureFlight,
+  rk4,
+} from "../physics/index.js";
+
+function dropBall(forces, vel = new Vector2()) {
+  const world = new World(100, 1000);
+  world.walls = { left: false, right: false, bottom: false, top: false };
+  world.forces = forces;
+  const ball = world.addBody(new Ball(0.5, 1, new Vector2(50, 500), vel));
+
+  return { world, ball, simulation: new Simulation(world, 1 / 120) };
+}
+
+test("linear drag slows a ball down exponentially", () => {
+  const drag = new LinearDrag({ viscosity: 0.1 });
+  const { world, ball, simulation } = dropBall([drag], new Vector2(10, 0));
+  world.integrator = rk4;
+  simulation.run(120);
+
+  // m dv/dt = -b v, b = 6π μ r
+  const b = 6 * Math.PI * drag.viscosity * ball.radius;
+  const expected = 10 * Math.exp((-b * simulation.time) / ball.mass);
+
+  assert.ok(Math.abs(ball.vel.x - expected) < 1e-6);
+});
+
+test("quadratic drag reaches the terminal velocity", () => {
+  const drag = new QuadraticDrag({ dragCoefficient: 0.5, density: 1 });
+  const { world, ball, simulation } = dropBall([drag]);
+  world.gravity = new Vector2(0, -10);
+  simulation.run(1200);
+
+  // m g = ½ ρ Cd A v²
+  const area = Math.PI * ball.radius * ball.radius;
+  const terminal = Math.sqrt((2 * ball.mass * 10) / (1 * 0.5 * area));
+
+  assert.ok(Math.abs(-ball.vel.y - terminal) < 1e-3);
+});
+
+test("drag pushes a resting ball along with the wind", () => {
+  const wind = new Wind(new Vector2(3, -1));
+  const { ball, simulation } = dropBall([
+    new LinearDrag({ viscosity: 0.1, wind }),
+  ]);
+  simulation.run(1200);
+
+  assert.ok(Math.abs(ball.vel.x - 3) < 1e-2);
+  assert.ok(Math.abs(ball.vel.y + 1) < 1e-2);
+});
+
+test("gusts swing around the mean wind and repeat for the same time", () => {
+  const steady = new Wind(new Vector2(4, 0));
+  const gusty = new Wind(new Vector2(4, 0), 0.5, 2);
+
+  for (let time = 0; time < 20; time += 0.1) {
+    assert.deepEqual(steady.getVelocity(time), new Vector2(4, 0));
+
+    const vel = gusty.getVelocity(time);
+    assert.ok(vel.x >= 2 - 1e-9 && vel.x <= 6 + 1e-9);
+    assert.deepEqual(gusty.getVelocity(time), vel);
+  }
+});
+
+test("the force accumulator holds the forces of the last step", () => {
+  const { ball, simulation } = dropBall(
+    [new LinearDrag({ viscosity: 1 })],
+    new Vector2(2, 0),
+  );
+  simulation.step();
+
+  assert.ok(ball.force.x < 0);
+  assert.equal(ball.force.y, 0);
+});
+
+test("drag shortens the flight of a cannon ball", () => {
+  const world = new World(100, 50);
+  world.gravity = new Vector2(0, -10);
+  world.forces = [new QuadraticDrag({ density: 0.05 })];
+  const ball = world.addBody(
+    new Ball(0.2, 1, new Vector2(0.2, 0.2), launchVelocity(18, 45)),
+  );
+  const simulation = new Simulation(world, 1 / 600);
+  const path = [ball.pos.clone()];
+  simulation.onStep(() => path.push(ball.pos.clone()));
+  simulation.run(3000);
+
+  const flight = measureFlight(path, simulation.timeStep, 0.2);
+  const vacuum = analyticFlight(18, 45, 10);
+
+  assert.ok(flight.range < vacuum.range);
+  assert.ok(flight.apex < vacuum.apex);
+});
@@ -0,0 +1,106 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  Ball,
+  Simulation,
+  Vector2,
+  World,
+  applyRollingFriction,
+  getSlip,
+  handleWallCollision,
+} from "../physics/index.js";
+
+test("rolling friction slows down along the motion", () => {
+  const vel = new Vector2(3, 4);
+
+  applyRollingFriction(vel, 10, 0.1);
+
+  assert.ok(Math.abs(vel.x - 2.4) < 1e-12);
+  assert.ok(Math.abs(vel.y - 3.2) < 1e-12);
+});
+
+test("rolling friction stops a slow ball instead of reversing it", () => {
+  const vel = new Vector2(0.5, 0);
+
+  applyRollingFriction(vel, 10, 0.1);
+
+  assert.deepEqual([vel.x, vel.y], [0, 0]);
+});
+
+test("a rolling ball stops after v² / 2a", () => {
+  const world = new World(100, 10);
+  world.rollingFriction = 5;
+  const ball = world.addBody(
+    new Ball(0.5, 1, new Vector2(10, 5), new Vector2(10, 0)),
+  );
+
+  new Simulation(world, 1 / 600).run(600 * 3);
+
+  assert.deepEqual([ball.vel.x, ball.vel.y], [0, 0]);
+  assert.ok(Math.abs(ball.pos.x - (10 + 100 / 10)) < 0.02);
+});
+
+function slideBall(vel, spin) {
+  const world = new World(1000, 1000);
+  world.slidingFriction = 2;
+  world.rollingFriction = 0.1;
+  const ball = world.addBody(
+    new Ball(0.5, 1, new Vector2(500, 500), new Vector2(vel, 0)),
+  );
+  ball.spin = new Vector2(0, spin);
+  return { world, ball, simulation: new Simulation(world, 1 / 120) };
+}
+
+test("a ball hit without spin slides, then rolls at 5/7 of its speed", () => {
+  const { ball, simulation } = slideBall(7, 0);
+
+  // the slip of 7 shrinks by 3.5 * 2 per second
+  simulation.run(119);
+  assert.ok(Math.hypot(getSlip(ball).x, getSlip(ball).y) > 0);
+  simulation.run(2);
+
+  const slip = getSlip(ball);
+  assert.ok(Math.hypot(slip.x, slip.y) < 1e-12);
+  assert.ok(Math.abs(ball.vel.x - 5) < 0.01);
+  assert.equal(ball.spin.y, ball.vel.x / ball.radius);
+});
+
+test("backspin pulls a stopped ball back, topspin pushes it on", () => {
+  const draw = slideBall(0, -10);
+  const follow = slideBall(0, 10);
+
+  draw.simulation.run(120);
+  follow.simulation.run(120);
+
+  assert.ok(draw.ball.vel.x < 0);
+  assert.ok(follow.ball.vel.x > 0);
+});
+
+test("sliding friction does not change the total angular momentum about the contact point", () => {
+  const { ball, simulation } = slideBall(3, -4);
+  // m v R + I ω for a solid sphere on the table
+  const angularMomentum = () =>
+    ball.mass * ball.vel.x * ball.radius +
+    0.4 * ball.mass * ball.radius ** 2 * ball.spin.y;
+  const before = angularMomentum();
+
+  simulation.run(30);
+
+  assert.ok(Math.abs(angularMomentum() - before) < 1e-9);
+});
+
+test("side spin changes the angle off a cushion", () => {
+  const bounce = (angularVel) => {
+    const ball = new Ball(0.5, 1, new Vector2(5, 9.6), new Vector2(0, 4));
+    ball.angularVel = angularVel;
+    handleWallCollision(ball, new Vector2(10, 10), 1, undefined, 0.2);
+    return ball;
+  };
+
+  assert.equal(bounce(0).vel.x, 0);
+  // counter-clockwise seen from above is right english
+  assert.ok(bounce(10).vel.x > 0);
+  assert.ok(bounce(-10).vel.x < 0);
+  assert.equal(bounce(10).vel.y, -4);
+});
@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Ball, EditHistory, Spring, Vector2, World } from "../physics/index.js";
+
+function twoBalls() {
+  const world = new World(10, 10);
+  const ball1 = world.addBody(
+    new Ball(0.5, 1, new Vector2(2, 5), new Vector2()),
+  );
+  const ball2 = world.addBody(
+    new Ball(0.5, 1, new Vector2(6, 5), new Vector2()),
+  );
+
+  return { world, ball1, ball2 };
+}
+
+test("undo puts a moved body back and redo moves it again", () => {
+  const { world, ball1 } = twoBalls();
+  const history = new EditHistory(world);
+
+  history.record();
+  ball1.pos.set(new Vector2(3, 3));
+  ball1.radius = 1;
+
+  assert.ok(history.undo());
+  assert.deepEqual(ball1.pos, new Vector2(2, 5));
+  assert.equal(ball1.radius, 0.5);
+  // the same object, whatever refers to it still does
+  assert.equal(world.bodies[0], ball1);
+
+  assert.ok(history.redo());
+  assert.deepEqual(ball1.pos, new Vector2(3, 3));
+  assert.equal(ball1.radius, 1);
+});
+
+test("undoing a deletion brings back the body and its spring", () => {
+  const { world, ball1, ball2 } = twoBalls();
+  const spring = new Spring(ball1, ball2);
+  world.forces.push(spring);
+  const history = new EditHistory(world);
+
+  history.record();
+  world.removeBody(ball2);
+
+  assert.deepEqual(world.bodies, [ball1]);
+  assert.deepEqual(world.forces, []);
+
+  history.undo();
+
+  assert.deepEqual(world.bodies, [ball1, ball2]);
+  assert.deepEqual(world.forces, [spring]);
+});
+
+test("a new change drops what was undone", () => {
+  const { world, ball1 } = twoBalls();
+  const history = new EditHistory(world);
+
+  history.record();
+  ball1.pos.x = 3;
+  history.undo();
+  history.record();
+  ball1.pos.x = 4;
+
+  assert.equal(history.canRedo, false);
+  assert.equal(history.redo(), false);
+  history.undo();
+  assert.equal(ball1.pos.x, 2);
+  assert.equal(history.undo(), false);
+});
@@ -0,0 +1,92 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  Ball,
+  Vector2,
+  World,
+  explicitEuler,
+  integrators,
+  rk4,
+  symplecticEuler,
+  velocityVerlet,
+} from "../physics/index.js";
+
+const GRAVITY = new Vector2(0, -10);
+
+function launch(integrator, steps, dt) {
+  const ball = new Ball(0.1, 1, new Vector2(0, 0), new Vector2(10, 15));
+  for (let i = 0; i < steps; i++) {
+    integrator.step(ball, dt, () => GRAVITY.clone());
+  }
+  return ball;
+}
+
+// y(t) of the analytic parabola
+function parabolaY(t) {
+  return 15 * t - 5 * t * t;
+}
+
+test("velocity Verlet and RK4 follow the parabola exactly", () => {
+  [velocityVerlet, rk4].forEach((integrator) => {
+    const ball = launch(integrator, 20, 0.1);
+
+    assert.ok(Math.abs(ball.pos.x - 20) < 1e-9, integrator.name);
+    assert.ok(Math.abs(ball.pos.y - parabolaY(2)) < 1e-9, integrator.name);
+  });
+});
+
+test("the two Euler methods drift to opposite sides", () => {
+  const explicit = launch(explicitEuler, 20, 0.1);
+  const symplectic = launch(symplecticEuler, 20, 0.1);
+
+  // the error of both is g t dt / 2 = 1
+  assert.ok(Math.abs(explicit.pos.y - (parabolaY(2) + 1)) < 1e-9);
+  assert.ok(Math.abs(symplectic.pos.y - (parabolaY(2) - 1)) < 1e-9);
+});
+
+// unit mass on a unit spring, E = (x² + v²) / 2
+function oscillate(integrator, steps, dt) {
+  const body = new Ball(0.1, 1, new Vector2(1, 0), new Vector2(0, 0));
+  for (let i = 0; i < steps; i++) {
+    integrator.step(body, dt, (pos) => pos.clone().scale(-1));
+  }
+  return 0.5 * (body.pos.dot(body.pos) + body.vel.dot(body.vel));
+}
+
+test("explicit Euler gains energy on a spring, the others do not", () => {
+  const steps = 1000;
+  const dt = 0.05;
+
+  assert.ok(oscillate(explicitEuler, steps, dt) > 1);
+  assert.ok(Math.abs(oscillate(symplecticEuler, steps, dt) - 0.5) < 0.05);
+  assert.ok(Math.abs(oscillate(velocityVerlet, steps, dt) - 0.5) < 0.01);
+  assert.ok(Math.abs(oscillate(rk4, steps, dt) - 0.5) < 1e-4);
+});
+
+test("a body integrator overrides the world integrator", () => {
+  const world = new World(100, 100);
+  world.gravity = GRAVITY.clone();
+  world.integrator = explicitEuler;
+  const ball = world.addBody(
+    new Ball(0.1, 1, new Vector2(50, 50), new Vector2(0, 0)),
+  );
+  const other = world.addBody(
+    new Ball(0.1, 1, new Vector2(10, 50), new Vector2(0, 0)),
+  );
+  ball.integrator = symplecticEuler;
+
+  world.step(0.1);
+
+  assert.ok(Math.abs(ball.pos.y - 49.9) < 1e-9);
+  assert.equal(other.pos.y, 50);
+});
+
+test("integrators lists every method", () => {
+  assert.deepEqual(Object.values(integrators), [
+    explicitEuler,
+    symplecticEuler,
+    velocityVerlet,
+    rk4,
+  ]);
+});
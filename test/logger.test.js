@@ -0,0 +1,190 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import { mkdtempSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import {
+  Ball,
+  DataLogger,
+  Segment,
+  Simulation,
+  Vector2,
+  World,
+} from "../physics/index.js";
+
+function headOn() {
+  const world = new World(10, 10);
+  world.gravity = new Vector2(0, -10);
+  world.addBody(new Ball(0.5, 1, new Vector2(4, 5), new Vector2(3, 0)));
+  world.addBody(new Ball(0.5, 1, new Vector2(6, 5), new Vector2(-3, 0)));
+  return new Simulation(world, 1 / 60);
+}
+
+test("samples every body at the given interval", () => {
+  const simulation = headOn();
+  const logger = new DataLogger({ interval: 0.1 });
+
+  logger.attach(simulation);
+  simulation.run(60);
+
+  // t = 0, 0.1, ... 1.0, two balls each
+  assert.equal(logger.samples.length, 22);
+  const [first] = logger.samples;
+  assert.deepEqual(
+    [first.time, first.body, first.x, first.vx, first.kinetic, first.potential],
+    [0, 0, 4, 3, 4.5, 50],
+  );
+});
+
+test("records the collisions of two bodies", () => {
+  const simulation = headOn();
+  const logger = new DataLogger();
+
+  logger.attach(simulation);
+  simulation.run(30);
+
+  assert.equal(logger.collisions.length, 1);
+  const [collision] = logger.collisions;
+  assert.deepEqual([collision.body1, collision.body2], [0, 1]);
+  assert.equal(collision.time, collision.tick * simulation.timeStep);
+});
+
+test("a resting contact is logged once, when it starts", () => {
+  const world = new World(10, 10);
+  world.gravity = new Vector2(0, -10);
+  world.addBody(new Ball(0.5, Infinity, new Vector2(5, 2), new Vector2()));
+  world.addBody(new Ball(0.5, 1, new Vector2(5, 3.5), new Vector2()));
+  world.restitution = 0;
+  const simulation = new Simulation(world, 1 / 60);
+  const logger = new DataLogger();
+
+  logger.attach(simulation);
+  simulation.run(120);
+
+  // it came to rest on the static ball and touches it every step
+  assert.ok(Math.abs(world.bodies[1].pos.y - 3) < 0.01);
+  assert.equal(logger.collisions.length, 1);
+});
+
+test("records the impacts with the walls and obstacles", () => {
+  const world = new World(10, 10);
+  world.gravity = new Vector2(0, -10);
+  world.restitution = 0;
+  world.wallRestitution = 0;
+  world.obstacles = [new Segment(new Vector2(6, 1), new Vector2(9, 1))];
+  world.addBody(new Ball(0.5, 1, new Vector2(2, 3), new Vector2()));
+  world.addBody(new Ball(0.5, 1, new Vector2(7, 3), new Vector2()));
+  const simulation = new Simulation(world, 1 / 60);
+  const logger = new DataLogger();
+
+  logger.attach(simulation);
+  simulation.run(120);
+
+  // both came to rest, one on the floor and one on the segment, and are
+  // logged once
+  assert.ok(Math.abs(world.bodies[0].pos.y - 0.5) < 0.01);
+  assert.ok(Math.abs(world.bodies[1].pos.y - 1.5) < 0.01);
+  const impacts = logger.collisions.map(({ body1, body2, wall, obstacle }) => ({
+    body1,
+    body2,
+    wall,
+    obstacle,
+  }));
+  assert.deepEqual(
+    impacts.sort((a, b) => a.body1 - b.body1),
+    [
+      { body1: 0, body2: undefined, wall: "bottom", obstacle: undefined },
+      { body1: 1, body2: undefined, wall: undefined, obstacle: 0 },
+    ],
+  );
+  const [floor] = logger.collisions.filter(({ wall }) => wall);
+  assert.deepEqual([floor.x, floor.y, floor.nx, floor.ny], [2, 0, 0, -1]);
+});
+
+test("stepping from an earlier tick overwrites what came after", () => {
+  const simulation = headOn();
+  const logger = new DataLogger();
+
+  logger.attach(simulation);
+  simulation.run(10);
+  simulation.tick = 5;
+  simulation.step();
+
+  assert.deepEqual(
+    [...new Set(logger.samples.map((sample) => sample.tick))],
+    [0, 1, 2, 3, 4, 5, 6],
+  );
+});
+
+test("exports only the selected quantities", () => {
+  const simulation = headOn();
+  const logger = new DataLogger({ quantities: ["velocity"] });
+
+  logger.attach(simulation);
+
+  assert.equal(
+    logger.samplesToCSV(),
+    ["time,body,vx,vy", "0,0,3,0", "0,1,-3,0"].join("\n"),
+  );
+  assert.deepEqual(JSON.parse(JSON.stringify(logger)).samples[1], {
+    time: 0,
+    body: 1,
+    vx: -3,
+    vy: 0,
+  });
+  assert.deepEqual(
+    logger.getFiles("run").map(({ filename }) => filename),
+    ["run.csv", "run.json"],
+  );
+});
+
+test("the command line tool writes the same files", () => {
+  const out = mkdtempSync(join(tmpdir(), "log-scene-"));
+
+  try {
+    execFileSync(process.execPath, [
+      new URL("../tools/log-scene.js", import.meta.url).pathname,
+      new URL("../scenes/head-on.json", import.meta.url).pathname,
+      "--duration",
+      "1",
+      "--rate",
+      "10",
+      "--out",
+      out,
+    ]);
+
+    const csv = readFileSync(join(out, "head-on.csv"), "utf8").split("\n");
+    assert.equal(csv[0], "time,body,x,y,vx,vy,kinetic,potential");
+    const json = JSON.parse(readFileSync(join(out, "head-on.json"), "utf8"));
+    assert.equal(json.samples.length, csv.length - 1);
+    assert.equal(json.interval, 0.1);
+    const collisions = readFileSync(
+      join(out, "head-on.collisions.csv"),
+      "utf8",
+    );
+    assert.equal(collisions.split("\n").length - 1, json.collisions.length);
+  } finally {
+    rmSync(out, { recursive: true, force: true });
+  }
+});
+
+test("the command line tool rejects an unknown option with its usage", () => {
+  assert.throws(
+    () =>
+      execFileSync(
+        process.execPath,
+        [
+          new URL("../tools/log-scene.js", import.meta.url).pathname,
+          new URL("../scenes/head-on.json", import.meta.url).pathname,
+          "--bogus",
+        ],
+        { stdio: "pipe" },
+      ),
+    (error) =>
+      error.status === 1 &&
+      /Unknown option '--bogus'/.test(error.stderr) &&
+      /usage: node tools\/log-scene.js/.test(error.stderr),
+  );
+});
@@ -0,0 +1,90 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  Ball,
+  FixedStepLoop,
+  Simulation,
+  Vector2,
+  World,
+} from "../physics/index.js";
+
+function createLoop(maxStepsPerFrame) {
+  const world = new World(100, 100);
+  world.addBody(new Ball(0.5, 1, new Vector2(10, 50), new Vector2(6, 0)));
+  return new FixedStepLoop(new Simulation(world, 1 / 60), maxStepsPerFrame);
+}
+
+function runFrames(loop, hz, seconds) {
+  const frameMs = 1000 / hz;
+  for (let i = 0; i <= hz * seconds; i++) {
+    loop.frame(i * frameMs);
+  }
+}
+
+test("simulated time follows wall-clock time at any refresh rate", () => {
+  [30, 60, 120, 144].forEach((hz) => {
+    const loop = createLoop();
+
+    runFrames(loop, hz, 2);
+
+    assert.ok(Math.abs(loop.simulation.tick - 120) <= 1, `${hz}Hz`);
+  });
+});
+
+test("the first frame only records the timestamp", () => {
+  const loop = createLoop();
+
+  assert.equal(loop.frame(5000), 0);
+  assert.equal(loop.simulation.tick, 0);
+});
+
+test("advance caps the number of steps per frame", () => {
+  const loop = createLoop(5);
+
+  const alpha = loop.advance(3);
+
+  assert.equal(loop.simulation.tick, 5);
+  assert.ok(alpha >= 0 && alpha < 1);
+  assert.ok(loop.accumulator < loop.simulation.timeStep);
+});
+
+test("alpha is the leftover fraction of a step", () => {
+  const loop = createLoop();
+
+  const alpha = loop.advance(2.5 / 60);
+
+  assert.equal(loop.simulation.tick, 2);
+  assert.ok(Math.abs(alpha - 0.5) < 1e-9);
+});
+
+test("reset forgets the paused time", () => {
+  const loop = createLoop();
+  loop.frame(0);
+  loop.frame(10);
+
+  loop.reset();
+  loop.frame(60000);
+
+  assert.equal(loop.simulation.tick, 0);
+});
+
+test("interpolatePos blends the previous and current position", () => {
+  const loop = createLoop();
+  const ball = loop.simulation.world.bodies[0];
+
+  loop.advance(1 / 60);
+  const pos = ball.interpolatePos(0.5);
+
+  assert.ok(Math.abs(pos.x - (10 + 0.05)) < 1e-9);
+  assert.equal(pos.y, 50);
+});
+
+test("timeScale speeds up or slows down simulated time", () => {
+  const loop = createLoop();
+  loop.timeScale = 0.25;
+
+  runFrames(loop, 60, 2);
+
+  assert.ok(Math.abs(loop.simulation.tick - 30) <= 1);
+});
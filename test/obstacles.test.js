@@ -0,0 +1,153 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  Ball,
+  Polygon,
+  Segment,
+  Simulation,
+  Vector2,
+  World,
+  closestPointOnSegment,
+  convexHull,
+  handleObstacleCollision,
+} from "../physics/index.js";
+
+const EPSILON = 1e-9;
+
+function assertClose(actual, expected) {
+  assert.ok(
+    Vector2.subtract(actual, expected).length() < EPSILON,
+    `expected (${expected.x}, ${expected.y}), got (${actual.x}, ${actual.y})`,
+  );
+}
+
+test("closestPointOnSegment stays between the ends", () => {
+  const a = new Vector2(0, 0);
+  const b = new Vector2(2, 0);
+
+  assertClose(
+    closestPointOnSegment(new Vector2(1, 3), a, b),
+    new Vector2(1, 0),
+  );
+  assertClose(closestPointOnSegment(new Vector2(-1, 1), a, b), a);
+  assertClose(closestPointOnSegment(new Vector2(5, -1), a, b), b);
+});
+
+test("a ball bounces off a sloped segment along its normal", () => {
+  const segment = new Segment(new Vector2(0, 0), new Vector2(2, 2));
+  const normal = new Vector2(-1, 1).normalize();
+  const ball = new Ball(
+    0.5,
+    1,
+    new Vector2(1, 1).add(normal, 0.4),
+    new Vector2(1, -1),
+  );
+  ball.prevPos.set(ball.pos);
+
+  const contact = handleObstacleCollision(ball, segment, 0.5);
+
+  assert.ok(contact);
+  assertClose(ball.pos, new Vector2(1, 1).add(normal, 0.5));
+  // the normal speed is reversed and halved, √2 → -√2 / 2
+  assertClose(ball.vel, new Vector2(0.5, -0.5).scale(-1));
+  assertClose(contact.normal, normal.clone().scale(-1));
+});
+
+test("a ball that doesn't touch is left alone", () => {
+  const segment = new Segment(new Vector2(0, 0), new Vector2(2, 0));
+  const ball = new Ball(0.5, 1, new Vector2(1, 0.6), new Vector2(0, -1));
+
+  assert.equal(handleObstacleCollision(ball, segment), undefined);
+  assertClose(ball.vel, new Vector2(0, -1));
+});
+
+test("the obstacle's restitution overrides the world's, bumpers kick", () => {
+  const bumper = new Segment(new Vector2(0, 0), new Vector2(2, 0), 1.5);
+  const ball = new Ball(0.5, 1, new Vector2(1, 0.4), new Vector2(0, -2));
+
+  handleObstacleCollision(ball, bumper, 0.2);
+
+  assertClose(ball.vel, new Vector2(0, 3));
+});
+
+test("a fast ball can't pass through a thin segment", () => {
+  const world = new World(10, 10);
+  world.obstacles.push(new Segment(new Vector2(0, 5), new Vector2(10, 5)));
+  const ball = world.addBody(
+    new Ball(0.05, 1, new Vector2(5, 6), new Vector2(0, -200)),
+  );
+
+  new Simulation(world, 1 / 60).run(10);
+
+  assert.ok(ball.pos.y > 5);
+});
+
+test("a ball ends up outside of a polygon it is in", () => {
+  const square = new Polygon([
+    new Vector2(0, 0),
+    new Vector2(2, 0),
+    new Vector2(2, 2),
+    new Vector2(0, 2),
+  ]);
+  const ball = new Ball(0.2, 1, new Vector2(1.9, 1), new Vector2(-1, 0));
+  ball.prevPos.set(ball.pos);
+
+  handleObstacleCollision(ball, square);
+
+  // out through the nearest, right edge
+  assertClose(ball.pos, new Vector2(2.2, 1));
+  assertClose(ball.vel, new Vector2(1, 0));
+});
+
+test("polygons are convex and counterclockwise", () => {
+  const clockwise = new Polygon([
+    new Vector2(0, 0),
+    new Vector2(0, 1),
+    new Vector2(1, 0),
+  ]);
+
+  assert.ok(clockwise.contains(new Vector2(0.2, 0.2)));
+  assert.ok(!clockwise.contains(new Vector2(1, 1)));
+  assert.throws(
+    () =>
+      new Polygon([
+        new Vector2(0, 0),
+        new Vector2(2, 0),
+        new Vector2(1, 0.5),
+        new Vector2(1, 2),
+      ]),
+    /convex/,
+  );
+  assert.throws(() => new Polygon([new Vector2(), new Vector2(1, 1)]));
+});
+
+test("convexHull keeps only the outer points", () => {
+  const hull = convexHull([
+    new Vector2(0, 0),
+    new Vector2(1, 1),
+    new Vector2(2, 0),
+    new Vector2(2, 2),
+    new Vector2(0, 2),
+  ]);
+
+  assert.equal(hull.length, 4);
+  assert.ok(!hull.some((p) => p.x === 1 && p.y === 1));
+});
+
+test("a ball rolls down a ramp instead of falling through it", () => {
+  const world = new World(10, 10);
+  world.gravity = new Vector2(0, -10);
+  world.wallRestitution = 0;
+  world.obstacles.push(new Segment(new Vector2(0, 6), new Vector2(8, 2)));
+  const ball = world.addBody(
+    new Ball(0.1, 1, new Vector2(1, 5.6), new Vector2()),
+  );
+
+  new Simulation(world, 1 / 60).run(60);
+
+  // still above the ramp, and further down it
+  const onRamp = 6 - ball.pos.x / 2;
+  assert.ok(ball.pos.x > 2);
+  assert.ok(ball.pos.y > onRamp);
+});
@@ -0,0 +1,138 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Random, Simulation, Vector2, World } from "../physics/index.js";
+import {
+  BALL_RADIUS,
+  PoolBall,
+  PoolRules,
+  Table,
+} from "../ch-03-practice/pool.js";
+
+function ball(number) {
+  return new PoolBall(number, new Vector2());
+}
+
+function shoot(rules, firstContact, potted = []) {
+  rules.startShot();
+  if (firstContact !== undefined) {
+    rules.handleContact(ball(0), ball(firstContact));
+  }
+  potted.forEach((number) => rules.handlePotted(ball(number)));
+  return rules.endShot();
+}
+
+test("the rack has 16 balls without overlaps inside the table", () => {
+  const table = new Table();
+  const balls = table.rack(new Random(1));
+
+  assert.equal(balls.length, 16);
+  assert.equal(balls[0].number, 0);
+  assert.deepEqual(
+    balls.map((b) => b.number).sort((a, b) => a - b),
+    [...Array(16).keys()],
+  );
+  // the 8 ball in the middle of the third row
+  assert.equal(balls[5].number, 8);
+  assert.notEqual(balls[11].group, balls[15].group);
+
+  balls.forEach((b1, i) => {
+    assert.ok(b1.pos.x > BALL_RADIUS && b1.pos.x < table.width - BALL_RADIUS);
+    balls.slice(i + 1).forEach((b2) => {
+      assert.ok(Vector2.subtract(b1.pos, b2.pos).length() > 2 * BALL_RADIUS);
+    });
+  });
+});
+
+test("a ball over a pocket is pocketed", () => {
+  const table = new Table();
+
+  assert.ok(table.isPocketed(new PoolBall(1, new Vector2(0.5, 0.5))));
+  assert.ok(table.isPocketed(new PoolBall(1, new Vector2(12, 0.5))));
+  assert.ok(!table.isPocketed(new PoolBall(1, new Vector2(6, 0.5))));
+});
+
+test("rolling friction brings the break to rest", () => {
+  const table = new Table();
+  const world = new World(table.width, table.height);
+  world.rollingFriction = 15;
+  world.continuous = true;
+  table.rack(new Random(1)).forEach((b) => world.addBody(b));
+  world.bodies[0].vel = new Vector2(90, 0);
+
+  new Simulation(world, 1 / 60).run(60 * 10);
+
+  assert.ok(world.bodies.every((b) => b.vel.x === 0 && b.vel.y === 0));
+});
+
+test("the first ball potted without a foul decides the groups", () => {
+  const rules = new PoolRules();
+
+  const result = shoot(rules, 3, [12]);
+
+  assert.deepEqual(result, { foul: false, scratch: false });
+  assert.equal(rules.players[0].group, "stripes");
+  assert.equal(rules.players[1].group, "solids");
+  assert.equal(rules.current, 0);
+  assert.equal(rules.getScore(rules.players[0]), 1);
+});
+
+test("missing passes the turn", () => {
+  const rules = new PoolRules();
+
+  shoot(rules, 3);
+
+  assert.equal(rules.current, 1);
+  assert.equal(rules.message, "Player 2 to play");
+});
+
+test("a scratch and no contact are fouls", () => {
+  const rules = new PoolRules();
+
+  assert.deepEqual(shoot(rules, 3, [0, 4]), { foul: true, scratch: true });
+  assert.equal(rules.current, 1);
+  assert.equal(rules.players[1].group, undefined);
+
+  assert.deepEqual(shoot(rules, undefined), { foul: true, scratch: false });
+  assert.equal(rules.current, 0);
+  assert.equal(rules.message, "No contact, Player 1 to play");
+});
+
+test("potting the 8 ball early loses, after the group wins", () => {
+  const early = new PoolRules();
+  shoot(early, 8, [8]);
+  assert.equal(early.winner, 1);
+
+  const rules = new PoolRules();
+  shoot(rules, 1, [1, 2, 3, 4, 5, 6, 7]);
+  assert.equal(rules.getScore(rules.players[0]), 7);
+  shoot(rules, 8, [8]);
+  assert.equal(rules.winner, 0);
+  assert.ok(rules.isOver);
+});
+
+test("potting the 8 ball with a scratch loses", () => {
+  const rules = new PoolRules();
+  shoot(rules, 1, [1, 2, 3, 4, 5, 6, 7]);
+
+  shoot(rules, 8, [8, 0]);
+
+  assert.equal(rules.winner, 1);
+});
+
+test("setState takes the rules back to a saved state", () => {
+  const rules = new PoolRules();
+  shoot(rules, 3, [12]);
+  const saved = rules.getState();
+
+  shoot(rules, 1, [1]);
+  rules.startShot();
+  rules.handlePotted(ball(9));
+  rules.setState(saved);
+
+  assert.deepEqual(rules.getState(), saved);
+  assert.equal(rules.current, 0);
+  assert.equal(rules.players[0].group, "stripes");
+  assert.deepEqual([...rules.potted], [12]);
+  assert.equal(rules.shot, undefined);
+});
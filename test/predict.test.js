@@ -0,0 +1,95 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Ball, Simulation, Vector2, World, predict } from "../physics/index.js";
+
+function createTable() {
+  const world = new World(24, 12);
+  world.slidingFriction = 60;
+  world.rollingFriction = 15;
+  world.continuous = true;
+  const cueBall = world.addBody(
+    new Ball(0.5, 1, new Vector2(6, 6), new Vector2()),
+  );
+  const objectBall = world.addBody(
+    new Ball(0.5, 1, new Vector2(12, 6.4), new Vector2()),
+  );
+  return { world, cueBall, objectBall };
+}
+
+const hit = (ball) => {
+  ball.vel.x = 40;
+  ball.spin.y = 20;
+};
+
+test("clone copies the class and every vector of a body", () => {
+  const ball = new Ball(0.5, 2, new Vector2(1, 2), new Vector2(3, 4));
+  ball.spin.x = 5;
+
+  const copy = ball.clone();
+  copy.pos.x = 10;
+  copy.spin.x = 10;
+
+  assert.ok(copy instanceof Ball);
+  assert.equal(copy.radius, 0.5);
+  assert.equal(ball.pos.x, 1);
+  assert.equal(ball.spin.x, 5);
+});
+
+test("predict leaves the world untouched", () => {
+  const { world, cueBall } = createTable();
+  const before = world.bodies.map((body) => ({
+    ...body,
+    pos: body.pos.clone(),
+  }));
+
+  predict(world, { dt: 1 / 60, setup: (copy) => hit(copy.bodies[0]) });
+
+  assert.deepEqual([cueBall.vel.x, cueBall.vel.y], [0, 0]);
+  world.bodies.forEach((body, k) => assert.deepEqual(body.pos, before[k].pos));
+});
+
+test("the prediction is what happens when the shot is taken", () => {
+  const { world, cueBall, objectBall } = createTable();
+  const { paths, contacts } = predict(world, {
+    dt: 1 / 60,
+    maxSteps: 600,
+    setup: (copy) => hit(copy.bodies[0]),
+  });
+
+  hit(cueBall);
+  const contactSteps = [];
+  world.onContact(() => contactSteps.push(simulation.tick));
+  const simulation = new Simulation(world, 1 / 60);
+  simulation.run(paths.get(cueBall).length - 1);
+
+  assert.deepEqual(paths.get(cueBall).at(-1), cueBall.pos);
+  assert.deepEqual(paths.get(objectBall).at(-1), objectBall.pos);
+  assert.equal(contacts[0].step, contactSteps[0]);
+});
+
+test("contacts name the original bodies with the state at the contact", () => {
+  const { world, cueBall, objectBall } = createTable();
+
+  const [contact] = predict(world, {
+    dt: 1 / 60,
+    setup: (copy) => hit(copy.bodies[0]),
+  }).contacts;
+
+  assert.equal(contact.body1, cueBall);
+  assert.equal(contact.body2, objectBall);
+  const distance = Vector2.subtract(contact.pos2, contact.pos1).length();
+  assert.ok(Math.abs(distance - 1) < 1e-6);
+  // the object ball leaves along the line of centers
+  assert.ok(
+    Math.abs(contact.vel2.clone().normalize().dot(contact.normal) - 1) < 1e-9,
+  );
+});
+
+test("the copy stops early once everything rests", () => {
+  const { world, cueBall } = createTable();
+
+  const { paths } = predict(world, { dt: 1 / 60, maxSteps: 10000 });
+
+  assert.equal(paths.get(cueBall).length, 2);
+});
@@ -0,0 +1,68 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  Ball,
+  Simulation,
+  Vector2,
+  World,
+  analyticFlight,
+  launchVelocity,
+  measureFlight,
+} from "../physics/index.js";
+
+test("launchVelocity splits the speed by the angle", () => {
+  const vel = launchVelocity(10, 30);
+
+  assert.ok(Math.abs(vel.x - 10 * Math.cos(Math.PI / 6)) < 1e-12);
+  assert.ok(Math.abs(vel.y - 5) < 1e-12);
+});
+
+test("analyticFlight reaches the farthest at 45 degrees", () => {
+  const flight = analyticFlight(10, 45, 10);
+
+  assert.ok(Math.abs(flight.range - 10) < 1e-9);
+  assert.ok(Math.abs(flight.apex - 2.5) < 1e-9);
+  assert.ok(Math.abs(flight.timeOfFlight - Math.SQRT2) < 1e-9);
+  assert.ok(analyticFlight(10, 40, 10).range < flight.range);
+  assert.ok(analyticFlight(10, 50, 10).range < flight.range);
+});
+
+test("analyticFlight from a height lands farther and later", () => {
+  const level = analyticFlight(10, 30, 10);
+  const raised = analyticFlight(10, 30, 10, 2);
+
+  assert.ok(raised.range > level.range);
+  assert.ok(raised.timeOfFlight > level.timeOfFlight);
+  assert.ok(Math.abs(raised.apex - level.apex - 2) < 1e-9);
+});
+
+test("measureFlight is undefined while the ball is in the air", () => {
+  const path = [new Vector2(0, 0), new Vector2(1, 1), new Vector2(2, 1.5)];
+
+  assert.equal(measureFlight(path, 0.1, 0), undefined);
+});
+
+test("a simulated shot matches the analytic flight", () => {
+  const radius = 0.2;
+  const world = new World(100, 50);
+  world.gravity = new Vector2(0, -10);
+  const ball = world.addBody(
+    new Ball(radius, 1, new Vector2(radius, radius), launchVelocity(18, 56)),
+  );
+
+  const dt = 1 / 600;
+  const simulation = new Simulation(world, dt);
+  const path = [ball.pos.clone()];
+  simulation.onStep(() => path.push(ball.pos.clone()));
+  simulation.run(2000);
+
+  const analytic = analyticFlight(18, 56, 10);
+  const simulated = measureFlight(path, dt, radius);
+
+  assert.ok(simulated);
+  // off by about a step
+  assert.ok(Math.abs(simulated.range - analytic.range) < 0.05);
+  assert.ok(Math.abs(simulated.apex - analytic.apex) < 0.05);
+  assert.ok(Math.abs(simulated.timeOfFlight - analytic.timeOfFlight) < 0.01);
+});
@@ -0,0 +1,93 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  BruteForceBroadPhase,
+  Random,
+  Simulation,
+  SpatialHashBroadPhase,
+  Vector2,
+  World,
+  addRandomBalls,
+  parseSeed,
+} from "../physics/index.js";
+
+function sequence(seed, length) {
+  const random = new Random(seed);
+  return Array.from({ length }, () => random.next());
+}
+
+function randomBox(seed) {
+  const world = new World(4, 3);
+  addRandomBalls(world, new Random(seed), {
+    count: 40,
+    minRadius: 0.05,
+    maxRadius: 0.15,
+    maxSpeed: 1,
+  });
+  return new Simulation(world);
+}
+
+test("the same seed gives the same sequence", () => {
+  assert.deepEqual(sequence(42, 100), sequence(42, 100));
+  assert.notDeepEqual(sequence(42, 100), sequence(43, 100));
+});
+
+test("next stays in [0, 1) and range in [min, max)", () => {
+  const random = new Random(7);
+  for (let i = 0; i < 10000; i++) {
+    const x = random.next();
+    const y = random.range(-2, 3);
+    assert.ok(x >= 0 && x < 1);
+    assert.ok(y >= -2 && y < 3);
+  }
+});
+
+test("parseSeed accepts numbers and hashes any other text", () => {
+  assert.equal(parseSeed("12345"), 12345);
+  assert.equal(parseSeed("lesson-3"), parseSeed("lesson-3"));
+  assert.notEqual(parseSeed("lesson-3"), parseSeed("lesson-4"));
+  assert.ok(Number.isInteger(parseSeed("lesson-3")));
+});
+
+test("the same seed gives bit-identical trajectories", () => {
+  const a = randomBox(2024).run(600).getState();
+  const b = randomBox(2024).run(600).getState();
+
+  // deepEqual on the raw doubles, not within a tolerance
+  assert.deepEqual(a, b);
+});
+
+test("a different seed gives a different scene", () => {
+  const a = randomBox(1).getState();
+  const b = randomBox(2).getState();
+
+  assert.notDeepEqual(a.bodies, b.bodies);
+});
+
+test("both broad phases find the same touching balls in a seeded scene", () => {
+  const world = new World(5, 5);
+  addRandomBalls(world, new Random(1), {
+    count: 400,
+    minRadius: 0.05,
+    maxRadius: 0.15,
+    maxSpeed: 1,
+  });
+  const balls = world.bodies;
+  const touching = (pairs) =>
+    pairs
+      .filter(([a, b]) => {
+        const d = Vector2.subtract(a.pos, b.pos).length();
+        return d <= a.radius + b.radius;
+      })
+      .map(([a, b]) =>
+        [balls.indexOf(a), balls.indexOf(b)].sort((x, y) => x - y).join("-"),
+      )
+      .sort();
+
+  const expected = touching(new BruteForceBroadPhase().getPairs(balls));
+  const actual = touching(new SpatialHashBroadPhase().getPairs(balls));
+
+  assert.ok(expected.length > 0);
+  assert.deepEqual(actual, expected);
+});
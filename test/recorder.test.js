@@ -0,0 +1,137 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  Ball,
+  Random,
+  Recorder,
+  Simulation,
+  Vector2,
+  World,
+  addRandomBalls,
+} from "../physics/index.js";
+
+function createBox() {
+  const world = new World(4, 4);
+  addRandomBalls(world, new Random(3), {
+    count: 20,
+    minRadius: 0.05,
+    maxRadius: 0.15,
+    maxSpeed: 1.0,
+  });
+  const simulation = new Simulation(world, 1 / 60);
+  const recorder = new Recorder(simulation);
+  recorder.attach();
+  return { simulation, recorder };
+}
+
+test("a snapshot is recorded on attach and after every step", () => {
+  const { simulation, recorder } = createBox();
+
+  simulation.run(10);
+
+  assert.equal(recorder.snapshots.length, 11);
+  assert.equal(recorder.firstTick, 0);
+  assert.equal(recorder.lastTick, 10);
+});
+
+test("restore puts back the recorded state", () => {
+  const { simulation, recorder } = createBox();
+  simulation.run(30);
+  const expected = simulation.getState();
+  simulation.run(30);
+
+  recorder.restore(30);
+
+  assert.deepEqual(simulation.getState(), expected);
+});
+
+test("prevPos comes from the tick before, for interpolation", () => {
+  const { simulation, recorder } = createBox();
+  simulation.run(5);
+  const before = simulation.world.bodies.map((body) => body.pos.clone());
+  simulation.run(5);
+
+  recorder.restore(6);
+
+  simulation.world.bodies.forEach((body, k) => {
+    assert.deepEqual(body.prevPos, before[k]);
+  });
+});
+
+test("stepping from a restored tick replays the same motion", () => {
+  const { simulation, recorder } = createBox();
+  simulation.run(120);
+  const expected = simulation.getState();
+
+  recorder.restore(40);
+  simulation.run(80);
+
+  assert.deepEqual(simulation.getState(), expected);
+});
+
+test("stepping from a restored tick drops the recording after it", () => {
+  const { simulation, recorder } = createBox();
+  simulation.run(50);
+
+  recorder.restore(20);
+  simulation.world.bodies[0].vel.x += 1;
+  simulation.step();
+
+  assert.equal(recorder.lastTick, 21);
+  assert.equal(recorder.snapshots.length, 22);
+});
+
+test("added and removed bodies come back with their snapshot", () => {
+  const { simulation, recorder } = createBox();
+  const { world } = simulation;
+  simulation.run(5);
+
+  const ball = world.addBody(
+    new Ball(0.1, 1, new Vector2(2, 2), new Vector2(1, 0)),
+  );
+  simulation.run(5);
+  world.removeBody(world.bodies[0]);
+  simulation.run(5);
+
+  recorder.restore(3);
+  assert.equal(world.bodies.length, 20);
+  assert.ok(!world.bodies.includes(ball));
+
+  // the ball was added after tick 5 was recorded, nothing to interpolate from
+  recorder.restore(6);
+  assert.equal(world.bodies.length, 21);
+  assert.deepEqual(ball.prevPos, ball.pos);
+});
+
+test("the oldest snapshots are dropped beyond maxSnapshots", () => {
+  const world = new World(4, 4);
+  const simulation = new Simulation(world, 1 / 60);
+  const recorder = new Recorder(simulation, 10);
+  recorder.attach();
+
+  simulation.run(25);
+
+  assert.equal(recorder.snapshots.length, 10);
+  assert.equal(recorder.firstTick, 16);
+  recorder.restore(0);
+  assert.equal(simulation.tick, 16);
+});
+
+test("trackers keep more state with every snapshot", () => {
+  const simulation = new Simulation(new World(4, 4), 1 / 60);
+  const score = { points: 0 };
+  // before the recorder, so every snapshot has the score of its tick
+  simulation.onStep(({ tick }) => (score.points = tick * 10));
+  const recorder = new Recorder(simulation);
+  recorder.track({
+    save: () => score.points,
+    restore: (points) => (score.points = points),
+  });
+  recorder.attach();
+
+  simulation.run(20);
+  recorder.restore(5);
+
+  assert.equal(score.points, 50);
+});
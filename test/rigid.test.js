@@ -0,0 +1,218 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  Ball,
+  Recorder,
+  RigidBody,
+  Segment,
+  Simulation,
+  Vector2,
+  World,
+  boxShape,
+  circleShape,
+  collideShapes,
+  getArea,
+  getInertia,
+  polygonShape,
+} from "../physics/index.js";
+
+const EPSILON = 1e-9;
+
+function box(width, height, pos, vel = new Vector2(), angle = 0) {
+  const shape = boxShape(width, height);
+
+  return new RigidBody(shape, getArea(shape), pos, vel, angle);
+}
+
+function groundWorld() {
+  const world = new World(4, 3);
+  world.gravity = new Vector2(0, -10);
+  world.restitution = 0.2;
+  world.wallRestitution = 0.2;
+
+  return world;
+}
+
+test("moments of inertia of a disc, a box and a triangle", () => {
+  assert.equal(getInertia(circleShape(2), 3), 0.5 * 3 * 4);
+  // m (w² + h²) / 12
+  assert.ok(
+    Math.abs(getInertia(boxShape(2, 1), 6) - (6 * (4 + 1)) / 12) < EPSILON,
+  );
+
+  // a right triangle is moved so that its centroid is at the origin
+  const triangle = polygonShape([
+    new Vector2(0, 0),
+    new Vector2(0, 3),
+    new Vector2(3, 0),
+  ]);
+  const centroid = triangle.points.reduce(
+    (sum, point) => sum.add(point, 1 / 3),
+    new Vector2(),
+  );
+  assert.ok(centroid.length() < EPSILON);
+  assert.ok(Math.abs(getArea(triangle) - 4.5) < EPSILON);
+  // m (a² + b²) / 18 about the centroid of a right triangle with legs a, b
+  assert.ok(Math.abs(getInertia(triangle, 2) - (2 * 18) / 18) < EPSILON);
+});
+
+test("two overlapping boxes touch along the shared edge", () => {
+  const a = box(2, 2, new Vector2(0, 0));
+  const b = box(2, 1, new Vector2(1.9, 0.2));
+
+  const contact = collideShapes(
+    { type: "polygon", points: a.getVertices() },
+    { type: "polygon", points: b.getVertices() },
+  );
+
+  assert.ok(contact);
+  assert.ok(
+    Vector2.subtract(contact.normal, new Vector2(1, 0)).length() < 1e-9,
+  );
+  assert.equal(contact.points.length, 2);
+  contact.points.forEach(({ depth }) =>
+    assert.ok(Math.abs(depth - 0.1) < 1e-9),
+  );
+});
+
+test("separated shapes don't touch", () => {
+  const a = box(2, 2, new Vector2(0, 0), new Vector2(), Math.PI / 4);
+  // just beyond the corner of the turned box, √2 away
+  const circle = { type: "circle", center: new Vector2(1.5, 0), radius: 0.05 };
+
+  assert.equal(
+    collideShapes({ type: "polygon", points: a.getVertices() }, circle),
+    undefined,
+  );
+});
+
+test("a stack of boxes comes to rest upright", () => {
+  const world = groundWorld();
+  const boxes = [0, 1, 2].map((k) =>
+    world.addBody(box(0.4, 0.4, new Vector2(1, 0.21 + 0.41 * k))),
+  );
+
+  for (let i = 0; i < 300; i++) world.step(1 / 60);
+
+  boxes.forEach((body, k) => {
+    assert.ok(
+      Math.abs(body.pos.x - 1) < 0.01,
+      `box ${k} slid to ${body.pos.x}`,
+    );
+    assert.ok(Math.abs(body.pos.y - (0.2 + 0.4 * k)) < 0.02);
+    assert.ok(Math.abs(body.angle) < 0.01, `box ${k} turned to ${body.angle}`);
+  });
+  assert.ok(world.getKineticEnergy() < 1e-3);
+});
+
+test("friction holds a box on a gentle slope and lets it slide on a steep one", () => {
+  const slide = (degrees) => {
+    const angle = (degrees * Math.PI) / 180;
+    const down = new Vector2(Math.cos(angle), -Math.sin(angle));
+    const up = new Vector2(Math.sin(angle), Math.cos(angle));
+    const top = new Vector2(0, 5);
+
+    const world = groundWorld();
+    world.size = new Vector2(10, 10);
+    world.contactFriction = 0.4;
+    world.obstacles.push(new Segment(top, top.clone().add(down, 8)));
+    const body = world.addBody(
+      box(
+        0.4,
+        0.2,
+        top.clone().add(down, 2).add(up, 0.1),
+        new Vector2(),
+        -angle,
+      ),
+    );
+    const start = body.pos.clone();
+
+    for (let i = 0; i < 60; i++) world.step(1 / 60);
+
+    return Vector2.subtract(body.pos, start).dot(down);
+  };
+
+  // tan 15° < 0.4 < tan 30°
+  assert.ok(Math.abs(slide(15)) < 1e-3);
+  // ½ g (sin θ - μ cos θ) t² = 0.77 after a second
+  assert.ok(Math.abs(slide(30) - 0.77) < 0.05);
+});
+
+test("a box landing on its corner starts turning, a ball doesn't", () => {
+  const world = groundWorld();
+  const body = world.addBody(
+    box(0.4, 0.2, new Vector2(1, 0.5), new Vector2(), 0.5),
+  );
+  const ball = world.addBody(
+    new Ball(0.1, 0.1, new Vector2(3, 0.5), new Vector2()),
+  );
+
+  let turned = false;
+  for (let i = 0; i < 60; i++) {
+    world.step(1 / 60);
+    turned ||= Math.abs(body.angularVel) > 1;
+  }
+
+  assert.ok(turned);
+  assert.equal(ball.angularVel, 0);
+});
+
+test("a frictionless elastic bounce keeps the energy, spin included", () => {
+  const world = new World(4, 4);
+  world.wallRestitution = 1;
+  world.contactFriction = 0;
+  const body = world.addBody(
+    box(0.4, 0.2, new Vector2(2, 0.5), new Vector2(0.5, -3), 0.3),
+  );
+  body.angularVel = 2;
+  const energy = world.getKineticEnergy();
+
+  let bounced = false;
+  for (let i = 0; i < 30; i++) {
+    world.step(1 / 240);
+    bounced ||= body.vel.y > 0;
+  }
+
+  assert.ok(bounced);
+  assert.ok(Math.abs(world.getKineticEnergy() - energy) / energy < 0.05);
+});
+
+test("a ball bounces off a rigid box", () => {
+  const world = new World(10, 10);
+  world.restitution = 1;
+  const body = world.addBody(box(1, 1, new Vector2(5, 5)));
+  const ball = world.addBody(
+    new Ball(0.2, 0.1, new Vector2(4.35, 5), new Vector2(2, 0)),
+  );
+  const contacts = [];
+  world.onContact((contact) => contacts.push(contact));
+
+  world.step(1 / 60);
+
+  assert.ok(ball.vel.x < 0);
+  assert.ok(body.vel.x > 0);
+  assert.equal(contacts.length, 1);
+  // a head-on hit doesn't turn the box
+  assert.ok(Math.abs(body.angularVel) < 1e-9);
+});
+
+test("rewinding puts a rigid body back at its old angle", () => {
+  const world = groundWorld();
+  const body = world.addBody(
+    box(0.4, 0.2, new Vector2(1, 1), new Vector2(), 0),
+  );
+  body.angularVel = 3;
+  const simulation = new Simulation(world, 1 / 60);
+  const recorder = new Recorder(simulation);
+  recorder.attach();
+
+  for (let i = 0; i < 10; i++) simulation.step();
+  const angle = body.angle;
+  for (let i = 0; i < 10; i++) simulation.step();
+
+  recorder.restore(10);
+
+  assert.equal(body.angle, angle);
+  assert.ok(Math.abs(body.prevAngle - (angle - 3 / 60)) < 1e-9);
+});
@@ -0,0 +1,355 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync, readdirSync } from "node:fs";
+
+import {
+  Simulation,
+  Vector2,
+  World,
+  loadScene,
+  parseScene,
+  rk4,
+  saveScene,
+} from "../physics/index.js";
+
+const SCENES_DIR = new URL("../scenes/", import.meta.url);
+
+const description = {
+  version: 1,
+  world: { width: 10, height: 5 },
+  gravity: { x: 0, y: -10 },
+  restitution: 0.9,
+  wallRestitution: 0.8,
+  walls: { top: false },
+  integrator: "rk4",
+  bodies: [
+    { radius: 0.2, pos: { x: 1, y: 1 }, vel: { x: 3, y: 4 }, color: "#00FF00" },
+    { radius: 0.5, mass: 2, pos: { x: 5, y: 2 } },
+  ],
+};
+
+test("loadScene builds the world", () => {
+  const { world, timeStep } = loadScene(description);
+
+  assert.deepEqual([world.size.x, world.size.y], [10, 5]);
+  assert.equal(world.gravity.y, -10);
+  assert.equal(world.restitution, 0.9);
+  assert.equal(world.wallRestitution, 0.8);
+  assert.deepEqual(world.walls, {
+    left: true,
+    right: true,
+    bottom: true,
+    top: false,
+  });
+  assert.equal(world.integrator, rk4);
+  assert.equal(timeStep, 1 / 60);
+  assert.equal(world.bodies.length, 2);
+});
+
+test("loadScene fills in body defaults", () => {
+  const [first, second] = loadScene(description).world.bodies;
+
+  assert.equal(first.mass, Math.PI * 0.2 * 0.2);
+  assert.equal(first.color, "#00FF00");
+  assert.equal(second.mass, 2);
+  assert.deepEqual([second.vel.x, second.vel.y], [0, 0]);
+  assert.equal(second.color, "#FF0000");
+});
+
+test("saving and loading continues the exact same trajectory", () => {
+  const original = loadScene(description).run(37);
+  const copy = loadScene(parseScene(JSON.stringify(saveScene(original))));
+
+  original.run(100);
+  copy.run(100);
+
+  assert.deepEqual(copy.getState().bodies, original.getState().bodies);
+});
+
+test("friction and spin survive saving and loading", () => {
+  const original = loadScene({
+    ...description,
+    gravity: { x: 0, y: 0 },
+    slidingFriction: 2,
+    rollingFriction: 0.1,
+    spinFriction: 1,
+    wallFriction: 0.2,
+  });
+  original.world.bodies[0].spin = new Vector2(3, -2);
+  original.world.bodies[0].angularVel = 5;
+  original.run(20);
+  const copy = loadScene(parseScene(JSON.stringify(saveScene(original))));
+
+  original.run(100);
+  copy.run(100);
+
+  assert.deepEqual(copy.world.bodies, original.world.bodies);
+});
+
+test("drag and wind survive saving and loading", () => {
+  const original = loadScene({
+    ...description,
+    drag: { model: "quadratic", dragCoefficient: 0.5, density: 0.1 },
+    wind: { x: 4, y: 0, gust: 0.5, gustPeriod: 2 },
+  });
+  const copy = loadScene(parseScene(JSON.stringify(saveScene(original))));
+
+  original.run(100);
+  copy.run(100);
+
+  assert.deepEqual(copy.world.bodies, original.world.bodies);
+  assert.deepEqual(saveScene(copy).wind, {
+    x: 4,
+    y: 0,
+    gust: 0.5,
+    gustPeriod: 2,
+  });
+});
+
+test("a gusting wind continues where it was saved", () => {
+  const original = loadScene({
+    ...description,
+    drag: { model: "quadratic", dragCoefficient: 0.5, density: 0.1 },
+    wind: { x: 4, y: 0, gust: 1, gustPeriod: 2 },
+  }).run(37);
+  const copy = loadScene(parseScene(JSON.stringify(saveScene(original))));
+
+  assert.equal(copy.time, original.time);
+  original.run(100);
+  copy.run(100);
+
+  assert.deepEqual(copy.world.bodies, original.world.bodies);
+});
+
+test("springs, rods and pivots survive saving and loading", () => {
+  const original = loadScene({
+    ...description,
+    substeps: 4,
+    springs: [{ body1: 0, body2: 1, stiffness: 20, damping: 0.1 }],
+    constraints: [{ body1: 1, point: { x: 5, y: 9 }, length: 3 }],
+  });
+  original.run(20);
+  const copy = loadScene(parseScene(JSON.stringify(saveScene(original))));
+
+  original.run(100);
+  copy.run(100);
+
+  assert.deepEqual(copy.getState().bodies, original.getState().bodies);
+  assert.equal(copy.world.substeps, 4);
+});
+
+test("obstacles survive saving and loading", () => {
+  const obstacles = [
+    {
+      points: [
+        { x: 0, y: 3 },
+        { x: 6, y: 1 },
+      ],
+    },
+    {
+      points: [
+        { x: 7, y: 1 },
+        { x: 9, y: 1 },
+        { x: 8, y: 3 },
+      ],
+      restitution: 1.2,
+    },
+  ];
+  const original = loadScene({ ...description, obstacles });
+  const copy = loadScene(parseScene(JSON.stringify(saveScene(original))));
+
+  original.run(100);
+  copy.run(100);
+
+  assert.deepEqual(copy.getState().bodies, original.getState().bodies);
+  assert.deepEqual(saveScene(copy).obstacles, obstacles);
+});
+
+test("a body's own restitution survives saving and loading", () => {
+  const bodies = [
+    { radius: 0.2, pos: { x: 1, y: 1 }, restitution: 0.3 },
+    { radius: 0.2, pos: { x: 2, y: 1 } },
+  ];
+  const [bouncy, plain] = saveScene(
+    loadScene({ ...description, bodies }),
+  ).bodies;
+
+  assert.equal(bouncy.restitution, 0.3);
+  assert.equal(plain.restitution, undefined);
+});
+
+test("rigid bodies survive saving and loading", () => {
+  const bodies = [
+    {
+      shape: { type: "box", width: 0.4, height: 0.2 },
+      pos: { x: 1, y: 1 },
+      vel: { x: 2, y: 0 },
+      angle: 0.3,
+      angularVel: 2,
+    },
+    {
+      shape: {
+        type: "polygon",
+        points: [
+          { x: 0, y: 0 },
+          { x: 0.6, y: 0 },
+          { x: 0, y: 0.6 },
+        ],
+      },
+      pos: { x: 3, y: 0.5 },
+      static: true,
+    },
+    { shape: { type: "circle", radius: 0.1 }, pos: { x: 5, y: 1 } },
+  ];
+  const original = loadScene({ ...description, bodies });
+  const [box, triangle, wheel] = original.world.bodies;
+
+  // a box weighs its area by default
+  assert.equal(box.mass, 0.4 * 0.2);
+  assert.equal(box.angle, 0.3);
+  assert.ok(triangle.isStatic);
+  assert.equal(wheel.shape.type, "circle");
+
+  const copy = loadScene(parseScene(JSON.stringify(saveScene(original))));
+
+  original.run(100);
+  copy.run(100);
+
+  assert.deepEqual(copy.getState().bodies, original.getState().bodies);
+});
+
+test("loadScene into an existing simulation keeps the instance", () => {
+  const simulation = new Simulation(new World(1, 1)).run(5);
+
+  assert.equal(loadScene(description, simulation), simulation);
+  assert.equal(simulation.tick, 0);
+  assert.equal(simulation.world.bodies.length, 2);
+});
+
+test("invalid scenes are rejected without touching the world", () => {
+  const simulation = loadScene(description);
+  const broken = [
+    [{}, /world must be an object/],
+    [
+      { world: { width: "10", height: 5 } },
+      /world.width must be a finite number/,
+    ],
+    [{ world: { width: 10, height: 0 } }, /world.height must be positive/],
+    [{ world: { width: -10, height: 5 } }, /world.width must be positive/],
+    [{ ...description, walls: true }, /walls must be an object/],
+    [{ ...description, walls: { floor: false } }, /unknown wall "floor"/],
+    [
+      { ...description, walls: { top: "no" } },
+      /walls.top must be true or false/,
+    ],
+    [
+      { ...description, integrator: "leapfrog" },
+      /unknown integrator "leapfrog"/,
+    ],
+    [{ ...description, version: 99 }, /version 99 is newer/],
+    [{ ...description, restitution: -1 }, /restitution must not be negative/],
+    [
+      { ...description, wallRestitution: -0.5 },
+      /wallRestitution must not be negative/,
+    ],
+    [{ ...description, timeStep: 0 }, /timeStep must be positive/],
+    [{ ...description, timeStep: -0.01 }, /timeStep must be positive/],
+    [{ ...description, wind: { x: 1, y: 0 } }, /wind needs drag/],
+    [
+      {
+        ...description,
+        obstacles: [
+          {
+            points: [
+              { x: 0, y: 0 },
+              { x: 2, y: 0 },
+              { x: 1, y: 0.5 },
+              { x: 1, y: 2 },
+            ],
+          },
+        ],
+      },
+      /obstacles\[0\]: A polygon must be convex/,
+    ],
+    [
+      {
+        ...description,
+        obstacles: [
+          {
+            points: [
+              { x: 0, y: 0 },
+              { x: 2, y: 0 },
+            ],
+            restitution: -1,
+          },
+        ],
+      },
+      /obstacles\[0\].restitution must not be negative/,
+    ],
+    [
+      { ...description, constraints: [{ body1: 0, body2: 7 }] },
+      /constraints\[0\].body2 must be the index of a body/,
+    ],
+    [
+      { ...description, springs: [{ body1: 1, body2: 1 }] },
+      /springs\[0\] connects a body to itself/,
+    ],
+    [
+      { ...description, drag: { model: "cubic" } },
+      /unknown drag model "cubic"/,
+    ],
+    [
+      { ...description, bodies: [{ radius: -1, pos: { x: 0, y: 0 } }] },
+      /bodies\[0\].radius must be positive/,
+    ],
+    [
+      {
+        ...description,
+        bodies: [{ radius: 1, pos: { x: 0, y: 0 }, restitution: -0.5 }],
+      },
+      /bodies\[0\].restitution must not be negative/,
+    ],
+    [
+      { ...description, bodies: [...description.bodies, { radius: 1 }] },
+      /bodies\[2\].pos must be an object/,
+    ],
+    [
+      {
+        ...description,
+        bodies: [{ shape: { type: "star" }, pos: { x: 0, y: 0 } }],
+      },
+      /bodies\[0\].shape.type must be "circle", "box" or "polygon"/,
+    ],
+    [
+      {
+        ...description,
+        bodies: [
+          {
+            shape: { type: "box", width: 1, height: 0 },
+            pos: { x: 0, y: 0 },
+          },
+        ],
+      },
+      /bodies\[0\].shape.height must be positive/,
+    ],
+  ];
+
+  broken.forEach(([scene, message]) => {
+    assert.throws(() => loadScene(scene, simulation), message);
+  });
+  assert.equal(simulation.world.bodies.length, 2);
+});
+
+test("parseScene reports broken JSON", () => {
+  assert.throws(() => parseScene("{ world: "), /Invalid scene/);
+});
+
+test("the scene files shipped in scenes/ load", () => {
+  const files = readdirSync(SCENES_DIR).filter((f) => f.endsWith(".json"));
+
+  assert.ok(files.length > 0);
+  files.forEach((file) => {
+    const text = readFileSync(new URL(file, SCENES_DIR), "utf8");
+    assert.doesNotThrow(() => loadScene(parseScene(text)).run(10), file);
+  });
+});
@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Ball, Simulation, Vector2, World } from "../physics/index.js";
+
+function createWorld() {
+  const world = new World(10, 10);
+  world.addBody(new Ball(0.5, 1, new Vector2(2, 5), new Vector2(3, 0)));
+  world.addBody(new Ball(0.5, 1, new Vector2(8, 5), new Vector2(-3, 0)));
+  return world;
+}
+
+test("run advances the clock by a fixed dt per tick", () => {
+  const simulation = new Simulation(new World(10, 10), 0.01);
+
+  simulation.run(250);
+
+  assert.equal(simulation.tick, 250);
+  assert.ok(Math.abs(simulation.time - 2.5) < 1e-9);
+});
+
+test("free fall matches the symplectic Euler closed form", () => {
+  const world = new World(10, 100);
+  world.gravity = new Vector2(0, -10);
+  world.addBody(new Ball(0.1, 1, new Vector2(5, 50), new Vector2(0, 0)));
+  const dt = 0.1;
+
+  const { bodies } = new Simulation(world, dt).run(10).getState();
+
+  // v_n = g n dt, y_n = y_0 + g dt² n(n+1)/2
+  assert.ok(Math.abs(bodies[0].vel.y + 10) < 1e-9);
+  assert.ok(Math.abs(bodies[0].pos.y - (50 - 10 * dt * dt * 55)) < 1e-9);
+});
+
+test("head-on balls exchange velocities and stay inside the world", () => {
+  const simulation = new Simulation(createWorld());
+
+  simulation.run(60);
+  const { bodies } = simulation.getState();
+
+  assert.ok(bodies[0].vel.x < 0);
+  assert.ok(bodies[1].vel.x > 0);
+  bodies.forEach((body) => {
+    assert.ok(body.pos.x >= body.radius && body.pos.x <= 10 - body.radius);
+  });
+});
+
+test("total momentum is conserved without walls being hit", () => {
+  const world = new World(100, 100);
+  world.addBody(new Ball(0.5, 1, new Vector2(40, 50), new Vector2(2, 0.3)));
+  world.addBody(new Ball(0.8, 3, new Vector2(45, 50.2), new Vector2(-1, 0)));
+  const simulation = new Simulation(world);
+
+  simulation.run(180);
+
+  const p = simulation.world.bodies.reduce(
+    (sum, body) => sum.add(body.vel, body.mass),
+    new Vector2(),
+  );
+  assert.ok(Math.abs(p.x - (2 - 3)) < 1e-9);
+  assert.ok(Math.abs(p.y - 0.3) < 1e-9);
+});
+
+test("getState returns a detached copy", () => {
+  const simulation = new Simulation(createWorld());
+  const state = simulation.getState();
+
+  simulation.run(10);
+
+  assert.equal(state.tick, 0);
+  assert.equal(state.bodies[0].pos.x, 2);
+});
@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Vector2 } from "../physics/index.js";
+
+test("add scales the other vector and returns this", () => {
+  const v = new Vector2(1, 2);
+
+  assert.equal(v.add(new Vector2(2, 3), 2), v);
+  assert.deepEqual([v.x, v.y], [5, 8]);
+});
+
+test("subtract and subtractVectors agree", () => {
+  const a = new Vector2(4, 6);
+  const b = new Vector2(1, 2);
+
+  const member = a.clone().subtract(b);
+  const between = new Vector2().subtractVectors(a, b);
+  const fresh = Vector2.subtract(a, b);
+
+  assert.deepEqual([member.x, member.y], [3, 4]);
+  assert.deepEqual([between.x, between.y], [3, 4]);
+  assert.deepEqual([fresh.x, fresh.y], [3, 4]);
+});
+
+test("normalize leaves a zero vector untouched", () => {
+  const zero = new Vector2().normalize();
+  const unit = new Vector2(3, 4).normalize();
+
+  assert.deepEqual([zero.x, zero.y], [0, 0]);
+  assert.equal(unit.length(), 1);
+});
+
+test("dot", () => {
+  assert.equal(new Vector2(1, 2).dot(new Vector2(3, -1)), 1);
+});
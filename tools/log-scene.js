@@ -0,0 +1,82 @@
+// 不開瀏覽器，在 Node 裡跑一個場景並把資料紀錄寫成檔案
+//
+//   node tools/log-scene.js scenes/cannon-ball.json --duration 3 --rate 30
+//
+// writes cannon-ball.csv, cannon-ball.collisions.csv and cannon-ball.json,
+// the same files the page downloads, see DataLogger.
+//
+// --duration   seconds to simulate, 5 by default
+// --rate       samples per second, 0 for every tick, 30 by default
+// --quantities comma separated, position,velocity,energy,collisions by default
+// --out        directory to write to, the current one by default
+
+import { readFileSync, writeFileSync, mkdirSync } from "node:fs";
+import { basename, extname, join } from "node:path";
+import { parseArgs } from "node:util";
+
+import {
+  DataLogger,
+  QUANTITIES,
+  loadScene,
+  parseScene,
+} from "../physics/index.js";
+
+function fail(message) {
+  console.error(`log-scene: ${message}`);
+  process.exit(1);
+}
+
+const USAGE = "usage: node tools/log-scene.js <scene.json> [options]";
+
+let values;
+let positionals;
+try {
+  ({ values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      duration: { type: "string", default: "5" },
+      rate: { type: "string", default: "30" },
+      quantities: { type: "string", default: QUANTITIES.join(",") },
+      out: { type: "string", default: "." },
+    },
+  }));
+} catch (error) {
+  // e.g. an unknown option or one without its value
+  fail(`${error.message}\n${USAGE}`);
+}
+
+const [file] = positionals;
+if (!file) fail(USAGE);
+
+const duration = Number(values.duration);
+const rate = Number(values.rate);
+if (!(duration >= 0)) fail("--duration must be a number of seconds");
+if (!(rate >= 0)) fail("--rate must be a number of samples per second");
+
+const quantities = values.quantities.split(",").filter(Boolean);
+quantities.forEach((name) => {
+  if (!QUANTITIES.includes(name)) {
+    fail(`unknown quantity "${name}", one of ${QUANTITIES.join(", ")}`);
+  }
+});
+
+let simulation;
+try {
+  simulation = loadScene(parseScene(readFileSync(file, "utf8")));
+} catch (error) {
+  fail(`${file}: ${error.message}`);
+}
+
+const logger = new DataLogger({
+  interval: rate > 0 ? 1 / rate : 0,
+  quantities,
+});
+logger.attach(simulation);
+simulation.run(Math.round(duration / simulation.timeStep));
+
+mkdirSync(values.out, { recursive: true });
+logger.getFiles(basename(file, extname(file))).forEach(({ filename, text }) => {
+  const path = join(values.out, filename);
+  writeFileSync(path, text);
+  console.log(path);
+});
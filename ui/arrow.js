@@ -0,0 +1,52 @@
+import { Vector2 } from "../physics/index.js";
+
+// 箭頭：從一點出發的向量，縮放時箭頭大小不變
+
+// length of the head in pixels
+const HEAD_SIZE = 8;
+
+export class Arrow {
+  /**
+   * @param {Vector2} from - tail, world space
+   * @param {Vector2} vec - from the tail to the tip, world space
+   * @param {string} color - CSS color
+   * @param {number} lineWidth - pixels
+   */
+  constructor(from, vec, color = "#000000", lineWidth = 2) {
+    this.from = from;
+    this.vec = vec;
+    this.color = color;
+    this.lineWidth = lineWidth;
+  }
+
+  get tip() {
+    return this.from.clone().add(this.vec);
+  }
+
+  /**
+   * @param {import("./renderer.js").Renderer} renderer
+   * @param {number} scale - pixels per meter
+   */
+  draw(renderer, scale) {
+    const length = this.vec.length();
+    if (length === 0) return;
+
+    const { from, tip, color, lineWidth } = this;
+    // a short arrow is mostly head
+    const head = Math.min(HEAD_SIZE / scale, length / 2);
+    const dir = this.vec.clone().scale(1 / length);
+    const normal = new Vector2(-dir.y, dir.x);
+    const base = tip.clone().add(dir, -head);
+
+    renderer.path([from, base], { stroke: color, lineWidth });
+    renderer.path(
+      [
+        tip,
+        base.clone().add(normal, head / 2),
+        base.clone().add(normal, -head / 2),
+      ],
+      { fill: color },
+      true,
+    );
+  }
+}
@@ -0,0 +1,40 @@
+import {
+  BruteForceBroadPhase,
+  SpatialHashBroadPhase,
+} from "../physics/index.js";
+import { createPanel } from "./panel.js";
+
+// 切換 broad phase，並顯示每一幀做了幾次兩球檢查
+export class BroadPhaseToggle {
+  /**
+   * @param {import("../physics/world.js").World} world
+   * @param {HTMLElement} parent
+   */
+  constructor(world, parent = document.body) {
+    this.world = world;
+
+    this.el = createPanel("bottom-left", parent);
+
+    const label = document.createElement("label");
+    this.checkbox = document.createElement("input");
+    this.checkbox.type = "checkbox";
+    this.checkbox.checked = world.broadPhase instanceof SpatialHashBroadPhase;
+    this.checkbox.addEventListener("change", () => {
+      this.world.broadPhase = this.checkbox.checked
+        ? new SpatialHashBroadPhase()
+        : new BruteForceBroadPhase();
+    });
+    label.appendChild(this.checkbox);
+    label.appendChild(document.createTextNode(" spatial hash"));
+    this.el.appendChild(label);
+
+    this.counter = document.createElement("div");
+    this.el.appendChild(this.counter);
+  }
+
+  // call once per frame, resets the counter of the world
+  draw() {
+    this.counter.textContent = `${this.world.bodies.length} balls, ${this.world.pairTests} pair tests / frame`;
+    this.world.pairTests = 0;
+  }
+}
@@ -0,0 +1,221 @@
+import { Vector2 } from "../physics/index.js";
+
+// 攝影機：世界座標與畫布座標的轉換，可以平移、縮放、跟著物體
+//
+// At zoom 1 the area the camera was fitted to, usually the world, fills the
+// canvas. The canvas is sized in CSS pixels and drawn at the device pixel
+// ratio, so it stays sharp on high density screens; everything is drawn in
+// CSS pixels. Resizing the window refits the same part of the world, the
+// world itself doesn't change.
+//
+// With attach():
+//
+// wheel:                   zoom around the pointer
+// drag with right/middle:  pan
+// F:                       follow the body under the pointer, again to stop
+// 0:                       back to the whole world
+
+const MIN_ZOOM = 0.1;
+const MAX_ZOOM = 50;
+
+export class Camera {
+  // world point in the middle of the canvas
+  center = new Vector2();
+  zoom = 1;
+  /**
+   * body the camera keeps in the middle
+   * @type {import("../physics/body.js").Body | undefined}
+   */
+  target = undefined;
+  // canvas size in CSS pixels
+  width = 0;
+  height = 0;
+  pixelRatio = 1;
+  // size of the area seen at zoom 1, from the origin
+  bounds = new Vector2(1, 1);
+
+  /**
+   * @param {HTMLCanvasElement} canvas
+   */
+  constructor(canvas) {
+    this.canvas = canvas;
+  }
+
+  // pixels per meter
+  get scale() {
+    return (
+      this.zoom *
+      Math.min(this.width / this.bounds.x, this.height / this.bounds.y)
+    );
+  }
+
+  /**
+   * Sizes the canvas, the view keeps its center and zoom.
+   * @param {number} width - CSS pixels
+   * @param {number} height - CSS pixels
+   */
+  resize(width, height) {
+    this.width = width;
+    this.height = height;
+    this.pixelRatio = window.devicePixelRatio || 1;
+
+    this.canvas.width = Math.round(width * this.pixelRatio);
+    this.canvas.height = Math.round(height * this.pixelRatio);
+    this.canvas.style.width = `${width}px`;
+    this.canvas.style.height = `${height}px`;
+  }
+
+  /**
+   * Shows the whole area, e.g. the world of a newly loaded scene.
+   * @param {Vector2} size
+   */
+  fit(size) {
+    this.bounds = size.clone();
+    this.reset();
+  }
+
+  reset() {
+    this.zoom = 1;
+    this.center = this.bounds.clone().scale(0.5);
+    this.target = undefined;
+  }
+
+  /**
+   * Keeps the target in the middle, call at the start of every frame.
+   * @param {number} alpha - where the target is drawn, see Body.interpolatePos
+   */
+  update(alpha = 1) {
+    if (this.target) this.center = this.target.interpolatePos(alpha);
+  }
+
+  /**
+   * Clears a 2D canvas and sets it up for drawing in CSS pixels, call at the
+   * start of every frame instead of update().
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {number} alpha - see update()
+   */
+  begin(ctx, alpha = 1) {
+    this.update(alpha);
+
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+  }
+
+  toCanvasX(x) {
+    return this.width / 2 + (x - this.center.x) * this.scale;
+  }
+
+  // canvas y points down
+  toCanvasY(y) {
+    return this.height / 2 - (y - this.center.y) * this.scale;
+  }
+
+  toWorldX(canvasX) {
+    return this.center.x + (canvasX - this.width / 2) / this.scale;
+  }
+
+  toWorldY(canvasY) {
+    return this.center.y - (canvasY - this.height / 2) / this.scale;
+  }
+
+  /**
+   * @param {MouseEvent} e
+   * @returns {Vector2} pointer position in world space
+   */
+  toWorld(e) {
+    const rect = this.canvas.getBoundingClientRect();
+
+    return new Vector2(
+      this.toWorldX(e.clientX - rect.left),
+      this.toWorldY(e.clientY - rect.top),
+    );
+  }
+
+  /**
+   * Zooms keeping the world point under (canvasX, canvasY) in place.
+   * @param {number} canvasX
+   * @param {number} canvasY
+   * @param {number} factor - above 1 zooms in
+   */
+  zoomAt(canvasX, canvasY, factor) {
+    const x = this.toWorldX(canvasX);
+    const y = this.toWorldY(canvasY);
+    this.zoom = Math.min(Math.max(this.zoom * factor, MIN_ZOOM), MAX_ZOOM);
+
+    // a followed body stays in the middle
+    if (this.target) return;
+    this.center.x += x - this.toWorldX(canvasX);
+    this.center.y += y - this.toWorldY(canvasY);
+  }
+
+  /**
+   * @param {number} dx - CSS pixels
+   * @param {number} dy - CSS pixels
+   */
+  panBy(dx, dy) {
+    this.target = undefined;
+    this.center.x -= dx / this.scale;
+    this.center.y += dy / this.scale;
+  }
+
+  /**
+   * Pan, zoom and follow with the mouse and keyboard.
+   * @param {() => import("../physics/body.js").Body[]} getBodies - what can be followed
+   */
+  attach(getBodies) {
+    const { canvas } = this;
+    let pan;
+    let pointer;
+
+    canvas.addEventListener(
+      "wheel",
+      (e) => {
+        e.preventDefault();
+        const rect = canvas.getBoundingClientRect();
+        this.zoomAt(
+          e.clientX - rect.left,
+          e.clientY - rect.top,
+          Math.exp(-e.deltaY * 0.002),
+        );
+      },
+      { passive: false },
+    );
+
+    // the right button would open the menu
+    canvas.addEventListener("contextmenu", (e) => e.preventDefault());
+    canvas.addEventListener("pointerdown", (e) => {
+      if (e.button !== 1 && e.button !== 2) return;
+
+      canvas.setPointerCapture(e.pointerId);
+      pan = { pointerId: e.pointerId, x: e.clientX, y: e.clientY };
+    });
+    canvas.addEventListener("pointermove", (e) => {
+      pointer = e;
+      if (pan?.pointerId !== e.pointerId) return;
+
+      this.panBy(e.clientX - pan.x, e.clientY - pan.y);
+      pan.x = e.clientX;
+      pan.y = e.clientY;
+    });
+    canvas.addEventListener("pointerup", (e) => {
+      if (pan?.pointerId === e.pointerId) pan = undefined;
+    });
+
+    window.addEventListener("keydown", (e) => {
+      if (e.target instanceof HTMLInputElement) return;
+
+      if (e.code === "KeyF") {
+        const pos = pointer && this.toWorld(pointer);
+        this.target = this.target
+          ? undefined
+          : pos &&
+            getBodies().findLast(
+              (body) => Vector2.subtract(pos, body.pos).length() <= body.radius,
+            );
+      } else if (e.code === "Digit0") {
+        this.reset();
+      }
+    });
+  }
+}
@@ -0,0 +1,87 @@
+// Canvas 2D 繪圖後端
+
+export class CanvasRenderer {
+  name = "canvas";
+
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {import("./camera.js").Camera} camera
+   */
+  constructor(canvas, camera) {
+    this.camera = camera;
+    this.c = canvas.getContext("2d");
+  }
+
+  /**
+   * @param {number} alpha
+   */
+  begin(alpha = 1) {
+    this.camera.begin(this.c, alpha);
+  }
+
+  /**
+   * @param {import("../physics/vector.js").Vector2} center
+   * @param {number} radius
+   * @param {import("./renderer.js").Style} style
+   */
+  circle(center, radius, style) {
+    const { camera } = this;
+
+    this.c.beginPath();
+    this.c.arc(
+      camera.toCanvasX(center.x),
+      camera.toCanvasY(center.y),
+      radius * camera.scale,
+      0,
+      2 * Math.PI,
+    );
+    this.paint(style, true);
+  }
+
+  /**
+   * @param {import("../physics/vector.js").Vector2[]} points
+   * @param {import("./renderer.js").Style} style
+   * @param {boolean} closed
+   */
+  path(points, style, closed = false) {
+    const { camera } = this;
+
+    this.c.beginPath();
+    points.forEach((p, k) => {
+      if (k === 0) this.c.moveTo(camera.toCanvasX(p.x), camera.toCanvasY(p.y));
+      else this.c.lineTo(camera.toCanvasX(p.x), camera.toCanvasY(p.y));
+    });
+    if (closed) this.c.closePath();
+    this.paint(style, closed);
+  }
+
+  /**
+   * @param {import("../physics/vector.js").Vector2} pos
+   * @param {string} text
+   * @param {import("./renderer.js").Style} style
+   */
+  text(pos, text, { fill = "#000000", font = "12px sans-serif" }) {
+    const { camera } = this;
+
+    this.c.fillStyle = fill;
+    this.c.font = font;
+    this.c.textAlign = "center";
+    this.c.textBaseline = "middle";
+    this.c.fillText(text, camera.toCanvasX(pos.x), camera.toCanvasY(pos.y));
+  }
+
+  paint({ fill, stroke, lineWidth = 1, dashed = false }, closed) {
+    if (fill && closed) {
+      this.c.fillStyle = fill;
+      this.c.fill();
+    }
+    if (stroke) {
+      this.c.strokeStyle = stroke;
+      this.c.lineWidth = lineWidth;
+      this.c.setLineDash(dashed ? [4, 4] : []);
+      this.c.stroke();
+    }
+  }
+
+  end() {}
+}
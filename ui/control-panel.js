@@ -0,0 +1,197 @@
+import { releaseFocus } from "./controls.js";
+import { createPanel } from "./panel.js";
+import { setUrlParam } from "./seed.js";
+
+// 執行中調整參數的面板，數值同步寫進網址
+//
+// Every control is a slider bound to a getter and a setter. A value given in
+// the query string (?restitution=0.5) is applied when the panel is created,
+// and every change is written back, so the link in the address bar
+// reproduces the demo.
+
+/**
+ * @typedef {object} Control
+ * @property {string} name - also the query parameter
+ * @property {string} label
+ * @property {number} min
+ * @property {number} max
+ * @property {number} step
+ * @property {() => number} get
+ * @property {(value: number) => void} set
+ */
+
+/**
+ * Gravity, restitution and time step of a running simulation.
+ * @param {import("../physics/simulation.js").Simulation} simulation
+ * @returns {Control[]}
+ */
+export function simulationControls(simulation) {
+  const { world } = simulation;
+
+  return [
+    {
+      name: "gravityX",
+      label: "gravity x",
+      min: -20,
+      max: 20,
+      step: 0.1,
+      get: () => world.gravity.x,
+      set: (value) => (world.gravity.x = value),
+    },
+    {
+      name: "gravityY",
+      label: "gravity y",
+      min: -20,
+      max: 20,
+      step: 0.1,
+      get: () => world.gravity.y,
+      set: (value) => (world.gravity.y = value),
+    },
+    {
+      name: "restitution",
+      label: "restitution",
+      min: 0,
+      max: 1,
+      step: 0.01,
+      get: () => world.restitution,
+      set: (value) => (world.restitution = value),
+    },
+    {
+      name: "wallRestitution",
+      label: "wall restitution",
+      min: 0,
+      max: 1,
+      step: 0.01,
+      get: () => world.wallRestitution,
+      set: (value) => (world.wallRestitution = value),
+    },
+    // in milliseconds, below about 4 ms the loop can't keep up with the
+    // wall clock and the simulation runs in slow motion
+    {
+      name: "timeStep",
+      label: "time step ms",
+      min: 4,
+      max: 50,
+      step: 1,
+      get: () => simulation.timeStep * 1000,
+      set: (value) => (simulation.timeStep = value / 1000),
+    },
+  ];
+}
+
+/**
+ * Number and size of the random balls of a page.
+ * @param {{count: number, minRadius: number, maxRadius: number}} options -
+ * changed in place
+ * @param {() => void} regenerate - replaces the random balls with ones
+ * following the options
+ * @param {number} maxRadius - upper end of the radius sliders
+ * @returns {Control[]}
+ */
+export function ballControls(options, regenerate, maxRadius) {
+  const control = (name, label, min, max, step) => ({
+    name,
+    label,
+    min,
+    max,
+    step,
+    get: () => options[name],
+    set: (value) => {
+      options[name] = value;
+      regenerate();
+    },
+  });
+
+  return [
+    control("count", "balls", 0, 200, 1),
+    control(
+      "minRadius",
+      "min radius",
+      maxRadius / 50,
+      maxRadius,
+      maxRadius / 50,
+    ),
+    control(
+      "maxRadius",
+      "max radius",
+      maxRadius / 50,
+      maxRadius,
+      maxRadius / 50,
+    ),
+  ];
+}
+
+/**
+ * A value from the query string, undefined when missing or not a number.
+ * @param {string} name
+ * @returns {number | undefined}
+ */
+function getUrlNumber(name) {
+  const param = new URLSearchParams(window.location.search).get(name);
+  const value = Number(param);
+
+  return param === null || param === "" || !Number.isFinite(value)
+    ? undefined
+    : value;
+}
+
+export class ControlPanel {
+  /**
+   * @param {Control[]} controls
+   * @param {(control: Control) => void} onChange - after a value changed
+   * @param {HTMLElement} parent
+   */
+  constructor(controls, onChange = () => {}, parent = document.body) {
+    this.controls = controls;
+    this.onChange = onChange;
+
+    this.el = createPanel("middle-left", parent);
+
+    this.rows = controls.map((control) => {
+      const fromUrl = getUrlNumber(control.name);
+      if (fromUrl !== undefined) control.set(fromUrl);
+
+      return this.addRow(control);
+    });
+    this.draw();
+  }
+
+  /**
+   * @param {Control} control
+   */
+  addRow(control) {
+    const row = document.createElement("div");
+
+    const label = document.createElement("span");
+    label.style.display = "inline-block";
+    label.style.width = "150px";
+    row.appendChild(label);
+
+    const slider = document.createElement("input");
+    slider.type = "range";
+    slider.min = String(control.min);
+    slider.max = String(control.max);
+    slider.step = String(control.step);
+    slider.addEventListener("input", () => {
+      const value = Number(slider.value);
+      control.set(value);
+      setUrlParam(control.name, value);
+      this.onChange(control);
+    });
+    releaseFocus(slider);
+    row.appendChild(slider);
+
+    this.el.appendChild(row);
+
+    return { control, label, slider };
+  }
+
+  // call once per frame, a loaded scene may have changed the values
+  draw() {
+    this.rows.forEach(({ control, label, slider }) => {
+      const value = control.get();
+      label.textContent = `${control.label} ${Number(value.toFixed(3))}`;
+      slider.value = String(value);
+    });
+  }
+}
@@ -0,0 +1,32 @@
+// 按鈕與滑桿共用的小工具
+//
+// A control keeps the keyboard focus after it was used: the space bar would
+// press a focused button again and the arrow keys would move a focused
+// slider. On these pages those keys belong to the page (pause, aim, step),
+// so every control lets go of the focus once it has done its job.
+
+/**
+ * @param {HTMLElement} parent - the button is appended to it
+ * @param {string} text
+ * @param {() => void} onClick
+ * @returns {HTMLButtonElement}
+ */
+export function createButton(parent, text, onClick) {
+  const button = document.createElement("button");
+  button.textContent = text;
+  button.addEventListener("click", () => {
+    onClick();
+    button.blur();
+  });
+  parent.appendChild(button);
+
+  return button;
+}
+
+/**
+ * Gives the focus back to the page after the control was changed.
+ * @param {HTMLInputElement | HTMLSelectElement} control
+ */
+export function releaseFocus(control) {
+  control.addEventListener("change", () => control.blur());
+}
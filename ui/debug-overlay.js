@@ -0,0 +1,264 @@
+import { Vector2 } from "../physics/index.js";
+import { Arrow } from "./arrow.js";
+import { createPanel } from "./panel.js";
+import { setUrlParam } from "./seed.js";
+
+// 除錯圖層：速度、軌跡、接觸點與法向量、受力、世界邊界
+//
+// Drawn over the scene to show what the solver is doing, every layer can be
+// turned on and off and the choice is kept in the URL as ?overlay=.
+//
+// Velocities are drawn as the distance covered in VECTOR_TIME. A force is
+// drawn on the same scale, as the velocity it adds in that time, so gravity
+// looks the same on every body. Contacts are the collisions between two
+// bodies, see World.onContact, they fade out like the trails.
+
+const LAYERS = {
+  velocity: "velocity",
+  trails: "trails",
+  contacts: "contacts",
+  forces: "forces",
+  bounds: "world bounds",
+};
+
+// seconds the velocity and force arrows stand for
+const VECTOR_TIME = 0.2;
+// seconds a trail reaches back and a contact stays
+const TRAIL_TIME = 1;
+const CONTACT_TIME = 0.5;
+// a trail fades in steps, one path per step
+const TRAIL_STEPS = 5;
+// contacts kept at most, a resting pile touches every tick
+const MAX_CONTACTS = 200;
+// pixels
+const NORMAL_LENGTH = 20;
+
+/**
+ * Colors fade in tenths, so a renderer that caches colors sees few of them.
+ * @param {string} rgb - "r, g, b"
+ * @param {number} opacity - 0 to 1
+ */
+function rgba(rgb, opacity) {
+  return `rgba(${rgb}, ${Math.round(opacity * 10) / 10})`;
+}
+
+export class DebugOverlay {
+  /** @type {Set<keyof LAYERS>} */
+  layers = new Set();
+  /**
+   * positions of every body, oldest first
+   * @type {Map<import("../physics/body.js").Body, {time: number, pos: import("../physics/vector.js").Vector2}[]>}
+   */
+  trails = new Map();
+  /**
+   * @type {(import("../physics/world.js").BodyContact & {time: number})[]}
+   */
+  contacts = [];
+
+  /**
+   * @param {import("../physics/simulation.js").Simulation} simulation
+   * @param {{scale: number}} view - pixels per meter, e.g. the Camera
+   * @param {HTMLElement} parent
+   */
+  constructor(simulation, view, parent = document.body) {
+    this.simulation = simulation;
+    this.view = view;
+
+    const param = new URLSearchParams(window.location.search).get("overlay");
+    (param ?? "").split(",").forEach((name) => {
+      if (name in LAYERS) this.layers.add(name);
+    });
+
+    simulation.world.onContact((contact) => {
+      if (!this.layers.has("contacts")) return;
+
+      this.contacts.push({
+        ...contact,
+        point: contact.point.clone(),
+        normal: contact.normal.clone(),
+        time: this.simulation.time,
+      });
+      if (this.contacts.length > MAX_CONTACTS) this.contacts.shift();
+    });
+
+    this.el = createPanel("middle-right", parent);
+    Object.entries(LAYERS).forEach(([name, text]) => {
+      const label = document.createElement("label");
+      label.style.display = "block";
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.checked = this.layers.has(name);
+      checkbox.addEventListener("change", () => {
+        this.toggle(name, checkbox.checked);
+        checkbox.blur();
+      });
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(` ${text}`));
+      this.el.appendChild(label);
+    });
+  }
+
+  get world() {
+    return this.simulation.world;
+  }
+
+  /**
+   * @param {keyof LAYERS} name
+   * @param {boolean} on
+   */
+  toggle(name, on) {
+    if (on) this.layers.add(name);
+    else this.layers.delete(name);
+    setUrlParam("overlay", [...this.layers].join(","));
+
+    // only collected while shown, an old trail would jump when shown again
+    if (!on) this.clear();
+  }
+
+  // forget the past, e.g. after a new scene was loaded
+  clear() {
+    this.trails.clear();
+    this.contacts = [];
+  }
+
+  /**
+   * Call between renderer.begin() and renderer.end(), after the scene.
+   * @param {import("./renderer.js").Renderer} renderer
+   * @param {number} alpha - interpolation factor between the last two states
+   */
+  draw(renderer, alpha = 1) {
+    const { timeStep } = this.simulation;
+    const time = this.simulation.time - (1 - alpha) * timeStep;
+    this.forgetFuture(time);
+
+    if (this.layers.has("bounds")) this.drawBounds(renderer);
+    if (this.layers.has("trails")) {
+      this.recordTrails(time, alpha);
+      this.drawTrails(renderer, time);
+    }
+    if (this.layers.has("contacts")) this.drawContacts(renderer, time);
+
+    this.world.dynamicBodies.forEach((body) => {
+      const pos = body.interpolatePos(alpha);
+
+      if (this.layers.has("velocity")) {
+        new Arrow(pos, body.vel.clone().scale(VECTOR_TIME), "#0066CC").draw(
+          renderer,
+          this.view.scale,
+        );
+      }
+      if (this.layers.has("forces")) {
+        // the acceleration, gravity and the force generators together
+        const acc = this.world.gravity.clone().add(body.force, 1 / body.mass);
+        new Arrow(pos, acc.scale(VECTOR_TIME * VECTOR_TIME), "#CC3300").draw(
+          renderer,
+          this.view.scale,
+        );
+      }
+    });
+  }
+
+  // after going back in time, e.g. with the timeline, the trails and
+  // contacts that came later haven't happened yet
+  forgetFuture(time) {
+    this.contacts = this.contacts.filter((contact) => contact.time <= time);
+    this.trails.forEach((trail) => {
+      while (trail.length > 0 && trail[trail.length - 1].time > time) {
+        trail.pop();
+      }
+    });
+  }
+
+  recordTrails(time, alpha) {
+    const bodies = new Set(this.world.dynamicBodies);
+    this.trails.forEach((_, body) => {
+      if (!bodies.has(body)) this.trails.delete(body);
+    });
+
+    bodies.forEach((body) => {
+      let trail = this.trails.get(body);
+      if (!trail) {
+        trail = [];
+        this.trails.set(body, trail);
+      }
+
+      // e.g. paused, or drawn again for an export
+      if (trail.length === 0 || trail[trail.length - 1].time < time) {
+        trail.push({ time, pos: body.interpolatePos(alpha) });
+      }
+      while (trail[0].time < time - TRAIL_TIME) trail.shift();
+    });
+  }
+
+  drawTrails(renderer, time) {
+    const stepTime = TRAIL_TIME / TRAIL_STEPS;
+    const getStep = (point) =>
+      Math.min(Math.floor((time - point.time) / stepTime), TRAIL_STEPS - 1);
+
+    this.trails.forEach((trail) => {
+      /** @type {import("../physics/vector.js").Vector2[][]} */
+      const paths = Array.from({ length: TRAIL_STEPS }, () => []);
+      trail.forEach((point, i) => {
+        const step = getStep(point);
+        paths[step].push(point.pos);
+
+        // joined to the newer step, the trail has no gaps
+        const next = trail[i + 1];
+        if (next && getStep(next) !== step) paths[step].push(next.pos);
+      });
+
+      paths.forEach((points, step) => {
+        if (points.length < 2) return;
+
+        renderer.path(points, {
+          stroke: rgba("0, 102, 204", 1 - step / TRAIL_STEPS),
+          lineWidth: 2,
+        });
+      });
+    });
+  }
+
+  drawContacts(renderer, time) {
+    const { scale } = this.view;
+    this.contacts = this.contacts.filter(
+      (contact) => contact.time > time - CONTACT_TIME,
+    );
+
+    this.contacts.forEach(({ point, normal, time: contactTime }) => {
+      const color = rgba(
+        "204, 0, 153",
+        1 - (time - contactTime) / CONTACT_TIME,
+      );
+
+      renderer.circle(point, 3 / scale, { fill: color });
+      new Arrow(point, normal.clone().scale(NORMAL_LENGTH / scale), color).draw(
+        renderer,
+        scale,
+      );
+    });
+  }
+
+  // 開著的一邊畫虛線，球會從那裡飛出去
+  drawBounds(renderer) {
+    const { size, walls } = this.world;
+    const corners = {
+      bottomLeft: new Vector2(0, 0),
+      bottomRight: new Vector2(size.x, 0),
+      topRight: new Vector2(size.x, size.y),
+      topLeft: new Vector2(0, size.y),
+    };
+
+    [
+      [walls.bottom, corners.bottomLeft, corners.bottomRight],
+      [walls.right, corners.bottomRight, corners.topRight],
+      [walls.top, corners.topRight, corners.topLeft],
+      [walls.left, corners.topLeft, corners.bottomLeft],
+    ].forEach(([closed, from, to]) => {
+      renderer.path([from, to], {
+        stroke: "#009933",
+        lineWidth: 2,
+        dashed: !closed,
+      });
+    });
+  }
+}
@@ -0,0 +1,70 @@
+import { Plot } from "./plot.js";
+import { createBox } from "./panel.js";
+import { getCanvasFrame } from "./overlay.js";
+
+// 能量與動量的即時圖表，放在畫布右邊，不會蓋住場景
+
+// pixels the panel takes beside the canvas: the plots, the padding and
+// border of the box, and the gap
+export const SIDEBAR_WIDTH = 280 + 2 * 6 + 2 + 8;
+
+export class DiagnosticsPanel {
+  /**
+   * @param {import("../physics/diagnostics.js").Diagnostics} diagnostics
+   * @param {HTMLCanvasElement} canvas - the panel goes to its right, make
+   *   the canvas SIDEBAR_WIDTH narrower
+   */
+  constructor(diagnostics, canvas) {
+    this.diagnostics = diagnostics;
+
+    const row = document.createElement("div");
+    Object.assign(row.style, {
+      display: "flex",
+      alignItems: "flex-start",
+      gap: "8px",
+    });
+    // with the layers a renderer laid over it
+    const frame = getCanvasFrame(canvas);
+    frame.before(row);
+    row.appendChild(frame);
+
+    this.el = createBox(row);
+
+    // click the header to collapse the panel
+    const header = document.createElement("div");
+    header.textContent = "diagnostics";
+    header.style.cursor = "pointer";
+    header.addEventListener("click", () => this.toggle());
+    this.el.appendChild(header);
+
+    this.body = document.createElement("div");
+    this.el.appendChild(this.body);
+
+    this.plots = [
+      new Plot(this.body, "energy", [
+        { label: "KE", color: "#FF0000", value: (s) => s.kinetic },
+        { label: "PE", color: "#0000FF", value: (s) => s.potential },
+        { label: "E ", color: "#000000", value: (s) => s.total },
+      ]),
+      new Plot(this.body, "momentum", [
+        { label: "px", color: "#FF8800", value: (s) => s.momentum.x },
+        { label: "py", color: "#00AA00", value: (s) => s.momentum.y },
+        {
+          label: "|p|",
+          color: "#000000",
+          value: (s) => Math.hypot(s.momentum.x, s.momentum.y),
+        },
+      ]),
+    ];
+  }
+
+  toggle() {
+    this.body.style.display = this.body.style.display === "none" ? "" : "none";
+  }
+
+  draw() {
+    if (this.body.style.display === "none") return;
+
+    this.plots.forEach((plot) => plot.draw(this.diagnostics.samples));
+  }
+}
@@ -0,0 +1,425 @@
+import {
+  EditHistory,
+  RigidBody,
+  Vector2,
+  getInertia,
+} from "../physics/index.js";
+import { createButton } from "./controls.js";
+import { createPanel } from "./panel.js";
+
+// 在畫布上編輯物體
+//
+// In edit mode the simulation stands still and the pointer works on the
+// bodies instead:
+//
+// click:           select a body, with shift add it to or take it out of
+//                  the selection
+// drag a body:     move the selection
+// drag an arrow:   the tip of the arrow of a selected body sets its velocity,
+//                  alt-drag a body to pull an arrow out of it
+// drag elsewhere:  select the bodies in the rectangle
+// Delete:          remove the selection
+// Ctrl+Z:          undo, Ctrl+Shift+Z or Ctrl+Y redo
+//
+// The inspector edits radius, mass, color and restitution of the selection.
+// The page draws the selection, the arrows and the rectangle.
+
+// seconds of flight the velocity arrow stands for
+const ARROW_TIME = 0.2;
+// how close to the tip of an arrow a press grabs it, in pixels
+const GRAB_DISTANCE = 8;
+
+/**
+ * Where the editor meets the page.
+ * @typedef {object} View
+ * @property {number} scale - pixels per meter
+ * @property {(e: PointerEvent) => Vector2} toWorld - pointer position in world space
+ */
+
+/**
+ * @typedef {{type: "move", last: Vector2, recorded: boolean}
+ *   | {type: "velocity", body: import("../physics/body.js").Body, recorded: boolean}
+ *   | {type: "select", start: Vector2, end: Vector2, base: import("../physics/body.js").Body[]}} Drag
+ */
+
+export class Editor {
+  /** @type {"play" | "edit"} */
+  mode = "play";
+  /** @type {import("../physics/body.js").Body[]} */
+  selected = [];
+  /** @type {Drag | undefined} */
+  drag = undefined;
+
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {import("../physics/world.js").World} world
+   * @param {View} view
+   * @param {() => void} onChange - called after the bodies were edited
+   * @param {HTMLElement} parent
+   */
+  constructor(
+    canvas,
+    world,
+    view,
+    onChange = () => {},
+    parent = document.body,
+  ) {
+    this.canvas = canvas;
+    this.world = world;
+    this.view = view;
+    this.onChange = onChange;
+    this.history = new EditHistory(world);
+
+    this.el = createPanel("top-center", parent);
+
+    const toolbar = document.createElement("div");
+    Object.assign(toolbar.style, { display: "flex", gap: "4px" });
+    this.modeButton = createButton(toolbar, "edit", () =>
+      this.setMode(this.isEditing ? "play" : "edit"),
+    );
+    this.undoButton = createButton(toolbar, "undo", () => this.undo());
+    this.redoButton = createButton(toolbar, "redo", () => this.redo());
+    this.deleteButton = createButton(toolbar, "delete", () =>
+      this.deleteSelected(),
+    );
+    this.status = document.createElement("span");
+    toolbar.appendChild(this.status);
+    this.el.appendChild(toolbar);
+
+    this.inspector = document.createElement("div");
+    this.fields = [
+      this.addField("radius", "number", {
+        get: (body) => body.radius,
+        // the shape of a rigid body decides its size
+        canEdit: (body) => !(body instanceof RigidBody),
+        set: (body, value) => (body.radius = value),
+        isValid: (value) => value > 0,
+      }),
+      this.addField("mass", "number", {
+        get: (body) => body.mass,
+        canEdit: (body) => !body.isStatic,
+        set: (body, value) => {
+          body.mass = value;
+          if (body instanceof RigidBody) {
+            body.inertia = getInertia(body.shape, value);
+          }
+        },
+        isValid: (value) => value > 0,
+      }),
+      this.addField("color", "color", {
+        get: (body) => body.color,
+        canEdit: () => true,
+        set: (body, value) => (body.color = value),
+        isValid: () => true,
+      }),
+      // empty is the restitution of the world
+      this.addField("restitution", "number", {
+        get: (body) => body.restitution,
+        canEdit: () => true,
+        set: (body, value) => (body.restitution = value),
+        isValid: (value) => value === undefined || value >= 0,
+      }),
+    ];
+    this.el.appendChild(this.inspector);
+
+    canvas.addEventListener("pointerdown", this.handlePointerDown);
+    canvas.addEventListener("pointermove", this.handlePointerMove);
+    canvas.addEventListener("pointerup", this.handlePointerUp);
+    window.addEventListener("keydown", this.handleKeyDown);
+  }
+
+  /**
+   * @param {string} name
+   * @param {"number" | "color"} type
+   * @param {object} access
+   * @param {(body: import("../physics/body.js").Body) => number | string | undefined} access.get
+   * @param {(body: import("../physics/body.js").Body) => boolean} access.canEdit
+   * @param {(body: import("../physics/body.js").Body, value: any) => void} access.set
+   * @param {(value: any) => boolean} access.isValid
+   */
+  addField(name, type, access) {
+    const row = document.createElement("div");
+    const label = document.createElement("span");
+    label.textContent = name;
+    label.style.display = "inline-block";
+    label.style.width = "90px";
+    row.appendChild(label);
+
+    const input = document.createElement("input");
+    input.type = type;
+    if (type === "number") {
+      input.step = "any";
+      input.style.width = "80px";
+    }
+    input.addEventListener("change", () => {
+      const value = readValue(input);
+      const bodies = this.selected.filter(access.canEdit);
+      if (bodies.length === 0 || !access.isValid(value)) return;
+
+      this.history.record();
+      bodies.forEach((body) => access.set(body, value));
+      this.onChange();
+    });
+    row.appendChild(input);
+    this.inspector.appendChild(row);
+
+    return { input, ...access };
+  }
+
+  get isEditing() {
+    return this.mode === "edit";
+  }
+
+  /**
+   * @param {"play" | "edit"} mode
+   */
+  setMode(mode) {
+    this.mode = mode;
+    this.drag = undefined;
+    if (mode === "play") this.selected = [];
+  }
+
+  // after loading a scene, the selection and the history belong to the old one
+  reset() {
+    this.selected = [];
+    this.drag = undefined;
+    this.history.clear();
+  }
+
+  /**
+   * Tip of the velocity arrow of a body.
+   * @param {import("../physics/body.js").Body} body
+   * @returns {Vector2}
+   */
+  getArrowTip(body) {
+    return body.pos.clone().add(body.vel, ARROW_TIME);
+  }
+
+  /**
+   * The topmost body under the point, the last one drawn.
+   * @param {Vector2} pos
+   */
+  pick(pos) {
+    return this.world.bodies.findLast(
+      (body) => Vector2.subtract(pos, body.pos).length() <= body.radius,
+    );
+  }
+
+  /**
+   * A selected body with the tip of its arrow near the point. A tip inside
+   * the body is left alone, the body is moved there.
+   * @param {Vector2} pos
+   */
+  pickArrow(pos) {
+    const distance = GRAB_DISTANCE / this.view.scale;
+
+    return this.selected.find((body) => {
+      if (body.isStatic) return false;
+
+      const tip = this.getArrowTip(body);
+      return (
+        Vector2.subtract(tip, body.pos).length() > body.radius &&
+        Vector2.subtract(pos, tip).length() <= distance
+      );
+    });
+  }
+
+  handlePointerDown = (e) => {
+    // the other buttons move the camera
+    if (!this.isEditing || e.button !== 0) return;
+
+    const pos = this.view.toWorld(e);
+    this.canvas.setPointerCapture(e.pointerId);
+
+    const arrowBody = this.pickArrow(pos);
+    if (arrowBody) {
+      this.drag = { type: "velocity", body: arrowBody, recorded: false };
+      return;
+    }
+
+    const body = this.pick(pos);
+    if (!body) {
+      if (!e.shiftKey) this.selected = [];
+      this.drag = {
+        type: "select",
+        start: pos,
+        end: pos.clone(),
+        base: this.selected,
+      };
+      return;
+    }
+
+    if (e.altKey && !body.isStatic) {
+      this.selected = [body];
+      this.drag = { type: "velocity", body, recorded: false };
+      return;
+    }
+    if (e.shiftKey && this.selected.includes(body)) {
+      this.selected = this.selected.filter((other) => other !== body);
+      return;
+    }
+    if (e.shiftKey) {
+      this.selected = [...this.selected, body];
+    } else if (!this.selected.includes(body)) {
+      this.selected = [body];
+    }
+    this.drag = { type: "move", last: pos, recorded: false };
+  };
+
+  handlePointerMove = (e) => {
+    if (!this.drag) return;
+
+    const { drag } = this;
+    const pos = this.view.toWorld(e);
+
+    if (drag.type === "select") {
+      drag.end = pos;
+      const min = new Vector2(
+        Math.min(drag.start.x, pos.x),
+        Math.min(drag.start.y, pos.y),
+      );
+      const max = new Vector2(
+        Math.max(drag.start.x, pos.x),
+        Math.max(drag.start.y, pos.y),
+      );
+      const inside = this.world.bodies.filter(
+        (body) =>
+          !drag.base.includes(body) &&
+          body.pos.x >= min.x &&
+          body.pos.x <= max.x &&
+          body.pos.y >= min.y &&
+          body.pos.y <= max.y,
+      );
+      this.selected = [...drag.base, ...inside];
+      return;
+    }
+
+    // a click without moving is not worth an undo step
+    if (!drag.recorded) {
+      this.history.record();
+      drag.recorded = true;
+    }
+
+    if (drag.type === "move") {
+      const delta = Vector2.subtract(pos, drag.last);
+      drag.last = pos;
+      this.selected.forEach((body) => {
+        body.pos.add(delta);
+        // no interpolation from where it was
+        body.prevPos.set(body.pos);
+      });
+    } else {
+      drag.body.vel = Vector2.subtract(pos, drag.body.pos).scale(
+        1 / ARROW_TIME,
+      );
+    }
+  };
+
+  handlePointerUp = () => {
+    const edited = this.drag?.recorded;
+    this.drag = undefined;
+
+    if (edited) this.onChange();
+  };
+
+  handleKeyDown = (e) => {
+    if (!this.isEditing) return;
+    // typing in the inspector
+    if (e.target instanceof HTMLInputElement) return;
+
+    const command = e.ctrlKey || e.metaKey;
+    if (e.code === "Delete" || e.code === "Backspace") {
+      this.deleteSelected();
+    } else if (command && e.code === "KeyZ") {
+      e.preventDefault();
+      if (e.shiftKey) this.redo();
+      else this.undo();
+    } else if (command && e.code === "KeyY") {
+      e.preventDefault();
+      this.redo();
+    } else if (e.code === "Escape") {
+      this.selected = [];
+    }
+  };
+
+  deleteSelected() {
+    if (this.selected.length === 0) return;
+
+    this.history.record();
+    this.selected.forEach((body) => this.world.removeBody(body));
+    this.selected = [];
+    this.onChange();
+  }
+
+  undo() {
+    if (!this.history.undo()) return;
+
+    this.keepExistingSelection();
+    this.onChange();
+  }
+
+  redo() {
+    if (!this.history.redo()) return;
+
+    this.keepExistingSelection();
+    this.onChange();
+  }
+
+  keepExistingSelection() {
+    this.selected = this.selected.filter((body) =>
+      this.world.bodies.includes(body),
+    );
+  }
+
+  // call once per frame
+  draw() {
+    this.modeButton.textContent = this.isEditing ? "play" : "edit";
+    this.undoButton.disabled = !this.isEditing || !this.history.canUndo;
+    this.redoButton.disabled = !this.isEditing || !this.history.canRedo;
+    this.deleteButton.disabled = this.selected.length === 0;
+    this.status.textContent = this.isEditing
+      ? `${this.selected.length} selected`
+      : "";
+
+    const [first] = this.selected;
+    this.inspector.style.display = first ? "" : "none";
+    if (!first) return;
+
+    this.fields.forEach(({ input, get, canEdit }) => {
+      input.disabled = !this.selected.some(canEdit);
+      // don't overwrite what is being typed
+      if (document.activeElement === input) return;
+
+      writeValue(input, get(first));
+    });
+  }
+}
+
+/**
+ * @param {HTMLInputElement} input
+ * @returns {number | string | undefined} undefined for an empty number
+ */
+function readValue(input) {
+  if (input.type !== "number") return input.value;
+  if (input.value === "") return undefined;
+
+  const value = Number(input.value);
+  return Number.isFinite(value) ? value : NaN;
+}
+
+/**
+ * @param {HTMLInputElement} input
+ * @param {number | string | undefined} value
+ */
+function writeValue(input, value) {
+  if (input.type === "color") {
+    // a color input only takes #rrggbb
+    input.value = /^#[0-9a-f]{6}$/i.test(value) ? value : "#000000";
+  } else {
+    // empty for no restitution of its own and for the infinite mass of a
+    // static body
+    input.value = Number.isFinite(value)
+      ? String(Number(value.toFixed(4)))
+      : "";
+  }
+}
@@ -0,0 +1,104 @@
+import { DataLogger, QUANTITIES } from "../physics/index.js";
+import { createButton } from "./controls.js";
+import { download } from "./scene-menu.js";
+
+// 資料紀錄的控制列：開始/停止、取樣頻率、要匯出的量、下載 CSV 或 JSON
+//
+// Recording starts with the button, not with the page, a long run fills up
+// memory. A rate of 0 samples every tick.
+export class LoggerPanel {
+  /** @type {(() => void) | undefined} */
+  detach = undefined;
+
+  /**
+   * @param {import("../physics/simulation.js").Simulation} simulation
+   * @param {HTMLElement} parent - the row is appended, under the canvas
+   */
+  constructor(simulation, parent = document.body) {
+    this.simulation = simulation;
+    this.logger = new DataLogger({ interval: 1 / 30 });
+
+    this.el = document.createElement("div");
+    Object.assign(this.el.style, {
+      display: "flex",
+      alignItems: "center",
+      gap: "6px",
+      marginTop: "4px",
+      font: "12px monospace",
+    });
+    parent.appendChild(this.el);
+
+    this.recordButton = createButton(this.el, "record", () =>
+      this.toggleRecording(),
+    );
+
+    const rateLabel = document.createElement("label");
+    rateLabel.textContent = "samples / s ";
+    const rate = document.createElement("input");
+    rate.type = "number";
+    rate.min = "0";
+    rate.step = "1";
+    rate.value = "30";
+    rate.style.width = "4em";
+    rate.addEventListener("change", () => {
+      const value = Number(rate.value);
+      this.logger.interval = value > 0 ? 1 / value : 0;
+    });
+    rateLabel.appendChild(rate);
+    this.el.appendChild(rateLabel);
+
+    QUANTITIES.forEach((name) => {
+      const label = document.createElement("label");
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.checked = this.logger.quantities.includes(name);
+      checkbox.addEventListener("change", () => {
+        this.logger.quantities = QUANTITIES.filter((q) =>
+          q === name ? checkbox.checked : this.logger.quantities.includes(q),
+        );
+        checkbox.blur();
+      });
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(` ${name}`));
+      this.el.appendChild(label);
+    });
+
+    createButton(this.el, "csv", () => this.download(".csv"));
+    createButton(this.el, "json", () => this.download(".json"));
+    createButton(this.el, "clear", () => this.logger.clear());
+
+    this.label = document.createElement("span");
+    this.el.appendChild(this.label);
+  }
+
+  get isRecording() {
+    return this.detach !== undefined;
+  }
+
+  toggleRecording() {
+    if (this.isRecording) {
+      this.detach();
+      this.detach = undefined;
+    } else {
+      this.detach = this.logger.attach(this.simulation);
+    }
+  }
+
+  /**
+   * @param {string} extension - ".csv" also gives the collisions, when selected
+   */
+  download(extension) {
+    this.logger
+      .getFiles("log")
+      .filter(({ filename }) => filename.endsWith(extension))
+      .forEach(({ filename, text, type }) => download(filename, text, type));
+  }
+
+  // call once per frame
+  draw() {
+    const { samples, collisions } = this.logger;
+
+    this.recordButton.textContent = this.isRecording ? "stop" : "record";
+    this.label.textContent = `${samples.length} rows, ${collisions.length} collisions`;
+  }
+}
@@ -0,0 +1,176 @@
+import {
+  Polygon,
+  Segment,
+  Vector2,
+  closestPointOnSegment,
+  convexHull,
+} from "../physics/index.js";
+import { createButton } from "./controls.js";
+import { createPanel } from "./panel.js";
+
+// 在畫布上畫障礙物
+//
+// segment: drag from one end to the other
+// polygon: click the corners, the convex hull of them becomes the polygon
+//          once "close" is pressed (or Enter)
+// erase:   click an obstacle to remove it
+
+const MODES = ["off", "segment", "polygon", "erase"];
+// shorter segments are taken for a mis-click
+const MIN_LENGTH = 0.02;
+// how far from an obstacle a click still erases it
+const ERASE_DISTANCE = 0.05;
+
+export class ObstacleTool {
+  mode = "off";
+  /**
+   * points of the obstacle being drawn, the last one follows the pointer
+   * @type {Vector2[]}
+   */
+  draft = [];
+
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {import("../physics/world.js").World} world
+   * @param {(e: PointerEvent) => Vector2} toWorld - pointer position in world space
+   * @param {() => void} onChange - called after an obstacle was added or removed
+   * @param {HTMLElement} parent
+   */
+  constructor(
+    canvas,
+    world,
+    toWorld,
+    onChange = () => {},
+    parent = document.body,
+  ) {
+    this.canvas = canvas;
+    this.world = world;
+    this.toWorld = toWorld;
+    this.onChange = onChange;
+
+    this.el = createPanel("top-center", parent);
+    Object.assign(this.el.style, {
+      display: "flex",
+      alignItems: "center",
+      gap: "4px",
+    });
+
+    const label = document.createElement("label");
+    label.textContent = "draw ";
+    this.modeSelect = document.createElement("select");
+    MODES.forEach((mode) => {
+      const option = document.createElement("option");
+      option.value = mode;
+      option.textContent = mode;
+      this.modeSelect.appendChild(option);
+    });
+    this.modeSelect.addEventListener("change", () => {
+      this.setMode(this.modeSelect.value);
+      this.modeSelect.blur();
+    });
+    label.appendChild(this.modeSelect);
+    this.el.appendChild(label);
+
+    this.closeButton = createButton(this.el, "close", () =>
+      this.closePolygon(),
+    );
+    createButton(this.el, "clear all", () => {
+      this.world.obstacles = [];
+      this.onChange();
+    });
+
+    canvas.addEventListener("pointerdown", this.handlePointerDown);
+    canvas.addEventListener("pointermove", this.handlePointerMove);
+    canvas.addEventListener("pointerup", this.handlePointerUp);
+    window.addEventListener("keydown", this.handleKeyDown);
+  }
+
+  get isActive() {
+    return this.mode !== "off";
+  }
+
+  /**
+   * @param {"off" | "segment" | "polygon" | "erase"} mode
+   */
+  setMode(mode) {
+    this.mode = mode;
+    this.draft = [];
+  }
+
+  handlePointerDown = (e) => {
+    // the other buttons move the camera
+    if (!this.isActive || e.button !== 0) return;
+
+    const pos = this.toWorld(e);
+
+    if (this.mode === "segment") {
+      this.canvas.setPointerCapture(e.pointerId);
+      this.draft = [pos, pos.clone()];
+    } else if (this.mode === "polygon") {
+      // the last point follows the pointer, this one stays
+      this.draft = [...this.draft.slice(0, -1), pos, pos.clone()];
+    } else if (this.mode === "erase") {
+      this.erase(pos);
+    }
+  };
+
+  handlePointerMove = (e) => {
+    if (this.draft.length === 0) return;
+
+    this.draft[this.draft.length - 1] = this.toWorld(e);
+  };
+
+  handlePointerUp = () => {
+    if (this.mode !== "segment" || this.draft.length !== 2) return;
+
+    const [a, b] = this.draft;
+    this.draft = [];
+    if (Vector2.subtract(b, a).length() < MIN_LENGTH) return;
+
+    this.world.obstacles.push(new Segment(a, b));
+    this.onChange();
+  };
+
+  handleKeyDown = (e) => {
+    if (e.code === "Enter" && this.mode === "polygon") this.closePolygon();
+    if (e.code === "Escape") this.draft = [];
+  };
+
+  closePolygon() {
+    const points = this.draft.slice(0, -1);
+    this.draft = [];
+
+    const hull = convexHull(points);
+    // three points in a line have no area
+    if (hull.length < 3) return;
+
+    this.world.obstacles.push(new Polygon(hull));
+    this.onChange();
+  }
+
+  /**
+   * Removes the obstacle under the point, the last drawn first.
+   * @param {Vector2} pos
+   */
+  erase(pos) {
+    const obstacle = this.world.obstacles.findLast(
+      (obstacle) =>
+        (obstacle instanceof Polygon && obstacle.contains(pos)) ||
+        obstacle.edges.some(
+          ([a, b]) =>
+            Vector2.subtract(pos, closestPointOnSegment(pos, a, b)).length() <
+            ERASE_DISTANCE,
+        ),
+    );
+    if (!obstacle) return;
+
+    this.world.obstacles = this.world.obstacles.filter((o) => o !== obstacle);
+    this.onChange();
+  }
+
+  // call once per frame
+  draw() {
+    this.modeSelect.value = this.mode;
+    this.closeButton.style.display = this.mode === "polygon" ? "" : "none";
+  }
+}
@@ -0,0 +1,37 @@
+// 疊在畫布上的圖層 (SVG 與 WebGL 的文字) 共用的外框
+//
+// The canvas and the layers laid over it sit in one positioned wrapper, so
+// a layer is placed relative to the wrapper and stays on the canvas wherever
+// the page moves it. Code that moves the canvas moves its frame instead.
+
+/**
+ * The positioned wrapper of the canvas, made the first time it is asked for.
+ * @param {HTMLCanvasElement} canvas
+ * @returns {HTMLDivElement}
+ */
+export function getCanvasFrame(canvas) {
+  const parent = canvas.parentElement;
+  if (parent && "canvasFrame" in parent.dataset) return parent;
+
+  const frame = document.createElement("div");
+  frame.dataset.canvasFrame = "";
+  // inline like the canvas it replaces in the page
+  Object.assign(frame.style, { position: "relative", display: "inline-flex" });
+  canvas.before(frame);
+  frame.appendChild(canvas);
+
+  return frame;
+}
+
+/**
+ * Lays the element over the canvas, the pointer goes through to the canvas.
+ * @param {HTMLCanvasElement} canvas
+ * @param {HTMLElement | SVGElement} overlay
+ */
+export function addOverlay(canvas, overlay) {
+  Object.assign(overlay.style, {
+    position: "absolute",
+    pointerEvents: "none",
+  });
+  getCanvasFrame(canvas).appendChild(overlay);
+}
@@ -0,0 +1,45 @@
+// 固定在畫面角落的小面板，給各種 UI 元件共用
+const CORNERS = {
+  "top-left": { top: "10px", left: "10px" },
+  "top-right": { top: "10px", right: "10px" },
+  "top-center": { top: "10px", left: "50%", transform: "translateX(-50%)" },
+  "middle-left": { top: "50%", left: "10px", transform: "translateY(-50%)" },
+  "middle-right": { top: "50%", right: "10px", transform: "translateY(-50%)" },
+  "bottom-left": { bottom: "10px", left: "10px" },
+  "bottom-center": {
+    bottom: "10px",
+    left: "50%",
+    transform: "translateX(-50%)",
+  },
+  "bottom-right": { bottom: "10px", right: "10px" },
+};
+
+/**
+ * @param {"top-left" | "top-right" | "top-center" | "middle-left" | "middle-right" | "bottom-left" | "bottom-center" | "bottom-right"} corner
+ * @param {HTMLElement} parent
+ * @returns {HTMLDivElement}
+ */
+export function createPanel(corner, parent = document.body) {
+  const el = createBox(parent);
+  Object.assign(el.style, { position: "fixed", ...CORNERS[corner] });
+
+  return el;
+}
+
+/**
+ * A panel that takes its place in the page, e.g. beside the canvas.
+ * @param {HTMLElement} parent
+ * @returns {HTMLDivElement}
+ */
+export function createBox(parent = document.body) {
+  const el = document.createElement("div");
+  Object.assign(el.style, {
+    padding: "6px",
+    background: "rgba(255, 255, 255, 0.9)",
+    border: "1px solid #888888",
+    font: "12px monospace",
+  });
+  parent.appendChild(el);
+
+  return el;
+}
@@ -0,0 +1,73 @@
+// 即時折線圖，畫在自己的小 canvas 上
+export class Plot {
+  /**
+   * @param {HTMLElement} parent
+   * @param {string} title
+   * @param {{label: string, color: string, value: (sample: any) => number}[]} series
+   * @param {number} width
+   * @param {number} height
+   */
+  constructor(parent, title, series, width = 280, height = 120) {
+    this.title = title;
+    this.series = series;
+
+    this.canvas = document.createElement("canvas");
+    this.canvas.width = width;
+    this.canvas.height = height;
+    this.canvas.style.display = "block";
+    this.canvas.style.marginTop = "4px";
+    parent.appendChild(this.canvas);
+
+    this.c = this.canvas.getContext("2d");
+  }
+
+  /**
+   * @param {any[]} samples - oldest first
+   */
+  draw(samples) {
+    const { width, height } = this.canvas;
+    this.c.clearRect(0, 0, width, height);
+
+    this.c.fillStyle = "#000000";
+    this.c.font = "11px monospace";
+    this.c.fillText(this.title, 4, 12);
+
+    if (samples.length < 2) return;
+
+    // always keep 0 in range so a leak is visible against the axis
+    let min = 0;
+    let max = 0;
+    samples.forEach((sample) => {
+      this.series.forEach(({ value }) => {
+        min = Math.min(min, value(sample));
+        max = Math.max(max, value(sample));
+      });
+    });
+    const range = max - min || 1;
+
+    const top = 18;
+    const bottom = height - 4;
+    const toX = (i) => (i / (samples.length - 1)) * width;
+    const toY = (v) => bottom - ((v - min) / range) * (bottom - top);
+
+    // zero axis
+    this.c.strokeStyle = "#CCCCCC";
+    this.c.beginPath();
+    this.c.moveTo(0, toY(0));
+    this.c.lineTo(width, toY(0));
+    this.c.stroke();
+
+    this.series.forEach(({ label, color, value }, k) => {
+      this.c.strokeStyle = color;
+      this.c.beginPath();
+      samples.forEach((sample, i) => {
+        this.c.lineTo(toX(i), toY(value(sample)));
+      });
+      this.c.stroke();
+
+      const latest = value(samples[samples.length - 1]);
+      this.c.fillStyle = color;
+      this.c.fillText(`${label} ${latest.toFixed(3)}`, 4, top + 12 + k * 12);
+    });
+  }
+}
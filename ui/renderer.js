@@ -0,0 +1,100 @@
+import { CanvasRenderer } from "./canvas-renderer.js";
+import { SvgRenderer } from "./svg-renderer.js";
+import { WebGLRenderer } from "./webgl-renderer.js";
+import { download } from "./scene-menu.js";
+import { createButton } from "./controls.js";
+import { createPanel } from "./panel.js";
+import { setUrlParam } from "./seed.js";
+
+// 可以換的繪圖後端
+//
+// A page draws its world through a renderer, in world coordinates, and
+// never touches the canvas itself; the renderer maps them through the
+// camera. The backend is chosen with ?renderer=canvas|svg|webgl when the
+// page loads.
+
+/**
+ * @typedef {object} Style
+ * @property {string} [fill] - CSS color, closed paths, circles and text only
+ * @property {string} [stroke] - CSS color
+ * @property {number} [lineWidth] - pixels, 1 by default
+ * @property {boolean} [dashed]
+ * @property {string} [font] - CSS font of text, "12px sans-serif" by default
+ */
+
+/**
+ * @typedef {object} Renderer
+ * @property {string} name
+ * @property {(alpha?: number) => void} begin - starts a frame, see Camera.update
+ * @property {(center: import("../physics/vector.js").Vector2, radius: number, style: Style) => void} circle
+ * @property {(points: import("../physics/vector.js").Vector2[], style: Style, closed?: boolean) => void} path
+ * @property {(pos: import("../physics/vector.js").Vector2, text: string, style: Style) => void} text - centered on pos
+ * @property {() => void} end - finishes the frame
+ */
+
+export const RENDERERS = {
+  canvas: CanvasRenderer,
+  svg: SvgRenderer,
+  webgl: WebGLRenderer,
+};
+
+// backend given with ?renderer=, the 2D canvas by default
+export function getRendererName() {
+  const param = new URLSearchParams(window.location.search).get("renderer");
+
+  return param in RENDERERS ? param : "canvas";
+}
+
+/**
+ * A canvas can only have one kind of context, so the choice is made once.
+ * Without WebGL 2 the page falls back to the 2D canvas, the menu then
+ * shows "canvas".
+ * @param {HTMLCanvasElement} canvas
+ * @param {import("./camera.js").Camera} camera
+ * @param {string} name
+ * @returns {Renderer}
+ */
+export function createRenderer(canvas, camera, name = getRendererName()) {
+  if (name === "webgl" && !WebGLRenderer.isSupported()) {
+    return new CanvasRenderer(canvas, camera);
+  }
+
+  return new RENDERERS[name](canvas, camera);
+}
+
+// 選繪圖後端 (重新載入頁面)，並把目前的畫面存成 SVG
+export class RendererMenu {
+  /**
+   * @param {Renderer} renderer - the one in use
+   * @param {import("./camera.js").Camera} camera
+   * @param {(renderer: Renderer) => void} draw - draws the current frame
+   * @param {HTMLElement} parent
+   */
+  constructor(renderer, camera, draw, parent = document.body) {
+    this.el = createPanel("bottom-center", parent);
+
+    const label = document.createElement("label");
+    label.textContent = "renderer ";
+    const select = document.createElement("select");
+    Object.keys(RENDERERS).forEach((name) => {
+      const option = document.createElement("option");
+      option.value = name;
+      option.textContent = name;
+      select.appendChild(option);
+    });
+    select.value = renderer.name;
+    select.addEventListener("change", () => {
+      setUrlParam("renderer", select.value);
+      window.location.reload();
+    });
+    label.appendChild(select);
+    this.el.appendChild(label);
+
+    const button = createButton(this.el, "export svg", () => {
+      const svg = new SvgRenderer(undefined, camera);
+      draw(svg);
+      download("frame.svg", svg.toString(), "image/svg+xml");
+    });
+    button.style.marginLeft = "4px";
+  }
+}
@@ -0,0 +1,116 @@
+import { loadScene, parseScene, saveScene } from "../physics/index.js";
+import { createPanel } from "./panel.js";
+
+/**
+ * Scene file given with ?scene=path/to/scene.json, relative to the page
+ * @returns {string | null}
+ */
+export function getSceneUrl() {
+  return new URLSearchParams(window.location.search).get("scene");
+}
+
+/**
+ * @param {string} filename
+ * @param {string} text
+ * @param {string} type
+ */
+export function download(filename, text, type = "application/json") {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// 場景的存檔與讀檔按鈕
+export class SceneMenu {
+  /**
+   * @param {import("../physics/simulation.js").Simulation} simulation
+   * @param {() => void} onLoad - called after a scene replaced the world content
+   * @param {HTMLElement} parent
+   */
+  constructor(simulation, onLoad = () => {}, parent = document.body) {
+    this.simulation = simulation;
+    this.onLoad = onLoad;
+
+    this.el = createPanel("bottom-right", parent);
+
+    const saveButton = document.createElement("button");
+    saveButton.textContent = "save scene";
+    saveButton.addEventListener("click", () => this.save());
+    this.el.appendChild(saveButton);
+
+    // a hidden file input opened by the load button
+    this.fileInput = document.createElement("input");
+    this.fileInput.type = "file";
+    this.fileInput.accept = ".json,application/json";
+    this.fileInput.style.display = "none";
+    this.fileInput.addEventListener("change", this.handleFileChange);
+    this.el.appendChild(this.fileInput);
+
+    const loadButton = document.createElement("button");
+    loadButton.textContent = "load scene";
+    loadButton.style.marginLeft = "4px";
+    loadButton.addEventListener("click", () => this.fileInput.click());
+    this.el.appendChild(loadButton);
+
+    this.message = document.createElement("div");
+    this.message.style.color = "#FF0000";
+    this.el.appendChild(this.message);
+  }
+
+  // downloads the live state of the simulation
+  save() {
+    const text = JSON.stringify(saveScene(this.simulation), null, 2);
+    download("scene.json", text);
+  }
+
+  /**
+   * @param {object} description
+   */
+  load(description) {
+    try {
+      loadScene(description, this.simulation);
+      this.message.textContent = "";
+      this.onLoad();
+    } catch (error) {
+      this.message.textContent = error.message;
+    }
+  }
+
+  /**
+   * @param {string} text
+   */
+  loadText(text) {
+    try {
+      this.load(parseScene(text));
+    } catch (error) {
+      this.message.textContent = error.message;
+    }
+  }
+
+  /**
+   * @param {string} url
+   */
+  async loadFromUrl(url) {
+    try {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`Could not load ${url}: ${response.status}`);
+      }
+      this.loadText(await response.text());
+    } catch (error) {
+      this.message.textContent = error.message;
+    }
+  }
+
+  handleFileChange = async () => {
+    const [file] = this.fileInput.files;
+    if (!file) return;
+
+    this.loadText(await file.text());
+    // allow loading the same file again
+    this.fileInput.value = "";
+  };
+}
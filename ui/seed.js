@@ -0,0 +1,50 @@
+import { parseSeed, randomSeed } from "../physics/index.js";
+import { createPanel } from "./panel.js";
+
+/**
+ * Seed given with ?seed=, or a fresh one
+ * @returns {number}
+ */
+export function getSeed() {
+  const param = new URLSearchParams(window.location.search).get("seed");
+
+  return param === null ? randomSeed() : parseSeed(param);
+}
+
+/**
+ * Writes a query parameter into the address bar without reloading,
+ * so the current link reproduces what is on screen.
+ * @param {string} name
+ * @param {string | number} value
+ */
+export function setUrlParam(name, value) {
+  const url = new URL(window.location.href);
+  url.searchParams.set(name, String(value));
+  window.history.replaceState(null, "", url);
+}
+
+// 顯示目前的種子，並可以換一個新的
+export class SeedPanel {
+  /**
+   * @param {number} seed
+   * @param {HTMLElement} parent
+   */
+  constructor(seed, parent = document.body) {
+    this.seed = seed;
+    setUrlParam("seed", seed);
+
+    this.el = createPanel("top-left", parent);
+
+    const label = document.createElement("span");
+    label.textContent = `seed: ${seed} `;
+    this.el.appendChild(label);
+
+    const button = document.createElement("button");
+    button.textContent = "new seed";
+    button.addEventListener("click", () => {
+      setUrlParam("seed", randomSeed());
+      window.location.reload();
+    });
+    this.el.appendChild(button);
+  }
+}
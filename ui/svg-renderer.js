@@ -0,0 +1,127 @@
+// SVG 繪圖後端，也用來匯出圖檔
+//
+// Every frame is written out as SVG markup. Given a canvas the markup is
+// shown in an <svg> laid over it, the canvas stays underneath for the
+// pointer; without one the renderer only collects the markup for toString().
+
+import { addOverlay } from "./overlay.js";
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+/**
+ * @param {string} value
+ */
+function escape(value) {
+  return String(value)
+    .replaceAll("&", "&amp;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;");
+}
+
+// rounded, a figure doesn't need more than a hundredth of a pixel
+function n(value) {
+  return Number(value.toFixed(2));
+}
+
+export class SvgRenderer {
+  name = "svg";
+  /** @type {string[]} */
+  elements = [];
+
+  /**
+   * @param {HTMLCanvasElement | undefined} canvas
+   * @param {import("./camera.js").Camera} camera
+   */
+  constructor(canvas, camera) {
+    this.canvas = canvas;
+    this.camera = camera;
+
+    if (canvas) {
+      this.svg = document.createElementNS(SVG_NS, "svg");
+      addOverlay(canvas, this.svg);
+    }
+  }
+
+  /**
+   * @param {number} alpha
+   */
+  begin(alpha = 1) {
+    this.camera.update(alpha);
+    this.elements = [];
+  }
+
+  /**
+   * @param {import("../physics/vector.js").Vector2} center
+   * @param {number} radius
+   * @param {import("./renderer.js").Style} style
+   */
+  circle(center, radius, style) {
+    const { camera } = this;
+
+    this.elements.push(
+      `<circle cx="${n(camera.toCanvasX(center.x))}" cy="${n(camera.toCanvasY(center.y))}" r="${n(radius * camera.scale)}"${this.paint(style, true)}/>`,
+    );
+  }
+
+  /**
+   * @param {import("../physics/vector.js").Vector2[]} points
+   * @param {import("./renderer.js").Style} style
+   * @param {boolean} closed
+   */
+  path(points, style, closed = false) {
+    const { camera } = this;
+    const list = points
+      .map((p) => `${n(camera.toCanvasX(p.x))},${n(camera.toCanvasY(p.y))}`)
+      .join(" ");
+    const tag = closed ? "polygon" : "polyline";
+
+    this.elements.push(
+      `<${tag} points="${list}"${this.paint(style, closed)}/>`,
+    );
+  }
+
+  /**
+   * @param {import("../physics/vector.js").Vector2} pos
+   * @param {string} text
+   * @param {import("./renderer.js").Style} style
+   */
+  text(pos, text, { fill = "#000000", font = "12px sans-serif" }) {
+    const { camera } = this;
+
+    this.elements.push(
+      `<text x="${n(camera.toCanvasX(pos.x))}" y="${n(camera.toCanvasY(pos.y))}" fill="${escape(fill)}" style="font: ${escape(font)}" text-anchor="middle" dominant-baseline="central">${escape(text)}</text>`,
+    );
+  }
+
+  paint({ fill, stroke, lineWidth = 1, dashed = false }, closed) {
+    return [
+      ` fill="${fill && closed ? escape(fill) : "none"}"`,
+      stroke ? ` stroke="${escape(stroke)}" stroke-width="${lineWidth}"` : "",
+      stroke && dashed ? ' stroke-dasharray="4 4"' : "",
+    ].join("");
+  }
+
+  end() {
+    if (!this.svg) return;
+
+    const { canvas, camera } = this;
+    // over the drawing area of the canvas, inside its border
+    this.svg.style.left = `${canvas.clientLeft}px`;
+    this.svg.style.top = `${canvas.clientTop}px`;
+    this.svg.setAttribute("width", camera.width);
+    this.svg.setAttribute("height", camera.height);
+    this.svg.innerHTML = this.elements.join("");
+  }
+
+  // the last frame as a standalone file
+  toString() {
+    const { width, height } = this.camera;
+
+    return [
+      `<svg xmlns="${SVG_NS}" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+      ...this.elements,
+      "</svg>",
+    ].join("\n");
+  }
+}
@@ -0,0 +1,181 @@
+import { Recorder } from "../physics/index.js";
+import { createButton, releaseFocus } from "./controls.js";
+
+const SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+// 時間軸：暫停、拖曳回到過去、單步執行、以不同速度重播
+//
+// Every tick is recorded. Playing from a tick in the past replays the
+// recording and switches back to simulating once it reaches the end.
+export class Timeline {
+  isPlaying = true;
+  speed = 1;
+  // fractional tick shown while replaying, undefined while simulating
+  replayTick = undefined;
+  lastTime = undefined;
+
+  /**
+   * @param {import("../physics/simulation.js").Simulation} simulation
+   * @param {import("../physics/loop.js").FixedStepLoop} loop
+   * @param {HTMLElement} parent - the timeline is appended, under the canvas
+   */
+  constructor(simulation, loop, parent = document.body) {
+    this.simulation = simulation;
+    this.loop = loop;
+    this.recorder = new Recorder(simulation);
+    this.recorder.attach();
+
+    this.el = document.createElement("div");
+    Object.assign(this.el.style, {
+      display: "flex",
+      alignItems: "center",
+      gap: "6px",
+      marginTop: "4px",
+      font: "12px monospace",
+    });
+    parent.appendChild(this.el);
+
+    createButton(this.el, "◀ step", () => this.stepBack());
+    this.playButton = createButton(this.el, "pause", () => this.togglePlay());
+    createButton(this.el, "step ▶", () => this.stepForward());
+
+    this.slider = document.createElement("input");
+    this.slider.type = "range";
+    this.slider.step = "1";
+    this.slider.style.flex = "1";
+    this.slider.addEventListener("input", () =>
+      this.seek(Number(this.slider.value)),
+    );
+    releaseFocus(this.slider);
+    this.el.appendChild(this.slider);
+
+    this.speedSelect = document.createElement("select");
+    SPEEDS.forEach((speed) => {
+      const option = document.createElement("option");
+      option.value = String(speed);
+      option.textContent = `${speed}x`;
+      option.selected = speed === this.speed;
+      this.speedSelect.appendChild(option);
+    });
+    this.speedSelect.addEventListener("change", () => {
+      this.setSpeed(Number(this.speedSelect.value));
+      this.speedSelect.blur();
+    });
+    this.el.appendChild(this.speedSelect);
+
+    this.label = document.createElement("span");
+    this.el.appendChild(this.label);
+  }
+
+  get isReplaying() {
+    return this.replayTick !== undefined;
+  }
+
+  /**
+   * Replaces loop.frame(): simulates, replays or holds still.
+   * @param {number} now - timestamp in milliseconds
+   * @returns {number} alpha, how far we are between the last two states
+   */
+  frame(now) {
+    const frameTime =
+      this.lastTime === undefined ? 0 : (now - this.lastTime) / 1000;
+    this.lastTime = now;
+
+    if (!this.isPlaying) return 1;
+    if (!this.isReplaying) return this.loop.frame(now);
+
+    this.replayTick += (frameTime * this.speed) / this.simulation.timeStep;
+
+    if (this.replayTick >= this.recorder.lastTick) {
+      this.recorder.restore(this.recorder.lastTick);
+      this.goLive();
+      return 1;
+    }
+
+    // show the step from floor(replayTick) to the next one
+    const tick = Math.floor(this.replayTick);
+    this.recorder.restore(tick + 1);
+
+    return this.replayTick - tick;
+  }
+
+  togglePlay() {
+    this.isPlaying = !this.isPlaying;
+    this.lastTime = undefined;
+    this.loop.reset();
+
+    if (this.isPlaying && this.simulation.tick < this.recorder.lastTick) {
+      this.replayTick = this.simulation.tick;
+    }
+  }
+
+  pause() {
+    this.isPlaying = false;
+    this.replayTick = undefined;
+  }
+
+  /**
+   * @param {number} tick
+   */
+  seek(tick) {
+    this.pause();
+    this.recorder.restore(tick);
+  }
+
+  // one tick forward, simulating a new one at the end of the recording
+  stepForward() {
+    this.pause();
+
+    if (this.simulation.tick < this.recorder.lastTick) {
+      this.recorder.restore(this.simulation.tick + 1);
+    } else {
+      this.simulation.step();
+    }
+  }
+
+  stepBack() {
+    this.seek(this.simulation.tick - 1);
+  }
+
+  /**
+   * @param {number} speed - 1 is real time, both for replaying and simulating
+   */
+  setSpeed(speed) {
+    this.speed = speed;
+    this.loop.timeScale = speed;
+  }
+
+  /**
+   * Call after changing the state from outside the simulation (a cue shot,
+   * a loaded scene). The recording after the current tick no longer
+   * follows from it and is dropped.
+   */
+  branch() {
+    this.recorder.record();
+    this.goLive();
+  }
+
+  goLive() {
+    this.replayTick = undefined;
+    this.loop.reset();
+  }
+
+  // call once per frame
+  draw() {
+    const { tick, time } = this.simulation;
+    const { firstTick, lastTick } = this.recorder;
+
+    this.slider.min = String(firstTick);
+    this.slider.max = String(lastTick);
+    this.slider.value = String(tick);
+
+    this.playButton.textContent = this.isPlaying ? "pause" : "play";
+
+    const mode = !this.isPlaying
+      ? "paused"
+      : this.isReplaying
+        ? "replay"
+        : "live";
+    this.label.textContent = `t = ${time.toFixed(2)} s, tick ${tick} / ${lastTick} (${mode})`;
+  }
+}
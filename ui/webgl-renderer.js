@@ -0,0 +1,465 @@
+// WebGL 2 繪圖後端，大量的球用 instancing 一次畫完
+//
+// Circles are instances of one quad, the fragment shader cuts the disc and
+// its outline out of it, so ten thousand balls are a single draw call.
+// Paths become triangles: a fan for a filled (convex) polygon and a quad
+// for every stroked segment. Consecutive circles and consecutive triangles
+// are batched, the order of drawing is kept between the batches.
+//
+// Positions are worked out in CSS pixels on the CPU, the shaders only map
+// them onto the canvas. Dashed lines are drawn solid. Text is written on a
+// 2D canvas laid over this one, so it is always on top.
+
+import { addOverlay } from "./overlay.js";
+
+const CIRCLE_VERTEX = `#version 300 es
+in vec2 a_corner;
+in vec2 a_center;
+in float a_radius;
+in vec4 a_fill;
+in vec4 a_stroke;
+in float a_lineWidth;
+uniform vec2 u_size;
+out vec2 v_offset;
+out float v_radius;
+out vec4 v_fill;
+out vec4 v_stroke;
+out float v_lineWidth;
+
+void main() {
+  // a pixel more for the smoothed edge
+  vec2 offset = a_corner * (a_radius + 1.0);
+  vec2 pos = a_center + offset;
+  v_offset = offset;
+  v_radius = a_radius;
+  v_fill = a_fill;
+  v_stroke = a_stroke;
+  v_lineWidth = a_lineWidth;
+  gl_Position = vec4(pos.x / u_size.x * 2.0 - 1.0, 1.0 - pos.y / u_size.y * 2.0, 0.0, 1.0);
+}`;
+
+const CIRCLE_FRAGMENT = `#version 300 es
+precision mediump float;
+in vec2 v_offset;
+in float v_radius;
+in vec4 v_fill;
+in vec4 v_stroke;
+in float v_lineWidth;
+uniform float u_pixelRatio;
+out vec4 color;
+
+void main() {
+  float d = length(v_offset);
+  float inside = clamp((v_radius - d) * u_pixelRatio + 0.5, 0.0, 1.0);
+  float fill = clamp((v_radius - v_lineWidth - d) * u_pixelRatio + 0.5, 0.0, 1.0);
+  vec4 c = mix(v_stroke, v_fill, fill);
+  color = vec4(c.rgb, c.a * inside);
+}`;
+
+const TRIANGLE_VERTEX = `#version 300 es
+in vec2 a_pos;
+in vec4 a_color;
+uniform vec2 u_size;
+out vec4 v_color;
+
+void main() {
+  v_color = a_color;
+  gl_Position = vec4(a_pos.x / u_size.x * 2.0 - 1.0, 1.0 - a_pos.y / u_size.y * 2.0, 0.0, 1.0);
+}`;
+
+const TRIANGLE_FRAGMENT = `#version 300 es
+precision mediump float;
+in vec4 v_color;
+out vec4 color;
+
+void main() {
+  color = v_color;
+}`;
+
+// floats of a circle: center, radius, fill, stroke, line width
+const CIRCLE_STRIDE = 12;
+// floats of a vertex: position, color
+const VERTEX_STRIDE = 6;
+const TRANSPARENT = [0, 0, 0, 0];
+
+function compile(gl, vertexSource, fragmentSource) {
+  const program = gl.createProgram();
+  [
+    [gl.VERTEX_SHADER, vertexSource],
+    [gl.FRAGMENT_SHADER, fragmentSource],
+  ].forEach(([type, source]) => {
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+      throw new Error(gl.getShaderInfoLog(shader));
+    }
+    gl.attachShader(program, shader);
+  });
+  gl.linkProgram(program);
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    throw new Error(gl.getProgramInfoLog(program));
+  }
+
+  return program;
+}
+
+// a Float32Array that grows
+class FloatBuffer {
+  data = new Float32Array(1024);
+  length = 0;
+
+  push(...values) {
+    if (this.length + values.length > this.data.length) {
+      const data = new Float32Array(this.data.length * 2 + values.length);
+      data.set(this.data);
+      this.data = data;
+    }
+    this.data.set(values, this.length);
+    this.length += values.length;
+  }
+}
+
+export class WebGLRenderer {
+  name = "webgl";
+  /** @type {{type: "circles" | "triangles", start: number, count: number}[]} */
+  batches = [];
+  circles = new FloatBuffer();
+  vertices = new FloatBuffer();
+  /** @type {Map<string, number[]>} */
+  colors = new Map();
+  /** @type {{x: number, y: number, text: string, fill: string, font: string}[]} */
+  texts = [];
+  /**
+   * made with the first text
+   * @type {HTMLCanvasElement | undefined}
+   */
+  textCanvas = undefined;
+
+  /**
+   * Goes through the whole setup on a canvas of its own, a canvas that gave
+   * a WebGL context never gives a 2D one, so the page's canvas must stay
+   * untouched until WebGL is known to work.
+   * @returns {boolean} false without WebGL 2 or when the shaders don't compile
+   */
+  static isSupported() {
+    try {
+      const { gl } = new WebGLRenderer(document.createElement("canvas"));
+      gl.getExtension("WEBGL_lose_context")?.loseContext();
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {import("./camera.js").Camera} camera
+   */
+  constructor(canvas, camera) {
+    this.canvas = canvas;
+    this.camera = camera;
+
+    const gl = canvas.getContext("webgl2", { antialias: true });
+    if (!gl) throw new Error("WebGL 2 is not available");
+    this.gl = gl;
+
+    // turns any CSS color into numbers
+    this.colorContext = document.createElement("canvas").getContext("2d");
+
+    this.circleProgram = compile(gl, CIRCLE_VERTEX, CIRCLE_FRAGMENT);
+    this.triangleProgram = compile(gl, TRIANGLE_VERTEX, TRIANGLE_FRAGMENT);
+
+    this.circleBuffer = gl.createBuffer();
+    this.vertexBuffer = gl.createBuffer();
+    const cornerBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, cornerBuffer);
+    gl.bufferData(
+      gl.ARRAY_BUFFER,
+      new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]),
+      gl.STATIC_DRAW,
+    );
+
+    this.circleArray = gl.createVertexArray();
+    gl.bindVertexArray(this.circleArray);
+    const corner = gl.getAttribLocation(this.circleProgram, "a_corner");
+    gl.enableVertexAttribArray(corner);
+    gl.vertexAttribPointer(corner, 2, gl.FLOAT, false, 0, 0);
+    this.circleAttributes = [
+      ["a_center", 2, 0],
+      ["a_radius", 1, 2],
+      ["a_fill", 4, 3],
+      ["a_stroke", 4, 7],
+      ["a_lineWidth", 1, 11],
+    ].map(([name, size, offset]) => {
+      const location = gl.getAttribLocation(this.circleProgram, name);
+      gl.enableVertexAttribArray(location);
+      gl.vertexAttribDivisor(location, 1);
+      return { location, size, offset };
+    });
+
+    this.triangleArray = gl.createVertexArray();
+    gl.bindVertexArray(this.triangleArray);
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.vertexBuffer);
+    [
+      ["a_pos", 2, 0],
+      ["a_color", 4, 2],
+    ].forEach(([name, size, offset]) => {
+      const location = gl.getAttribLocation(this.triangleProgram, name);
+      gl.enableVertexAttribArray(location);
+      gl.vertexAttribPointer(
+        location,
+        size,
+        gl.FLOAT,
+        false,
+        VERTEX_STRIDE * 4,
+        offset * 4,
+      );
+    });
+    gl.bindVertexArray(null);
+
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+  }
+
+  /**
+   * @param {string} css
+   * @returns {number[]} red, green, blue and alpha from 0 to 1
+   */
+  toRgba(css) {
+    if (!css) return TRANSPARENT;
+
+    let rgba = this.colors.get(css);
+    if (rgba) return rgba;
+
+    const ctx = this.colorContext;
+    ctx.fillStyle = "#000000";
+    ctx.fillStyle = css;
+    // the context hands back "#rrggbb" or "rgba(r, g, b, a)"
+    const normalized = ctx.fillStyle;
+    if (normalized.startsWith("#")) {
+      rgba = [1, 3, 5].map((i) => parseInt(normalized.slice(i, i + 2), 16));
+      rgba = [...rgba.map((v) => v / 255), 1];
+    } else {
+      const [r = 0, g = 0, b = 0, a = 1] = (
+        normalized.match(/[\d.]+/g) ?? []
+      ).map(Number);
+      rgba = [r / 255, g / 255, b / 255, a];
+    }
+    this.colors.set(css, rgba);
+
+    return rgba;
+  }
+
+  /**
+   * Call after pushing the data.
+   * @param {"circles" | "triangles"} type
+   * @param {number} count - circles or vertices just pushed
+   */
+  addToBatch(type, count) {
+    const last = this.batches[this.batches.length - 1];
+    if (last?.type === type) {
+      last.count += count;
+      return;
+    }
+
+    const end =
+      type === "circles"
+        ? this.circles.length / CIRCLE_STRIDE
+        : this.vertices.length / VERTEX_STRIDE;
+    this.batches.push({ type, start: end - count, count });
+  }
+
+  /**
+   * @param {number} alpha
+   */
+  begin(alpha = 1) {
+    this.camera.update(alpha);
+    this.batches = [];
+    this.circles.length = 0;
+    this.vertices.length = 0;
+    this.texts = [];
+  }
+
+  /**
+   * @param {import("../physics/vector.js").Vector2} center
+   * @param {number} radius
+   * @param {import("./renderer.js").Style} style
+   */
+  circle(center, radius, { fill, stroke, lineWidth = 1 }) {
+    const { camera } = this;
+    // the outline is centered on the edge, as on a 2D canvas
+    const width = stroke ? lineWidth : 0;
+
+    this.circles.push(
+      camera.toCanvasX(center.x),
+      camera.toCanvasY(center.y),
+      radius * camera.scale + width / 2,
+      ...this.toRgba(fill),
+      ...this.toRgba(stroke),
+      width,
+    );
+    this.addToBatch("circles", 1);
+  }
+
+  /**
+   * @param {import("../physics/vector.js").Vector2[]} points
+   * @param {import("./renderer.js").Style} style
+   * @param {boolean} closed
+   */
+  path(points, { fill, stroke, lineWidth = 1 }, closed = false) {
+    const { camera } = this;
+    const xy = points.map((p) => [
+      camera.toCanvasX(p.x),
+      camera.toCanvasY(p.y),
+    ]);
+    const start = this.vertices.length;
+
+    if (fill && closed) {
+      const color = this.toRgba(fill);
+      for (let i = 1; i + 1 < xy.length; i++) {
+        [xy[0], xy[i], xy[i + 1]].forEach(([x, y]) =>
+          this.vertices.push(x, y, ...color),
+        );
+      }
+    }
+
+    if (stroke) {
+      const color = this.toRgba(stroke);
+      const ends = closed ? xy.length : xy.length - 1;
+      for (let i = 0; i < ends; i++) {
+        const [ax, ay] = xy[i];
+        const [bx, by] = xy[(i + 1) % xy.length];
+        const length = Math.hypot(bx - ax, by - ay);
+        if (length === 0) continue;
+
+        // half the width across the segment
+        const nx = (-(by - ay) / length) * (lineWidth / 2);
+        const ny = ((bx - ax) / length) * (lineWidth / 2);
+        [
+          [ax + nx, ay + ny],
+          [bx + nx, by + ny],
+          [bx - nx, by - ny],
+          [ax + nx, ay + ny],
+          [bx - nx, by - ny],
+          [ax - nx, ay - ny],
+        ].forEach(([x, y]) => this.vertices.push(x, y, ...color));
+      }
+    }
+
+    const count = (this.vertices.length - start) / VERTEX_STRIDE;
+    if (count > 0) this.addToBatch("triangles", count);
+  }
+
+  /**
+   * @param {import("../physics/vector.js").Vector2} pos
+   * @param {string} text
+   * @param {import("./renderer.js").Style} style
+   */
+  text(pos, text, { fill = "#000000", font = "12px sans-serif" }) {
+    const { camera } = this;
+
+    this.texts.push({
+      x: camera.toCanvasX(pos.x),
+      y: camera.toCanvasY(pos.y),
+      text,
+      fill,
+      font,
+    });
+  }
+
+  end() {
+    const { gl, camera } = this;
+
+    gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.circleBuffer);
+    gl.bufferData(
+      gl.ARRAY_BUFFER,
+      this.circles.data.subarray(0, this.circles.length),
+      gl.STREAM_DRAW,
+    );
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.vertexBuffer);
+    gl.bufferData(
+      gl.ARRAY_BUFFER,
+      this.vertices.data.subarray(0, this.vertices.length),
+      gl.STREAM_DRAW,
+    );
+
+    this.batches.forEach(({ type, start, count }) => {
+      if (type === "circles") {
+        gl.useProgram(this.circleProgram);
+        gl.bindVertexArray(this.circleArray);
+        this.setUniforms(this.circleProgram);
+        gl.uniform1f(
+          gl.getUniformLocation(this.circleProgram, "u_pixelRatio"),
+          camera.pixelRatio,
+        );
+        // the instance attributes start at the first circle of the batch
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.circleBuffer);
+        this.circleAttributes.forEach(({ location, size, offset }) =>
+          gl.vertexAttribPointer(
+            location,
+            size,
+            gl.FLOAT,
+            false,
+            CIRCLE_STRIDE * 4,
+            (start * CIRCLE_STRIDE + offset) * 4,
+          ),
+        );
+        gl.drawArraysInstanced(gl.TRIANGLE_STRIP, 0, 4, count);
+      } else {
+        gl.useProgram(this.triangleProgram);
+        gl.bindVertexArray(this.triangleArray);
+        this.setUniforms(this.triangleProgram);
+        gl.drawArrays(gl.TRIANGLES, start, count);
+      }
+    });
+    gl.bindVertexArray(null);
+
+    this.drawTexts();
+  }
+
+  drawTexts() {
+    const { canvas, camera } = this;
+    if (!this.textCanvas) {
+      if (this.texts.length === 0) return;
+
+      this.textCanvas = document.createElement("canvas");
+      // without the border the page gives its canvas
+      this.textCanvas.style.border = "none";
+      addOverlay(canvas, this.textCanvas);
+      this.textContext = this.textCanvas.getContext("2d");
+    }
+
+    const ctx = this.textContext;
+    // over the drawing area of the canvas, inside its border
+    this.textCanvas.style.left = `${canvas.clientLeft}px`;
+    this.textCanvas.style.top = `${canvas.clientTop}px`;
+    this.textCanvas.style.width = `${camera.width}px`;
+    this.textCanvas.style.height = `${camera.height}px`;
+    this.textCanvas.width = canvas.width;
+    this.textCanvas.height = canvas.height;
+
+    ctx.setTransform(camera.pixelRatio, 0, 0, camera.pixelRatio, 0, 0);
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    this.texts.forEach(({ x, y, text, fill, font }) => {
+      ctx.fillStyle = fill;
+      ctx.font = font;
+      ctx.fillText(text, x, y);
+    });
+  }
+
+  setUniforms(program) {
+    const { gl, camera } = this;
+
+    gl.uniform2f(
+      gl.getUniformLocation(program, "u_size"),
+      camera.width,
+      camera.height,
+    );
+  }
+}